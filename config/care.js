@@ -0,0 +1,35 @@
+// Kinds of care a planting can be scheduled for
+const CARE_TASK_TYPES = ["water", "fertilize", "prune"];
+
+// Days between care tasks for each growth form, for species that don't set
+// their own; null means plants of that form don't need it
+const DEFAULT_CARE_INTERVALS = {
+  tree: { water: 7, fertilize: 365, prune: 365 },
+  shrub: { water: 4, fertilize: 90, prune: 180 },
+  herb: { water: 2, fertilize: 30, prune: 21 },
+  grass: { water: 4, fertilize: 60, prune: null },
+  vine: { water: 3, fertilize: 60, prune: 90 },
+  succulent: { water: 14, fertilize: 120, prune: null },
+  fern: { water: 3, fertilize: 60, prune: null },
+};
+
+// Limits on schedule intervals, in days
+const MIN_CARE_INTERVAL_DAYS = 1;
+const MAX_CARE_INTERVAL_DAYS = 365;
+
+// How long a task can be snoozed for, in hours
+const DEFAULT_SNOOZE_HOURS = 24;
+const MAX_SNOOZE_HOURS = 7 * 24;
+
+// How often the job runner makes due tasks and sends reminders
+const CARE_JOB_INTERVAL_MS = 15 * 60 * 1000;
+
+module.exports = {
+  CARE_TASK_TYPES,
+  DEFAULT_CARE_INTERVALS,
+  MIN_CARE_INTERVAL_DAYS,
+  MAX_CARE_INTERVAL_DAYS,
+  DEFAULT_SNOOZE_HOURS,
+  MAX_SNOOZE_HOURS,
+  CARE_JOB_INTERVAL_MS,
+};
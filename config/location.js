@@ -0,0 +1,13 @@
+// How precisely a location is shown to other users, from most to least
+// precise
+const LOCATION_PRECISIONS = ["exact", "100m", "1km", "city", "hidden"];
+
+// Decimal places coordinates are rounded to for each approximate precision
+// (a degree of latitude is about 111 km)
+const PRECISION_DECIMALS = {
+  "100m": 3,
+  "1km": 2,
+  city: 1,
+};
+
+module.exports = { LOCATION_PRECISIONS, PRECISION_DECIMALS };
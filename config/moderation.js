@@ -0,0 +1,25 @@
+// Why content can be reported
+const REPORT_REASONS = [
+  "spam",
+  "harassment",
+  "hate_speech",
+  "violence",
+  "nudity",
+  "misinformation",
+  "self_harm",
+  "other",
+];
+
+/**
+ * What a moderator can do when resolving a case:
+ * - dismiss: no action; content hidden automatically is shown again
+ * - hide: hide the content from everyone but its author
+ * - delete: remove the content permanently
+ * - warn: record a warning on the author's account and email them
+ */
+const RESOLUTION_ACTIONS = ["dismiss", "hide", "delete", "warn"];
+
+// Kinds of content that can be reported
+const REPORT_TARGET_TYPES = ["post", "comment"];
+
+module.exports = { REPORT_REASONS, RESOLUTION_ACTIONS, REPORT_TARGET_TYPES };
@@ -0,0 +1,50 @@
+// Kinds of activity users are notified about
+const NOTIFICATION_TYPES = [
+  "post_like",
+  "post_comment",
+  "post_save",
+  "comment_like",
+  "comment_reply",
+  "follow",
+  "care_due",
+];
+
+// Notification types about the user's own things rather than other users'
+// activity; they have no actors and carry their own message
+const REMINDER_TYPES = ["care_due"];
+
+// Ways a user can be told about a notification
+const NOTIFICATION_CHANNELS = ["inApp", "push", "email"];
+
+// Services push notifications are delivered through, by device platform
+const PUSH_PLATFORMS = {
+  web: "webpush",
+  android: "fcm",
+  ios: "apns",
+};
+
+// Browser push services a Web Push endpoint may be on (including their
+// subdomains), so that registering a device can't make the server send
+// requests anywhere else
+const WEB_PUSH_HOSTS = [
+  "fcm.googleapis.com",
+  "android.googleapis.com",
+  "push.services.mozilla.com",
+  "web.push.apple.com",
+  "notify.windows.com",
+];
+
+// Formats of FCM registration tokens and APNs device tokens
+const PUSH_TOKEN_PATTERNS = {
+  android: /^[\w:-]+$/,
+  ios: /^[0-9a-fA-F]{64,200}$/,
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  REMINDER_TYPES,
+  NOTIFICATION_CHANNELS,
+  PUSH_PLATFORMS,
+  WEB_PUSH_HOSTS,
+  PUSH_TOKEN_PATTERNS,
+};
@@ -0,0 +1,21 @@
+// Life stages of a planting, from planted to gone
+const PLANTING_STATUSES = ["seedling", "growing", "mature", "dead", "removed"];
+
+// Statuses of plantings that are no longer in the ground; they stop taking
+// up CO2 from the day they got there
+const ENDED_PLANTING_STATUSES = ["dead", "removed"];
+
+// How far back a planting can say it was planted. The impact estimate counts
+// uptake from that day, so older dates would run up the leaderboards.
+const MAX_PLANTED_YEARS_AGO = 50;
+
+// How often the job runner re-totals the CO2 users' plantings have taken up
+// for the leaderboards
+const IMPACT_JOB_INTERVAL_MS = 60 * 60 * 1000;
+
+module.exports = {
+  PLANTING_STATUSES,
+  ENDED_PLANTING_STATUSES,
+  MAX_PLANTED_YEARS_AGO,
+  IMPACT_JOB_INTERVAL_MS,
+};
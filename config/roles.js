@@ -0,0 +1,36 @@
+// User roles, from least to most privileged
+const ROLES = ["user", "moderator", "admin"];
+
+/**
+ * What each permission allows and which roles have it. Routes should check
+ * permissions rather than role names where possible, so that roles can be
+ * adjusted here without touching controllers.
+ */
+const PERMISSIONS = {
+  // Edit or remove posts and comments written by other users
+  "posts:edit:any": ["moderator", "admin"],
+  "posts:delete:any": ["moderator", "admin"],
+  "comments:edit:any": ["moderator", "admin"],
+  "comments:delete:any": ["moderator", "admin"],
+  // Work through the queue of reported content
+  "moderation:manage": ["moderator", "admin"],
+  // Release or resolve a case another moderator has claimed
+  "moderation:override": ["admin"],
+  // Read the audit log of privileged actions
+  "audit:read": ["admin"],
+  // Change other users' roles
+  "users:manage": ["admin"],
+};
+
+/**
+ * Check whether a role has a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission name, e.g. "posts:delete:any"
+ * @returns {boolean} Whether the role has the permission
+ */
+const hasPermission = (role, permission) => {
+  const roles = PERMISSIONS[permission];
+  return Boolean(roles && roles.includes(role));
+};
+
+module.exports = { ROLES, PERMISSIONS, hasPermission };
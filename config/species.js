@@ -0,0 +1,18 @@
+// Growth forms of plants in the species catalog
+const GROWTH_FORMS = [
+  "tree",
+  "shrub",
+  "herb",
+  "grass",
+  "vine",
+  "succulent",
+  "fern",
+];
+
+// Growth form assumed for plants not in the catalog, the smallest common case
+const DEFAULT_GROWTH_FORM = "herb";
+
+// Language common names are shown in when none is asked for
+const DEFAULT_NAME_LANGUAGE = "en";
+
+module.exports = { GROWTH_FORMS, DEFAULT_GROWTH_FORM, DEFAULT_NAME_LANGUAGE };
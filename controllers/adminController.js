@@ -0,0 +1,499 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Comment = require("../models/Comment");
+const Session = require("../models/Session");
+const AuditLog = require("../models/AuditLog");
+const logger = require("../utils/logger");
+const { recordAudit, recordAuditOutcome } = require("../utils/audit");
+const { getUserStats } = require("../utils/userStats");
+const { revokeAllSessions } = require("../utils/sessionService");
+const { deleteUserAccount } = require("../utils/accountDeletion");
+const {
+  getListPagination,
+  applyCursorFilter,
+  slicePage,
+} = require("../utils/cursor");
+
+// Helper to escape user input for use in a regular expression
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Helper to format a user for admin responses
+const formatAdminUser = (user) => ({
+  id: user._id.toString(),
+  name: user.name,
+  email: user.email,
+  avatar: user.avatarUrl,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactorEnabled,
+  numberOfPlants: user.numberOfPlants || 0,
+  suspension: user.getActiveSuspension()
+    ? {
+        status: user.suspension.status,
+        reason: user.suspension.reason,
+        expiresAt: user.suspension.expiresAt,
+        suspendedAt: user.suspension.suspendedAt,
+        suspendedBy: user.suspension.suspendedBy,
+      }
+    : null,
+  createdAt: user.createdAt.toISOString(),
+});
+
+// Helper to build the query for the status filter of listUsers
+const getStatusQuery = (status) => {
+  const now = new Date();
+  const inForce = {
+    $or: [
+      { "suspension.expiresAt": null },
+      { "suspension.expiresAt": { $gt: now } },
+    ],
+  };
+
+  switch (status) {
+    case "suspended":
+    case "banned":
+      return { "suspension.status": status, ...inForce };
+    case "active":
+      return {
+        $or: [
+          { "suspension.status": { $exists: false } },
+          { "suspension.status": null },
+          { "suspension.expiresAt": { $lte: now } },
+        ],
+      };
+    default:
+      return {};
+  }
+};
+
+// Helper to load the user an admin action targets, answering 404 if missing
+const findTargetUser = async (req, res) => {
+  const user = mongoose.isValidObjectId(req.params.id)
+    ? await User.findById(req.params.id)
+    : null;
+
+  if (!user) {
+    res.status(404).json({ message: "User not found" });
+    return null;
+  }
+
+  return user;
+};
+
+// Helper to stop admins from locking themselves out
+const rejectSelfAction = (req, res, user) => {
+  if (user._id.toString() === req.user._id.toString()) {
+    res
+      .status(400)
+      .json({ message: "You can't perform this action on your own account" });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * @desc    Search and list users
+ * @route   GET /api/admin/users
+ * @access  Private (admin)
+ */
+const listUsers = async (req, res, next) => {
+  try {
+    const pagination = getListPagination(req.query, { defaultLimit: 20 });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+    const { limit } = pagination;
+
+    const conditions = [getStatusQuery(req.query.status)];
+
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegex(req.query.q.trim()), "i");
+      conditions.push({ $or: [{ name: pattern }, { email: pattern }] });
+    }
+
+    if (req.query.role) {
+      conditions.push({ role: req.query.role });
+    }
+
+    const query = { $and: conditions };
+
+    const users = await User.find(applyCursorFilter(query, pagination))
+      .sort(pagination.sort)
+      .skip(pagination.skip)
+      .limit(limit + 1);
+
+    const { items, nextCursor, hasMore } = slicePage(users, limit);
+    const formattedUsers = items.map(formatAdminUser);
+
+    // Cursor clients only get the cursor; page clients also get totals
+    if (pagination.mode === "cursor") {
+      return res.json({ users: formattedUsers, nextCursor, hasMore });
+    }
+
+    const totalUsers = await User.countDocuments(query);
+
+    res.json({
+      users: formattedUsers,
+      currentPage: pagination.page,
+      totalPages: Math.ceil(totalUsers / limit),
+      totalUsers,
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    logger.error(`Error listing users: ${error.message}`, {
+      adminId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a user's account details, stats and moderation history
+ * @route   GET /api/admin/users/:id
+ * @access  Private (admin)
+ */
+const getUser = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const [stats, comments, activeSessions, auditLog] = await Promise.all([
+      getUserStats(user),
+      Comment.countDocuments({ user: user._id }),
+      Session.countDocuments({
+        user: user._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() },
+      }),
+      AuditLog.find({ targetUser: user._id })
+        .sort({ createdAt: -1 })
+        .limit(20)
+        .populate("actor", "name email"),
+    ]);
+
+    res.json({
+      ...formatAdminUser(user),
+      bio: user.bio,
+      location: user.location,
+      identities: user.identities.map((identity) => identity.provider),
+      lastPasswordChangeAt: user.passwordChangedAt,
+      stats: { ...stats, comments },
+      warnings: user.warnings,
+      activeSessions,
+      auditLog,
+    });
+  } catch (error) {
+    logger.error(`Error fetching user for admin: ${error.message}`, {
+      adminId: req.user?._id,
+      userId: req.params.id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change a user's role
+ * @route   PUT /api/admin/users/:id/role
+ * @access  Private (admin)
+ */
+const updateUserRole = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user || rejectSelfAction(req, res, user)) return;
+
+    const previousRole = user.role;
+
+    await recordAudit(req, {
+      action: "user.role_change",
+      targetType: "user",
+      targetId: user._id,
+      targetUser: user._id,
+      metadata: { previousRole, role: req.body.role },
+    });
+
+    user.role = req.body.role;
+    await user.save();
+
+    res.json(formatAdminUser(user));
+  } catch (error) {
+    logger.error(`Error changing user role: ${error.message}`, {
+      adminId: req.user?._id,
+      userId: req.params.id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+// Helper shared by suspendUser and banUser
+const applySuspension = async (req, res, status) => {
+  const user = await findTargetUser(req, res);
+  if (!user || rejectSelfAction(req, res, user)) return;
+
+  const expiresAt =
+    status === "suspended" && req.body.expiresAt
+      ? new Date(req.body.expiresAt)
+      : null;
+
+  if (expiresAt && expiresAt <= new Date()) {
+    return res
+      .status(400)
+      .json({ message: "Suspension expiry must be in the future" });
+  }
+
+  const entry = await recordAudit(req, {
+    action: status === "banned" ? "user.ban" : "user.suspend",
+    targetType: "user",
+    targetId: user._id,
+    targetUser: user._id,
+    metadata: { expiresAt },
+  });
+
+  user.suspension = {
+    status,
+    reason: req.body.reason,
+    expiresAt,
+    suspendedAt: new Date(),
+    suspendedBy: req.user._id,
+  };
+  await user.save();
+
+  // Sign the user out everywhere right away
+  const revokedSessions = await revokeAllSessions(user._id, status);
+  await recordAuditOutcome(entry, { revokedSessions });
+
+  res.json(formatAdminUser(user));
+};
+
+/**
+ * @desc    Suspend a user, until a date or until lifted
+ * @route   POST /api/admin/users/:id/suspend
+ * @access  Private (admin)
+ */
+const suspendUser = async (req, res, next) => {
+  try {
+    await applySuspension(req, res, "suspended");
+  } catch (error) {
+    logger.error(`Error suspending user: ${error.message}`, {
+      adminId: req.user?._id,
+      userId: req.params.id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Ban a user permanently
+ * @route   POST /api/admin/users/:id/ban
+ * @access  Private (admin)
+ */
+const banUser = async (req, res, next) => {
+  try {
+    await applySuspension(req, res, "banned");
+  } catch (error) {
+    logger.error(`Error banning user: ${error.message}`, {
+      adminId: req.user?._id,
+      userId: req.params.id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Lift a suspension or ban
+ * @route   DELETE /api/admin/users/:id/suspension
+ * @access  Private (admin)
+ */
+const liftSuspension = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    if (!user.getActiveSuspension()) {
+      return res.status(400).json({ message: "User is not suspended" });
+    }
+
+    const previous = user.suspension.status;
+
+    await recordAudit(req, {
+      action: "user.unsuspend",
+      targetType: "user",
+      targetId: user._id,
+      targetUser: user._id,
+      metadata: { previous },
+    });
+
+    user.suspension = undefined;
+    await user.save();
+
+    res.json(formatAdminUser(user));
+  } catch (error) {
+    logger.error(`Error lifting suspension: ${error.message}`, {
+      adminId: req.user?._id,
+      userId: req.params.id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Sign a user out of all sessions
+ * @route   POST /api/admin/users/:id/logout
+ * @access  Private (admin)
+ */
+const forceLogout = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const entry = await recordAudit(req, {
+      action: "user.force_logout",
+      targetType: "user",
+      targetId: user._id,
+      targetUser: user._id,
+    });
+
+    const revokedSessions = await revokeAllSessions(user._id, "admin_logout");
+    await recordAuditOutcome(entry, { revokedSessions });
+
+    res.json({ message: "User signed out", revokedSessions });
+  } catch (error) {
+    logger.error(`Error forcing logout: ${error.message}`, {
+      adminId: req.user?._id,
+      userId: req.params.id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reset a user's plant count
+ * @route   POST /api/admin/users/:id/reset-plants
+ * @access  Private (admin)
+ */
+const resetPlantCount = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user) return;
+
+    const previous = user.numberOfPlants;
+    const numberOfPlants = parseInt(req.body.numberOfPlants) || 0;
+
+    await recordAudit(req, {
+      action: "user.reset_plants",
+      targetType: "user",
+      targetId: user._id,
+      targetUser: user._id,
+      metadata: { previous, numberOfPlants },
+    });
+
+    user.numberOfPlants = numberOfPlants;
+    await user.save();
+
+    res.json(formatAdminUser(user));
+  } catch (error) {
+    logger.error(`Error resetting plant count: ${error.message}`, {
+      adminId: req.user?._id,
+      userId: req.params.id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Permanently delete a user and their content
+ * @route   DELETE /api/admin/users/:id
+ * @access  Private (admin)
+ */
+const deleteUser = async (req, res, next) => {
+  try {
+    const user = await findTargetUser(req, res);
+    if (!user || rejectSelfAction(req, res, user)) return;
+
+    // The user will be gone, so keep enough in the log to know who it was
+    const entry = await recordAudit(req, {
+      action: "user.delete",
+      targetType: "user",
+      targetId: user._id,
+      targetUser: user._id,
+      metadata: { name: user.name, email: user.email },
+    });
+
+    const removed = await deleteUserAccount(user);
+    await recordAuditOutcome(entry, { removed });
+
+    res.json({ message: "User deleted", removed });
+  } catch (error) {
+    logger.error(`Error deleting user: ${error.message}`, {
+      adminId: req.user?._id,
+      userId: req.params.id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    List audit log entries
+ * @route   GET /api/admin/audit-logs
+ * @access  Private (admin)
+ */
+const getAuditLogs = async (req, res, next) => {
+  try {
+    const pagination = getListPagination(req.query, { defaultLimit: 50 });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+    const { limit } = pagination;
+
+    const query = {};
+    for (const field of ["actor", "targetUser"]) {
+      if (req.query[field]) {
+        if (!mongoose.isValidObjectId(req.query[field])) {
+          return res.status(400).json({ message: `Invalid ${field}` });
+        }
+        query[field] = req.query[field];
+      }
+    }
+    if (req.query.action) {
+      query.action = req.query.action;
+    }
+
+    const entries = await AuditLog.find(applyCursorFilter(query, pagination))
+      .sort(pagination.sort)
+      .skip(pagination.skip)
+      .limit(limit + 1)
+      .populate("actor", "name email");
+
+    const { items, nextCursor, hasMore } = slicePage(entries, limit);
+
+    res.json({ entries: items, nextCursor, hasMore });
+  } catch (error) {
+    logger.error(`Error fetching audit logs: ${error.message}`, {
+      adminId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  listUsers,
+  getUser,
+  updateUserRole,
+  suspendUser,
+  banUser,
+  liftSuspension,
+  forceLogout,
+  resetPlantCount,
+  deleteUser,
+  getAuditLogs,
+};
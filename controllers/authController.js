@@ -1,8 +1,157 @@
+const mongoose = require("mongoose");
 const User = require("../models/User");
-const generateToken = require("../utils/generateToken");
 const logger = require("../utils/logger");
-const { logAuthentication, logAuthFailure } = require("../utils/logHelper");
+const {
+  logAuthentication,
+  logAuthFailure,
+  logSecurityEvent,
+} = require("../utils/logHelper");
+const { getClientIp } = require("../utils/clientInfo");
+const { generateSecureToken, hashToken } = require("../utils/secureToken");
+const { sendMail } = require("../utils/mailer");
+const {
+  passwordResetEmail,
+  emailVerificationEmail,
+  emailChangeConfirmationEmail,
+  emailChangeNoticeEmail,
+} = require("../utils/emailTemplates");
 const Post = require("../models/Post");
+const {
+  createSession,
+  signAccessToken,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+} = require("../utils/sessionService");
+const {
+  generateTotpSecret,
+  verifyTotpCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+} = require("../utils/totp");
+const {
+  buildAuthResponse,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  getSuspensionError,
+} = require("../utils/authResponse");
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearLoginFailures,
+} = require("../utils/loginThrottle");
+
+// How long a password reset link stays valid
+const PASSWORD_RESET_TTL_MINUTES =
+  parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+// How long an email verification link stays valid
+const EMAIL_VERIFICATION_TTL_HOURS =
+  parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+
+// Minimum time between two verification emails for the same account
+const EMAIL_VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Helper to issue a new email verification token and email it to the user
+const sendVerificationEmail = async (user) => {
+  const { token, hash } = generateSecureToken();
+
+  user.emailVerificationTokenHash = hash;
+  user.emailVerificationExpires = new Date(
+    Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+  );
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+
+  await sendMail({
+    to: user.email,
+    ...emailVerificationEmail({
+      name: user.name,
+      token,
+      expiresInHours: EMAIL_VERIFICATION_TTL_HOURS,
+    }),
+  });
+};
+
+// Number of recovery codes issued when 2FA is enabled
+const RECOVERY_CODE_COUNT = 10;
+
+// Helper to refuse a login attempt while the account or IP is locked out
+const rejectThrottledLogin = (res, { reason, retryAfterSeconds }, details) => {
+  logSecurityEvent("login_blocked", { ...details, reason });
+
+  res.set("Retry-After", String(retryAfterSeconds));
+
+  return res.status(429).json({
+    message:
+      reason === "locked"
+        ? "Too many failed login attempts. Please try again later or reset your password."
+        : "Too many failed login attempts. Please wait before trying again.",
+    code: reason === "locked" ? "ACCOUNT_LOCKED" : "LOGIN_THROTTLED",
+    retryAfter: retryAfterSeconds,
+  });
+};
+
+// Helper to issue and store a fresh set of recovery codes
+const issueRecoveryCodes = (user) => {
+  const recoveryCodes = generateRecoveryCodes(RECOVERY_CODE_COUNT);
+  user.twoFactorRecoveryCodeHashes = recoveryCodes.map((code) =>
+    hashToken(normalizeRecoveryCode(code))
+  );
+  return recoveryCodes;
+};
+
+/**
+ * Helper to check a TOTP code and consume its time step, so an observed code
+ * can't be replayed within its window.
+ * @param {Object} user - User document with twoFactorSecret selected
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<boolean|null>} Whether the code was accepted, or null if
+ *   it isn't a valid code at all
+ */
+const consumeTotpCode = async (user, code) => {
+  const step = verifyTotpCode(user.twoFactorSecret, code);
+  if (step === null) return null;
+
+  // Only accept a step newer than the last one used, atomically
+  const result = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [
+        { twoFactorLastUsedStep: { $lt: step } },
+        { twoFactorLastUsedStep: { $exists: false } },
+      ],
+    },
+    { twoFactorLastUsedStep: step }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Helper to check a second factor - either a TOTP code or an unused recovery
+ * code - and consume it so it can't be used again.
+ * @param {Object} user - User document with twoFactorSecret selected
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<string|null>} "totp" or "recovery_code", or null if invalid
+ */
+const consumeSecondFactor = async (user, code) => {
+  const totp = await consumeTotpCode(user, code);
+
+  if (totp !== null) {
+    return totp ? "totp" : null;
+  }
+
+  const codeHash = hashToken(normalizeRecoveryCode(code));
+  const result = await User.updateOne(
+    { _id: user._id, twoFactorRecoveryCodeHashes: codeHash },
+    { $pull: { twoFactorRecoveryCodeHashes: codeHash } }
+  );
+
+  return result.modifiedCount > 0 ? "recovery_code" : null;
+};
 
 /**
  * @desc    Register a new user
@@ -27,16 +176,34 @@ const register = async (req, res, next) => {
       password,
       avatarUrl: avatarUrl || undefined,
       location: location || undefined,
+      emailVerified: false,
     });
 
     if (user) {
+      // The account is usable right away, but restricted until the email is verified
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        logger.error(
+          `Failed to send verification email: ${mailError.message}`,
+          { userId: user._id, stack: mailError.stack }
+        );
+      }
+
+      // Sign the new user in with a session, like a login, so that logging
+      // out or revoking sessions ends it
+      const tokens = await createSession(user, req);
+
       res.status(201).json({
         _id: user._id,
         name: user.name,
         email: user.email,
+        emailVerified: user.emailVerified,
         avatarUrl: user.avatarUrl,
         location: user.location,
-        token: generateToken(user._id),
+        token: tokens.accessToken,
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
       });
     } else {
       res.status(400).json({ message: "Invalid user data" });
@@ -55,60 +222,46 @@ const login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
+    // Get client IP
+    const clientIp = getClientIp(req);
+
+    // Stop password guessing before checking anything
+    const throttle = await checkLoginAllowed(email, clientIp);
+    if (!throttle.allowed) {
+      return rejectThrottledLogin(res, throttle, { email, ip: clientIp });
+    }
+
     // Find user by email
     const user = await User.findOne({ email }).select("+password");
 
-    // Get client IP - this might need adjustment based on your deployment setup
-    const clientIp =
-      req.headers["x-forwarded-for"] || req.connection.remoteAddress;
-
     // Check if user exists and password matches
     if (user && (await user.comparePassword(password))) {
+      // Only tell the user they are suspended once the password is right
+      const suspensionError = getSuspensionError(user);
+      if (suspensionError) {
+        logAuthFailure(email, "Account suspended", clientIp);
+        return res.status(403).json(suspensionError);
+      }
+
+      // With 2FA on, the password alone only earns a short-lived challenge
+      if (user.twoFactorEnabled) {
+        return res.json({
+          twoFactorRequired: true,
+          challengeToken: signTwoFactorChallenge(user._id),
+        });
+      }
+
+      // Only a completed login clears failures, so that re-entering the
+      // password doesn't reset the count of wrong 2FA codes
+      await clearLoginFailures(email, "login");
+
       // Log successful login
       logAuthentication(user._id, "local", clientIp);
 
-      // Get user stats for the response
-      const [postCount, likesReceived, savedPostsCount] = await Promise.all([
-        // Get post count
-        Post.countDocuments({ user: user._id }),
-        // Get likes received
-        Post.aggregate([
-          { $match: { user: user._id } },
-          { $project: { likesCount: { $size: "$likes" } } },
-          { $group: { _id: null, total: { $sum: "$likesCount" } } },
-        ]),
-        // Count saved posts
-        User.findById(user._id).then((u) => u.savedPosts.length),
-      ]);
-
-      // Calculate total likes received
-      const totalLikes = likesReceived.length > 0 ? likesReceived[0].total : 0;
-
-      // Generate badges (example implementation - you might have different logic)
-      const badges = [];
-      if (user.numberOfPlants >= 10) badges.push("Plant Enthusiast");
-      if (totalLikes >= 50) badges.push("Popular Planter");
-      if (postCount >= 20) badges.push("Active Gardener");
-
-      // Generate access and refresh tokens
-      const accessToken = generateToken(user._id);
-      const refreshToken = generateToken(user._id, true);
-
-      // Format response according to interface
-      res.json({
-        user: {
-          id: user._id.toString(),
-          name: user.name,
-          email: user.email,
-          avatar: user.avatarUrl,
-          plantsCount: user.numberOfPlants || 0,
-          likesCount: totalLikes,
-          savedCount: savedPostsCount,
-          badges: badges,
-        },
-        accessToken,
-        refreshToken,
-      });
+      // Start a new session with its own access and refresh tokens
+      const tokens = await createSession(user, req);
+
+      res.json(await buildAuthResponse(user, tokens));
     } else {
       // Log failed login attempt
       logAuthFailure(
@@ -116,6 +269,7 @@ const login = async (req, res, next) => {
         user ? "Invalid password" : "User not found",
         clientIp
       );
+      await recordLoginFailure(email, clientIp);
 
       res.status(401).json({ message: "Invalid email or password" });
     }
@@ -176,6 +330,9 @@ const getCurrentUser = async (req, res, next) => {
       id: user._id.toString(),
       name: user.name,
       email: user.email,
+      emailVerified: user.emailVerified,
+      role: user.role,
+      twoFactorEnabled: user.twoFactorEnabled,
       bio: user.bio || undefined,
       location: locationString,
       avatar: user.avatarUrl,
@@ -265,6 +422,7 @@ const updateProfile = async (req, res, next) => {
       id: updatedUser._id.toString(),
       name: updatedUser.name,
       email: updatedUser.email,
+      emailVerified: updatedUser.emailVerified,
       bio: updatedUser.bio || undefined,
       location: updatedUser.location?.address || undefined,
       avatar: updatedUser.avatarUrl,
@@ -299,32 +457,26 @@ const refreshToken = async (req, res, next) => {
     // User is already attached to req by validateRefreshToken middleware
     const user = req.user;
 
-    // Get user stats for the response
-    const [postCount, likesReceived, savedPostsCount] = await Promise.all([
-      // Get post count
-      Post.countDocuments({ user: user._id }),
-      // Get likes received
-      Post.aggregate([
-        { $match: { user: user._id } },
-        { $project: { likesCount: { $size: "$likes" } } },
-        { $group: { _id: null, total: { $sum: "$likesCount" } } },
-      ]),
-      // Count saved posts
-      User.findById(user._id).then((u) => u.savedPosts.length),
-    ]);
+    // Rotate the refresh token; the presented token can never be used again
+    const rotation = await rotateRefreshToken(
+      req.refreshToken,
+      req.refreshTokenPayload,
+      req
+    );
 
-    // Calculate total likes received
-    const totalLikes = likesReceived.length > 0 ? likesReceived[0].total : 0;
-
-    // Generate badges (example implementation)
-    const badges = [];
-    if (user.numberOfPlants >= 10) badges.push("Plant Enthusiast");
-    if (totalLikes >= 50) badges.push("Popular Planter");
-    if (postCount >= 20) badges.push("Active Gardener");
+    if (rotation.status !== "rotated") {
+      logger.warn(`Refresh token rejected for user: ${user._id}`, {
+        userId: user._id,
+        reason: rotation.status,
+      });
 
-    // Generate new tokens
-    const accessToken = generateToken(user._id);
-    const refreshToken = generateToken(user._id, true);
+      return res.status(401).json({
+        message:
+          rotation.status === "retry"
+            ? "Refresh token has already been used"
+            : "Invalid refresh token",
+      });
+    }
 
     logger.info(`Token refreshed for user: ${user._id}`, {
       userId: user._id,
@@ -332,22 +484,774 @@ const refreshToken = async (req, res, next) => {
     });
 
     // Return the same structure as login for consistency
+    res.json(await buildAuthResponse(user, rotation));
+  } catch (error) {
+    logger.error(`Token refresh error: ${error.message}`, {
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Log out of the current session
+ * @route   POST /api/auth/logout
+ * @access  Private
+ */
+const logout = async (req, res, next) => {
+  try {
+    if (req.sessionId) {
+      await revokeSession(req.sessionId, "logout");
+    }
+
+    logger.info(`User logged out: ${req.user._id}`, {
+      userId: req.user._id,
+      sessionId: req.sessionId,
+    });
+
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    logger.error(`Logout error: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Log out of all sessions on every device
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ */
+const logoutAll = async (req, res, next) => {
+  try {
+    const revokedCount = await revokeAllSessions(req.user._id, "logout_all");
+
+    logger.info(`User logged out of all sessions: ${req.user._id}`, {
+      userId: req.user._id,
+      revokedCount,
+    });
+
     res.json({
-      user: {
-        id: user._id.toString(),
-        name: user.name,
-        email: user.email,
-        avatar: user.avatarUrl,
-        plantsCount: user.numberOfPlants || 0,
-        likesCount: totalLikes,
-        savedCount: savedPostsCount,
-        badges: badges,
+      message: "Logged out of all sessions",
+      revokedSessions: revokedCount,
+    });
+  } catch (error) {
+    logger.error(`Logout all error: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    List active sessions for the current user
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await listActiveSessions(req.user._id);
+
+    res.json({
+      sessions: sessions.map((session) => ({
+        id: session._id.toString(),
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt.toISOString(),
+        lastUsedAt: session.lastUsedAt.toISOString(),
+        current: session._id.toString() === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    logger.error(`Error fetching sessions: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke one of the current user's sessions (e.g. a lost phone)
+ * @route   DELETE /api/auth/sessions/:id
+ * @access  Private
+ */
+const deleteSession = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid session ID" });
+    }
+
+    const revoked = await revokeSession(
+      req.params.id,
+      "revoked_by_user",
+      req.user._id
+    );
+
+    if (!revoked) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    logger.info(`Session revoked: ${req.params.id}`, {
+      userId: req.user._id,
+      sessionId: req.params.id,
+    });
+
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    logger.error(`Error revoking session: ${error.message}`, {
+      userId: req.user?._id,
+      sessionId: req.params.id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Send a password reset link
+ * @route   POST /api/auth/forgot-password
+ * @access  Public
+ */
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+
+    // Always give the same answer so the endpoint can't be used to find accounts
+    const genericResponse = {
+      message:
+        "If an account exists for this email, a password reset link has been sent",
+    };
+
+    const user = await User.findOne({ email });
+
+    if (!user) {
+      logger.info("Password reset requested for unknown email", {
+        email: email ? email.substring(0, 3) + "***" : "unknown",
+      });
+      return res.json(genericResponse);
+    }
+
+    // Issuing a new token replaces any earlier, unused one
+    const { token, hash } = generateSecureToken();
+    user.passwordResetTokenHash = hash;
+    user.passwordResetExpires = new Date(
+      Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+    );
+    await user.save();
+
+    try {
+      await sendMail({
+        to: user.email,
+        ...passwordResetEmail({
+          name: user.name,
+          token,
+          expiresInMinutes: PASSWORD_RESET_TTL_MINUTES,
+        }),
+      });
+    } catch (mailError) {
+      // Don't reveal delivery problems to the client, but make them visible to us
+      logger.error(
+        `Failed to send password reset email: ${mailError.message}`,
+        {
+          userId: user._id,
+          stack: mailError.stack,
+        }
+      );
+    }
+
+    logger.info(`Password reset requested: ${user._id}`, { userId: user._id });
+
+    res.json(genericResponse);
+  } catch (error) {
+    logger.error(`Forgot password error: ${error.message}`, {
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reset password using a token from the reset email
+ * @route   POST /api/auth/reset-password
+ * @access  Public
+ */
+const resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    // Claim the token atomically so it can only ever be used once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetTokenHash: hashToken(token),
+        passwordResetExpires: { $gt: new Date() },
       },
-      accessToken,
-      refreshToken,
+      { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "Password reset link is invalid or has expired" });
+    }
+
+    user.password = password;
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    // Sign the user out everywhere, in case the old password was compromised
+    const revokedCount = await revokeAllSessions(user._id, "password_reset");
+
+    // Proving access to the inbox lifts any lockout on the account
+    await clearLoginFailures(user.email, "password_reset");
+
+    logger.info(`Password reset completed: ${user._id}`, {
+      userId: user._id,
+      revokedSessions: revokedCount,
     });
+
+    res.json({ message: "Password has been reset, please log in again" });
   } catch (error) {
-    logger.error(`Token refresh error: ${error.message}`, {
+    logger.error(`Reset password error: ${error.message}`, {
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify email address using the token from the verification email
+ * @route   GET /api/auth/verify-email/:token
+ * @access  Public
+ */
+const verifyEmail = async (req, res, next) => {
+  try {
+    // Claim the token atomically so it can only ever be used once
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationTokenHash: hashToken(req.params.token),
+        emailVerificationExpires: { $gt: new Date() },
+      },
+      {
+        emailVerified: true,
+        emailVerifiedAt: new Date(),
+        $unset: { emailVerificationTokenHash: 1, emailVerificationExpires: 1 },
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "Verification link is invalid or has expired" });
+    }
+
+    logger.info(`Email verified: ${user._id}`, { userId: user._id });
+
+    res.json({ message: "Email verified successfully", emailVerified: true });
+  } catch (error) {
+    logger.error(`Email verification error: ${error.message}`, {
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resend the email verification link
+ * @route   POST /api/auth/verify-email/resend
+ * @access  Private
+ */
+const resendVerificationEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: "Email is already verified" });
+    }
+
+    if (
+      user.emailVerificationSentAt &&
+      Date.now() - user.emailVerificationSentAt.getTime() <
+        EMAIL_VERIFICATION_RESEND_COOLDOWN_MS
+    ) {
+      return res.status(429).json({
+        message: "Please wait a minute before requesting another email",
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    logger.info(`Verification email resent: ${user._id}`, {
+      userId: user._id,
+    });
+
+    res.json({ message: "Verification email sent" });
+  } catch (error) {
+    logger.error(`Error resending verification email: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change password for the current user
+ * @route   PUT /api/auth/me/password
+ * @access  Private
+ */
+const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select("+password");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!(await user.comparePassword(currentPassword))) {
+      logAuthFailure(user.email, "Invalid current password", getClientIp(req));
+      return res.status(401).json({ message: "Current password is incorrect" });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        message: "New password must be different from the current one",
+      });
+    }
+
+    user.password = newPassword;
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    // Keep this device signed in, sign out everywhere else
+    const revokedCount = await revokeAllSessions(user._id, "password_change", {
+      exceptSessionId: req.sessionId,
+    });
+
+    logger.info(`Password changed: ${user._id}`, {
+      userId: user._id,
+      revokedSessions: revokedCount,
+    });
+
+    // Access tokens signed before the change no longer work, so this
+    // session gets a new one
+    res.json({
+      message: "Password changed successfully",
+      revokedSessions: revokedCount,
+      accessToken: signAccessToken(user._id, req.sessionId),
+    });
+  } catch (error) {
+    logger.error(`Error changing password: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Request an email change; the new address must be confirmed first
+ * @route   PUT /api/auth/me/email
+ * @access  Private
+ */
+const requestEmailChange = async (req, res, next) => {
+  try {
+    const newEmail = req.body.newEmail.toLowerCase();
+    const { password } = req.body;
+
+    const user = await User.findById(req.user._id).select("+password");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!(await user.comparePassword(password))) {
+      logAuthFailure(user.email, "Invalid password", getClientIp(req));
+      return res.status(401).json({ message: "Password is incorrect" });
+    }
+
+    if (newEmail === user.email) {
+      return res
+        .status(400)
+        .json({ message: "New email must be different from the current one" });
+    }
+
+    if (await User.exists({ email: newEmail })) {
+      return res.status(400).json({ message: "Email is already in use" });
+    }
+
+    const { token, hash } = generateSecureToken();
+    user.pendingEmail = newEmail;
+    user.pendingEmailTokenHash = hash;
+    user.pendingEmailExpires = new Date(
+      Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+    );
+    await user.save();
+
+    await Promise.all([
+      sendMail({
+        to: newEmail,
+        ...emailChangeConfirmationEmail({
+          name: user.name,
+          token,
+          expiresInHours: EMAIL_VERIFICATION_TTL_HOURS,
+        }),
+      }),
+      sendMail({
+        to: user.email,
+        ...emailChangeNoticeEmail({ name: user.name, newEmail }),
+      }),
+    ]);
+
+    logger.info(`Email change requested: ${user._id}`, { userId: user._id });
+
+    res.json({
+      message: "Check your new email address to confirm the change",
+      pendingEmail: newEmail,
+    });
+  } catch (error) {
+    logger.error(`Error requesting email change: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm an email change using the token sent to the new address
+ * @route   GET /api/auth/confirm-email-change/:token
+ * @access  Public
+ */
+const confirmEmailChange = async (req, res, next) => {
+  try {
+    const user = await User.findOne({
+      pendingEmailTokenHash: hashToken(req.params.token),
+      pendingEmailExpires: { $gt: new Date() },
+    }).select("+pendingEmail +pendingEmailTokenHash +pendingEmailExpires");
+
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "Confirmation link is invalid or has expired" });
+    }
+
+    const newEmail = user.pendingEmail;
+
+    // The address may have been taken since the change was requested
+    if (await User.exists({ email: newEmail, _id: { $ne: user._id } })) {
+      return res.status(400).json({ message: "Email is already in use" });
+    }
+
+    const previousEmail = user.email;
+    user.email = newEmail;
+    // Clicking the link proves the user owns the new address
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.pendingEmail = undefined;
+    user.pendingEmailTokenHash = undefined;
+    user.pendingEmailExpires = undefined;
+
+    try {
+      await user.save();
+    } catch (saveError) {
+      // Lost a race with another account claiming the same address
+      if (saveError.code === 11000) {
+        return res.status(400).json({ message: "Email is already in use" });
+      }
+      throw saveError;
+    }
+
+    logger.info(`Email changed: ${user._id}`, {
+      userId: user._id,
+      previousEmail: previousEmail.substring(0, 3) + "***",
+    });
+
+    res.json({ message: "Email changed successfully", email: user.email });
+  } catch (error) {
+    logger.error(`Error confirming email change: ${error.message}`, {
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Complete a 2FA login with a TOTP or recovery code
+ * @route   POST /api/auth/login/2fa
+ * @access  Public (with challenge token)
+ */
+const loginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const clientIp = getClientIp(req);
+
+    const decoded = verifyTwoFactorChallenge(challengeToken);
+
+    if (!decoded) {
+      return res
+        .status(401)
+        .json({ message: "Login challenge is invalid or has expired" });
+    }
+
+    const user = await User.findById(decoded.id).select("+twoFactorSecret");
+
+    if (!user || !user.twoFactorEnabled) {
+      return res
+        .status(401)
+        .json({ message: "Login challenge is invalid or has expired" });
+    }
+
+    // Code guessing counts against the same limits as password guessing
+    const throttle = await checkLoginAllowed(user.email, clientIp);
+    if (!throttle.allowed) {
+      return rejectThrottledLogin(res, throttle, {
+        email: user.email,
+        ip: clientIp,
+      });
+    }
+
+    const method = await consumeSecondFactor(user, code);
+
+    if (!method) {
+      logAuthFailure(user.email, "Invalid two-factor code", clientIp);
+      await recordLoginFailure(user.email, clientIp);
+      return res.status(401).json({ message: "Invalid two-factor code" });
+    }
+
+    await clearLoginFailures(user.email, "login");
+
+    const suspensionError = getSuspensionError(user);
+    if (suspensionError) {
+      return res.status(403).json(suspensionError);
+    }
+
+    if (method === "recovery_code") {
+      logger.warn(`Recovery code used to log in: ${user._id}`, {
+        userId: user._id,
+      });
+    }
+
+    logAuthentication(user._id, `local+${method}`, clientIp);
+
+    const tokens = await createSession(user, req);
+
+    res.json(await buildAuthResponse(user, tokens));
+  } catch (error) {
+    logger.error(`Two-factor login error: ${error.message}`, {
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Start 2FA enrollment and get the authenticator secret
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private
+ */
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select("+password");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    if (!(await user.comparePassword(req.body.password))) {
+      logAuthFailure(user.email, "Invalid password", getClientIp(req));
+      return res.status(401).json({ message: "Password is incorrect" });
+    }
+
+    // Starting setup again replaces any secret that was never verified
+    const secret = generateTotpSecret();
+    user.twoFactorSecret = secret;
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: process.env.TWO_FACTOR_ISSUER || "iPlant",
+      }),
+    });
+  } catch (error) {
+    logger.error(`Error setting up two-factor auth: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verify a code from the authenticator app and turn on 2FA
+ * @route   POST /api/auth/2fa/verify
+ * @access  Private
+ */
+const verifyTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select("+twoFactorSecret");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    if (!user.twoFactorSecret) {
+      return res
+        .status(400)
+        .json({ message: "Start two-factor setup before verifying a code" });
+    }
+
+    const step = verifyTotpCode(user.twoFactorSecret, req.body.code);
+
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid two-factor code" });
+    }
+
+    const recoveryCodes = issueRecoveryCodes(user);
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    user.twoFactorLastUsedStep = step;
+    await user.save();
+
+    logger.info(`Two-factor authentication enabled: ${user._id}`, {
+      userId: user._id,
+    });
+
+    // Recovery codes are only ever shown here - only their hashes are stored
+    res.json({
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    });
+  } catch (error) {
+    logger.error(`Error verifying two-factor auth: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Turn off 2FA
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private
+ */
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.user._id).select(
+      "+password +twoFactorSecret"
+    );
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (!(await user.comparePassword(password))) {
+      logAuthFailure(user.email, "Invalid password", getClientIp(req));
+      return res.status(401).json({ message: "Password is incorrect" });
+    }
+
+    if (!(await consumeSecondFactor(user, code))) {
+      return res.status(401).json({ message: "Invalid two-factor code" });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        twoFactorEnabled: false,
+        $unset: {
+          twoFactorEnabledAt: 1,
+          twoFactorSecret: 1,
+          twoFactorLastUsedStep: 1,
+          twoFactorRecoveryCodeHashes: 1,
+        },
+      }
+    );
+
+    logger.info(`Two-factor authentication disabled: ${user._id}`, {
+      userId: user._id,
+    });
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    logger.error(`Error disabling two-factor auth: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Replace all recovery codes with a new set
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select("+twoFactorSecret");
+
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.twoFactorEnabled) {
+      return res
+        .status(400)
+        .json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    // Require a current authenticator code, not a recovery code
+    if (!(await consumeTotpCode(user, req.body.code))) {
+      return res.status(401).json({ message: "Invalid two-factor code" });
+    }
+
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    logger.info(`Recovery codes regenerated: ${user._id}`, {
+      userId: user._id,
+    });
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    logger.error(`Error regenerating recovery codes: ${error.message}`, {
+      userId: req.user?._id,
       stack: error.stack,
     });
     next(error);
@@ -360,4 +1264,20 @@ module.exports = {
   getCurrentUser,
   updateProfile,
   refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  loginTwoFactor,
+  setupTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
 };
@@ -0,0 +1,273 @@
+const mongoose = require("mongoose");
+const CareSchedule = require("../models/CareSchedule");
+const CareTask = require("../models/CareTask");
+const logger = require("../utils/logger");
+const { findOwnPlanting } = require("../utils/plantings");
+const {
+  syncCareSchedules,
+  generateDueTasks,
+  completeCareTask,
+  snoozeCareTask,
+  getEndOfDay,
+  formatCareTask,
+  formatCareSchedule,
+} = require("../utils/care");
+const {
+  CARE_TASK_TYPES,
+  DEFAULT_SNOOZE_HOURS,
+  MAX_SNOOZE_HOURS,
+} = require("../config/care");
+
+// Helper to find one of the user's pending care tasks
+const findPendingTask = (id, userId) =>
+  mongoose.isValidObjectId(id)
+    ? CareTask.findOne({ _id: id, user: userId, status: "pending" })
+    : null;
+
+// Helper to list a planting's schedules in a fixed order
+const getPlantingSchedules = async (plantingId) => {
+  const schedules = await CareSchedule.find({ planting: plantingId });
+  return schedules
+    .sort(
+      (a, b) =>
+        CARE_TASK_TYPES.indexOf(a.taskType) -
+        CARE_TASK_TYPES.indexOf(b.taskType)
+    )
+    .map(formatCareSchedule);
+};
+
+/**
+ * @desc    Get the current user's pending care tasks, soonest first
+ * @route   GET /api/care/tasks?due=today|overdue|all
+ * @access  Private
+ */
+const getCareTasks = async (req, res, next) => {
+  try {
+    const { due = "today", timezone = "UTC", planting } = req.query;
+    const now = new Date();
+
+    let endOfToday;
+    try {
+      endOfToday = getEndOfDay(now, timezone);
+    } catch (error) {
+      return res.status(400).json({ message: "Unknown timezone" });
+    }
+
+    // Tasks are made on read too, so the list is right even when the job
+    // runner hasn't caught up
+    await generateDueTasks({ userId: req.user._id, until: endOfToday });
+
+    const query = { user: req.user._id, status: "pending" };
+    if (planting) {
+      query.planting = planting;
+    }
+    if (due === "today") {
+      query.remindAt = { $lte: endOfToday };
+    } else if (due === "overdue") {
+      query.dueAt = { $lt: now };
+    }
+
+    const tasks = await CareTask.find(query)
+      .populate("planting", "name plantType")
+      .sort({ remindAt: 1, _id: 1 });
+
+    res.json({
+      tasks: tasks.map((task) => formatCareTask(task, now)),
+      count: tasks.length,
+    });
+  } catch (error) {
+    logger.error(`Error fetching care tasks: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a care task done; the next one comes due an interval later
+ * @route   POST /api/care/tasks/:id/complete
+ * @access  Private (owner only)
+ */
+const completeTask = async (req, res, next) => {
+  try {
+    const task = await findPendingTask(req.params.id, req.user._id);
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+
+    const schedule = await completeCareTask(task);
+    await task.populate("planting", "name plantType");
+
+    res.json({
+      task: formatCareTask(task),
+      schedule: schedule ? formatCareSchedule(schedule) : null,
+    });
+  } catch (error) {
+    logger.error(`Error completing care task: ${error.message}`, {
+      taskId: req.params.id,
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Snooze a care task for a number of hours or until a time
+ * @route   POST /api/care/tasks/:id/snooze
+ * @access  Private (owner only)
+ */
+const snoozeTask = async (req, res, next) => {
+  try {
+    const { hours, until } = req.body;
+    const now = new Date();
+
+    const remindAt = until
+      ? new Date(until)
+      : new Date(now.getTime() + (hours || DEFAULT_SNOOZE_HOURS) * 3600000);
+    if (
+      remindAt <= now ||
+      remindAt.getTime() - now.getTime() > MAX_SNOOZE_HOURS * 3600000
+    ) {
+      return res.status(400).json({
+        message: `Tasks can be snoozed for up to ${MAX_SNOOZE_HOURS} hours`,
+      });
+    }
+
+    const task = await findPendingTask(req.params.id, req.user._id);
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+
+    await snoozeCareTask(task, remindAt);
+    await task.populate("planting", "name plantType");
+
+    res.json(formatCareTask(task, now));
+  } catch (error) {
+    logger.error(`Error snoozing care task: ${error.message}`, {
+      taskId: req.params.id,
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a planting's care schedules
+ * @route   GET /api/care/plantings/:plantingId/schedules
+ * @access  Private (owner only)
+ */
+const getCareSchedules = async (req, res, next) => {
+  try {
+    const { planting, error } = await findOwnPlanting(
+      req.params.plantingId,
+      req.user
+    );
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    res.json({ schedules: await getPlantingSchedules(planting._id) });
+  } catch (error) {
+    logger.error(`Error fetching care schedules: ${error.message}`, {
+      plantingId: req.params.plantingId,
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Set a custom interval for a kind of care, go back to the default,
+ *          or turn it on or off
+ * @route   PUT /api/care/plantings/:plantingId/schedules/:taskType
+ * @access  Private (owner only)
+ */
+const updateCareSchedule = async (req, res, next) => {
+  try {
+    const { intervalDays, enabled } = req.body;
+    const { taskType } = req.params;
+
+    if (!CARE_TASK_TYPES.includes(taskType)) {
+      return res.status(404).json({ message: "Unknown care task type" });
+    }
+
+    const { planting, error } = await findOwnPlanting(
+      req.params.plantingId,
+      req.user
+    );
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    let schedule = await CareSchedule.findOne({
+      planting: planting._id,
+      taskType,
+    });
+
+    if (intervalDays) {
+      const now = new Date();
+      if (!schedule) {
+        // Care the species doesn't need by default
+        schedule = new CareSchedule({
+          user: req.user._id,
+          planting: planting._id,
+          taskType,
+          nextDueAt: now,
+        });
+      }
+      schedule.custom = true;
+      if (schedule.intervalDays !== intervalDays) {
+        schedule.intervalDays = intervalDays;
+        schedule.nextDueAt = new Date(
+          (schedule.lastCompletedAt || now).getTime() +
+            intervalDays * 24 * 60 * 60 * 1000
+        );
+      }
+    } else if (intervalDays === null && schedule) {
+      schedule.custom = false;
+    } else if (!schedule) {
+      return res
+        .status(404)
+        .json({ message: "This planting has no schedule for that care" });
+    }
+
+    if (enabled !== undefined && schedule.enabled !== enabled) {
+      schedule.enabled = enabled;
+      if (!enabled && schedule.pendingTask) {
+        await CareTask.deleteMany({
+          schedule: schedule._id,
+          status: "pending",
+        });
+        schedule.pendingTask = null;
+      }
+    }
+
+    await schedule.save();
+
+    // Default intervals, and pausing dead or removed plants, are applied in
+    // one place
+    await syncCareSchedules(planting);
+
+    res.json({ schedules: await getPlantingSchedules(planting._id) });
+  } catch (error) {
+    logger.error(`Error updating care schedule: ${error.message}`, {
+      plantingId: req.params.plantingId,
+      taskType: req.params.taskType,
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  getCareTasks,
+  completeTask,
+  snoozeTask,
+  getCareSchedules,
+  updateCareSchedule,
+};
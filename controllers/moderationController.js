@@ -0,0 +1,575 @@
+const mongoose = require("mongoose");
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
+const Report = require("../models/Report");
+const ModerationCase = require("../models/ModerationCase");
+const logger = require("../utils/logger");
+const { recordAudit, recordAuditOutcome } = require("../utils/audit");
+const { hasPermission } = require("../config/roles");
+const {
+  findReportTarget,
+  setContentHidden,
+  removePost,
+  removeComment,
+  fileReport,
+  warnUser,
+} = require("../utils/moderation");
+const {
+  getListPagination,
+  applyCursorFilter,
+  slicePage,
+} = require("../utils/cursor");
+
+// Helper to format the reported content for moderators
+const formatTarget = (targetType, target) => {
+  if (!target) return null;
+
+  const base = {
+    id: target._id.toString(),
+    hidden: Boolean(target.hidden),
+    createdAt: target.createdAt.toISOString(),
+  };
+
+  if (targetType === "post") {
+    return {
+      ...base,
+      caption: target.caption || "",
+      imageUrl: target.image,
+      plantType: target.plantType || "Unknown",
+    };
+  }
+
+  return {
+    ...base,
+    postId: target.post.toString(),
+    text: target.text,
+    parentComment: target.parentComment
+      ? target.parentComment.toString()
+      : null,
+  };
+};
+
+// Helper to format a moderation case, with the reported content if loaded
+const formatCase = (moderationCase, target) => ({
+  id: moderationCase._id.toString(),
+  targetType: moderationCase.targetType,
+  targetId: moderationCase.targetId.toString(),
+  postId: moderationCase.post.toString(),
+  // null when the content has been deleted since it was reported
+  target: formatTarget(moderationCase.targetType, target),
+  author: moderationCase.targetUser,
+  status: moderationCase.status,
+  reportCount: moderationCase.reportCount,
+  pendingReportCount: moderationCase.pendingReportCount,
+  reasons: Object.fromEntries(moderationCase.reasonCounts || []),
+  autoHidden: moderationCase.autoHidden,
+  claimedBy: moderationCase.claimedBy,
+  claimedAt: moderationCase.claimedAt,
+  resolution: moderationCase.resolution?.action
+    ? moderationCase.resolution
+    : null,
+  lastReportedAt: moderationCase.lastReportedAt,
+  createdAt: moderationCase.createdAt.toISOString(),
+});
+
+// Helper to load the reported content for a batch of cases, keyed by ID
+const loadTargets = async (cases) => {
+  const idsOfType = (targetType) =>
+    cases
+      .filter((moderationCase) => moderationCase.targetType === targetType)
+      .map((moderationCase) => moderationCase.targetId);
+
+  const [posts, comments] = await Promise.all([
+    Post.find({ _id: { $in: idsOfType("post") } }),
+    Comment.find({ _id: { $in: idsOfType("comment") } }),
+  ]);
+
+  return new Map(
+    [...posts, ...comments].map((target) => [target._id.toString(), target])
+  );
+};
+
+// Helper to load the case a moderation action targets, answering 404 if missing
+const findCase = async (req, res) => {
+  const moderationCase = mongoose.isValidObjectId(req.params.id)
+    ? await ModerationCase.findById(req.params.id)
+    : null;
+
+  if (!moderationCase) {
+    res.status(404).json({ message: "Case not found" });
+    return null;
+  }
+
+  return moderationCase;
+};
+
+// Helper to check whether another moderator is working on a case, unless
+// the current user may step in anyway
+const isClaimedByOther = (req, moderationCase) =>
+  moderationCase.status === "claimed" &&
+  moderationCase.claimedBy &&
+  moderationCase.claimedBy.toString() !== req.user._id.toString() &&
+  !hasPermission(req.user.role, "moderation:override");
+
+// Helper shared by the post and comment report endpoints
+const submitReport = async (req, res, targetType, target) => {
+  if (target.user.toString() === req.user._id.toString()) {
+    return res
+      .status(400)
+      .json({ message: `You can't report your own ${targetType}` });
+  }
+
+  try {
+    const { report, moderationCase } = await fileReport({
+      reporter: req.user,
+      targetType,
+      target,
+      reason: req.body.reason,
+      details: req.body.details,
+    });
+
+    logger.info(`${targetType} reported: ${target._id}`, {
+      reportId: report._id,
+      caseId: moderationCase._id,
+      reporterId: req.user._id,
+      reason: report.reason,
+    });
+
+    res.status(201).json({
+      message: "Thanks, our moderators will review this",
+      reportId: report._id,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ message: `You have already reported this ${targetType}` });
+    }
+    throw error;
+  }
+};
+
+/**
+ * @desc    Report a post
+ * @route   POST /api/posts/:id/report
+ * @access  Private
+ */
+const reportPost = async (req, res, next) => {
+  try {
+    const post = mongoose.isValidObjectId(req.params.id)
+      ? await Post.findById(req.params.id)
+      : null;
+
+    if (!post) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    await submitReport(req, res, "post", post);
+  } catch (error) {
+    logger.error(`Error reporting post: ${error.message}`, {
+      postId: req.params.id,
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Report a comment
+ * @route   POST /api/posts/:id/comments/:commentId/report
+ * @access  Private
+ */
+const reportComment = async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params;
+    const comment =
+      mongoose.isValidObjectId(id) && mongoose.isValidObjectId(commentId)
+        ? await Comment.findOne({ _id: commentId, post: id })
+        : null;
+
+    if (!comment) {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+
+    await submitReport(req, res, "comment", comment);
+  } catch (error) {
+    logger.error(`Error reporting comment: ${error.message}`, {
+      commentId: req.params.commentId,
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    List moderation cases, oldest first
+ * @route   GET /api/moderation/cases
+ * @access  Private (moderator, admin)
+ */
+const listCases = async (req, res, next) => {
+  try {
+    const pagination = getListPagination(req.query, {
+      defaultLimit: 20,
+      direction: 1,
+    });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+    const { limit } = pagination;
+
+    const { status = "open", targetType } = req.query;
+    if (!["open", "claimed", "resolved", "all"].includes(status)) {
+      return res.status(400).json({ message: "Invalid status" });
+    }
+
+    const query = {};
+    if (status !== "all") {
+      query.status = status;
+    }
+    if (targetType) {
+      query.targetType = targetType;
+    }
+    // Only the cases the current moderator is working on
+    if (req.query.mine === "true") {
+      query.claimedBy = req.user._id;
+    }
+
+    const pageCases = await ModerationCase.find(
+      applyCursorFilter(query, pagination)
+    )
+      .sort(pagination.sort)
+      .skip(pagination.skip)
+      .limit(limit + 1)
+      .populate("targetUser", "name email avatarUrl")
+      .populate("claimedBy", "name");
+
+    const { items, nextCursor, hasMore } = slicePage(pageCases, limit);
+
+    const targets = await loadTargets(items);
+    const cases = items.map((moderationCase) =>
+      formatCase(
+        moderationCase,
+        targets.get(moderationCase.targetId.toString())
+      )
+    );
+
+    if (pagination.mode === "cursor") {
+      return res.json({ cases, nextCursor, hasMore });
+    }
+
+    const totalCases = await ModerationCase.countDocuments(query);
+
+    res.json({
+      cases,
+      currentPage: pagination.page,
+      totalPages: Math.ceil(totalCases / limit),
+      totalCases,
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    logger.error(`Error listing moderation cases: ${error.message}`, {
+      moderatorId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a moderation case with its reports
+ * @route   GET /api/moderation/cases/:id
+ * @access  Private (moderator, admin)
+ */
+const getCase = async (req, res, next) => {
+  try {
+    const moderationCase = await findCase(req, res);
+    if (!moderationCase) return;
+
+    await moderationCase.populate([
+      { path: "targetUser", select: "name email avatarUrl warnings" },
+      { path: "claimedBy", select: "name" },
+    ]);
+
+    const [target, reports] = await Promise.all([
+      findReportTarget(moderationCase.targetType, moderationCase.targetId),
+      Report.find({
+        targetType: moderationCase.targetType,
+        targetId: moderationCase.targetId,
+      })
+        .sort({ createdAt: -1 })
+        .populate("reporter", "name email"),
+    ]);
+
+    const author = moderationCase.targetUser;
+
+    res.json({
+      ...formatCase(moderationCase, target),
+      // Keep the author summary small; warnings are only counted
+      author: author
+        ? {
+            _id: author._id,
+            name: author.name,
+            email: author.email,
+            avatarUrl: author.avatarUrl,
+            warningsCount: author.warnings.length,
+          }
+        : null,
+      reports: reports.map((report) => ({
+        id: report._id.toString(),
+        reporter: report.reporter,
+        reason: report.reason,
+        details: report.details,
+        createdAt: report.createdAt.toISOString(),
+      })),
+    });
+  } catch (error) {
+    logger.error(`Error fetching moderation case: ${error.message}`, {
+      moderatorId: req.user?._id,
+      caseId: req.params.id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Claim a case so other moderators know it is being worked on
+ * @route   POST /api/moderation/cases/:id/claim
+ * @access  Private (moderator, admin)
+ */
+const claimCase = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Case not found" });
+    }
+
+    // Claim atomically, so two moderators can't both get the same case
+    const moderationCase = await ModerationCase.findOneAndUpdate(
+      {
+        _id: req.params.id,
+        $or: [
+          { status: "open" },
+          { status: "claimed", claimedBy: req.user._id },
+        ],
+      },
+      { status: "claimed", claimedBy: req.user._id, claimedAt: new Date() },
+      { new: true }
+    );
+
+    if (!moderationCase) {
+      const existing = await findCase(req, res);
+      if (!existing) return;
+
+      if (existing.status === "resolved") {
+        return res.status(400).json({ message: "Case is already resolved" });
+      }
+
+      return res.status(409).json({
+        message: "Case is already claimed by another moderator",
+        claimedBy: existing.claimedBy,
+        claimedAt: existing.claimedAt,
+      });
+    }
+
+    logger.info(`Moderation case claimed: ${moderationCase._id}`, {
+      moderatorId: req.user._id,
+      caseId: moderationCase._id,
+    });
+
+    const target = await findReportTarget(
+      moderationCase.targetType,
+      moderationCase.targetId
+    );
+
+    res.json({
+      message: "Case claimed",
+      case: formatCase(moderationCase, target),
+    });
+  } catch (error) {
+    logger.error(`Error claiming moderation case: ${error.message}`, {
+      moderatorId: req.user?._id,
+      caseId: req.params.id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Release a claimed case back to the queue
+ * @route   DELETE /api/moderation/cases/:id/claim
+ * @access  Private (moderator who claimed it, admin)
+ */
+const releaseCase = async (req, res, next) => {
+  try {
+    const moderationCase = await findCase(req, res);
+    if (!moderationCase) return;
+
+    if (moderationCase.status !== "claimed") {
+      return res.status(400).json({ message: "Case is not claimed" });
+    }
+
+    if (isClaimedByOther(req, moderationCase)) {
+      return res
+        .status(403)
+        .json({ message: "Case is claimed by another moderator" });
+    }
+
+    moderationCase.status = "open";
+    moderationCase.claimedBy = null;
+    moderationCase.claimedAt = null;
+    await moderationCase.save();
+
+    const target = await findReportTarget(
+      moderationCase.targetType,
+      moderationCase.targetId
+    );
+
+    res.json({
+      message: "Case released",
+      case: formatCase(moderationCase, target),
+    });
+  } catch (error) {
+    logger.error(`Error releasing moderation case: ${error.message}`, {
+      moderatorId: req.user?._id,
+      caseId: req.params.id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Resolve a case by dismissing the reports, hiding or deleting the
+ *          content, or warning its author
+ * @route   POST /api/moderation/cases/:id/resolve
+ * @access  Private (moderator, admin)
+ */
+const resolveCase = async (req, res, next) => {
+  try {
+    const { action, reason } = req.body;
+
+    const moderationCase = await findCase(req, res);
+    if (!moderationCase) return;
+
+    if (moderationCase.status === "resolved") {
+      return res.status(400).json({ message: "Case is already resolved" });
+    }
+
+    if (isClaimedByOther(req, moderationCase)) {
+      return res
+        .status(409)
+        .json({ message: "Case is claimed by another moderator" });
+    }
+
+    const { targetType, targetId } = moderationCase;
+    const target = await findReportTarget(targetType, targetId);
+
+    const entry = await recordAudit(req, {
+      action: `moderation.${action}`,
+      targetType,
+      targetId,
+      targetUser: moderationCase.targetUser,
+      metadata: {
+        caseId: moderationCase._id,
+        reportCount: moderationCase.reportCount,
+        reasons: Object.fromEntries(moderationCase.reasonCounts || []),
+        ...(target && targetType === "post"
+          ? { caption: target.caption, image: target.image }
+          : {}),
+        ...(target && targetType === "comment" ? { text: target.text } : {}),
+      },
+    });
+
+    // Resolve only if nothing changed since the case was read, so reports
+    // that came in meanwhile (or another moderator) aren't overwritten, and
+    // the action is only taken once
+    const resolvedCase = await ModerationCase.findOneAndUpdate(
+      {
+        _id: moderationCase._id,
+        status: moderationCase.status,
+        claimedBy: moderationCase.claimedBy,
+        pendingReportCount: moderationCase.pendingReportCount,
+      },
+      {
+        status: "resolved",
+        pendingReportCount: 0,
+        // A warning leaves the content as it is; otherwise a moderator has
+        // now decided whether it is shown
+        ...(action !== "warn" ? { autoHidden: false } : {}),
+        claimedBy: null,
+        claimedAt: null,
+        resolution: {
+          action,
+          reason,
+          resolvedBy: req.user._id,
+          resolvedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+
+    if (!resolvedCase) {
+      await recordAuditOutcome(entry, { conflict: true });
+      return res.status(409).json({
+        message: "Case changed while it was being resolved, please reload it",
+      });
+    }
+
+    switch (action) {
+      case "dismiss":
+        // Show content again if only the report threshold hid it
+        if (target && moderationCase.autoHidden) {
+          await setContentHidden(targetType, targetId, false);
+        }
+        break;
+      case "hide":
+        if (target && !target.hidden) {
+          await setContentHidden(targetType, targetId, true);
+        }
+        break;
+      case "delete":
+        if (target) {
+          await (targetType === "post"
+            ? removePost(target)
+            : removeComment(target));
+        }
+        break;
+      case "warn":
+        await warnUser(moderationCase.targetUser, {
+          reason,
+          moderationCase: resolvedCase,
+          issuedBy: req.user,
+        });
+        break;
+    }
+
+    const updatedTarget =
+      action === "delete" ? null : await findReportTarget(targetType, targetId);
+
+    res.json({
+      message: "Case resolved",
+      case: formatCase(resolvedCase, updatedTarget),
+    });
+  } catch (error) {
+    logger.error(`Error resolving moderation case: ${error.message}`, {
+      moderatorId: req.user?._id,
+      caseId: req.params.id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  reportPost,
+  reportComment,
+  listCases,
+  getCase,
+  claimCase,
+  releaseCase,
+  resolveCase,
+};
@@ -0,0 +1,369 @@
+const mongoose = require("mongoose");
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const DeviceToken = require("../models/DeviceToken");
+const logger = require("../utils/logger");
+const {
+  ACTORS_SHOWN,
+  formatNotification,
+} = require("../utils/notificationService");
+const {
+  getListPagination,
+  applyCursorFilter,
+  slicePage,
+} = require("../utils/cursor");
+const { NOTIFICATION_TYPES } = require("../config/notifications");
+
+// Helper to list which notification types a user gets push notifications
+// for, from their notification settings
+const getPushPreferenceMap = (user) =>
+  Object.fromEntries(
+    NOTIFICATION_TYPES.map((type) => [
+      type,
+      user.settings.notifications[type].push,
+    ])
+  );
+
+// Helper to format a push device for the API; tokens are never returned
+const formatDevice = (device) => ({
+  id: device._id.toString(),
+  platform: device.platform,
+  name: device.name,
+  createdAt: device.createdAt.toISOString(),
+  lastUsedAt: device.lastUsedAt.toISOString(),
+});
+
+// Helper to count a user's unread notifications
+const countUnread = (userId) =>
+  Notification.countDocuments({ recipient: userId, read: false });
+
+/**
+ * @desc    Get the current user's notifications, most recent activity first
+ * @route   GET /api/notifications
+ * @access  Private
+ */
+const getNotifications = async (req, res, next) => {
+  try {
+    const pagination = getListPagination(req.query, {
+      defaultLimit: 20,
+      field: "lastActivityAt",
+    });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+    const { limit } = pagination;
+
+    const query = { recipient: req.user._id };
+    if (req.query.unread === "true") {
+      query.read = false;
+    }
+
+    const pageNotifications = await Notification.find(
+      applyCursorFilter(query, pagination)
+    )
+      .slice("actors", ACTORS_SHOWN)
+      .populate("actors.user", "name avatarUrl")
+      .populate("post", "image")
+      .populate("comment", "text")
+      .sort(pagination.sort)
+      .skip(pagination.skip)
+      .limit(limit + 1);
+
+    const { items, nextCursor, hasMore } = slicePage(
+      pageNotifications,
+      limit,
+      pagination.field
+    );
+
+    const notifications = items.map(formatNotification);
+    const unreadCount = await countUnread(req.user._id);
+
+    if (pagination.mode === "cursor") {
+      return res.json({ notifications, unreadCount, nextCursor, hasMore });
+    }
+
+    const totalNotifications = await Notification.countDocuments(query);
+
+    res.json({
+      notifications,
+      unreadCount,
+      currentPage: pagination.page,
+      totalPages: Math.ceil(totalNotifications / limit),
+      totalNotifications,
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    logger.error(`Error fetching notifications: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the number of unread notifications
+ * @route   GET /api/notifications/unread-count
+ * @access  Private
+ */
+const getUnreadCount = async (req, res, next) => {
+  try {
+    res.json({ unreadCount: await countUnread(req.user._id) });
+  } catch (error) {
+    logger.error(`Error counting unread notifications: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark a notification as read
+ * @route   PUT /api/notifications/:id/read
+ * @access  Private
+ */
+const markNotificationRead = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user._id,
+    });
+
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    if (!notification.read) {
+      notification.read = true;
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      message: "Notification marked as read",
+      unreadCount: await countUnread(req.user._id),
+    });
+  } catch (error) {
+    logger.error(`Error marking notification read: ${error.message}`, {
+      userId: req.user?._id,
+      notificationId: req.params.id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mark all of the current user's notifications as read
+ * @route   PUT /api/notifications/read-all
+ * @access  Private
+ */
+const markAllNotificationsRead = async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, read: false },
+      { read: true, readAt: new Date() }
+    );
+
+    res.json({
+      message: "All notifications marked as read",
+      updated: result.modifiedCount,
+      unreadCount: 0,
+    });
+  } catch (error) {
+    logger.error(`Error marking all notifications read: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the VAPID public key browsers need to subscribe to Web Push
+ * @route   GET /api/notifications/push/vapid-key
+ * @access  Private
+ */
+const getVapidPublicKey = (req, res) => {
+  if (!process.env.VAPID_PUBLIC_KEY) {
+    return res
+      .status(404)
+      .json({ message: "Web Push is not configured on this server" });
+  }
+
+  res.json({ publicKey: process.env.VAPID_PUBLIC_KEY });
+};
+
+/**
+ * @desc    Register a device or browser for push notifications
+ * @route   POST /api/notifications/push/devices
+ * @access  Private
+ */
+const registerDevice = async (req, res, next) => {
+  try {
+    const { platform, token, keys, name } = req.body;
+
+    // Registering a token again (e.g. after signing in as someone else on
+    // the same device) moves it to the current user
+    const existing = await DeviceToken.findOne({ token });
+    const device = await DeviceToken.findOneAndUpdate(
+      { token },
+      {
+        user: req.user._id,
+        platform,
+        keys:
+          platform === "web"
+            ? { p256dh: keys.p256dh, auth: keys.auth }
+            : undefined,
+        name: name || "",
+        lastUsedAt: new Date(),
+      },
+      {
+        upsert: true,
+        new: true,
+        runValidators: true,
+        setDefaultsOnInsert: true,
+      }
+    );
+
+    logger.info(`Push device registered for user ${req.user._id}`, {
+      userId: req.user._id,
+      deviceId: device._id,
+      platform,
+    });
+
+    res.status(existing ? 200 : 201).json({ device: formatDevice(device) });
+  } catch (error) {
+    logger.error(`Error registering push device: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    List the current user's push devices
+ * @route   GET /api/notifications/push/devices
+ * @access  Private
+ */
+const getDevices = async (req, res, next) => {
+  try {
+    const devices = await DeviceToken.find({ user: req.user._id }).sort({
+      createdAt: -1,
+    });
+
+    res.json({ devices: devices.map(formatDevice) });
+  } catch (error) {
+    logger.error(`Error fetching push devices: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Stop sending push notifications to a device
+ * @route   DELETE /api/notifications/push/devices/:id
+ * @access  Private
+ */
+const removeDevice = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Device not found" });
+    }
+
+    const result = await DeviceToken.deleteOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ message: "Device not found" });
+    }
+
+    logger.info(`Push device removed for user ${req.user._id}`, {
+      userId: req.user._id,
+      deviceId: req.params.id,
+    });
+
+    res.json({ message: "Device removed" });
+  } catch (error) {
+    logger.error(`Error removing push device: ${error.message}`, {
+      userId: req.user?._id,
+      deviceId: req.params.id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get which notification types are sent as push notifications
+ * @route   GET /api/notifications/push/preferences
+ * @access  Private
+ */
+const getPushPreferences = async (req, res, next) => {
+  try {
+    res.json({ preferences: getPushPreferenceMap(req.user) });
+  } catch (error) {
+    logger.error(`Error fetching push preferences: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Turn push notifications on or off per notification type
+ * @route   PUT /api/notifications/push/preferences
+ * @access  Private
+ */
+const updatePushPreferences = async (req, res, next) => {
+  try {
+    const updates = Object.fromEntries(
+      Object.entries(req.body).map(([type, enabled]) => [
+        `settings.notifications.${type}.push`,
+        enabled,
+      ])
+    );
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updates },
+      { new: true }
+    );
+
+    res.json({
+      message: "Push preferences updated",
+      preferences: getPushPreferenceMap(user),
+    });
+  } catch (error) {
+    logger.error(`Error updating push preferences: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getVapidPublicKey,
+  registerDevice,
+  getDevices,
+  removeDevice,
+  getPushPreferences,
+  updatePushPreferences,
+};
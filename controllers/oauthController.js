@@ -0,0 +1,478 @@
+const User = require("../models/User");
+const OAuthState = require("../models/OAuthState");
+const logger = require("../utils/logger");
+const { logAuthentication } = require("../utils/logHelper");
+const { getClientIp } = require("../utils/clientInfo");
+const { hashToken, generateSecureToken } = require("../utils/secureToken");
+const { createSession } = require("../utils/sessionService");
+const {
+  buildAuthResponse,
+  signTwoFactorChallenge,
+  getSuspensionError,
+} = require("../utils/authResponse");
+const {
+  OAuthError,
+  getProvider,
+  listProviders,
+  createAuthorizationRequest,
+  buildAuthorizationUrl,
+  fetchProfile,
+} = require("../utils/oauth");
+
+// How long the user has to finish signing in at the provider, and then to
+// confirm a link
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+// Helper to store a pending authorization request and build its URL
+const startAuthorization = async (provider, userId = null) => {
+  const request = createAuthorizationRequest();
+
+  await OAuthState.create({
+    stateHash: hashToken(request.state),
+    provider: provider.name,
+    codeVerifier: request.codeVerifier,
+    nonce: request.nonce,
+    user: userId,
+    expiresAt: new Date(Date.now() + OAUTH_STATE_TTL_MS),
+  });
+
+  return buildAuthorizationUrl(provider, request);
+};
+
+// Helper to format linked identities for responses
+const formatIdentities = (identities = []) =>
+  identities.map((identity) => ({
+    provider: identity.provider,
+    email: identity.email,
+    linkedAt: identity.linkedAt,
+  }));
+
+// Helper to find the user a provider account is linked to
+const findUserByIdentity = (providerName, providerUserId) =>
+  User.findOne({
+    identities: { $elemMatch: { provider: providerName, providerUserId } },
+  });
+
+/**
+ * Helper to find or create the user for a social sign-in
+ * @param {Object} provider - Provider from getProvider()
+ * @param {Object} profile - Normalized profile from the provider
+ * @returns {Promise<Object>} `{ user, isNewUser }`, or `{ error, status }`
+ */
+const resolveOAuthUser = async (provider, profile) => {
+  const linkedUser = await findUserByIdentity(
+    provider.name,
+    profile.providerUserId
+  );
+
+  if (linkedUser) {
+    return { user: linkedUser, isNewUser: false };
+  }
+
+  if (!profile.email) {
+    return {
+      status: 400,
+      error: `${provider.label} did not share an email address`,
+    };
+  }
+
+  const identity = {
+    provider: provider.name,
+    providerUserId: profile.providerUserId,
+    email: profile.email,
+  };
+
+  const existingUser = await User.findOne({ email: profile.email });
+
+  if (existingUser) {
+    // Only link automatically when both sides have proven they own the
+    // address, otherwise someone could pre-register a victim's email
+    if (!profile.emailVerified || !existingUser.emailVerified) {
+      return {
+        status: 409,
+        error: `An account with this email already exists. Log in and link ${provider.label} from your account settings.`,
+      };
+    }
+
+    const result = await User.updateOne(
+      { _id: existingUser._id, "identities.provider": { $ne: provider.name } },
+      { $push: { identities: identity } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return {
+        status: 409,
+        error: `This account is already linked to a different ${provider.label} account`,
+      };
+    }
+
+    logger.info(
+      `Linked ${provider.name} identity by email: ${existingUser._id}`,
+      {
+        userId: existingUser._id,
+        provider: provider.name,
+      }
+    );
+
+    return { user: existingUser, isNewUser: false };
+  }
+
+  const user = await User.create({
+    name: profile.name || profile.email.split("@")[0],
+    email: profile.email,
+    avatarUrl: profile.avatarUrl || undefined,
+    emailVerified: Boolean(profile.emailVerified),
+    emailVerifiedAt: profile.emailVerified ? new Date() : undefined,
+    identities: [identity],
+  });
+
+  logger.info(`User created via ${provider.name}: ${user._id}`, {
+    userId: user._id,
+    provider: provider.name,
+  });
+
+  return { user, isNewUser: true };
+};
+
+/**
+ * @desc    List the configured social sign-in providers
+ * @route   GET /api/auth/oauth/providers
+ * @access  Public
+ */
+const getProviders = async (req, res) => {
+  res.json({ providers: listProviders() });
+};
+
+/**
+ * @desc    Redirect to a provider to sign in
+ * @route   GET /api/auth/oauth/:provider
+ * @access  Public
+ */
+const startOAuthLogin = async (req, res, next) => {
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({ message: "Unknown sign-in provider" });
+    }
+
+    res.redirect(await startAuthorization(provider));
+  } catch (error) {
+    logger.error(`Error starting OAuth login: ${error.message}`, {
+      provider: req.params.provider,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the URL to link a provider to the current account
+ * @route   POST /api/auth/oauth/:provider/link
+ * @access  Private
+ */
+const startOAuthLink = async (req, res, next) => {
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({ message: "Unknown sign-in provider" });
+    }
+
+    const authorizationUrl = await startAuthorization(provider, req.user._id);
+
+    res.json({ authorizationUrl });
+  } catch (error) {
+    logger.error(`Error starting OAuth link: ${error.message}`, {
+      userId: req.user?._id,
+      provider: req.params.provider,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Handle the provider's redirect; logs in or links the account
+ * @route   GET|POST /api/auth/oauth/:provider/callback
+ * @access  Public (with state)
+ */
+const oauthCallback = async (req, res, next) => {
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({ message: "Unknown sign-in provider" });
+    }
+
+    // Some providers (e.g. Apple) post the result as a form
+    const { code, state, error } = { ...req.query, ...req.body };
+
+    if (error) {
+      return res
+        .status(400)
+        .json({ message: `Sign-in with ${provider.label} failed: ${error}` });
+    }
+
+    if (!code || !state) {
+      return res.status(400).json({ message: "Missing code or state" });
+    }
+
+    // Each authorization request can only be completed once
+    const pending = await OAuthState.findOneAndDelete({
+      stateHash: hashToken(state),
+      provider: provider.name,
+      expiresAt: { $gt: new Date() },
+    });
+
+    if (!pending) {
+      return res
+        .status(400)
+        .json({ message: "Sign-in request is invalid or has expired" });
+    }
+
+    const profile = await fetchProfile(provider, code, pending);
+
+    // Whoever opens a link URL signs in at the provider, so the link waits
+    // for the user who started it to confirm it with their own access token
+    if (pending.user) {
+      const linkToken = generateSecureToken();
+
+      await OAuthState.create({
+        stateHash: hashToken(linkToken),
+        provider: provider.name,
+        user: pending.user,
+        identity: {
+          providerUserId: profile.providerUserId,
+          email: profile.email,
+        },
+        expiresAt: new Date(Date.now() + OAUTH_STATE_TTL_MS),
+      });
+
+      return res.json({ linkPending: true, linkToken });
+    }
+
+    const {
+      user,
+      isNewUser,
+      error: resolveError,
+      status,
+    } = await resolveOAuthUser(provider, profile);
+
+    if (resolveError) {
+      return res.status(status).json({ message: resolveError });
+    }
+
+    const suspensionError = getSuspensionError(user);
+    if (suspensionError) {
+      return res.status(403).json(suspensionError);
+    }
+
+    // Social sign-in replaces the password, not the second factor
+    if (user.twoFactorEnabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: signTwoFactorChallenge(user._id),
+      });
+    }
+
+    logAuthentication(user._id, `oauth:${provider.name}`, getClientIp(req));
+
+    const tokens = await createSession(user, req);
+
+    res.json({ ...(await buildAuthResponse(user, tokens)), isNewUser });
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      logger.warn(`OAuth callback failed: ${error.message}`, {
+        provider: req.params.provider,
+      });
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    // Two sign-ins raced to create or link the same account
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ message: "This account is already linked to another user" });
+    }
+
+    logger.error(`OAuth callback error: ${error.message}`, {
+      provider: req.params.provider,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Confirm a link once the provider has redirected back
+ * @route   POST /api/auth/oauth/:provider/link/complete
+ * @access  Private (the user who started the link)
+ */
+const completeOAuthLink = async (req, res, next) => {
+  try {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({ message: "Unknown sign-in provider" });
+    }
+
+    // Each link can only be confirmed once, by the user who started it
+    const pending = await OAuthState.findOneAndDelete({
+      stateHash: hashToken(req.body.linkToken),
+      provider: provider.name,
+      user: req.user._id,
+      "identity.providerUserId": { $exists: true },
+      expiresAt: { $gt: new Date() },
+    });
+
+    if (!pending) {
+      return res
+        .status(400)
+        .json({ message: "Link request is invalid or has expired" });
+    }
+
+    await linkIdentity(req, res, provider, pending.identity, req.user._id);
+  } catch (error) {
+    // Two links raced to claim the same provider account
+    if (error.code === 11000) {
+      return res
+        .status(409)
+        .json({ message: "This account is already linked to another user" });
+    }
+
+    logger.error(`Error completing OAuth link: ${error.message}`, {
+      userId: req.user?._id,
+      provider: req.params.provider,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+// Helper to finish a link confirmed with completeOAuthLink
+const linkIdentity = async (req, res, provider, profile, userId) => {
+  const linkedUser = await findUserByIdentity(
+    provider.name,
+    profile.providerUserId
+  );
+
+  if (linkedUser && !linkedUser._id.equals(userId)) {
+    return res.status(409).json({
+      message: `This ${provider.label} account is already linked to another user`,
+    });
+  }
+
+  if (!linkedUser) {
+    const result = await User.updateOne(
+      { _id: userId, "identities.provider": { $ne: provider.name } },
+      {
+        $push: {
+          identities: {
+            provider: provider.name,
+            providerUserId: profile.providerUserId,
+            email: profile.email,
+          },
+        },
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(409).json({
+        message: `A different ${provider.label} account is already linked`,
+      });
+    }
+
+    logger.info(`Linked ${provider.name} identity: ${userId}`, {
+      userId,
+      provider: provider.name,
+    });
+  }
+
+  const user = await User.findById(userId);
+
+  res.json({
+    message: `${provider.label} account linked`,
+    identities: formatIdentities(user.identities),
+  });
+};
+
+/**
+ * @desc    List the current user's linked sign-in providers
+ * @route   GET /api/auth/oauth/identities
+ * @access  Private
+ */
+const getIdentities = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select("+password");
+
+    res.json({
+      identities: formatIdentities(user.identities),
+      hasPassword: Boolean(user.password),
+    });
+  } catch (error) {
+    logger.error(`Error fetching identities: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Unlink a sign-in provider from the current account
+ * @route   DELETE /api/auth/oauth/:provider
+ * @access  Private
+ */
+const unlinkProvider = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id).select("+password");
+    const providerName = req.params.provider;
+
+    if (!user.identities.some((i) => i.provider === providerName)) {
+      return res
+        .status(404)
+        .json({ message: "This provider is not linked to your account" });
+    }
+
+    // Don't let users lock themselves out
+    if (!user.password && user.identities.length === 1) {
+      return res.status(400).json({
+        message: "Set a password before unlinking your only sign-in method",
+      });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      { $pull: { identities: { provider: providerName } } }
+    );
+
+    logger.info(`Unlinked ${providerName} identity: ${user._id}`, {
+      userId: user._id,
+      provider: providerName,
+    });
+
+    res.json({
+      message: "Provider unlinked",
+      identities: formatIdentities(
+        user.identities.filter((i) => i.provider !== providerName)
+      ),
+    });
+  } catch (error) {
+    logger.error(`Error unlinking provider: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  getProviders,
+  startOAuthLogin,
+  startOAuthLink,
+  completeOAuthLink,
+  oauthCallback,
+  getIdentities,
+  unlinkProvider,
+};
@@ -0,0 +1,465 @@
+const mongoose = require("mongoose");
+const Planting = require("../models/Planting");
+const Post = require("../models/Post");
+const User = require("../models/User");
+const Comment = require("../models/Comment");
+const logger = require("../utils/logger");
+const {
+  getListPagination,
+  applyCursorFilter,
+  slicePage,
+} = require("../utils/cursor");
+const { PLANTING_STATUSES } = require("../config/plantings");
+const { UNKNOWN_PLANT_TYPE, resolvePlantType } = require("../utils/species");
+const { hasBlocked, isBlockedBetween } = require("../utils/relationships");
+const {
+  POST_AUTHOR_FIELDS,
+  canViewProfile,
+  getVisiblePostLocation,
+} = require("../utils/privacy");
+const {
+  findOwnPlanting,
+  parsePlantingDetails,
+  setPlantingStatus,
+  getPlantingUpdateStats,
+  formatPlanting,
+} = require("../utils/plantings");
+const { getPlantingImpact } = require("../utils/impact");
+const { syncCareSchedules, deletePlantingCare } = require("../utils/care");
+
+// Helper to find a planting the viewer may see: blocked users and viewers
+// of followers-only accounts they don't follow get null, as if it didn't exist
+const findVisiblePlanting = async (id, viewerId) => {
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  const planting = await Planting.findById(id).populate(
+    "user",
+    POST_AUTHOR_FIELDS
+  );
+  if (!planting) return null;
+
+  if (
+    (await isBlockedBetween(viewerId, planting.user._id)) ||
+    !(await canViewProfile(planting.user, viewerId))
+  ) {
+    return null;
+  }
+
+  return planting;
+};
+
+// Helper to match a request's species or plant type against the catalog;
+// plantings always name a plant
+const resolvePlantingPlant = async (body) => {
+  const plant = await resolvePlantType(body);
+  if (!plant) return { error: "Unknown species" };
+  if (plant.plantType === UNKNOWN_PLANT_TYPE) {
+    return { error: "A species or plant type is required" };
+  }
+  return { plant };
+};
+
+/**
+ * @desc    Create a planting
+ * @route   POST /api/plantings
+ * @access  Private
+ */
+const createPlanting = async (req, res, next) => {
+  try {
+    const { name, location, locationPrecision, status } = req.body;
+
+    const details = parsePlantingDetails(req.body);
+    if (details.error) {
+      return res.status(400).json({ message: details.error });
+    }
+
+    const { plant, error } = await resolvePlantingPlant(req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const planting = new Planting({
+      user: req.user._id,
+      name: name || undefined,
+      plantType: plant.plantType,
+      species: plant.species,
+      location: location || undefined,
+      locationPrecision: locationPrecision || undefined,
+      ...details.details,
+    });
+    if (status) {
+      setPlantingStatus(planting, status);
+    }
+
+    await planting.save();
+
+    await User.findByIdAndUpdate(req.user._id, {
+      $inc: { numberOfPlants: 1 },
+    });
+    await syncCareSchedules(planting);
+
+    res
+      .status(201)
+      .json(
+        formatPlanting(
+          { ...planting.toObject(), user: req.user },
+          { viewerId: req.user._id }
+        )
+      );
+  } catch (error) {
+    logger.error(`Error creating planting: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    List a user's plantings, newest first
+ * @route   GET /api/plantings?user=:id
+ * @access  Public (with optional auth; defaults to your own plantings)
+ */
+const getPlantings = async (req, res, next) => {
+  try {
+    const userId = req.query.user || req.user?._id?.toString();
+    if (!userId) {
+      return res.status(400).json({ message: "User is required" });
+    }
+
+    const pagination = getListPagination(req.query, { defaultLimit: 20 });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+    const { limit } = pagination;
+
+    // Users who blocked the viewer look like they don't exist
+    const owner = mongoose.isValidObjectId(userId)
+      ? await User.findById(userId).select("settings")
+      : null;
+    if (!owner || (await hasBlocked(owner._id, req.user?._id))) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!(await canViewProfile(owner, req.user?._id))) {
+      return res.status(403).json({
+        message: "This account only shares its posts with its followers",
+      });
+    }
+
+    const query = { user: owner._id };
+    if (req.query.status) {
+      const statuses = String(req.query.status).split(",");
+      if (statuses.some((status) => !PLANTING_STATUSES.includes(status))) {
+        return res.status(400).json({
+          message: `Status must be one of: ${PLANTING_STATUSES.join(", ")}`,
+        });
+      }
+      query.status = { $in: statuses };
+    }
+
+    const pagePlantings = await Planting.find(
+      applyCursorFilter(query, pagination)
+    )
+      .populate("user", POST_AUTHOR_FIELDS)
+      .sort(pagination.sort)
+      .skip(pagination.skip)
+      .limit(limit + 1);
+
+    const {
+      items: plantings,
+      hasMore,
+      nextCursor,
+    } = slicePage(pagePlantings, limit);
+
+    const statsById = await getPlantingUpdateStats(
+      plantings.map((planting) => planting._id)
+    );
+    const formattedPlantings = plantings.map((planting) =>
+      formatPlanting(planting, {
+        viewerId: req.user?._id,
+        stats: statsById.get(planting._id.toString()),
+      })
+    );
+
+    if (pagination.mode === "cursor") {
+      return res.json({ plantings: formattedPlantings, nextCursor, hasMore });
+    }
+
+    const totalPlantings = await Planting.countDocuments(query);
+
+    res.json({
+      plantings: formattedPlantings,
+      currentPage: pagination.page,
+      totalPages: Math.ceil(totalPlantings / limit),
+      totalPlantings,
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    logger.error(`Error fetching plantings: ${error.message}`, {
+      userId: req.query.user,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a planting with its estimated impact
+ * @route   GET /api/plantings/:id
+ * @access  Public (with optional auth)
+ */
+const getPlantingById = async (req, res, next) => {
+  try {
+    const planting = await findVisiblePlanting(req.params.id, req.user?._id);
+    if (!planting) {
+      return res.status(404).json({ message: "Planting not found" });
+    }
+
+    const [statsById, impact] = await Promise.all([
+      getPlantingUpdateStats([planting._id]),
+      getPlantingImpact(planting),
+    ]);
+
+    res.json({
+      ...formatPlanting(planting, {
+        viewerId: req.user?._id,
+        stats: statsById.get(planting._id.toString()),
+      }),
+      impact,
+    });
+  } catch (error) {
+    logger.error(`Error fetching planting: ${error.message}`, {
+      plantingId: req.params.id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a planting, e.g. its status as it grows
+ * @route   PUT /api/plantings/:id
+ * @access  Private (owner only)
+ */
+const updatePlanting = async (req, res, next) => {
+  try {
+    const { name, species, plantType, location, locationPrecision, status } =
+      req.body;
+
+    const { planting, error } = await findOwnPlanting(req.params.id, req.user);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    const details = parsePlantingDetails(req.body);
+    if (details.error) {
+      return res.status(400).json({ message: details.error });
+    }
+
+    let plant = null;
+    if (species !== undefined || plantType !== undefined) {
+      const resolved = await resolvePlantingPlant({ species, plantType });
+      if (resolved.error) {
+        return res.status(400).json({ message: resolved.error });
+      }
+      plant = resolved.plant;
+    }
+
+    if (name !== undefined) {
+      planting.name = name || undefined;
+    }
+    if (plant) {
+      planting.plantType = plant.plantType;
+      planting.species = plant.species;
+    }
+    planting.set(details.details);
+    if (location !== undefined) {
+      planting.location = location || undefined;
+    }
+    if (locationPrecision !== undefined) {
+      // null goes back to the owner's default precision
+      planting.locationPrecision = locationPrecision || undefined;
+    }
+    if (status) {
+      setPlantingStatus(planting, status);
+    }
+
+    await planting.save();
+
+    // Progress updates show their planting's plant
+    if (plant) {
+      await Post.updateMany(
+        { planting: planting._id },
+        { $set: { plantType: plant.plantType, species: plant.species } }
+      );
+    }
+
+    // Care follows the plant's species and pauses once it has ended
+    await syncCareSchedules(planting);
+
+    const statsById = await getPlantingUpdateStats([planting._id]);
+
+    res.json(
+      formatPlanting(
+        { ...planting.toObject(), user: req.user },
+        {
+          viewerId: req.user._id,
+          stats: statsById.get(planting._id.toString()),
+        }
+      )
+    );
+  } catch (error) {
+    logger.error(`Error updating planting: ${error.message}`, {
+      plantingId: req.params.id,
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a planting; its posts stay, no longer attached to it
+ * @route   DELETE /api/plantings/:id
+ * @access  Private (owner only)
+ */
+const deletePlanting = async (req, res, next) => {
+  try {
+    const { planting, error } = await findOwnPlanting(req.params.id, req.user);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    await Promise.all([
+      Post.updateMany({ planting: planting._id }, { $unset: { planting: "" } }),
+      Planting.deleteOne({ _id: planting._id }),
+      User.findByIdAndUpdate(req.user._id, {
+        $inc: { numberOfPlants: -1 },
+      }),
+      deletePlantingCare(planting._id),
+    ]);
+
+    res.json({ message: "Planting removed" });
+  } catch (error) {
+    logger.error(`Error deleting planting: ${error.message}`, {
+      plantingId: req.params.id,
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the photo history of a planting, oldest first
+ * @route   GET /api/plantings/:id/timeline
+ * @access  Public (with optional auth)
+ */
+const getPlantingTimeline = async (req, res, next) => {
+  try {
+    const pagination = getListPagination(req.query, {
+      defaultLimit: 20,
+      direction: 1,
+    });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+    const { limit } = pagination;
+
+    const viewerId = req.user?._id || null;
+    const planting = await findVisiblePlanting(req.params.id, viewerId);
+    if (!planting) {
+      return res.status(404).json({ message: "Planting not found" });
+    }
+
+    // Posts hidden by moderation are left out
+    const query = { planting: planting._id, hidden: { $ne: true } };
+    const pagePosts = await Post.find(applyCursorFilter(query, pagination))
+      .sort(pagination.sort)
+      .skip(pagination.skip)
+      .limit(limit + 1);
+
+    const { items: posts, hasMore, nextCursor } = slicePage(pagePosts, limit);
+
+    const [commentsCounts, statsById] = await Promise.all([
+      Comment.aggregate([
+        {
+          $match: {
+            post: { $in: posts.map((post) => post._id) },
+            hidden: { $ne: true },
+          },
+        },
+        { $group: { _id: "$post", count: { $sum: 1 } } },
+      ]),
+      getPlantingUpdateStats([planting._id]),
+    ]);
+    const commentsCountMap = new Map(
+      commentsCounts.map(({ _id, count }) => [_id.toString(), count])
+    );
+
+    const formattedPosts = posts.map((post) => {
+      const formattedPost = {
+        id: post._id.toString(),
+        caption: post.caption || "",
+        imageUrl: post.image,
+        likes: post.likes.length,
+        commentsCount: commentsCountMap.get(post._id.toString()) || 0,
+        // The planting's owner is the author of all its posts
+        location: getVisiblePostLocation(
+          {
+            location: post.location,
+            locationPrecision: post.locationPrecision,
+            user: planting.user,
+          },
+          viewerId
+        ),
+        createdAt: post.createdAt.toISOString(),
+      };
+      if (viewerId) {
+        formattedPost.isLiked = post.likes.includes(viewerId);
+      }
+      return formattedPost;
+    });
+
+    const stats = statsById.get(planting._id.toString());
+    const formattedPlanting = formatPlanting(planting, { viewerId, stats });
+
+    if (pagination.mode === "cursor") {
+      return res.json({
+        planting: formattedPlanting,
+        posts: formattedPosts,
+        nextCursor,
+        hasMore,
+      });
+    }
+
+    const totalPosts = formattedPlanting.updates;
+
+    res.json({
+      planting: formattedPlanting,
+      posts: formattedPosts,
+      currentPage: pagination.page,
+      totalPages: Math.ceil(totalPosts / limit),
+      totalPosts,
+      nextCursor,
+      hasMore,
+    });
+  } catch (error) {
+    logger.error(`Error fetching planting timeline: ${error.message}`, {
+      plantingId: req.params.id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  createPlanting,
+  getPlantings,
+  getPlantingById,
+  updatePlanting,
+  deletePlanting,
+  getPlantingTimeline,
+};
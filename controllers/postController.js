@@ -1,9 +1,45 @@
+const mongoose = require("mongoose");
 const Post = require("../models/Post");
+const Planting = require("../models/Planting");
 const User = require("../models/User");
 const Comment = require("../models/Comment");
+const Follow = require("../models/Follow");
+const FeedSnapshot = require("../models/FeedSnapshot");
 const logger = require("../utils/logger");
 const cloudinary = require("../config/cloudinary");
 const { Readable } = require("stream");
+const {
+  encodeCursor,
+  decodeCursor,
+  getListPagination,
+  applyCursorFilter,
+  slicePage,
+} = require("../utils/cursor");
+const { scorePost, sortFeedItems } = require("../utils/feedRanking");
+const { hasPermission } = require("../config/roles");
+const { LOCATION_PRECISIONS } = require("../config/location");
+const { UNKNOWN_PLANT_TYPE, resolvePlantType } = require("../utils/species");
+const { recordAudit } = require("../utils/audit");
+const { removePost, removeComment } = require("../utils/moderation");
+const {
+  isBlockedBetween,
+  getExcludedAuthorIds,
+  withoutAuthors,
+} = require("../utils/relationships");
+const { notify, retractNotification } = require("../utils/notificationService");
+const {
+  POST_AUTHOR_FIELDS,
+  MAX_LOCATION_FUZZ_METERS,
+  canViewProfile,
+  getHiddenPostAuthorIds,
+  getVisiblePostLocation,
+  isVisibleLocationNear,
+  getHiddenLocationFilter,
+} = require("../utils/privacy");
+const { publish, postChannel, NEW_POSTS_CHANNEL } = require("../utils/pubsub");
+const { getPostImpact } = require("../utils/impact");
+const { parsePlantingDetails } = require("../utils/plantings");
+const { syncCareSchedules } = require("../utils/care");
 
 // Helper to upload buffer to Cloudinary via stream
 const bufferToStream = (buffer) => {
@@ -34,6 +70,222 @@ const formatComment = (comment, userId = null) => {
   };
 };
 
+// Helper to get comment counts and the current user's commented status for a batch of posts
+const getCommentStats = async (postIds, userId = null) => {
+  const commentsCounts = await Comment.aggregate([
+    { $match: { post: { $in: postIds }, hidden: { $ne: true } } },
+    { $group: { _id: "$post", count: { $sum: 1 } } },
+  ]);
+
+  const commentsCountMap = {};
+  commentsCounts.forEach((item) => {
+    commentsCountMap[item._id.toString()] = item.count;
+  });
+
+  const userCommentsMap = {};
+  if (userId) {
+    const userComments = await Comment.find({
+      post: { $in: postIds },
+      user: userId,
+    }).select("post");
+
+    userComments.forEach((comment) => {
+      userCommentsMap[comment.post.toString()] = true;
+    });
+  }
+
+  return { commentsCountMap, userCommentsMap };
+};
+
+// Helper to parse a comma-separated list of species IDs to filter by;
+// returns null if any ID is invalid
+const parseSpeciesFilter = (value) => {
+  const ids = String(value)
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean);
+  if (ids.some((id) => !mongoose.isValidObjectId(id))) return null;
+
+  return ids.length === 1 ? ids[0] : { $in: ids };
+};
+
+// Helper function to format posts according to the Post interface
+const formatPost = (
+  post,
+  { userId = null, commentsCount = 0, isCommented = false } = {}
+) => {
+  const formattedPost = {
+    id: post._id.toString(),
+    userId: post.user._id.toString(),
+    userName: post.user.name,
+    userAvatar: post.user.avatarUrl || undefined,
+    caption: post.caption || "",
+    imageUrl: post.image,
+    likes: post.likes.length,
+    saves: post.savedBy.length,
+    commentsCount,
+    plantType: post.plantType || "Unknown",
+    speciesId: post.species?.toString(),
+    plantingId: post.planting?.toString(),
+    location: getVisiblePostLocation(post, userId),
+    createdAt: post.createdAt.toISOString(),
+  };
+
+  // Add authenticated user-specific fields if user is logged in
+  if (userId) {
+    formattedPost.isLiked = post.likes.includes(userId);
+    formattedPost.isSaved = post.savedBy.includes(userId);
+    formattedPost.isCommented = isCommented;
+  }
+
+  return formattedPost;
+};
+
+// Feed tuning
+const FEED_MAX_PAGE_SIZE = 50;
+const FEED_MAX_ITEMS = 500; // Ranked posts kept per feed snapshot
+const FEED_WINDOW_DAYS = 14; // Only posts from this period are candidates
+const FEED_NEARBY_RADIUS_KM = 25;
+const FEED_SOURCE_LIMIT = 300; // Max candidates fetched per source
+const EARTH_RADIUS_KM = 6378.1;
+
+// Helper to gather, rank and persist the feed candidates for a user
+const buildFeedSnapshot = async (user) => {
+  const now = new Date();
+  const since = new Date(
+    now.getTime() - FEED_WINDOW_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  const [follows, excludedIds, hiddenLocationFilter] = await Promise.all([
+    Follow.find({ follower: user._id }).select("following"),
+    getHiddenPostAuthorIds(user._id),
+    getHiddenLocationFilter(user._id),
+  ]);
+  const followingIds = follows.map((follow) => follow.following);
+  const excludedAuthors = new Set(excludedIds.map((id) => id.toString()));
+
+  // Only use the user's location if it has been set (default is [0, 0])
+  const coordinates = user.location?.coordinates;
+  const hasLocation =
+    Array.isArray(coordinates) &&
+    coordinates.length === 2 &&
+    (coordinates[0] !== 0 || coordinates[1] !== 0);
+
+  const candidateFields = "_id user likes createdAt";
+
+  const [followingPosts, ownPosts, nearbyPosts, trendingPosts] =
+    await Promise.all([
+      followingIds.length > 0
+        ? Post.find({
+            user: { $in: followingIds },
+            createdAt: { $gte: since },
+            hidden: { $ne: true },
+          })
+            .select(candidateFields)
+            .sort({ createdAt: -1 })
+            .limit(FEED_SOURCE_LIMIT)
+        : [],
+      Post.find({
+        user: user._id,
+        createdAt: { $gte: since },
+        hidden: { $ne: true },
+      })
+        .select(candidateFields)
+        .sort({ createdAt: -1 })
+        .limit(FEED_SOURCE_LIMIT),
+      // Nearby posts are matched on their location as shown to the user, as
+      // in getNearbyPosts, so the feed doesn't reveal hidden or approximate
+      // locations either
+      hasLocation
+        ? Post.find({
+            location: {
+              $geoWithin: {
+                $centerSphere: [
+                  coordinates,
+                  (FEED_NEARBY_RADIUS_KM + MAX_LOCATION_FUZZ_METERS / 1000) /
+                    EARTH_RADIUS_KM,
+                ],
+              },
+            },
+            user: { $ne: user._id },
+            createdAt: { $gte: since },
+            hidden: { $ne: true },
+            ...hiddenLocationFilter,
+          })
+            .select(`${candidateFields} location locationPrecision`)
+            .populate("user", POST_AUTHOR_FIELDS)
+            .sort({ createdAt: -1 })
+            .limit(FEED_SOURCE_LIMIT)
+            .then((posts) =>
+              posts.filter((post) =>
+                isVisibleLocationNear(
+                  post,
+                  user._id,
+                  coordinates,
+                  FEED_NEARBY_RADIUS_KM * 1000
+                )
+              )
+            )
+        : [],
+      Post.aggregate([
+        { $match: { createdAt: { $gte: since }, hidden: { $ne: true } } },
+        {
+          $project: {
+            user: 1,
+            likes: 1,
+            createdAt: 1,
+            likesCount: { $size: "$likes" },
+          },
+        },
+        { $sort: { likesCount: -1, createdAt: -1 } },
+        { $limit: FEED_SOURCE_LIMIT },
+      ]),
+    ]);
+
+  // Merge candidates, remembering every source a post came from, and leave
+  // out blocked and muted users and followers-only accounts not followed
+  const candidates = new Map();
+  const addCandidates = (posts, source) => {
+    posts.forEach((post) => {
+      if (excludedAuthors.has((post.user._id || post.user).toString())) return;
+
+      const postId = post._id.toString();
+      if (!candidates.has(postId)) {
+        candidates.set(postId, { post, sources: [] });
+      }
+      candidates.get(postId).sources.push(source);
+    });
+  };
+
+  addCandidates(followingPosts, "following");
+  addCandidates(ownPosts, "own");
+  addCandidates(nearbyPosts, "nearby");
+  addCandidates(trendingPosts, "trending");
+
+  const candidateIds = Array.from(candidates.values()).map(
+    ({ post }) => post._id
+  );
+  const { commentsCountMap } = await getCommentStats(candidateIds);
+
+  const items = sortFeedItems(
+    Array.from(candidates.entries()).map(([postId, { post, sources }]) => ({
+      post: post._id,
+      sources,
+      score: scorePost(
+        {
+          likes: post.likes.length,
+          comments: commentsCountMap[postId] || 0,
+          createdAt: post.createdAt,
+          sources,
+        },
+        now
+      ),
+    }))
+  ).slice(0, FEED_MAX_ITEMS);
+
+  return FeedSnapshot.create({ user: user._id, items });
+};
+
 /**
  * @desc    Create a new post
  * @route   POST /api/posts
@@ -41,10 +293,21 @@ const formatComment = (comment, userId = null) => {
  */
 const createPost = async (req, res, next) => {
   try {
-    const { caption, plantType } = req.body;
+    const { caption, locationPrecision, planting: plantingId } = req.body;
     let location = req.body.location;
     let image;
 
+    if (
+      locationPrecision !== undefined &&
+      !LOCATION_PRECISIONS.includes(locationPrecision)
+    ) {
+      return res.status(400).json({
+        message: `Location precision must be one of: ${LOCATION_PRECISIONS.join(
+          ", "
+        )}`,
+      });
+    }
+
     // Parse location if it's a string (from form data)
     if (location && typeof location === "string") {
       try {
@@ -54,6 +317,42 @@ const createPost = async (req, res, next) => {
       }
     }
 
+    // A progress update shows the plant of one of the user's plantings;
+    // other posts are linked to a catalog species, by ID or by the free-text
+    // name, and start a new planting if they name a plant
+    let planting = null;
+    let plant;
+    if (plantingId) {
+      planting = mongoose.isValidObjectId(plantingId)
+        ? await Planting.findOne({ _id: plantingId, user: req.user._id })
+        : null;
+      if (!planting) {
+        return res.status(400).json({ message: "Unknown planting" });
+      }
+      plant = { species: planting.species, plantType: planting.plantType };
+    } else {
+      const details = parsePlantingDetails(req.body);
+      if (details.error) {
+        return res.status(400).json({ message: details.error });
+      }
+
+      plant = await resolvePlantType(req.body);
+      if (!plant) {
+        return res.status(400).json({ message: "Unknown species" });
+      }
+
+      if (plant.plantType !== UNKNOWN_PLANT_TYPE) {
+        planting = new Planting({
+          user: req.user._id,
+          plantType: plant.plantType,
+          species: plant.species,
+          location: location?.coordinates ? location : undefined,
+          locationPrecision,
+          ...details.details,
+        });
+      }
+    }
+
     // If there's an image file in the request, upload it to Cloudinary
     if (req.file) {
       logger.info(`Uploading image for new post: ${req.file.originalname}`, {
@@ -111,16 +410,46 @@ const createPost = async (req, res, next) => {
       image,
       caption,
       location,
-      plantType: plantType || "Unknown",
+      locationPrecision,
+      plantType: plant.plantType,
+      species: plant.species,
+      planting: planting?._id,
     });
 
-    const post = await newPost.save();
+    // Check the post (and its new planting) before saving anything, so a
+    // post that can't be saved doesn't leave a planting behind
+    try {
+      await newPost.validate();
+      if (planting?.isNew) await planting.validate();
+    } catch (validationError) {
+      if (validationError.name !== "ValidationError") throw validationError;
+      return res.status(400).json({
+        message: Object.values(validationError.errors)
+          .map((fieldError) => fieldError.message)
+          .join(", "),
+      });
+    }
 
-    // If plant type is specified, increment user's plant count
-    if (plantType && plantType !== "Unknown") {
+    // A new planting counts as one more plant for the user
+    if (planting?.isNew) {
+      await planting.save();
       await User.findByIdAndUpdate(req.user._id, {
         $inc: { numberOfPlants: 1 },
       });
+      await syncCareSchedules(planting);
+    }
+
+    const post = await newPost.save();
+
+    // Push the post to clients watching the map region it falls in, unless
+    // only the author's followers may see it. The location is sent as other
+    // users see it, so posts with hidden locations never match a region.
+    if (req.user.settings?.profileVisibility !== "followers") {
+      await publish(
+        NEW_POSTS_CHANNEL,
+        "post",
+        formatPost({ ...post.toObject(), user: req.user })
+      );
     }
 
     res.status(201).json(post);
@@ -141,13 +470,15 @@ const createPost = async (req, res, next) => {
  */
 const getPosts = async (req, res, next) => {
   try {
-    // Set pagination parameters
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    // Set pagination parameters (cursor-based if a cursor is given, page-based otherwise)
+    const pagination = getListPagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+    const { limit } = pagination;
 
-    // Build query based on filters
-    const query = {};
+    // Build query based on filters; posts hidden by moderation are left out
+    let query = { hidden: { $ne: true } };
 
     // Filter by user if provided
     if (req.query.user) {
@@ -165,6 +496,15 @@ const getPosts = async (req, res, next) => {
       }
     }
 
+    // Filter by catalog species if provided (comma-separated IDs)
+    if (req.query.species) {
+      const species = parseSpeciesFilter(req.query.species);
+      if (!species) {
+        return res.status(400).json({ message: "Invalid species ID" });
+      }
+      query.species = species;
+    }
+
     // Filter by time range if provided
     if (req.query.startDate || req.query.endDate) {
       query.createdAt = {};
@@ -178,15 +518,20 @@ const getPosts = async (req, res, next) => {
       }
     }
 
+    // Leave out users the viewer blocked or muted, users who blocked them,
+    // and followers-only accounts the viewer doesn't follow
+    const excludedIds = await getHiddenPostAuthorIds(req.user?._id);
+    query = withoutAuthors(query, excludedIds);
+
     // Execute query with proper population for user data
-    const posts = await Post.find(query)
-      .populate("user", "name email avatarUrl")
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    // (one extra post is fetched to find out whether there is a next page)
+    const pagePosts = await Post.find(applyCursorFilter(query, pagination))
+      .populate("user", POST_AUTHOR_FIELDS)
+      .sort(pagination.sort)
+      .skip(pagination.skip)
+      .limit(limit + 1);
 
-    // Count total documents for pagination info
-    const totalPosts = await Post.countDocuments(query);
+    const { items: posts, hasMore, nextCursor } = slicePage(pagePosts, limit);
 
     // Get authenticated user if available for determining liked/saved/commented status
     const userId = req.user ? req.user._id : null;
@@ -196,7 +541,7 @@ const getPosts = async (req, res, next) => {
 
     // Get comments count for all posts in batch
     const commentsCounts = await Comment.aggregate([
-      { $match: { post: { $in: postIds } } },
+      { $match: { post: { $in: postIds }, hidden: { $ne: true } } },
       { $group: { _id: "$post", count: { $sum: 1 } } },
     ]);
 
@@ -239,12 +584,9 @@ const getPosts = async (req, res, next) => {
         saves: post.savedBy.length,
         commentsCount,
         plantType: post.plantType || "Unknown",
-        location: post.location
-          ? {
-              coordinates: post.location.coordinates,
-              address: post.location.address || "",
-            }
-          : undefined,
+        speciesId: post.species?.toString(),
+        plantingId: post.planting?.toString(),
+        location: getVisiblePostLocation(post, userId),
         createdAt: post.createdAt.toISOString(),
       };
 
@@ -258,11 +600,21 @@ const getPosts = async (req, res, next) => {
       return formattedPost;
     });
 
+    // Cursor clients only get the cursor; page clients also get totals
+    if (pagination.mode === "cursor") {
+      return res.json({ posts: formattedPosts, nextCursor, hasMore });
+    }
+
+    // Count total documents for pagination info
+    const totalPosts = await Post.countDocuments(query);
+
     res.json({
       posts: formattedPosts,
-      currentPage: page,
+      currentPage: pagination.page,
       totalPages: Math.ceil(totalPosts / limit),
       totalPosts,
+      nextCursor,
+      hasMore,
     });
   } catch (error) {
     logger.error(`Error fetching posts: ${error.message}`, {
@@ -273,6 +625,108 @@ const getPosts = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get personalized home feed
+ * @route   GET /api/posts/feed
+ * @access  Private
+ */
+const getFeed = async (req, res, next) => {
+  try {
+    const userId = req.user._id;
+    const requestedLimit =
+      req.query.limit === undefined ? 10 : Number(req.query.limit);
+
+    if (!Number.isInteger(requestedLimit) || requestedLimit < 1) {
+      return res
+        .status(400)
+        .json({ message: "Limit must be a positive whole number" });
+    }
+
+    const limit = Math.min(requestedLimit, FEED_MAX_PAGE_SIZE);
+
+    let snapshot;
+    let offset = 0;
+
+    if (req.query.cursor) {
+      // Continue paging through a previously ranked feed
+      const cursor = decodeCursor(req.query.cursor);
+
+      if (
+        !cursor ||
+        !mongoose.isValidObjectId(cursor.s) ||
+        !Number.isInteger(cursor.o) ||
+        cursor.o < 0
+      ) {
+        return res.status(400).json({ message: "Invalid cursor" });
+      }
+
+      snapshot = await FeedSnapshot.findOne({ _id: cursor.s, user: userId });
+
+      if (!snapshot) {
+        return res
+          .status(400)
+          .json({ message: "Feed cursor has expired, please refresh" });
+      }
+
+      offset = cursor.o;
+    } else {
+      snapshot = await buildFeedSnapshot(req.user);
+    }
+
+    const pageItems = snapshot.items.slice(offset, offset + limit);
+    const postIds = pageItems.map((item) => item.post);
+
+    const excludedIds = await getHiddenPostAuthorIds(userId);
+    const posts = await Post.find(
+      withoutAuthors(
+        { _id: { $in: postIds }, hidden: { $ne: true } },
+        excludedIds
+      )
+    ).populate("user", POST_AUTHOR_FIELDS);
+
+    // Keep the ranked order; posts deleted, hidden or blocked since ranking are simply dropped
+    const postsById = new Map(posts.map((post) => [post._id.toString(), post]));
+
+    const { commentsCountMap, userCommentsMap } = await getCommentStats(
+      postIds,
+      userId
+    );
+
+    const formattedPosts = pageItems
+      .filter((item) => postsById.has(item.post.toString()))
+      .map((item) => {
+        const postId = item.post.toString();
+
+        return {
+          ...formatPost(postsById.get(postId), {
+            userId,
+            commentsCount: commentsCountMap[postId] || 0,
+            isCommented: userCommentsMap[postId] || false,
+          }),
+          feedSources: item.sources,
+        };
+      });
+
+    const nextOffset = offset + limit;
+    const hasMore = nextOffset < snapshot.items.length;
+
+    res.json({
+      posts: formattedPosts,
+      nextCursor: hasMore
+        ? encodeCursor({ s: snapshot._id.toString(), o: nextOffset })
+        : null,
+      hasMore,
+    });
+  } catch (error) {
+    logger.error(`Error fetching feed: ${error.message}`, {
+      userId: req.user?._id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
 /**
  * @desc    Get a single post by ID
  * @route   GET /api/posts/:id
@@ -281,7 +735,7 @@ const getPosts = async (req, res, next) => {
 const getPostById = async (req, res, next) => {
   try {
     const post = await Post.findById(req.params.id)
-      .populate("user", "name email avatarUrl")
+      .populate("user", POST_AUTHOR_FIELDS)
       .populate("likes", "name avatarUrl");
 
     if (!post) {
@@ -291,8 +745,32 @@ const getPostById = async (req, res, next) => {
     // Get authenticated user if available for determining liked/saved/commented status
     const userId = req.user ? req.user._id : null;
 
-    // Get comments count for this post
-    const commentsCount = await Comment.countDocuments({ post: post._id });
+    // Hidden posts can only be opened by their author and moderators
+    const canSeeHidden =
+      req.user &&
+      (post.user._id.toString() === userId.toString() ||
+        hasPermission(req.user.role, "moderation:manage"));
+    if (post.hidden && !canSeeHidden) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    // Blocked users can't see each other's posts, and posts of followers-only
+    // accounts are only shown to their followers
+    if (
+      (await isBlockedBetween(userId, post.user._id)) ||
+      !(await canViewProfile(post.user, userId))
+    ) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    // Get comments count and the plant's CO2 estimate for this post
+    const [commentsCount, impact] = await Promise.all([
+      Comment.countDocuments({
+        post: post._id,
+        hidden: { $ne: true },
+      }),
+      getPostImpact(post),
+    ]);
 
     // Base post object with public data
     const formattedPost = {
@@ -306,15 +784,17 @@ const getPostById = async (req, res, next) => {
       saves: post.savedBy.length,
       commentsCount,
       plantType: post.plantType || "Unknown",
-      location: post.location
-        ? {
-            coordinates: post.location.coordinates,
-            address: post.location.address || "",
-          }
-        : undefined,
+      speciesId: post.species?.toString(),
+      plantingId: post.planting?.toString(),
+      impact: impact || undefined,
+      location: getVisiblePostLocation(post, userId),
       createdAt: post.createdAt.toISOString(),
     };
 
+    if (post.hidden) {
+      formattedPost.hidden = true;
+    }
+
     // Add authenticated user-specific fields if user is logged in
     if (userId) {
       // Check if current user has liked or saved this post
@@ -354,34 +834,121 @@ const getPostById = async (req, res, next) => {
  */
 const updatePost = async (req, res, next) => {
   try {
-    const { caption, location, plantType } = req.body;
+    const {
+      caption,
+      location,
+      plantType,
+      species,
+      locationPrecision,
+      planting: plantingId,
+    } = req.body;
+
+    if (
+      locationPrecision !== undefined &&
+      locationPrecision !== null &&
+      !LOCATION_PRECISIONS.includes(locationPrecision)
+    ) {
+      return res.status(400).json({
+        message: `Location precision must be one of: ${LOCATION_PRECISIONS.join(
+          ", "
+        )}`,
+      });
+    }
 
     const post = await Post.findById(req.params.id).populate(
       "user",
-      "name email avatarUrl"
+      `email ${POST_AUTHOR_FIELDS}`
     );
 
     if (!post) {
       return res.status(404).json({ message: "Post not found" });
     }
 
-    // Check if the post belongs to the user
-    if (post.user._id.toString() !== req.user._id.toString()) {
+    // Check if the post belongs to the user, or the user can moderate it
+    const isOwner = post.user._id.toString() === req.user._id.toString();
+    if (!isOwner && !hasPermission(req.user.role, "posts:edit:any")) {
       return res
         .status(401)
         .json({ message: "Not authorized to update this post" });
     }
 
+    // The post can be attached to another of its author's plantings, or
+    // detached with null
+    let planting;
+    if (plantingId !== undefined) {
+      planting = null;
+      if (plantingId) {
+        planting = mongoose.isValidObjectId(plantingId)
+          ? await Planting.findOne({ _id: plantingId, user: post.user._id })
+          : null;
+        if (!planting) {
+          return res.status(400).json({ message: "Unknown planting" });
+        }
+      }
+    }
+
+    const attached =
+      planting !== undefined ? Boolean(planting) : Boolean(post.planting);
+
+    // A new species or plant type is matched against the catalog; a null
+    // species with no plant type clears both. Posts attached to a planting
+    // show its plant, so that is where the plant is changed.
+    let plant = planting
+      ? { species: planting.species, plantType: planting.plantType }
+      : null;
+    if (species !== undefined || plantType) {
+      if (attached) {
+        return res.status(400).json({
+          message: "Change the plant of the post's planting instead",
+        });
+      }
+
+      plant = await resolvePlantType({ species, plantType });
+      if (!plant) {
+        return res.status(400).json({ message: "Unknown species" });
+      }
+    }
+
+    const previous = {
+      caption: post.caption,
+      location: post.location?.address,
+      locationPrecision: post.locationPrecision,
+      plantType: post.plantType,
+      species: post.species,
+      planting: post.planting,
+    };
+
+    if (!isOwner) {
+      await recordAudit(req, {
+        action: "post.update",
+        targetType: "post",
+        targetId: post._id,
+        targetUser: post.user._id,
+        metadata: { previous },
+      });
+    }
+
     // Update fields
     post.caption = caption || post.caption;
     post.location = location || post.location;
-    post.plantType = plantType || post.plantType;
+    if (plant) {
+      post.plantType = plant.plantType;
+      post.species = plant.species;
+    }
+    if (planting !== undefined) {
+      post.planting = planting ? planting._id : undefined;
+    }
+    if (locationPrecision !== undefined) {
+      // null goes back to the author's default precision
+      post.locationPrecision = locationPrecision || undefined;
+    }
 
     const updatedPost = await post.save();
 
     // Get comments count for this post
     const commentsCount = await Comment.countDocuments({
       post: updatedPost._id,
+      hidden: { $ne: true },
     });
 
     // Check if current user has commented on this post
@@ -405,12 +972,9 @@ const updatePost = async (req, res, next) => {
       isCommented,
       commentsCount,
       plantType: updatedPost.plantType || "Unknown",
-      location: updatedPost.location
-        ? {
-            coordinates: updatedPost.location.coordinates,
-            address: updatedPost.location.address || "",
-          }
-        : undefined,
+      speciesId: updatedPost.species?.toString(),
+      plantingId: updatedPost.planting?.toString(),
+      location: getVisiblePostLocation(updatedPost, req.user._id),
       createdAt: updatedPost.createdAt.toISOString(),
       comments: [], // Comments array would need to be populated separately if needed
     };
@@ -440,21 +1004,29 @@ const deletePost = async (req, res, next) => {
       return res.status(404).json({ message: "Post not found" });
     }
 
-    // Check if the post belongs to the user
-    if (post.user.toString() !== req.user._id.toString()) {
+    // Check if the post belongs to the user, or the user can moderate it
+    const isOwner = post.user.toString() === req.user._id.toString();
+    if (!isOwner && !hasPermission(req.user.role, "posts:delete:any")) {
       return res
         .status(401)
         .json({ message: "Not authorized to delete this post" });
     }
 
-    // If post has plant type, decrement user's plant count
-    if (post.plantType && post.plantType !== "Unknown") {
-      await User.findByIdAndUpdate(req.user._id, {
-        $inc: { numberOfPlants: -1 },
+    if (!isOwner) {
+      await recordAudit(req, {
+        action: "post.delete",
+        targetType: "post",
+        targetId: post._id,
+        targetUser: post.user,
+        metadata: {
+          caption: post.caption,
+          image: post.image,
+          plantType: post.plantType,
+        },
       });
     }
 
-    await Post.deleteOne({ _id: post._id });
+    await removePost(post);
 
     res.json({ message: "Post removed" });
   } catch (error) {
@@ -471,7 +1043,7 @@ const toggleLike = async (req, res, next) => {
   try {
     const post = await Post.findById(req.params.id).populate(
       "user",
-      "name email avatarUrl"
+      POST_AUTHOR_FIELDS
     );
 
     if (!post) {
@@ -481,6 +1053,20 @@ const toggleLike = async (req, res, next) => {
     // Check if the post has already been liked by this user
     const alreadyLiked = post.likes.includes(req.user._id);
 
+    // Likes can always be taken back, but not given across a block or to
+    // posts the user can't see
+    if (!alreadyLiked && !(await canViewProfile(post.user, req.user._id))) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+    if (
+      !alreadyLiked &&
+      (await isBlockedBetween(req.user._id, post.user._id))
+    ) {
+      return res
+        .status(403)
+        .json({ message: "You can't interact with this user's content" });
+    }
+
     // If already liked, remove like; otherwise, add like
     if (alreadyLiked) {
       post.likes = post.likes.filter(
@@ -492,8 +1078,25 @@ const toggleLike = async (req, res, next) => {
 
     await post.save();
 
+    // Tell the author about the like, or take the notification back
+    const likeEvent = {
+      recipient: post.user._id,
+      actor: req.user._id,
+      type: "post_like",
+      post: post._id,
+    };
+    await (alreadyLiked ? retractNotification(likeEvent) : notify(likeEvent));
+
+    await publish(postChannel(post._id), "likes", {
+      postId: post._id.toString(),
+      likes: post.likes.length,
+    });
+
     // Get comments count for this post
-    const commentsCount = await Comment.countDocuments({ post: post._id });
+    const commentsCount = await Comment.countDocuments({
+      post: post._id,
+      hidden: { $ne: true },
+    });
 
     // Check if current user has commented on this post
     const userComment = await Comment.findOne({
@@ -516,12 +1119,9 @@ const toggleLike = async (req, res, next) => {
       isCommented,
       commentsCount,
       plantType: post.plantType || "Unknown",
-      location: post.location
-        ? {
-            coordinates: post.location.coordinates,
-            address: post.location.address || "",
-          }
-        : undefined,
+      speciesId: post.species?.toString(),
+      plantingId: post.planting?.toString(),
+      location: getVisiblePostLocation(post, req.user._id),
       createdAt: post.createdAt.toISOString(),
       comments: [], // Comments array would need to be populated separately if needed
     };
@@ -552,7 +1152,7 @@ const toggleSave = async (req, res, next) => {
   try {
     const post = await Post.findById(req.params.id).populate(
       "user",
-      "name email avatarUrl"
+      POST_AUTHOR_FIELDS
     );
     const user = await User.findById(req.user._id);
 
@@ -564,6 +1164,19 @@ const toggleSave = async (req, res, next) => {
     const alreadySaved = post.savedBy.includes(req.user._id);
     const userHasSaved = user.savedPosts.includes(post._id);
 
+    if (!alreadySaved && !(await canViewProfile(post.user, req.user._id))) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+
+    if (
+      !alreadySaved &&
+      (await isBlockedBetween(req.user._id, post.user._id))
+    ) {
+      return res
+        .status(403)
+        .json({ message: "You can't interact with this user's content" });
+    }
+
     // Update post's savedBy array
     if (alreadySaved) {
       post.savedBy = post.savedBy.filter(
@@ -584,8 +1197,20 @@ const toggleSave = async (req, res, next) => {
 
     await Promise.all([post.save(), user.save()]);
 
+    // Tell the author about the save, or take the notification back
+    const saveEvent = {
+      recipient: post.user._id,
+      actor: req.user._id,
+      type: "post_save",
+      post: post._id,
+    };
+    await (alreadySaved ? retractNotification(saveEvent) : notify(saveEvent));
+
     // Get comments count for this post
-    const commentsCount = await Comment.countDocuments({ post: post._id });
+    const commentsCount = await Comment.countDocuments({
+      post: post._id,
+      hidden: { $ne: true },
+    });
 
     // Check if current user has commented on this post
     const userComment = await Comment.findOne({
@@ -608,12 +1233,9 @@ const toggleSave = async (req, res, next) => {
       isCommented,
       commentsCount,
       plantType: post.plantType || "Unknown",
-      location: post.location
-        ? {
-            coordinates: post.location.coordinates,
-            address: post.location.address || "",
-          }
-        : undefined,
+      speciesId: post.species?.toString(),
+      plantingId: post.planting?.toString(),
+      location: getVisiblePostLocation(post, req.user._id),
       createdAt: post.createdAt.toISOString(),
       comments: [], // Comments array would need to be populated separately if needed
     };
@@ -643,19 +1265,23 @@ const toggleSave = async (req, res, next) => {
 const getNearbyPosts = async (req, res, next) => {
   try {
     // Get parameters from query with defaults
-    const { longitude, latitude, radius = 10, plantType } = req.query;
+    const { longitude, latitude, radius = 10, plantType, species } = req.query;
+    const point = [parseFloat(longitude), parseFloat(latitude)];
+    const maxDistance = parseFloat(radius) * 1000;
 
-    // Build the base query for geospatial search
+    // Build the base query for geospatial search. It reaches further than
+    // the radius so that approximate locations can be matched as shown.
     const baseQuery = {
       location: {
         $near: {
           $geometry: {
             type: "Point",
-            coordinates: [parseFloat(longitude), parseFloat(latitude)],
+            coordinates: point,
           },
-          $maxDistance: parseFloat(radius) * 1000,
+          $maxDistance: maxDistance + MAX_LOCATION_FUZZ_METERS,
         },
       },
+      hidden: { $ne: true },
     };
 
     // Add optional plant type filter if provided
@@ -669,23 +1295,46 @@ const getNearbyPosts = async (req, res, next) => {
       }
     }
 
-    // Find posts using the built query
-    const posts = await Post.find(baseQuery)
-      .populate("user", "name email avatarUrl")
-      .select(
-        "_id image caption location plantType createdAt user likes savedBy"
-      )
-      .sort({ createdAt: -1 });
+    // Add optional species filter if provided (comma-separated IDs)
+    if (species) {
+      baseQuery.species = parseSpeciesFilter(species);
+      if (!baseQuery.species) {
+        return res.status(400).json({ message: "Invalid species ID" });
+      }
+    }
+
+    // Leave out users the viewer blocked or muted, users who blocked them,
+    // and followers-only accounts the viewer doesn't follow, as well as
+    // posts whose location is hidden
+    const [excludedIds, hiddenLocationFilter] = await Promise.all([
+      getHiddenPostAuthorIds(req.user?._id),
+      getHiddenLocationFilter(req.user?._id),
+    ]);
 
     // Get authenticated user ID if available
     const userId = req.user ? req.user._id : null;
 
+    // Find posts using the built query, keeping those whose location as
+    // shown to the viewer is within the radius, so that small radii can't
+    // reveal where an approximate location really is
+    const candidates = await Post.find(
+      withoutAuthors({ ...baseQuery, ...hiddenLocationFilter }, excludedIds)
+    )
+      .populate("user", POST_AUTHOR_FIELDS)
+      .select(
+        "_id image caption location locationPrecision plantType species planting createdAt user likes savedBy"
+      )
+      .sort({ createdAt: -1 });
+    const posts = candidates.filter((post) =>
+      isVisibleLocationNear(post, userId, point, maxDistance)
+    );
+
     // Get post IDs for batch operations
     const postIds = posts.map((post) => post._id);
 
     // Get comments count for all posts in batch
     const commentsCounts = await Comment.aggregate([
-      { $match: { post: { $in: postIds } } },
+      { $match: { post: { $in: postIds }, hidden: { $ne: true } } },
       { $group: { _id: "$post", count: { $sum: 1 } } },
     ]);
 
@@ -728,12 +1377,9 @@ const getNearbyPosts = async (req, res, next) => {
         saves: post.savedBy.length,
         commentsCount,
         plantType: post.plantType || "Unknown",
-        location: post.location
-          ? {
-              coordinates: post.location.coordinates,
-              address: post.location.address || "",
-            }
-          : undefined,
+        speciesId: post.species?.toString(),
+        plantingId: post.planting?.toString(),
+        location: getVisiblePostLocation(post, userId),
         createdAt: post.createdAt.toISOString(),
       };
 
@@ -753,6 +1399,7 @@ const getNearbyPosts = async (req, res, next) => {
       features: posts.map((post) => {
         const postId = post._id.toString();
         const commentsCount = commentsCountMap[postId] || 0;
+        const location = getVisiblePostLocation(post, userId);
 
         // Base feature properties with public data
         const properties = {
@@ -766,7 +1413,8 @@ const getNearbyPosts = async (req, res, next) => {
             name: post.user.name,
             avatarUrl: post.user.avatarUrl,
           },
-          address: post.location.address || "",
+          address: location.address,
+          locationPrecision: location.precision,
           likes: post.likes.length,
           saves: post.savedBy.length,
           commentsCount,
@@ -783,7 +1431,7 @@ const getNearbyPosts = async (req, res, next) => {
           type: "Feature",
           geometry: {
             type: post.location.type,
-            coordinates: post.location.coordinates,
+            coordinates: location.coordinates,
           },
           properties,
         };
@@ -939,12 +1587,30 @@ const addComment = async (req, res, next) => {
     const { text, parentComment } = req.body;
     const postId = req.params.id;
 
-    // Validate the post exists
-    const post = await Post.findById(postId);
-    if (!post) {
+    // Validate the post exists and the user can see it
+    const post = await Post.findById(postId).populate(
+      "user",
+      POST_AUTHOR_FIELDS
+    );
+    if (!post || !(await canViewProfile(post.user, req.user._id))) {
       return res.status(404).json({ message: "Post not found" });
     }
 
+    // Users can't comment on posts of, or reply to, someone who blocked them
+    // (or whom they blocked)
+    const parent = parentComment
+      ? await Comment.findById(parentComment).select("user")
+      : null;
+    const [blockedByAuthor, blockedByParent] = await Promise.all([
+      isBlockedBetween(req.user._id, post.user._id),
+      parent ? isBlockedBetween(req.user._id, parent.user) : false,
+    ]);
+    if (blockedByAuthor || blockedByParent) {
+      return res
+        .status(403)
+        .json({ message: "You can't interact with this user's content" });
+    }
+
     // Create a new comment
     const newComment = new Comment({
       post: postId,
@@ -956,6 +1622,28 @@ const addComment = async (req, res, next) => {
     // Save the comment
     const savedComment = await newComment.save();
 
+    // Notify the author of the comment replied to, and the post's author
+    // (once, if they wrote both)
+    if (parent) {
+      await notify({
+        recipient: parent.user,
+        actor: req.user._id,
+        type: "comment_reply",
+        post: post._id,
+        comment: savedComment._id,
+        parentComment: parent._id,
+      });
+    }
+    if (!parent || !parent.user.equals(post.user._id)) {
+      await notify({
+        recipient: post.user._id,
+        actor: req.user._id,
+        type: "post_comment",
+        post: post._id,
+        comment: savedComment._id,
+      });
+    }
+
     // Populate user information for the response
     const populatedComment = await Comment.findById(savedComment._id)
       .populate("user", "name avatarUrl")
@@ -964,6 +1652,10 @@ const addComment = async (req, res, next) => {
     // Format the comment for response
     const formattedComment = formatComment(populatedComment, req.user._id);
 
+    // Viewer-specific fields are left out of the broadcast copy
+    const { isLiked, ...publicComment } = formattedComment;
+    await publish(postChannel(postId), "comment", publicComment);
+
     logger.info(`Comment added to post ${postId}`, {
       userId: req.user._id,
       postId,
@@ -995,31 +1687,55 @@ const getComments = async (req, res, next) => {
     const postId = req.params.id;
     const userId = req.user ? req.user._id : null;
 
-    // Validate the post exists
-    const post = await Post.findById(postId);
-    if (!post) {
+    // Validate the post exists and the viewer can see it
+    const post = await Post.findById(postId).populate(
+      "user",
+      POST_AUTHOR_FIELDS
+    );
+    if (
+      !post ||
+      (await isBlockedBetween(userId, post.user._id)) ||
+      !(await canViewProfile(post.user, userId))
+    ) {
       return res.status(404).json({ message: "Post not found" });
     }
 
-    // Pagination parameters
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-
-    // Get top-level comments (null parentComment)
-    const rootComments = await Comment.find({
-      post: postId,
-      parentComment: null,
-    })
+    // Pagination parameters (cursor-based if a cursor is given, page-based otherwise)
+    const pagination = getListPagination(req.query, { defaultLimit: 20 });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+    const { limit } = pagination;
+
+    // Get top-level comments (null parentComment) not hidden by moderation,
+    // leaving out users the viewer blocked or muted and users who blocked them
+    const excludedIds = await getExcludedAuthorIds(userId);
+    const rootQuery = withoutAuthors(
+      { post: postId, parentComment: null, hidden: { $ne: true } },
+      excludedIds
+    );
+    const pageComments = await Comment.find(
+      applyCursorFilter(rootQuery, pagination)
+    )
       .populate("user", "name avatarUrl")
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+      .sort(pagination.sort)
+      .skip(pagination.skip)
+      .limit(limit + 1);
+
+    const {
+      items: rootComments,
+      hasMore,
+      nextCursor,
+    } = slicePage(pageComments, limit);
 
     // For each root comment, get replies (optional, can be paginated separately)
     const commentsWithReplies = await Promise.all(
       rootComments.map(async (comment) => {
-        const replies = await Comment.find({ parentComment: comment._id })
+        const repliesQuery = withoutAuthors(
+          { parentComment: comment._id, hidden: { $ne: true } },
+          excludedIds
+        );
+        const replies = await Comment.find(repliesQuery)
           .populate("user", "name avatarUrl")
           .sort({ createdAt: 1 })
           .limit(5); // Limit to first 5 replies, rest can be loaded separately
@@ -1032,24 +1748,25 @@ const getComments = async (req, res, next) => {
         return {
           ...formattedComment,
           replies: formattedReplies,
-          replyCount: await Comment.countDocuments({
-            parentComment: comment._id,
-          }),
+          replyCount: await Comment.countDocuments(repliesQuery),
         };
       })
     );
 
+    if (pagination.mode === "cursor") {
+      return res.json({ comments: commentsWithReplies, nextCursor, hasMore });
+    }
+
     // Count total comments for pagination info
-    const totalComments = await Comment.countDocuments({
-      post: postId,
-      parentComment: null,
-    });
+    const totalComments = await Comment.countDocuments(rootQuery);
 
     res.json({
       comments: commentsWithReplies,
-      currentPage: page,
+      currentPage: pagination.page,
       totalPages: Math.ceil(totalComments / limit),
       totalComments,
+      nextCursor,
+      hasMore,
     });
   } catch (error) {
     logger.error(`Error fetching comments: ${error.message}`, {
@@ -1071,40 +1788,84 @@ const getCommentReplies = async (req, res, next) => {
     const { commentId } = req.params;
     const userId = req.user ? req.user._id : null;
 
-    // Pagination parameters
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    // Pagination parameters (replies are listed oldest first)
+    const pagination = getListPagination(req.query, { direction: 1 });
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+    const { limit } = pagination;
+
+    // Validate the comment exists on this post and the viewer can see the post
+    const parentComment = mongoose.isValidObjectId(commentId)
+      ? await Comment.findById(commentId)
+      : null;
+    if (
+      !parentComment ||
+      parentComment.hidden ||
+      parentComment.post.toString() !== req.params.id
+    ) {
+      return res.status(404).json({ message: "Comment not found" });
+    }
 
-    // Validate the comment exists
-    const parentComment = await Comment.findById(commentId);
-    if (!parentComment) {
+    const post = await Post.findById(parentComment.post).populate(
+      "user",
+      POST_AUTHOR_FIELDS
+    );
+    if (
+      !post ||
+      post.hidden ||
+      (await isBlockedBetween(userId, post.user._id)) ||
+      !(await canViewProfile(post.user, userId))
+    ) {
       return res.status(404).json({ message: "Comment not found" });
     }
 
-    // Get replies for the comment
-    const replies = await Comment.find({ parentComment: commentId })
+    // Get replies for the comment, leaving out hidden ones and those by
+    // users the viewer blocked or muted, or who blocked them
+    const excludedIds = await getExcludedAuthorIds(userId);
+    const repliesQuery = withoutAuthors(
+      { parentComment: commentId, hidden: { $ne: true } },
+      excludedIds
+    );
+    const pageReplies = await Comment.find(
+      applyCursorFilter(repliesQuery, pagination)
+    )
       .populate("user", "name avatarUrl")
-      .sort({ createdAt: 1 })
-      .skip(skip)
-      .limit(limit);
+      .sort(pagination.sort)
+      .skip(pagination.skip)
+      .limit(limit + 1);
+
+    const {
+      items: replies,
+      hasMore,
+      nextCursor,
+    } = slicePage(pageReplies, limit);
 
     // Format replies
     const formattedReplies = replies.map((reply) =>
       formatComment(reply, userId)
     );
 
+    if (pagination.mode === "cursor") {
+      return res.json({
+        replies: formattedReplies,
+        parentComment: commentId,
+        nextCursor,
+        hasMore,
+      });
+    }
+
     // Count total replies for pagination
-    const totalReplies = await Comment.countDocuments({
-      parentComment: commentId,
-    });
+    const totalReplies = await Comment.countDocuments(repliesQuery);
 
     res.json({
       replies: formattedReplies,
       parentComment: commentId,
-      currentPage: page,
+      currentPage: pagination.page,
       totalPages: Math.ceil(totalReplies / limit),
       totalReplies,
+      nextCursor,
+      hasMore,
     });
   } catch (error) {
     logger.error(`Error fetching comment replies: ${error.message}`, {
@@ -1116,6 +1877,73 @@ const getCommentReplies = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Edit a comment
+ * @route   PUT /api/posts/:id/comments/:commentId
+ * @access  Private
+ */
+const updateComment = async (req, res, next) => {
+  try {
+    const { commentId } = req.params;
+
+    const comment = await Comment.findOne({
+      _id: commentId,
+      post: req.params.id,
+    });
+
+    if (!comment) {
+      return res.status(404).json({ message: "Comment not found" });
+    }
+
+    // Check if the user wrote the comment, or can moderate it
+    const isOwner = comment.user.toString() === req.user._id.toString();
+    if (!isOwner && !hasPermission(req.user.role, "comments:edit:any")) {
+      return res
+        .status(401)
+        .json({ message: "Not authorized to update this comment" });
+    }
+
+    const previousText = comment.text;
+
+    if (!isOwner) {
+      await recordAudit(req, {
+        action: "comment.update",
+        targetType: "comment",
+        targetId: comment._id,
+        targetUser: comment.user,
+        metadata: { postId: comment.post, previousText },
+      });
+    }
+
+    comment.text = req.body.text;
+    await comment.save();
+
+    const populatedComment = await Comment.findById(comment._id).populate(
+      "user",
+      "name avatarUrl"
+    );
+
+    logger.info(`Comment updated: ${commentId}`, {
+      userId: req.user._id,
+      postId: req.params.id,
+      commentId,
+    });
+
+    res.json({
+      message: "Comment updated",
+      comment: formatComment(populatedComment, req.user._id),
+    });
+  } catch (error) {
+    logger.error(`Error updating comment: ${error.message}`, {
+      commentId: req.params.commentId,
+      userId: req.user?._id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
 /**
  * @desc    Delete a comment
  * @route   DELETE /api/posts/:id/comments/:commentId
@@ -1132,20 +1960,26 @@ const deleteComment = async (req, res, next) => {
       return res.status(404).json({ message: "Comment not found" });
     }
 
-    // Check if the user is authorized to delete the comment
-    if (comment.user.toString() !== req.user._id.toString()) {
+    // Check if the user wrote the comment, or can moderate it
+    const isOwner = comment.user.toString() === req.user._id.toString();
+    if (!isOwner && !hasPermission(req.user.role, "comments:delete:any")) {
       return res
         .status(401)
         .json({ message: "Not authorized to delete this comment" });
     }
 
-    // If parent comment, delete all replies
-    if (!comment.parentComment) {
-      await Comment.deleteMany({ parentComment: commentId });
+    if (!isOwner) {
+      await recordAudit(req, {
+        action: "comment.delete",
+        targetType: "comment",
+        targetId: comment._id,
+        targetUser: comment.user,
+        metadata: { postId: comment.post, text: comment.text },
+      });
     }
 
-    // Delete the comment
-    await Comment.deleteOne({ _id: commentId });
+    // Delete the comment, with all replies if it is a top-level comment
+    await removeComment(comment);
 
     logger.info(`Comment deleted: ${commentId}`, {
       userId: req.user._id,
@@ -1187,6 +2021,25 @@ const toggleCommentLike = async (req, res, next) => {
     // Check if already liked
     const alreadyLiked = comment.likes.includes(req.user._id);
 
+    if (!alreadyLiked) {
+      const post = await Post.findById(comment.post).populate(
+        "user",
+        POST_AUTHOR_FIELDS
+      );
+      if (!post || !(await canViewProfile(post.user, req.user._id))) {
+        return res.status(404).json({ message: "Comment not found" });
+      }
+    }
+
+    if (
+      !alreadyLiked &&
+      (await isBlockedBetween(req.user._id, comment.user._id))
+    ) {
+      return res
+        .status(403)
+        .json({ message: "You can't interact with this user's content" });
+    }
+
     // Toggle like
     if (alreadyLiked) {
       comment.likes = comment.likes.filter(
@@ -1199,6 +2052,22 @@ const toggleCommentLike = async (req, res, next) => {
     // Save the comment
     await comment.save();
 
+    // Tell the comment's author about the like, or take the notification back
+    const likeEvent = {
+      recipient: comment.user._id,
+      actor: req.user._id,
+      type: "comment_like",
+      post: comment.post,
+      comment: comment._id,
+    };
+    await (alreadyLiked ? retractNotification(likeEvent) : notify(likeEvent));
+
+    await publish(postChannel(comment.post), "comment_likes", {
+      postId: comment.post.toString(),
+      commentId: comment._id.toString(),
+      likes: comment.likes.length,
+    });
+
     // Format the comment
     const formattedComment = formatComment(comment, req.user._id);
 
@@ -1221,6 +2090,7 @@ const toggleCommentLike = async (req, res, next) => {
 module.exports = {
   createPost,
   getPosts,
+  getFeed,
   getPostById,
   updatePost,
   deletePost,
@@ -1232,6 +2102,7 @@ module.exports = {
   addComment,
   getComments,
   getCommentReplies,
+  updateComment,
   deleteComment,
   toggleCommentLike,
 };
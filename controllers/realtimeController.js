@@ -0,0 +1,296 @@
+const mongoose = require("mongoose");
+const Post = require("../models/Post");
+const logger = require("../utils/logger");
+const { hasPermission } = require("../config/roles");
+const { POST_AUTHOR_FIELDS, canViewProfile } = require("../utils/privacy");
+const { signStreamTicket } = require("../utils/authResponse");
+const { getActiveSession } = require("../utils/sessionService");
+const {
+  isBlockedBetween,
+  getExcludedAuthorIds,
+} = require("../utils/relationships");
+const {
+  subscribe,
+  postChannel,
+  userChannel,
+  NEW_POSTS_CHANNEL,
+} = require("../utils/pubsub");
+
+// Stream tuning
+const MAX_POST_SUBSCRIPTIONS = 20;
+const MAX_STREAMS_PER_USER = 5;
+// Comment lines keep proxies from closing idle connections, and give a
+// chance to notice revoked sessions
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// Open streams per user ID, for this process
+const openStreams = new Map();
+
+// Helper to parse a "minLng,minLat,maxLng,maxLat" map region. minLng may be
+// greater than maxLng for regions that cross the antimeridian.
+const parseRegion = (value) => {
+  const parts = String(value).split(",").map(Number);
+  if (parts.length !== 4 || parts.some((part) => !Number.isFinite(part))) {
+    return null;
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  const validLng = (lng) => lng >= -180 && lng <= 180;
+  const validLat = (lat) => lat >= -90 && lat <= 90;
+  if (
+    !validLng(minLng) ||
+    !validLng(maxLng) ||
+    !validLat(minLat) ||
+    !validLat(maxLat) ||
+    minLat > maxLat
+  ) {
+    return null;
+  }
+
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+// Helper to check whether [lng, lat] coordinates fall in a region
+const isInRegion = (coordinates, region) => {
+  if (!Array.isArray(coordinates) || coordinates.length < 2) return false;
+
+  const [lng, lat] = coordinates;
+  if (lat < region.minLat || lat > region.maxLat) return false;
+
+  return region.minLng <= region.maxLng
+    ? lng >= region.minLng && lng <= region.maxLng
+    : lng >= region.minLng || lng <= region.maxLng;
+};
+
+// Helper to keep only the posts a user may watch: hidden posts only for
+// their author and moderators, followers-only posts for followers, and
+// nothing across a block
+const getWatchablePostIds = async (postIds, user) => {
+  if (postIds.length === 0) return [];
+
+  const posts = await Post.find({ _id: { $in: postIds } })
+    .select("user hidden")
+    .populate("user", POST_AUTHOR_FIELDS);
+  const canSeeHidden = hasPermission(user.role, "moderation:manage");
+
+  const checks = await Promise.all(
+    posts.map(async (post) => {
+      if (!post.user) return null;
+      if (post.hidden && !canSeeHidden && !post.user._id.equals(user._id)) {
+        return null;
+      }
+      if (
+        (await isBlockedBetween(user._id, post.user._id)) ||
+        !(await canViewProfile(post.user, user._id))
+      ) {
+        return null;
+      }
+      return post._id.toString();
+    })
+  );
+
+  return checks.filter(Boolean);
+};
+
+/**
+ * @desc    Get a short-lived ticket for opening the event stream from
+ *          clients that can't send an Authorization header (EventSource)
+ * @route   POST /api/realtime/ticket
+ * @access  Private
+ */
+const createStreamTicket = async (req, res, next) => {
+  try {
+    res.json(signStreamTicket(req.user._id.toString(), req.sessionId));
+  } catch (error) {
+    logger.error(`Error creating stream ticket: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Open a Server-Sent Events stream of new comments and like counts
+ *          on posts, the user's notifications and new posts in a map region
+ * @route   GET /api/realtime/stream
+ * @access  Private
+ */
+const streamEvents = async (req, res, next) => {
+  try {
+    const userId = req.user._id.toString();
+
+    const postIds = req.query.posts
+      ? [
+          ...new Set(
+            String(req.query.posts)
+              .split(",")
+              .map((id) => id.trim())
+              .filter(Boolean)
+          ),
+        ]
+      : [];
+    if (postIds.length > MAX_POST_SUBSCRIPTIONS) {
+      return res.status(400).json({
+        message: `You can watch at most ${MAX_POST_SUBSCRIPTIONS} posts per stream`,
+      });
+    }
+    if (postIds.some((id) => !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({ message: "Invalid post ID" });
+    }
+
+    let region = null;
+    if (req.query.region) {
+      region = parseRegion(req.query.region);
+      if (!region) {
+        return res.status(400).json({
+          message: "region must be minLng,minLat,maxLng,maxLat",
+        });
+      }
+    }
+
+    const watchNotifications = req.query.notifications !== "false";
+
+    if (postIds.length === 0 && !region && !watchNotifications) {
+      return res.status(400).json({
+        message: "Subscribe to posts, notifications or a region",
+      });
+    }
+
+    if ((openStreams.get(userId) || 0) >= MAX_STREAMS_PER_USER) {
+      return res.status(429).json({
+        message: "Too many open event streams. Close one and try again.",
+      });
+    }
+
+    // Count the stream and listen for the client going away before anything
+    // is awaited, so a disconnect during setup still releases it
+    openStreams.set(userId, (openStreams.get(userId) || 0) + 1);
+
+    let closed = false;
+    let heartbeat = null;
+    const unsubscribers = [];
+
+    const release = () => {
+      if (closed) return;
+      closed = true;
+
+      clearInterval(heartbeat);
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+
+      const remaining = (openStreams.get(userId) || 1) - 1;
+      if (remaining > 0) {
+        openStreams.set(userId, remaining);
+      } else {
+        openStreams.delete(userId);
+      }
+
+      logger.info(`Event stream closed for user ${userId}`, { userId });
+    };
+    req.on("close", release);
+
+    let watchedPostIds;
+    let excludedIds;
+    try {
+      [watchedPostIds, excludedIds] = await Promise.all([
+        getWatchablePostIds(postIds, req.user),
+        getExcludedAuthorIds(req.user._id),
+      ]);
+    } catch (error) {
+      release();
+      throw error;
+    }
+
+    // The client went away while the stream was being set up
+    if (closed || req.destroyed) return;
+
+    const excluded = new Set(excludedIds.map((id) => id.toString()));
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      // Stop nginx from buffering the stream
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Leave out activity by users this user blocked or muted (or who
+    // blocked them)
+    const fromVisibleAuthor = (data) =>
+      !data.userId || !excluded.has(data.userId);
+
+    watchedPostIds.forEach((postId) =>
+      unsubscribers.push(
+        subscribe(postChannel(postId), ({ event, data }) => {
+          if (fromVisibleAuthor(data)) send(event, data);
+        })
+      )
+    );
+
+    if (watchNotifications) {
+      unsubscribers.push(
+        subscribe(userChannel(userId), ({ event, data }) => send(event, data))
+      );
+    }
+
+    if (region) {
+      unsubscribers.push(
+        subscribe(NEW_POSTS_CHANNEL, ({ event, data }) => {
+          if (
+            data.userId !== userId &&
+            fromVisibleAuthor(data) &&
+            isInRegion(data.location?.coordinates, region)
+          ) {
+            send(event, data);
+          }
+        })
+      );
+    }
+
+    // End the stream once the session it was opened with is revoked
+    heartbeat = setInterval(async () => {
+      try {
+        if (req.sessionId && !(await getActiveSession(req.sessionId))) {
+          send("session_ended", { message: "Session has been revoked" });
+          res.end();
+          return;
+        }
+        res.write(": ping\n\n");
+      } catch (error) {
+        logger.error(`Error checking event stream session: ${error.message}`, {
+          userId,
+          stack: error.stack,
+        });
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+
+    send("ready", {
+      posts: watchedPostIds,
+      notifications: watchNotifications,
+      region,
+    });
+
+    logger.info(`Event stream opened for user ${userId}`, {
+      userId,
+      posts: watchedPostIds.length,
+      notifications: watchNotifications,
+      region: !!region,
+    });
+  } catch (error) {
+    logger.error(`Error opening event stream: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  createStreamTicket,
+  streamEvents,
+};
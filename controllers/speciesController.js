@@ -0,0 +1,198 @@
+const mongoose = require("mongoose");
+const PlantSpecies = require("../models/PlantSpecies");
+const logger = require("../utils/logger");
+const { formatSpecies, getCommonName } = require("../utils/species");
+const { GROWTH_FORMS, DEFAULT_NAME_LANGUAGE } = require("../config/species");
+
+// Autocomplete tuning
+const DEFAULT_SUGGESTIONS = 8;
+const MAX_SUGGESTIONS = 20;
+// Matches ranked per request; the catalog is small, so ranking happens here
+const SUGGESTION_CANDIDATES = 100;
+
+// Helper to read the language common names are shown in
+const getLanguage = (query) =>
+  typeof query.language === "string" && query.language.trim()
+    ? query.language.trim().toLowerCase()
+    : DEFAULT_NAME_LANGUAGE;
+
+// Helper to build a pattern matching names with a word starting with the
+// search text. Normalized names only contain letters, digits and spaces, so
+// nothing needs escaping.
+const wordStartPattern = (normalized) => new RegExp(`(^| )${normalized}`);
+
+/**
+ * @desc    List and search the plant species catalog
+ * @route   GET /api/species
+ * @access  Public
+ */
+const getSpecies = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const language = getLanguage(req.query);
+
+    const query = {};
+
+    if (req.query.q) {
+      const normalized = PlantSpecies.normalizeName(req.query.q);
+      if (!normalized) {
+        return res.status(400).json({ message: "Search text is required" });
+      }
+      query.searchNames = wordStartPattern(normalized);
+    }
+
+    if (req.query.growthForm) {
+      if (!GROWTH_FORMS.includes(req.query.growthForm)) {
+        return res.status(400).json({
+          message: `Growth form must be one of: ${GROWTH_FORMS.join(", ")}`,
+        });
+      }
+      query.growthForm = req.query.growthForm;
+    }
+
+    const family = PlantSpecies.normalizeName(req.query.family);
+    if (family) {
+      query.family = new RegExp(`^${family}$`, "i");
+    }
+
+    const [species, total] = await Promise.all([
+      PlantSpecies.find(query)
+        .sort({ scientificName: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PlantSpecies.countDocuments(query),
+    ]);
+
+    res.json({
+      species: species.map((entry) => formatSpecies(entry, language)),
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalSpecies: total,
+    });
+  } catch (error) {
+    logger.error(`Error listing species: ${error.message}`, {
+      query: req.query,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Suggest species whose scientific or common names start with
+ *          the text typed so far
+ * @route   GET /api/species/autocomplete
+ * @access  Public
+ */
+const autocompleteSpecies = async (req, res, next) => {
+  try {
+    const normalized = PlantSpecies.normalizeName(req.query.q);
+    if (!normalized) {
+      return res.status(400).json({ message: "Search text is required" });
+    }
+
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit) || DEFAULT_SUGGESTIONS, 1),
+      MAX_SUGGESTIONS
+    );
+    const language = getLanguage(req.query);
+    const pattern = wordStartPattern(normalized);
+
+    const candidates = await PlantSpecies.find({ searchNames: pattern })
+      .select("scientificName commonNames growthForm")
+      .limit(SUGGESTION_CANDIDATES);
+
+    // Rank each species by its best matching name: exact names first, then
+    // names starting with the text, then names with a later word starting
+    // with it; names in the requested language win ties
+    const suggestions = candidates.map((species) => {
+      const names = [
+        ...species.commonNames.map((entry) => ({
+          name: entry.name,
+          preferred: entry.language === language,
+        })),
+        { name: species.scientificName, preferred: false },
+      ];
+
+      let best = null;
+      names.forEach(({ name, preferred }) => {
+        const normalizedName = PlantSpecies.normalizeName(name);
+        if (!pattern.test(normalizedName)) return;
+
+        let rank = 2;
+        if (normalizedName === normalized) rank = 0;
+        else if (normalizedName.startsWith(normalized)) rank = 1;
+        const score = rank * 2 + (preferred ? 0 : 1);
+
+        if (
+          !best ||
+          score < best.score ||
+          (score === best.score && name.length < best.name.length)
+        ) {
+          best = { name, score };
+        }
+      });
+
+      return { species, best };
+    });
+
+    const ranked = suggestions
+      .filter(({ best }) => best)
+      .sort(
+        (a, b) =>
+          a.best.score - b.best.score ||
+          a.best.name.length - b.best.name.length ||
+          a.species.scientificName.localeCompare(b.species.scientificName)
+      )
+      .slice(0, limit);
+
+    res.json({
+      suggestions: ranked.map(({ species, best }) => ({
+        id: species._id.toString(),
+        scientificName: species.scientificName,
+        commonName: getCommonName(species, language),
+        matchedName: best.name,
+        growthForm: species.growthForm,
+      })),
+    });
+  } catch (error) {
+    logger.error(`Error suggesting species: ${error.message}`, {
+      query: req.query,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a species from the catalog
+ * @route   GET /api/species/:id
+ * @access  Public
+ */
+const getSpeciesById = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ message: "Species not found" });
+    }
+
+    const species = await PlantSpecies.findById(req.params.id);
+    if (!species) {
+      return res.status(404).json({ message: "Species not found" });
+    }
+
+    res.json(formatSpecies(species, getLanguage(req.query)));
+  } catch (error) {
+    logger.error(`Error fetching species: ${error.message}`, {
+      speciesId: req.params.id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+module.exports = {
+  getSpecies,
+  autocompleteSpecies,
+  getSpeciesById,
+};
@@ -1,6 +1,37 @@
+const mongoose = require("mongoose");
 const User = require("../models/User");
 const Post = require("../models/Post");
+const Planting = require("../models/Planting");
 const Comment = require("../models/Comment");
+const Follow = require("../models/Follow");
+const Block = require("../models/Block");
+const Mute = require("../models/Mute");
+const logger = require("../utils/logger");
+const {
+  getListPagination,
+  applyCursorFilter,
+  slicePage,
+} = require("../utils/cursor");
+const { getUserStats } = require("../utils/userStats");
+const {
+  hasBlocked,
+  isBlockedBetween,
+  withoutAuthors,
+} = require("../utils/relationships");
+const {
+  POST_AUTHOR_FIELDS,
+  canViewProfile,
+  getHiddenPostAuthorIds,
+  getVisiblePostLocation,
+  getVisibleUserLocation,
+  getLeaderboardExcludedIds,
+} = require("../utils/privacy");
+const { notify, retractNotification } = require("../utils/notificationService");
+const {
+  getTopImpactTotals,
+  getTotalImpact,
+  getUserImpact,
+} = require("../utils/impact");
 
 /**
  * @desc    Get user profile
@@ -11,42 +42,53 @@ const getUserProfile = async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id);
 
-    if (!user) {
+    // Users who blocked the viewer look like they don't exist
+    if (!user || (await hasBlocked(user._id, req.user?._id))) {
       return res.status(404).json({ message: "User not found" });
     }
 
-    // Get user stats
-
-    const posts = await Post.find({ user: user._id });
-
-    const likesReceived = await Post.aggregate([
-      { $match: { user: user._id } },
-      { $project: { likesCount: { $size: "$likes" } } },
-      { $group: { _id: null, total: { $sum: "$likesCount" } } },
+    const viewerId = req.user?._id;
+    const isOwner = !!viewerId && user._id.toString() === viewerId.toString();
+
+    // Followers-only profiles show their location and posts to followers only
+    const canView = await canViewProfile(user, viewerId);
+
+    // Get user stats and the current user's relationship to this user
+    const [posts, stats, isFollowing, isBlocked, isMuted] = await Promise.all([
+      canView ? Post.find({ user: user._id, hidden: { $ne: true } }) : [],
+      getUserStats(user),
+      req.user
+        ? Follow.exists({ follower: req.user._id, following: user._id })
+        : null,
+      hasBlocked(req.user?._id, user._id),
+      req.user ? Mute.exists({ muter: req.user._id, muted: user._id }) : null,
     ]);
 
-    const totalLikes = likesReceived.length > 0 ? likesReceived[0].total : 0;
-    const savedPostsCount = user.savedPosts.length;
-
-    // Get environmental impact score
-    const environmentalImpact = user.numberOfPlants * 20;
-
     res.json({
       _id: user._id,
       name: user.name,
-      email: user.email,
+      email: isOwner || user.settings.showEmail ? user.email : undefined,
       avatarUrl: user.avatarUrl,
-      location: user.location,
+      location: canView ? getVisibleUserLocation(user, viewerId) : undefined,
       bio: user.bio,
-      stats: {
-        posts: posts.length,
-        plants: user.numberOfPlants,
-        likesReceived: totalLikes,
-        savedPosts: savedPostsCount,
-        environmentalImpact,
-      },
+      stats,
+      isFollowing: !!isFollowing,
+      isBlocked,
+      isMuted: !!isMuted,
+      isPrivate: !canView,
       createdAt: user.createdAt,
-      posts,
+      posts: posts.map((post) => {
+        const postObject = post.toObject();
+        const location = getVisiblePostLocation(
+          { ...postObject, user },
+          viewerId
+        );
+        postObject.location = location && {
+          type: postObject.location.type,
+          ...location,
+        };
+        return postObject;
+      }),
     });
   } catch (error) {
     next(error);
@@ -60,18 +102,36 @@ const getUserProfile = async (req, res, next) => {
  */
 const getUserPosts = async (req, res, next) => {
   try {
-    // Set pagination parameters
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    // Set pagination parameters (cursor-based if a cursor is given, page-based otherwise)
+    const pagination = getListPagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+    const { limit } = pagination;
 
-    const posts = await Post.find({ user: req.params.id })
-      .populate("user", "name email avatarUrl")
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit);
+    // Users who blocked the viewer look like they don't exist
+    if (await hasBlocked(req.params.id, req.user?._id)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const owner = mongoose.isValidObjectId(req.params.id)
+      ? await User.findById(req.params.id).select("settings")
+      : null;
+    if (owner && !(await canViewProfile(owner, req.user?._id))) {
+      return res.status(403).json({
+        message: "This account only shares its posts with its followers",
+      });
+    }
 
-    const totalPosts = await Post.countDocuments({ user: req.params.id });
+    // Posts hidden by moderation are left out
+    const query = { user: req.params.id, hidden: { $ne: true } };
+    const pagePosts = await Post.find(applyCursorFilter(query, pagination))
+      .populate("user", POST_AUTHOR_FIELDS)
+      .sort(pagination.sort)
+      .skip(pagination.skip)
+      .limit(limit + 1);
+
+    const { items: posts, hasMore, nextCursor } = slicePage(pagePosts, limit);
 
     // Get authenticated user if available for determining liked/saved/commented status
     const userId = req.params.id ? req.params.id : null;
@@ -81,7 +141,7 @@ const getUserPosts = async (req, res, next) => {
 
     // Get comments count for all posts in batch
     const commentsCounts = await Comment.aggregate([
-      { $match: { post: { $in: postIds } } },
+      { $match: { post: { $in: postIds }, hidden: { $ne: true } } },
       { $group: { _id: "$post", count: { $sum: 1 } } },
     ]);
 
@@ -130,22 +190,27 @@ const getUserPosts = async (req, res, next) => {
         isCommented,
         commentsCount,
         plantType: post.plantType || "Unknown",
-        location: post.location
-          ? {
-              coordinates: post.location.coordinates,
-              address: post.location.address || "",
-            }
-          : undefined,
+        speciesId: post.species?.toString(),
+        plantingId: post.planting?.toString(),
+        location: getVisiblePostLocation(post, req.user?._id),
         createdAt: post.createdAt.toISOString(),
         comments: [], // Comments array would need to be populated separately if needed
       };
     });
 
+    if (pagination.mode === "cursor") {
+      return res.json({ posts: formattedPosts, nextCursor, hasMore });
+    }
+
+    const totalPosts = await Post.countDocuments(query);
+
     res.json({
       posts: formattedPosts,
-      currentPage: page,
+      currentPage: pagination.page,
       totalPages: Math.ceil(totalPosts / limit),
       totalPosts,
+      nextCursor,
+      hasMore,
     });
   } catch (error) {
     logger.error(`Error fetching user posts: ${error.message}`, {
@@ -171,24 +236,64 @@ const getUserSavedPosts = async (req, res, next) => {
       });
     }
 
-    const user = await User.findById(req.params.id).populate({
-      path: "savedPosts",
-      populate: {
-        path: "user",
-        select: "name avatarUrl",
-      },
-    });
+    // Without a cursor or limit, keep returning the full list for existing clients
+    const paginated =
+      req.query.cursor !== undefined || req.query.limit !== undefined;
+    const pagination = getListPagination(req.query);
+    if (pagination.error) {
+      return res.status(400).json({ message: pagination.error });
+    }
+
+    const user = await User.findById(req.params.id);
 
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
 
+    let savedPosts;
+    let hasMore = false;
+    let nextCursor = null;
+
+    // Posts by users the viewer can no longer see (blocks, mutes, followers-only
+    // accounts they stopped following) stay saved but aren't listed
+    const excludedIds = await getHiddenPostAuthorIds(req.user._id);
+
+    if (paginated) {
+      // Paginated saved posts are ordered by post creation time
+      const pagePosts = await Post.find(
+        applyCursorFilter(
+          withoutAuthors({ _id: { $in: user.savedPosts } }, excludedIds),
+          pagination
+        )
+      )
+        .populate("user", POST_AUTHOR_FIELDS)
+        .sort(pagination.sort)
+        .skip(pagination.skip)
+        .limit(pagination.limit + 1);
+
+      ({
+        items: savedPosts,
+        hasMore,
+        nextCursor,
+      } = slicePage(pagePosts, pagination.limit));
+    } else {
+      await user.populate({
+        path: "savedPosts",
+        match: withoutAuthors({}, excludedIds),
+        populate: {
+          path: "user",
+          select: POST_AUTHOR_FIELDS,
+        },
+      });
+      savedPosts = user.savedPosts;
+    }
+
     // Get post IDs for batch operations
-    const postIds = user.savedPosts.map((post) => post._id);
+    const postIds = savedPosts.map((post) => post._id);
 
     // Get comments count for all posts in batch
     const commentsCounts = await Comment.aggregate([
-      { $match: { post: { $in: postIds } } },
+      { $match: { post: { $in: postIds }, hidden: { $ne: true } } },
       { $group: { _id: "$post", count: { $sum: 1 } } },
     ]);
 
@@ -213,7 +318,7 @@ const getUserSavedPosts = async (req, res, next) => {
     });
 
     // Transform saved posts to match the required interface
-    const formattedPosts = user.savedPosts.map((post) => {
+    const formattedPosts = savedPosts.map((post) => {
       const postId = post._id.toString();
       const commentsCount = commentsCountMap[postId] || 0;
       const isCommented = userCommentsMap[postId] || false;
@@ -231,17 +336,18 @@ const getUserSavedPosts = async (req, res, next) => {
         isCommented,
         commentsCount,
         plantType: post.plantType || "Unknown",
-        location: post.location
-          ? {
-              coordinates: post.location.coordinates,
-              address: post.location.address || "",
-            }
-          : undefined,
+        speciesId: post.species?.toString(),
+        plantingId: post.planting?.toString(),
+        location: getVisiblePostLocation(post, req.user._id),
         createdAt: post.createdAt.toISOString(),
         comments: [], // Comments array would need to be populated separately if needed
       };
     });
 
+    if (paginated) {
+      return res.json({ posts: formattedPosts, nextCursor, hasMore });
+    }
+
     res.json({
       posts: formattedPosts,
       count: formattedPosts.length,
@@ -256,6 +362,40 @@ const getUserSavedPosts = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get the CO2 a user's plants have taken up, by growth form and
+ *          by species
+ * @route   GET /api/users/:id/impact
+ * @access  Public
+ */
+const getUserImpactBreakdown = async (req, res, next) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id)
+      ? await User.findById(req.params.id).select("settings")
+      : null;
+
+    // Users who blocked the viewer look like they don't exist
+    if (!user || (await hasBlocked(user._id, req.user?._id))) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // The breakdown shows what the user plants, like their posts do
+    if (!(await canViewProfile(user, req.user?._id))) {
+      return res.status(403).json({
+        message: "This account only shares its posts with its followers",
+      });
+    }
+
+    res.json(await getUserImpact(user._id));
+  } catch (error) {
+    logger.error(`Error fetching user impact: ${error.message}`, {
+      userId: req.params.id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
 /**
  * @desc    Get leaderboard
  * @route   GET /api/users/leaderboard
@@ -267,6 +407,9 @@ const getLeaderboard = async (req, res, next) => {
     const limit = parseInt(req.query.limit) || 10;
     const timeRange = req.query.timeRange || "all"; // week, month, all
     const category = req.query.category || "plants"; // plants, co2, engagement
+
+    // Users who opted out of leaderboards are left out of the rankings
+    const hiddenIds = await getLeaderboardExcludedIds();
     let users;
 
     // Build time filter based on timeRange
@@ -287,28 +430,28 @@ const getLeaderboard = async (req, res, next) => {
         // Sort by number of plants (environmental impact)
         if (timeRange === "all") {
           // For "all" time, use user's total plant count
-          users = await User.find()
+          users = await User.find({ _id: { $nin: hiddenIds } })
             .sort({ numberOfPlants: -1 })
             .limit(limit)
             .select("name avatarUrl numberOfPlants");
         } else {
-          // For week/month, count plants from posts in that time range
-          const plantPosts = await Post.aggregate([
-            { $match: { ...timeFilter, plantType: { $ne: "Unknown" } } },
+          // For week/month, count plantings added in that time range
+          const plantingCounts = await Planting.aggregate([
+            { $match: { ...timeFilter, user: { $nin: hiddenIds } } },
             { $group: { _id: "$user", plantCount: { $sum: 1 } } },
             { $sort: { plantCount: -1 } },
             { $limit: limit },
           ]);
 
-          const userIds = plantPosts.map((item) => item._id);
+          const userIds = plantingCounts.map((item) => item._id);
           users = await User.find({ _id: { $in: userIds } }).select(
             "name avatarUrl numberOfPlants"
           );
 
           // Combine user data with plant counts
           users = users.map((user) => {
-            const plantData = plantPosts.find(
-              (post) => post._id.toString() === user._id.toString()
+            const plantData = plantingCounts.find(
+              (item) => item._id.toString() === user._id.toString()
             );
             return {
               _id: user._id,
@@ -336,76 +479,53 @@ const getLeaderboard = async (req, res, next) => {
         }
         break;
 
-      case "co2":
-        // Sort by environmental impact (CO2 reduction)
-        if (timeRange === "all") {
-          // For "all" time, use user's total environmental impact
-          users = await User.find()
-            .sort({ numberOfPlants: -1 })
-            .limit(limit)
-            .select("name avatarUrl numberOfPlants");
-        } else {
-          // For week/month, calculate environmental impact from posts in that time range
-          const impactPosts = await Post.aggregate([
-            { $match: { ...timeFilter, plantType: { $ne: "Unknown" } } },
-            { $group: { _id: "$user", plantCount: { $sum: 1 } } },
-            { $sort: { plantCount: -1 } },
-            { $limit: limit },
-          ]);
-
-          const userIds = impactPosts.map((item) => item._id);
-          users = await User.find({ _id: { $in: userIds } }).select(
-            "name avatarUrl numberOfPlants"
-          );
+      case "co2": {
+        // Sort by the CO2 users' plants have taken up, all time or during
+        // the time range
+        const topImpact = await getTopImpactTotals({
+          timeRange,
+          excludeUserIds: hiddenIds,
+          limit,
+        });
 
-          // Combine user data with impact scores
-          users = users.map((user) => {
-            const impactData = impactPosts.find(
-              (post) => post._id.toString() === user._id.toString()
-            );
-            return {
-              _id: user._id,
-              name: user.name,
-              avatarUrl: user.avatarUrl,
-              numberOfPlants: user.numberOfPlants,
-              score: impactData ? impactData.plantCount * 20 : 0, // 20 CO2 points per plant
-              category: "co2",
-              rank: 0,
-            };
-          });
-          users.sort((a, b) => b.score - a.score);
-        }
+        users = await User.find({
+          _id: { $in: topImpact.map((impact) => impact.user) },
+        }).select("name avatarUrl numberOfPlants");
 
-        if (timeRange === "all") {
-          users = users.map((user) => ({
+        // Combine user data with impact scores
+        users = users.map((user) => {
+          const impact = topImpact.find((item) => item.user.equals(user._id));
+          return {
             _id: user._id,
             name: user.name,
             avatarUrl: user.avatarUrl,
             numberOfPlants: user.numberOfPlants,
-            score: user.numberOfPlants * 20, // Environmental impact score
+            score: impact.co2Kg, // kg of CO2
             category: "co2",
             rank: 0,
-          }));
-        }
+          };
+        });
+        users.sort((a, b) => b.score - a.score);
         break;
+      }
 
       case "engagement":
         // Sort by engagement (posts + likes + comments)
         const engagementData = await Promise.all([
           // Posts count
           Post.aggregate([
-            { $match: timeFilter },
+            { $match: { ...timeFilter, user: { $nin: hiddenIds } } },
             { $group: { _id: "$user", postCount: { $sum: 1 } } },
           ]),
           // Likes received
           Post.aggregate([
-            { $match: timeFilter },
+            { $match: { ...timeFilter, user: { $nin: hiddenIds } } },
             { $project: { user: 1, likesCount: { $size: "$likes" } } },
             { $group: { _id: "$user", totalLikes: { $sum: "$likesCount" } } },
           ]),
           // Comments made
           Comment.aggregate([
-            { $match: timeFilter },
+            { $match: { ...timeFilter, user: { $nin: hiddenIds } } },
             { $group: { _id: "$user", commentCount: { $sum: 1 } } },
           ]),
         ]);
@@ -481,7 +601,7 @@ const getLeaderboard = async (req, res, next) => {
 
       default:
         // Fallback to plants category
-        users = await User.find()
+        users = await User.find({ _id: { $nin: hiddenIds } })
           .sort({ numberOfPlants: -1 })
           .limit(limit)
           .select("name avatarUrl numberOfPlants");
@@ -532,6 +652,9 @@ const getLeaderboardStats = async (req, res, next) => {
     const timeRange = req.query.timeRange || "all"; // week, month, all
     const category = req.query.category || "plants"; // plants, co2, engagement
 
+    // Users who opted out of leaderboards are left out of the rankings
+    const hiddenIds = await getLeaderboardExcludedIds();
+
     // Build time filter based on timeRange
     let timeFilter = {};
     if (timeRange === "week") {
@@ -572,19 +695,16 @@ const getLeaderboardStats = async (req, res, next) => {
         { $group: { _id: null, total: { $sum: "$likesCount" } } },
       ]),
 
-      // Total plants in time range
-      Post.aggregate([
-        { $match: { ...timeFilter, plantType: { $ne: "Unknown" } } },
-        { $group: { _id: null, total: { $sum: 1 } } },
-      ]),
+      // Total plantings in time range
+      Planting.countDocuments(timeFilter),
 
       // Top plant grower in time range
       timeRange === "all"
-        ? User.findOne()
+        ? User.findOne({ _id: { $nin: hiddenIds } })
             .sort({ numberOfPlants: -1 })
             .select("name numberOfPlants")
-        : Post.aggregate([
-            { $match: { ...timeFilter, plantType: { $ne: "Unknown" } } },
+        : Planting.aggregate([
+            { $match: { ...timeFilter, user: { $nin: hiddenIds } } },
             { $group: { _id: "$user", plantCount: { $sum: 1 } } },
             { $sort: { plantCount: -1 } },
             { $limit: 1 },
@@ -602,7 +722,7 @@ const getLeaderboardStats = async (req, res, next) => {
 
       // Most active user (most posts) in time range
       Post.aggregate([
-        { $match: timeFilter },
+        { $match: { ...timeFilter, user: { $nin: hiddenIds } } },
         { $group: { _id: "$user", postCount: { $sum: 1 } } },
         { $sort: { postCount: -1 } },
         { $limit: 1 },
@@ -620,7 +740,7 @@ const getLeaderboardStats = async (req, res, next) => {
 
       // Most liked user in time range
       Post.aggregate([
-        { $match: timeFilter },
+        { $match: { ...timeFilter, user: { $nin: hiddenIds } } },
         { $project: { user: 1, likesCount: { $size: "$likes" } } },
         { $group: { _id: "$user", totalLikes: { $sum: "$likesCount" } } },
         { $sort: { totalLikes: -1 } },
@@ -639,7 +759,7 @@ const getLeaderboardStats = async (req, res, next) => {
 
       // Most commented user in time range
       Comment.aggregate([
-        { $match: timeFilter },
+        { $match: { ...timeFilter, user: { $nin: hiddenIds } } },
         { $group: { _id: "$user", commentCount: { $sum: 1 } } },
         { $sort: { commentCount: -1 } },
         { $limit: 1 },
@@ -658,20 +778,21 @@ const getLeaderboardStats = async (req, res, next) => {
 
     // Calculate totals
     const totalLikesCount = totalLikes.length > 0 ? totalLikes[0].total : 0;
-    const totalPlantsCount = totalPlants.length > 0 ? totalPlants[0].total : 0;
-    const environmentalImpact = totalPlantsCount * 20; // 20 points per plant
+
+    // CO2 taken up by everyone's plants, all time or during the time range
+    const environmentalImpact = await getTotalImpact(timeRange);
 
     // Get top 3 users in each category based on time range
     const [topPlantGrowers, topPosters, topLikedUsers, topCommenters] =
       await Promise.all([
         // Top 3 plant growers in time range
         timeRange === "all"
-          ? User.find()
+          ? User.find({ _id: { $nin: hiddenIds } })
               .sort({ numberOfPlants: -1 })
               .limit(3)
               .select("name numberOfPlants")
-          : Post.aggregate([
-              { $match: { ...timeFilter, plantType: { $ne: "Unknown" } } },
+          : Planting.aggregate([
+              { $match: { ...timeFilter, user: { $nin: hiddenIds } } },
               { $group: { _id: "$user", plantCount: { $sum: 1 } } },
               { $sort: { plantCount: -1 } },
               { $limit: 3 },
@@ -689,7 +810,7 @@ const getLeaderboardStats = async (req, res, next) => {
 
         // Top 3 posters in time range
         Post.aggregate([
-          { $match: timeFilter },
+          { $match: { ...timeFilter, user: { $nin: hiddenIds } } },
           { $group: { _id: "$user", postCount: { $sum: 1 } } },
           { $sort: { postCount: -1 } },
           { $limit: 3 },
@@ -707,7 +828,7 @@ const getLeaderboardStats = async (req, res, next) => {
 
         // Top 3 most liked users in time range
         Post.aggregate([
-          { $match: timeFilter },
+          { $match: { ...timeFilter, user: { $nin: hiddenIds } } },
           { $project: { user: 1, likesCount: { $size: "$likes" } } },
           { $group: { _id: "$user", totalLikes: { $sum: "$likesCount" } } },
           { $sort: { totalLikes: -1 } },
@@ -726,7 +847,7 @@ const getLeaderboardStats = async (req, res, next) => {
 
         // Top 3 commenters in time range
         Comment.aggregate([
-          { $match: timeFilter },
+          { $match: { ...timeFilter, user: { $nin: hiddenIds } } },
           { $group: { _id: "$user", commentCount: { $sum: 1 } } },
           { $sort: { commentCount: -1 } },
           { $limit: 3 },
@@ -780,7 +901,7 @@ const getLeaderboardStats = async (req, res, next) => {
         totalPosts,
         totalComments,
         totalLikes: totalLikesCount,
-        totalPlants: totalPlantsCount,
+        totalPlants,
         environmentalImpact,
         timeRange,
         category,
@@ -813,10 +934,607 @@ const getLeaderboardStats = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Follow a user
+ * @route   POST /api/users/:id/follow
+ * @access  Private
+ */
+const followUser = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ message: "You cannot follow yourself" });
+    }
+
+    const userToFollow = await User.findById(req.params.id);
+
+    if (!userToFollow) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (await isBlockedBetween(req.user._id, userToFollow._id)) {
+      return res.status(403).json({
+        message: "You can't follow a user you blocked or who blocked you",
+      });
+    }
+
+    // Upsert so that following twice is a no-op instead of a duplicate key error
+    const result = await Follow.updateOne(
+      { follower: req.user._id, following: userToFollow._id },
+      { $setOnInsert: { follower: req.user._id, following: userToFollow._id } },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount > 0) {
+      await notify({
+        recipient: userToFollow._id,
+        actor: req.user._id,
+        type: "follow",
+      });
+    }
+
+    const followersCount = await Follow.countDocuments({
+      following: userToFollow._id,
+    });
+
+    logger.info(`User ${req.user._id} followed ${userToFollow._id}`, {
+      userId: req.user._id,
+      followingId: userToFollow._id,
+    });
+
+    res.json({
+      message: "User followed",
+      isFollowing: true,
+      followersCount,
+    });
+  } catch (error) {
+    logger.error(`Error following user: ${error.message}`, {
+      targetId: req.params.id,
+      userId: req.user?._id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Unfollow a user
+ * @route   DELETE /api/users/:id/follow
+ * @access  Private
+ */
+const unfollowUser = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    const result = await Follow.deleteOne({
+      follower: req.user._id,
+      following: req.params.id,
+    });
+
+    if (result.deletedCount > 0) {
+      await retractNotification({
+        recipient: req.params.id,
+        actor: req.user._id,
+        type: "follow",
+      });
+    }
+
+    const followersCount = await Follow.countDocuments({
+      following: req.params.id,
+    });
+
+    logger.info(`User ${req.user._id} unfollowed ${req.params.id}`, {
+      userId: req.user._id,
+      followingId: req.params.id,
+    });
+
+    res.json({
+      message: "User unfollowed",
+      isFollowing: false,
+      followersCount,
+    });
+  } catch (error) {
+    logger.error(`Error unfollowing user: ${error.message}`, {
+      targetId: req.params.id,
+      userId: req.user?._id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+// Helper to build a paginated follower/following list for a user, or
+// `{ error }` if the page or limit is invalid
+const getFollowList = async (req, direction) => {
+  // "followers" lists who follows the user, "following" lists who the user follows
+  const matchField = direction === "followers" ? "following" : "follower";
+  const userField = direction === "followers" ? "follower" : "following";
+
+  // Follow lists are paged by number only
+  const pagination = getListPagination(
+    { page: req.query.page, limit: req.query.limit },
+    { defaultLimit: 20 }
+  );
+  if (pagination.error) {
+    return { error: pagination.error };
+  }
+  const { page, limit, skip } = pagination;
+
+  const query = { [matchField]: req.params.id };
+
+  const [follows, total] = await Promise.all([
+    Follow.find(query)
+      .populate(userField, "name avatarUrl bio")
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Follow.countDocuments(query),
+  ]);
+
+  // Skip entries whose user has since been deleted
+  const listedUsers = follows
+    .filter((follow) => follow[userField])
+    .map((follow) => ({
+      follow,
+      user: follow[userField],
+    }));
+
+  // Work out which of the listed users the current user already follows
+  let followedByMe = new Set();
+  if (req.user && listedUsers.length > 0) {
+    const myFollows = await Follow.find({
+      follower: req.user._id,
+      following: { $in: listedUsers.map(({ user }) => user._id) },
+    }).select("following");
+
+    followedByMe = new Set(
+      myFollows.map((follow) => follow.following.toString())
+    );
+  }
+
+  const users = listedUsers.map(({ follow, user }) => ({
+    id: user._id.toString(),
+    name: user.name,
+    avatar: user.avatarUrl,
+    bio: user.bio || "",
+    isFollowing: followedByMe.has(user._id.toString()),
+    followedAt: follow.createdAt.toISOString(),
+  }));
+
+  return {
+    users,
+    currentPage: page,
+    totalPages: Math.ceil(total / limit),
+    total,
+  };
+};
+
+/**
+ * @desc    Get users following a user
+ * @route   GET /api/users/:id/followers
+ * @access  Public (with optional auth)
+ */
+const getFollowers = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    const user = await User.findById(req.params.id).select("settings");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!(await canViewProfile(user, req.user?._id))) {
+      return res.status(403).json({
+        message:
+          "This account only shares its followers list with its followers",
+      });
+    }
+
+    const { users, error, ...pagination } = await getFollowList(
+      req,
+      "followers"
+    );
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json({ followers: users, ...pagination });
+  } catch (error) {
+    logger.error(`Error fetching followers: ${error.message}`, {
+      userId: req.params.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get users a user is following
+ * @route   GET /api/users/:id/following
+ * @access  Public (with optional auth)
+ */
+const getFollowing = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    const user = await User.findById(req.params.id).select("settings");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!(await canViewProfile(user, req.user?._id))) {
+      return res.status(403).json({
+        message:
+          "This account only shares its following list with its followers",
+      });
+    }
+
+    const { users, error, ...pagination } = await getFollowList(
+      req,
+      "following"
+    );
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    res.json({ following: users, ...pagination });
+  } catch (error) {
+    logger.error(`Error fetching following: ${error.message}`, {
+      userId: req.params.id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+// Helper to load the user a block or mute targets, answering 400/404 itself
+const findRelationTarget = async (req, res, action) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    res.status(400).json({ message: "Invalid user ID" });
+    return null;
+  }
+
+  if (req.params.id === req.user._id.toString()) {
+    res.status(400).json({ message: `You cannot ${action} yourself` });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id).select("_id");
+  if (!user) {
+    res.status(404).json({ message: "User not found" });
+    return null;
+  }
+
+  return user;
+};
+
+/**
+ * @desc    Block a user
+ * @route   POST /api/users/:id/block
+ * @access  Private
+ */
+const blockUser = async (req, res, next) => {
+  try {
+    const userToBlock = await findRelationTarget(req, res, "block");
+    if (!userToBlock) return;
+
+    // Upsert so that blocking twice is a no-op instead of a duplicate key error
+    await Block.updateOne(
+      { blocker: req.user._id, blocked: userToBlock._id },
+      { $setOnInsert: { blocker: req.user._id, blocked: userToBlock._id } },
+      { upsert: true }
+    );
+
+    // Blocking ends any follow between the two users, both ways
+    await Follow.deleteMany({
+      $or: [
+        { follower: req.user._id, following: userToBlock._id },
+        { follower: userToBlock._id, following: req.user._id },
+      ],
+    });
+
+    logger.info(`User ${req.user._id} blocked ${userToBlock._id}`, {
+      userId: req.user._id,
+      blockedId: userToBlock._id,
+    });
+
+    res.json({ message: "User blocked", isBlocked: true });
+  } catch (error) {
+    logger.error(`Error blocking user: ${error.message}`, {
+      targetId: req.params.id,
+      userId: req.user?._id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Unblock a user
+ * @route   DELETE /api/users/:id/block
+ * @access  Private
+ */
+const unblockUser = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    await Block.deleteOne({ blocker: req.user._id, blocked: req.params.id });
+
+    logger.info(`User ${req.user._id} unblocked ${req.params.id}`, {
+      userId: req.user._id,
+      blockedId: req.params.id,
+    });
+
+    res.json({ message: "User unblocked", isBlocked: false });
+  } catch (error) {
+    logger.error(`Error unblocking user: ${error.message}`, {
+      targetId: req.params.id,
+      userId: req.user?._id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Mute a user
+ * @route   POST /api/users/:id/mute
+ * @access  Private
+ */
+const muteUser = async (req, res, next) => {
+  try {
+    const userToMute = await findRelationTarget(req, res, "mute");
+    if (!userToMute) return;
+
+    // Upsert so that muting twice is a no-op instead of a duplicate key error
+    await Mute.updateOne(
+      { muter: req.user._id, muted: userToMute._id },
+      { $setOnInsert: { muter: req.user._id, muted: userToMute._id } },
+      { upsert: true }
+    );
+
+    logger.info(`User ${req.user._id} muted ${userToMute._id}`, {
+      userId: req.user._id,
+      mutedId: userToMute._id,
+    });
+
+    res.json({ message: "User muted", isMuted: true });
+  } catch (error) {
+    logger.error(`Error muting user: ${error.message}`, {
+      targetId: req.params.id,
+      userId: req.user?._id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Unmute a user
+ * @route   DELETE /api/users/:id/mute
+ * @access  Private
+ */
+const unmuteUser = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    await Mute.deleteOne({ muter: req.user._id, muted: req.params.id });
+
+    logger.info(`User ${req.user._id} unmuted ${req.params.id}`, {
+      userId: req.user._id,
+      mutedId: req.params.id,
+    });
+
+    res.json({ message: "User unmuted", isMuted: false });
+  } catch (error) {
+    logger.error(`Error unmuting user: ${error.message}`, {
+      targetId: req.params.id,
+      userId: req.user?._id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+// Helper to build a paginated list of the users the current user blocked or muted
+const getRelationList = async (req, res, Model, ownerField, userField) => {
+  const pagination = getListPagination(req.query, { defaultLimit: 20 });
+  if (pagination.error) {
+    res.status(400).json({ message: pagination.error });
+    return null;
+  }
+  const { limit } = pagination;
+
+  const query = { [ownerField]: req.user._id };
+  const entries = await Model.find(applyCursorFilter(query, pagination))
+    .populate(userField, "name avatarUrl bio")
+    .sort(pagination.sort)
+    .skip(pagination.skip)
+    .limit(limit + 1);
+
+  const { items, nextCursor, hasMore } = slicePage(entries, limit);
+
+  // Skip entries whose user has since been deleted
+  const users = items
+    .filter((entry) => entry[userField])
+    .map((entry) => ({
+      id: entry[userField]._id.toString(),
+      name: entry[userField].name,
+      avatar: entry[userField].avatarUrl,
+      bio: entry[userField].bio || "",
+      since: entry.createdAt.toISOString(),
+    }));
+
+  if (pagination.mode === "cursor") {
+    return { users, nextCursor, hasMore };
+  }
+
+  const total = await Model.countDocuments(query);
+
+  return {
+    users,
+    currentPage: pagination.page,
+    totalPages: Math.ceil(total / limit),
+    total,
+    nextCursor,
+    hasMore,
+  };
+};
+
+/**
+ * @desc    Get users the current user has blocked
+ * @route   GET /api/users/me/blocked
+ * @access  Private
+ */
+const getBlockedUsers = async (req, res, next) => {
+  try {
+    const list = await getRelationList(req, res, Block, "blocker", "blocked");
+    if (!list) return;
+
+    const { users, ...pagination } = list;
+    res.json({ blocked: users, ...pagination });
+  } catch (error) {
+    logger.error(`Error fetching blocked users: ${error.message}`, {
+      userId: req.user?._id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get users the current user has muted
+ * @route   GET /api/users/me/muted
+ * @access  Private
+ */
+const getMutedUsers = async (req, res, next) => {
+  try {
+    const list = await getRelationList(req, res, Mute, "muter", "muted");
+    if (!list) return;
+
+    const { users, ...pagination } = list;
+    res.json({ muted: users, ...pagination });
+  } catch (error) {
+    logger.error(`Error fetching muted users: ${error.message}`, {
+      userId: req.user?._id,
+      error: error.message,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+// Top-level settings that are simple values, as opposed to the per-type
+// notification channels
+const SIMPLE_SETTINGS = [
+  "profileVisibility",
+  "showEmail",
+  "postLocationPrecision",
+  "locationPrecision",
+  "showOnLeaderboard",
+];
+
+/**
+ * @desc    Get the current user's notification and privacy settings
+ * @route   GET /api/users/me/settings
+ * @access  Private
+ */
+const getSettings = async (req, res, next) => {
+  try {
+    res.json({ settings: req.user.toObject().settings });
+  } catch (error) {
+    logger.error(`Error fetching settings: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update the current user's notification and privacy settings;
+ *          only the settings given are changed
+ * @route   PUT /api/users/me/settings
+ * @access  Private
+ */
+const updateSettings = async (req, res, next) => {
+  try {
+    const updates = {};
+
+    Object.entries(req.body.notifications || {}).forEach(([type, channels]) => {
+      Object.entries(channels).forEach(([channel, enabled]) => {
+        updates[`settings.notifications.${type}.${channel}`] = enabled;
+      });
+    });
+    SIMPLE_SETTINGS.forEach((key) => {
+      if (req.body[key] !== undefined) {
+        updates[`settings.${key}`] = req.body[key];
+      }
+    });
+
+    const user = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    logger.info(`Settings updated for user ${req.user._id}`, {
+      userId: req.user._id,
+      changed: Object.keys(updates),
+    });
+
+    res.json({
+      message: "Settings updated",
+      settings: user.toObject().settings,
+    });
+  } catch (error) {
+    logger.error(`Error updating settings: ${error.message}`, {
+      userId: req.user?._id,
+      stack: error.stack,
+    });
+    next(error);
+  }
+};
+
 module.exports = {
   getUserProfile,
   getUserPosts,
   getUserSavedPosts,
+  getUserImpactBreakdown,
   getLeaderboard,
   getLeaderboardStats,
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
+  getBlockedUsers,
+  getMutedUsers,
+  getSettings,
+  updateSettings,
 };
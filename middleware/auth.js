@@ -1,6 +1,13 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 const logger = require("../utils/logger");
+const { getActiveSession, touchSession } = require("../utils/sessionService");
+const { hasPermission } = require("../config/roles");
+const {
+  getSuspensionError,
+  isIssuedBeforePasswordChange,
+  verifyStreamTicket,
+} = require("../utils/authResponse");
 
 const protect = async (req, res, next) => {
   try {
@@ -26,6 +33,25 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Purpose-bound tokens (e.g. 2FA login challenges) aren't access tokens
+      if (decoded.purpose) {
+        return res.status(401).json({
+          message: "Not authorized to access this route",
+        });
+      }
+
+      // Reject tokens without a session, and tokens whose session has been
+      // logged out or revoked
+      const session = decoded.sid ? await getActiveSession(decoded.sid) : null;
+
+      if (!session) {
+        return res.status(401).json({
+          message: "Session has expired or been revoked",
+        });
+      }
+
+      await touchSession(session, req);
+
       // Attach user to request object
       req.user = await User.findById(decoded.id);
 
@@ -35,6 +61,21 @@ const protect = async (req, res, next) => {
         });
       }
 
+      // Changing or resetting the password ends tokens signed before it
+      if (isIssuedBeforePasswordChange(decoded, req.user)) {
+        return res.status(401).json({
+          message: "Session has expired or been revoked",
+        });
+      }
+
+      // Suspended and banned users can't use the API at all
+      const suspensionError = getSuspensionError(req.user);
+      if (suspensionError) {
+        return res.status(403).json(suspensionError);
+      }
+
+      req.sessionId = decoded.sid;
+
       next();
     } catch (error) {
       return res.status(401).json({
@@ -68,8 +109,26 @@ const optionalAuth = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-      // Attach user to request object
-      req.user = await User.findById(decoded.id);
+      // Treat challenge tokens, tokens without a session and tokens from
+      // revoked sessions as anonymous
+      if (
+        decoded.purpose ||
+        !decoded.sid ||
+        !(await getActiveSession(decoded.sid))
+      ) {
+        return next();
+      }
+
+      // Attach user to request object, treating suspended users as anonymous
+      const user = await User.findById(decoded.id);
+      if (
+        user &&
+        !getSuspensionError(user) &&
+        !isIssuedBeforePasswordChange(decoded, user)
+      ) {
+        req.user = user;
+        req.sessionId = decoded.sid;
+      }
     } catch (error) {
       // If token is invalid, continue without authentication
       logger.warn("Invalid token in optional auth", { error: error.message });
@@ -81,6 +140,55 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// EventSource can't send an Authorization header, so the event stream also
+// accepts a short-lived ticket from POST /api/realtime/ticket as ?ticket=
+const protectStream = async (req, res, next) => {
+  if (!req.query.ticket) {
+    return protect(req, res, next);
+  }
+
+  try {
+    const decoded = verifyStreamTicket(req.query.ticket);
+
+    if (!decoded) {
+      return res.status(401).json({
+        message: "Invalid or expired stream ticket",
+      });
+    }
+
+    if (!decoded.sid || !(await getActiveSession(decoded.sid))) {
+      return res.status(401).json({
+        message: "Session has expired or been revoked",
+      });
+    }
+
+    req.user = await User.findById(decoded.id);
+
+    if (!req.user) {
+      return res.status(401).json({
+        message: "User not found",
+      });
+    }
+
+    if (isIssuedBeforePasswordChange(decoded, req.user)) {
+      return res.status(401).json({
+        message: "Session has expired or been revoked",
+      });
+    }
+
+    const suspensionError = getSuspensionError(req.user);
+    if (suspensionError) {
+      return res.status(403).json(suspensionError);
+    }
+
+    req.sessionId = decoded.sid;
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 const validateRefreshToken = async (req, res, next) => {
   try {
     // Get refresh token from authorization header
@@ -108,6 +216,12 @@ const validateRefreshToken = async (req, res, next) => {
         process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
       );
 
+      if (decoded.purpose) {
+        return res.status(401).json({
+          message: "Invalid refresh token",
+        });
+      }
+
       // Attach user to request object
       req.user = await User.findById(decoded.id);
 
@@ -120,8 +234,14 @@ const validateRefreshToken = async (req, res, next) => {
         });
       }
 
-      // Attach token info to request for potential token rotation
+      const suspensionError = getSuspensionError(req.user);
+      if (suspensionError) {
+        return res.status(403).json(suspensionError);
+      }
+
+      // Attach token info to request for token rotation
       req.refreshToken = token;
+      req.refreshTokenPayload = decoded;
 
       next();
     } catch (error) {
@@ -135,4 +255,70 @@ const validateRefreshToken = async (req, res, next) => {
   }
 };
 
-module.exports = { protect, optionalAuth, validateRefreshToken };
+// Actions that unverified users can't perform, e.g. "post,comment"
+const getVerificationRestrictedActions = () =>
+  (process.env.EMAIL_VERIFICATION_REQUIRED_FOR ?? "post,comment")
+    .split(",")
+    .map((action) => action.trim())
+    .filter(Boolean);
+
+/**
+ * Block an action for users who haven't verified their email yet, if that
+ * action is listed in EMAIL_VERIFICATION_REQUIRED_FOR. Use after protect.
+ * @param {string} action - Action name (e.g. "post", "comment", "like", "follow", "upload")
+ */
+const requireVerifiedEmail = (action) => (req, res, next) => {
+  if (
+    req.user &&
+    req.user.emailVerified === false &&
+    getVerificationRestrictedActions().includes(action)
+  ) {
+    return res.status(403).json({
+      message: "Please verify your email address to do this",
+      code: "EMAIL_NOT_VERIFIED",
+    });
+  }
+
+  next();
+};
+
+/**
+ * Only allow users with one of the given roles. Use after protect.
+ * @param {...string} roles - Allowed roles (e.g. "moderator", "admin")
+ */
+const authorize =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        message: "You don't have permission to do this",
+      });
+    }
+
+    next();
+  };
+
+/**
+ * Only allow users whose role has a permission from config/roles.js. Use
+ * after protect.
+ * @param {string} permission - Permission name (e.g. "audit:read")
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.user || !hasPermission(req.user.role, permission)) {
+    return res.status(403).json({
+      message: "You don't have permission to do this",
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  protect,
+  optionalAuth,
+  protectStream,
+  validateRefreshToken,
+  requireVerifiedEmail,
+  authorize,
+  requirePermission,
+};
@@ -1,4 +1,19 @@
 const { body, query, validationResult } = require("express-validator");
+const { ROLES } = require("../config/roles");
+const { REPORT_REASONS, RESOLUTION_ACTIONS } = require("../config/moderation");
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  PUSH_PLATFORMS,
+} = require("../config/notifications");
+const { LOCATION_PRECISIONS } = require("../config/location");
+const { isValidPushToken } = require("../utils/push");
+const { PLANTING_STATUSES } = require("../config/plantings");
+const {
+  MIN_CARE_INTERVAL_DAYS,
+  MAX_CARE_INTERVAL_DAYS,
+  MAX_SNOOZE_HOURS,
+} = require("../config/care");
 
 // Validation middleware to check for errors
 const validateRequest = (req, res, next) => {
@@ -9,6 +24,17 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+// Optional name an app gives the device it signs in from, shown in the
+// session list
+const deviceNameRule = () =>
+  body("deviceName")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("Device name must be text")
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Device name cannot be more than 100 characters");
+
 // User registration validation rules
 const registerValidation = [
   body("name").trim().notEmpty().withMessage("Name is required"),
@@ -24,6 +50,7 @@ const registerValidation = [
     .withMessage("Password is required")
     .isLength({ min: 6 })
     .withMessage("Password must be at least 6 characters long"),
+  deviceNameRule(),
   validateRequest,
 ];
 
@@ -36,6 +63,101 @@ const loginValidation = [
     .isEmail()
     .withMessage("Please enter a valid email"),
   body("password").trim().notEmpty().withMessage("Password is required"),
+  deviceNameRule(),
+  validateRequest,
+];
+
+// Forgot password validation rules
+const forgotPasswordValidation = [
+  body("email")
+    .trim()
+    .notEmpty()
+    .withMessage("Email is required")
+    .isEmail()
+    .withMessage("Please enter a valid email"),
+  validateRequest,
+];
+
+// Reset password validation rules
+const resetPasswordValidation = [
+  body("token").trim().notEmpty().withMessage("Reset token is required"),
+  body("password")
+    .trim()
+    .notEmpty()
+    .withMessage("Password is required")
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters long"),
+  validateRequest,
+];
+
+// Change password validation rules
+const changePasswordValidation = [
+  body("currentPassword")
+    .trim()
+    .notEmpty()
+    .withMessage("Current password is required"),
+  body("newPassword")
+    .trim()
+    .notEmpty()
+    .withMessage("New password is required")
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters long"),
+  validateRequest,
+];
+
+// Change email validation rules
+const changeEmailValidation = [
+  body("newEmail")
+    .trim()
+    .notEmpty()
+    .withMessage("New email is required")
+    .isEmail()
+    .withMessage("Please enter a valid email"),
+  body("password").trim().notEmpty().withMessage("Password is required"),
+  validateRequest,
+];
+
+// Two-factor login validation rules
+const twoFactorLoginValidation = [
+  body("challengeToken")
+    .trim()
+    .notEmpty()
+    .withMessage("Challenge token is required"),
+  body("code").trim().notEmpty().withMessage("Two-factor code is required"),
+  deviceNameRule(),
+  validateRequest,
+];
+
+// OAuth callback validation rules, for the session it may start
+const oauthCallbackValidation = [deviceNameRule(), validateRequest];
+
+// OAuth link confirmation validation rules
+const oauthLinkValidation = [
+  body("linkToken")
+    .isString()
+    .withMessage("Link token is required")
+    .trim()
+    .notEmpty()
+    .withMessage("Link token is required"),
+  validateRequest,
+];
+
+// Two-factor setup validation rules
+const twoFactorSetupValidation = [
+  body("password").trim().notEmpty().withMessage("Password is required"),
+  validateRequest,
+];
+
+// Two-factor code validation rules (verify, regenerate recovery codes)
+const twoFactorCodeValidation = [
+  body("code").trim().notEmpty().withMessage("Two-factor code is required"),
+  validateRequest,
+];
+
+// Two-factor disable validation rules
+const twoFactorDisableValidation = [
+  body("password").trim().notEmpty().withMessage("Password is required"),
+  body("code").trim().notEmpty().withMessage("Two-factor code is required"),
   validateRequest,
 ];
 
@@ -88,10 +210,304 @@ const commentValidation = [
   validateRequest,
 ];
 
+// Optional reason a moderator or admin gives for an action, stored in the
+// audit log
+const auditReasonRule = () =>
+  body("reason")
+    .optional({ values: "null" })
+    .isString()
+    .withMessage("Reason must be text")
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot be more than 500 characters");
+
+// Audited actions that take nothing but a reason, e.g. a moderator deleting
+// someone else's post
+const auditReasonValidation = [auditReasonRule(), validateRequest];
+
+// Admin: user search validation rules
+const listUsersValidation = [
+  query("q").optional().isString().withMessage("Search must be text"),
+  query("role")
+    .optional()
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(", ")}`),
+  query("status")
+    .optional()
+    .isIn(["active", "suspended", "banned"])
+    .withMessage("Status must be one of: active, suspended, banned"),
+  validateRequest,
+];
+
+// Admin: change role validation rules
+const roleValidation = [
+  body("role")
+    .isIn(ROLES)
+    .withMessage(`Role must be one of: ${ROLES.join(", ")}`),
+  auditReasonRule(),
+  validateRequest,
+];
+
+// Admin: suspend or ban validation rules
+const suspensionValidation = [
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("Reason is required")
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot be more than 500 characters"),
+  body("expiresAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Expiry must be a valid date"),
+  validateRequest,
+];
+
+// Admin: reset plant count validation rules
+const resetPlantsValidation = [
+  body("numberOfPlants")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Number of plants must be a non-negative integer"),
+  auditReasonRule(),
+  validateRequest,
+];
+
+// Report a post or comment validation rules
+const reportValidation = [
+  body("reason")
+    .isIn(REPORT_REASONS)
+    .withMessage(`Reason must be one of: ${REPORT_REASONS.join(", ")}`),
+  body("details")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Details cannot be more than 500 characters"),
+  validateRequest,
+];
+
+// Moderation: resolve case validation rules
+const resolveCaseValidation = [
+  body("action")
+    .isIn(RESOLUTION_ACTIONS)
+    .withMessage(`Action must be one of: ${RESOLUTION_ACTIONS.join(", ")}`),
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot be more than 500 characters"),
+  validateRequest,
+];
+
+// Push device registration validation rules
+const pushDeviceValidation = [
+  body("platform")
+    .isIn(Object.keys(PUSH_PLATFORMS))
+    .withMessage(
+      `Platform must be one of: ${Object.keys(PUSH_PLATFORMS).join(", ")}`
+    ),
+  body("token")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Token is required")
+    .isLength({ max: 4096 })
+    .withMessage("Token is too long"),
+  // Web Push subscriptions are an endpoint URL on a known push service plus
+  // encryption keys; FCM and APNs tokens have fixed character sets
+  body("token")
+    .custom((token, { req }) => isValidPushToken(req.body.platform, token))
+    .withMessage(
+      "Token must be an FCM or APNs device token, or a Web Push endpoint on a known push service"
+    ),
+  body(["keys.p256dh", "keys.auth"])
+    .if(body("platform").equals("web"))
+    .isString()
+    .notEmpty()
+    .withMessage("Web Push subscriptions need keys.p256dh and keys.auth"),
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Device name cannot be more than 100 characters"),
+  validateRequest,
+];
+
+// Push notification preferences validation rules
+const pushPreferencesValidation = [
+  body()
+    .custom((value) => {
+      const entries = Object.entries(value || {});
+      return (
+        entries.length > 0 &&
+        entries.every(
+          ([type, enabled]) =>
+            NOTIFICATION_TYPES.includes(type) && typeof enabled === "boolean"
+        )
+      );
+    })
+    .withMessage(
+      `Preferences must map notification types (${NOTIFICATION_TYPES.join(
+        ", "
+      )}) to true or false`
+    ),
+  validateRequest,
+];
+
+// Helper to check a value is a plain object (not null or an array)
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+// User settings validation rules; every field is optional
+const settingsValidation = [
+  body("notifications")
+    .optional()
+    .custom(
+      (value) =>
+        isPlainObject(value) &&
+        Object.entries(value).every(
+          ([type, channels]) =>
+            NOTIFICATION_TYPES.includes(type) &&
+            isPlainObject(channels) &&
+            Object.entries(channels).every(
+              ([channel, enabled]) =>
+                NOTIFICATION_CHANNELS.includes(channel) &&
+                typeof enabled === "boolean"
+            )
+        )
+    )
+    .withMessage(
+      `Notifications must map notification types (${NOTIFICATION_TYPES.join(
+        ", "
+      )}) to channels (${NOTIFICATION_CHANNELS.join(
+        ", "
+      )}) set to true or false`
+    ),
+  body("profileVisibility")
+    .optional()
+    .isIn(["public", "followers"])
+    .withMessage("Profile visibility must be public or followers"),
+  body(["postLocationPrecision", "locationPrecision"])
+    .optional()
+    .isIn(LOCATION_PRECISIONS)
+    .withMessage(
+      `Location precision must be one of: ${LOCATION_PRECISIONS.join(", ")}`
+    ),
+  body(["showEmail", "showOnLeaderboard"])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("Must be true or false"),
+  validateRequest,
+];
+
+// Planting create/update validation rules; species and plant type are
+// matched against the catalog by the controller
+const plantingValidation = [
+  body("name")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Name cannot be more than 100 characters"),
+  body("status")
+    .optional()
+    .isIn(PLANTING_STATUSES)
+    .withMessage(`Status must be one of: ${PLANTING_STATUSES.join(", ")}`),
+  body("locationPrecision")
+    .optional({ values: "null" })
+    .isIn(LOCATION_PRECISIONS)
+    .withMessage(
+      `Location precision must be one of: ${LOCATION_PRECISIONS.join(", ")}`
+    ),
+  body("location")
+    .optional({ values: "null" })
+    .custom(
+      (value) =>
+        isPlainObject(value) &&
+        Array.isArray(value.coordinates) &&
+        value.coordinates.length === 2 &&
+        value.coordinates.every((n) => typeof n === "number") &&
+        Math.abs(value.coordinates[0]) <= 180 &&
+        Math.abs(value.coordinates[1]) <= 90 &&
+        (value.address === undefined || typeof value.address === "string")
+    )
+    .withMessage(
+      "Location must have coordinates [longitude, latitude] and an optional address"
+    ),
+  validateRequest,
+];
+
+// Care task list validation rules
+const careTasksValidation = [
+  query("due")
+    .optional()
+    .isIn(["today", "overdue", "all"])
+    .withMessage("Due must be one of: today, overdue, all"),
+  query("planting")
+    .optional()
+    .isMongoId()
+    .withMessage("Planting must be a valid ID"),
+  validateRequest,
+];
+
+// Care task snooze validation rules: snooze for a number of hours, or until
+// a time
+const snoozeValidation = [
+  body("hours")
+    .optional()
+    .isInt({ min: 1, max: MAX_SNOOZE_HOURS })
+    .withMessage(`Hours must be between 1 and ${MAX_SNOOZE_HOURS}`),
+  body("until")
+    .optional()
+    .isISO8601()
+    .withMessage("Until must be a date and time"),
+  validateRequest,
+];
+
+// Care schedule update validation rules; an intervalDays of null goes back
+// to the species default
+const careScheduleValidation = [
+  body("intervalDays")
+    .optional({ values: "null" })
+    .isInt({ min: MIN_CARE_INTERVAL_DAYS, max: MAX_CARE_INTERVAL_DAYS })
+    .withMessage(
+      `Interval must be between ${MIN_CARE_INTERVAL_DAYS} and ${MAX_CARE_INTERVAL_DAYS} days`
+    ),
+  body("enabled")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("Enabled must be true or false"),
+  validateRequest,
+];
+
 module.exports = {
   registerValidation,
   loginValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  changePasswordValidation,
+  changeEmailValidation,
+  twoFactorLoginValidation,
+  twoFactorSetupValidation,
+  twoFactorCodeValidation,
+  twoFactorDisableValidation,
+  oauthCallbackValidation,
+  oauthLinkValidation,
   postValidation,
   nearbyPostsValidation,
   commentValidation,
+  auditReasonValidation,
+  listUsersValidation,
+  roleValidation,
+  suspensionValidation,
+  resetPlantsValidation,
+  reportValidation,
+  resolveCaseValidation,
+  pushDeviceValidation,
+  pushPreferencesValidation,
+  settingsValidation,
+  plantingValidation,
+  careTasksValidation,
+  snoozeValidation,
+  careScheduleValidation,
 };
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+/**
+ * A record of a privileged action, e.g. a moderator removing someone else's
+ * post. Entries are written before the action is carried out, and only
+ * updated to add its outcome; the app never deletes them.
+ */
+const AuditLogSchema = new mongoose.Schema(
+  {
+    // Who did it
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    actorRole: {
+      type: String,
+      required: true,
+    },
+    // What was done, e.g. "post.delete" or "comment.update"
+    action: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // What it was done to
+    targetType: {
+      type: String,
+      required: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Owner of the target, so a user's moderation history can be listed
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reason cannot be more than 500 characters"],
+      default: "",
+    },
+    // Action specific details, e.g. the text before an edit
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+// Index for listing the most recent entries
+AuditLogSchema.index({ createdAt: -1, _id: -1 });
+AuditLogSchema.index({ targetType: 1, targetId: 1 });
+
+const AuditLog = mongoose.model("AuditLog", AuditLogSchema);
+
+module.exports = AuditLog;
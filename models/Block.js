@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+const BlockSchema = new mongoose.Schema(
+  {
+    // The user who blocks
+    blocker: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // The user being blocked
+    blocked: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// A user can only block another user once
+BlockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+
+// Indexes for the blocked list and for finding who blocked a user
+BlockSchema.index({ blocker: 1, createdAt: -1, _id: -1 });
+BlockSchema.index({ blocked: 1 });
+
+const Block = mongoose.model("Block", BlockSchema);
+
+module.exports = Block;
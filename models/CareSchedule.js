@@ -0,0 +1,111 @@
+const mongoose = require("mongoose");
+const {
+  CARE_TASK_TYPES,
+  MIN_CARE_INTERVAL_DAYS,
+  MAX_CARE_INTERVAL_DAYS,
+} = require("../config/care");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CareSchedule:
+ *       type: object
+ *       description: >
+ *         A recurring care rule for a planting: the task comes due every
+ *         intervalDays, counted from when it was last done
+ *       properties:
+ *         id:
+ *           type: string
+ *         plantingId:
+ *           type: string
+ *         taskType:
+ *           type: string
+ *           enum: [water, fertilize, prune]
+ *         intervalDays:
+ *           type: integer
+ *         custom:
+ *           type: boolean
+ *           description: >
+ *             Whether the interval was set by the user; otherwise it follows
+ *             the species (or growth form) default
+ *         enabled:
+ *           type: boolean
+ *         suspended:
+ *           type: boolean
+ *           description: Paused because the planting is dead or removed
+ *         nextDueAt:
+ *           type: string
+ *           format: date-time
+ *         lastCompletedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+const CareScheduleSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    planting: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Planting",
+      required: true,
+    },
+    taskType: {
+      type: String,
+      enum: CARE_TASK_TYPES,
+      required: true,
+    },
+    intervalDays: {
+      type: Number,
+      required: true,
+      min: MIN_CARE_INTERVAL_DAYS,
+      max: MAX_CARE_INTERVAL_DAYS,
+    },
+    // Set by the user rather than taken from the species defaults, so it is
+    // kept when the planting's species changes
+    custom: {
+      type: Boolean,
+      default: false,
+    },
+    // Turned off by the user
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    // Paused while the planting is dead or removed
+    suspended: {
+      type: Boolean,
+      default: false,
+    },
+    nextDueAt: {
+      type: Date,
+      required: true,
+    },
+    lastCompletedAt: {
+      type: Date,
+      default: null,
+    },
+    // The task made for the current due date, until it is done
+    pendingTask: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CareTask",
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// One schedule per kind of care for each planting
+CareScheduleSchema.index({ planting: 1, taskType: 1 }, { unique: true });
+
+// Index for finding schedules that need a task made
+CareScheduleSchema.index({ pendingTask: 1, nextDueAt: 1 });
+CareScheduleSchema.index({ user: 1, nextDueAt: 1 });
+
+const CareSchedule = mongoose.model("CareSchedule", CareScheduleSchema);
+
+module.exports = CareSchedule;
@@ -0,0 +1,112 @@
+const mongoose = require("mongoose");
+const { CARE_TASK_TYPES } = require("../config/care");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CareTask:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         taskType:
+ *           type: string
+ *           enum: [water, fertilize, prune]
+ *         status:
+ *           type: string
+ *           enum: [pending, done]
+ *         plantingId:
+ *           type: string
+ *         plantingName:
+ *           type: string
+ *           description: The planting's name, or its plant type
+ *         scheduleId:
+ *           type: string
+ *         dueAt:
+ *           type: string
+ *           format: date-time
+ *         remindAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the task is due, or the end of its snooze
+ *         snoozed:
+ *           type: boolean
+ *         overdue:
+ *           type: boolean
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * One due occurrence of a care schedule. Each schedule has at most one
+ * pending task; completing it sets when the next one is due.
+ */
+const CareTaskSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    planting: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Planting",
+      required: true,
+    },
+    schedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CareSchedule",
+      required: true,
+    },
+    taskType: {
+      type: String,
+      enum: CARE_TASK_TYPES,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "done"],
+      default: "pending",
+    },
+    // When the schedule said it was due
+    dueAt: {
+      type: Date,
+      required: true,
+    },
+    // When to show and remind about it: dueAt, or later once snoozed
+    remindAt: {
+      type: Date,
+      required: true,
+    },
+    snoozeCount: {
+      type: Number,
+      default: 0,
+    },
+    // Set once a reminder was sent for the current remindAt
+    notifiedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// At most one pending task per schedule, even with several job runners
+CareTaskSchema.index(
+  { schedule: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+// Indexes for listing a user's due tasks and finding reminders to send
+CareTaskSchema.index({ user: 1, status: 1, remindAt: 1 });
+CareTaskSchema.index({ status: 1, notifiedAt: 1, remindAt: 1 });
+
+const CareTask = mongoose.model("CareTask", CareTaskSchema);
+
+module.exports = CareTask;
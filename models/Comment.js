@@ -31,10 +31,23 @@ const CommentSchema = new mongoose.Schema(
       ref: "Comment",
       default: null,
     },
+    // Hidden by moderation: left out of comment lists and counts
+    hidden: {
+      type: Boolean,
+      default: false,
+    },
+    hiddenAt: {
+      type: Date,
+      default: null,
+    },
   },
   { timestamps: true }
 );
 
+// Indexes for cursor pagination of comments and replies on createdAt + _id
+CommentSchema.index({ post: 1, parentComment: 1, createdAt: -1, _id: -1 });
+CommentSchema.index({ parentComment: 1, createdAt: 1, _id: 1 });
+
 // Virtual for likes count
 CommentSchema.virtual("likesCount").get(function () {
   return this.likes.length;
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+const { PUSH_PLATFORMS } = require("../config/notifications");
+
+/**
+ * A device or browser registered for push notifications. For Web Push the
+ * token is the subscription endpoint and `keys` holds its encryption keys;
+ * for FCM and APNs it is the device token.
+ */
+const DeviceTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    platform: {
+      type: String,
+      enum: Object.keys(PUSH_PLATFORMS),
+      required: true,
+    },
+    token: {
+      type: String,
+      required: true,
+    },
+    keys: {
+      p256dh: {
+        type: String,
+      },
+      auth: {
+        type: String,
+      },
+    },
+    // Shown in the device list, e.g. "Pixel 8" or "Firefox on Windows"
+    name: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+// A token belongs to whoever registered it last
+DeviceTokenSchema.index({ token: 1 }, { unique: true });
+DeviceTokenSchema.index({ user: 1, createdAt: -1 });
+
+const DeviceToken = mongoose.model("DeviceToken", DeviceTokenSchema);
+
+module.exports = DeviceToken;
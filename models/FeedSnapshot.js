@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// How long a ranked feed stays available for paging before the client must refresh
+const FEED_SNAPSHOT_TTL_SECONDS = 60 * 60; // 1 hour
+
+const FeedSnapshotSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Ranked post IDs, frozen when the feed is first requested so that
+    // paging through it never repeats or skips a post
+    items: [
+      {
+        _id: false,
+        post: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Post",
+          required: true,
+        },
+        score: {
+          type: Number,
+          required: true,
+        },
+        sources: [
+          {
+            type: String,
+            enum: ["following", "nearby", "trending", "own"],
+          },
+        ],
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB remove stale snapshots automatically
+FeedSnapshotSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: FEED_SNAPSHOT_TTL_SECONDS }
+);
+
+const FeedSnapshot = mongoose.model("FeedSnapshot", FeedSnapshotSchema);
+
+module.exports = FeedSnapshot;
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+const FollowSchema = new mongoose.Schema(
+  {
+    // The user who follows
+    follower: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // The user being followed
+    following: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// A user can only follow another user once
+FollowSchema.index({ follower: 1, following: 1 }, { unique: true });
+
+// Indexes for follower/following lists sorted by most recent
+FollowSchema.index({ following: 1, createdAt: -1 });
+FollowSchema.index({ follower: 1, createdAt: -1 });
+
+const Follow = mongoose.model("Follow", FollowSchema);
+
+module.exports = Follow;
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// CO2 a user's plantings have taken up, worked out by the impact job so that
+// leaderboards don't estimate every planting on each request
+const ImpactTotalSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    plants: {
+      type: Number,
+      default: 0,
+    },
+    // kg of CO2, all time and during the last week and month
+    co2Kg: {
+      type: Number,
+      default: 0,
+    },
+    co2KgWeek: {
+      type: Number,
+      default: 0,
+    },
+    co2KgMonth: {
+      type: Number,
+      default: 0,
+    },
+    computedAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+ImpactTotalSchema.index({ co2Kg: -1 });
+ImpactTotalSchema.index({ co2KgWeek: -1 });
+ImpactTotalSchema.index({ co2KgMonth: -1 });
+
+const ImpactTotal = mongoose.model("ImpactTotal", ImpactTotalSchema);
+
+module.exports = ImpactTotal;
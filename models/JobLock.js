@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+/**
+ * Lease on a background job, so that when several server processes run the
+ * job runner each run happens once, in one of them
+ */
+const JobLockSchema = new mongoose.Schema(
+  {
+    // Job name
+    _id: {
+      type: String,
+    },
+    // The process running the job holds the lease until then; a crashed
+    // run is taken over once it expires
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    lockedBy: {
+      type: String,
+      default: null,
+    },
+    // When any process should run the job next
+    nextRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastRunAt: {
+      type: Date,
+      default: null,
+    },
+    lastDurationMs: {
+      type: Number,
+      default: null,
+    },
+    lastError: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+const JobLock = mongoose.model("JobLock", JobLockSchema);
+
+module.exports = JobLock;
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+/**
+ * Failed login attempts for one account (by email) or one IP address, used
+ * to slow down and lock out password guessing.
+ */
+const LoginAttemptSchema = new mongoose.Schema(
+  {
+    // "account:<email>" or "ip:<address>"
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      enum: ["account", "ip"],
+      required: true,
+    },
+    // Failures in the current window
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureAt: {
+      type: Date,
+      default: null,
+    },
+    // Progressive delay: no attempts are checked before this time
+    nextAttemptAt: {
+      type: Date,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+    // Number of lockouts so far; each one lasts longer than the last
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Forget about attempts once they are old enough
+LoginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginAttempt = mongoose.model("LoginAttempt", LoginAttemptSchema);
+
+module.exports = LoginAttempt;
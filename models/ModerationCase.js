@@ -0,0 +1,103 @@
+const mongoose = require("mongoose");
+const {
+  REPORT_TARGET_TYPES,
+  RESOLUTION_ACTIONS,
+} = require("../config/moderation");
+
+/**
+ * The moderation queue entry for one reported post or comment. There is a
+ * single case per piece of content: new reports after a case was resolved
+ * reopen it.
+ */
+const ModerationCaseSchema = new mongoose.Schema(
+  {
+    targetType: {
+      type: String,
+      enum: REPORT_TARGET_TYPES,
+      required: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Author of the reported content
+    targetUser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // Post the content belongs to (the post itself for post reports)
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["open", "claimed", "resolved"],
+      default: "open",
+    },
+    // Reports ever made about the content
+    reportCount: {
+      type: Number,
+      default: 0,
+    },
+    // Reports since the case was last resolved; drives auto-hiding
+    pendingReportCount: {
+      type: Number,
+      default: 0,
+    },
+    // Number of reports per reason, e.g. { spam: 3, harassment: 1 }
+    reasonCounts: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    lastReportedAt: {
+      type: Date,
+    },
+    // Whether the content was hidden because it crossed the report threshold
+    autoHidden: {
+      type: Boolean,
+      default: false,
+    },
+    claimedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    claimedAt: {
+      type: Date,
+      default: null,
+    },
+    // Outcome of the latest review
+    resolution: {
+      action: {
+        type: String,
+        enum: RESOLUTION_ACTIONS,
+      },
+      reason: {
+        type: String,
+        trim: true,
+      },
+      resolvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      resolvedAt: {
+        type: Date,
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+ModerationCaseSchema.index({ targetType: 1, targetId: 1 }, { unique: true });
+
+// Index for working through the queue by status, oldest case first
+ModerationCaseSchema.index({ status: 1, createdAt: 1, _id: 1 });
+
+const ModerationCase = mongoose.model("ModerationCase", ModerationCaseSchema);
+
+module.exports = ModerationCase;
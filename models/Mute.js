@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+const MuteSchema = new mongoose.Schema(
+  {
+    // The user who mutes
+    muter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // The user being muted
+    muted: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// A user can only mute another user once
+MuteSchema.index({ muter: 1, muted: 1 }, { unique: true });
+
+// Index for the muted list sorted by most recent
+MuteSchema.index({ muter: 1, createdAt: -1, _id: -1 });
+
+const Mute = mongoose.model("Mute", MuteSchema);
+
+module.exports = Mute;
@@ -0,0 +1,92 @@
+const mongoose = require("mongoose");
+const { NOTIFICATION_TYPES } = require("../config/notifications");
+
+/**
+ * An in-app notification. Similar events are grouped: all likes on a post
+ * while the notification is unread become one notification with several
+ * actors ("Ana and 4 others liked your post"). Reminders have no actors; an
+ * unread reminder is replaced by the next one of its type.
+ */
+const NotificationSchema = new mongoose.Schema(
+  {
+    // The user being notified
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: NOTIFICATION_TYPES,
+      required: true,
+    },
+    // Events with the same key are grouped, e.g. "post_like:<postId>"
+    groupKey: {
+      type: String,
+      required: true,
+    },
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      default: null,
+    },
+    // The comment liked, or the latest comment or reply made
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    // Text of reminders (REMINDER_TYPES), which have no actors to build it
+    // from
+    message: {
+      type: String,
+      default: null,
+    },
+    // Users who caused the event, most recent first
+    actors: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        at: {
+          type: Date,
+        },
+      },
+    ],
+    // Number of actors; only the latest few are loaded when listing
+    actorCount: {
+      type: Number,
+      default: 0,
+    },
+    read: {
+      type: Boolean,
+      default: false,
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+    // When the latest actor joined; notifications are listed by this
+    lastActivityAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// One unread notification per group, so new events join it
+NotificationSchema.index(
+  { recipient: 1, groupKey: 1 },
+  { unique: true, partialFilterExpression: { read: false } }
+);
+
+// Indexes for listing notifications and counting unread ones
+NotificationSchema.index({ recipient: 1, lastActivityAt: -1, _id: -1 });
+NotificationSchema.index({ recipient: 1, read: 1 });
+
+const Notification = mongoose.model("Notification", NotificationSchema);
+
+module.exports = Notification;
@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+// Requests still waiting for the provider need their PKCE and nonce values
+function isAuthorizationRequest() {
+  return !this.identity?.providerUserId;
+}
+
+/**
+ * A pending OAuth authorization request, created when the user is sent to
+ * the identity provider and consumed once when they come back. Links also
+ * wait here, with the provider account, until the linking user confirms
+ * them.
+ */
+const OAuthStateSchema = new mongoose.Schema(
+  {
+    // SHA-256 hash of the `state` parameter sent to the provider, or of the
+    // link token once a link waits for confirmation
+    stateHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: true,
+    },
+    // PKCE code verifier, needed to redeem the authorization code
+    codeVerifier: {
+      type: String,
+      required: isAuthorizationRequest,
+    },
+    nonce: {
+      type: String,
+      required: isAuthorizationRequest,
+    },
+    // Set when an existing user is linking a provider instead of logging in
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // The provider account signed in to for a link, set once the provider
+    // redirects back and the link waits for the user's confirmation
+    identity: {
+      providerUserId: String,
+      email: String,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Remove abandoned sign-in attempts
+OAuthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OAuthState = mongoose.model("OAuthState", OAuthStateSchema);
+
+module.exports = OAuthState;
@@ -0,0 +1,148 @@
+const mongoose = require("mongoose");
+const { GROWTH_FORMS } = require("../config/species");
+const { CARE_TASK_TYPES } = require("../config/care");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PlantSpecies:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         scientificName:
+ *           type: string
+ *           example: Quercus robur
+ *         commonName:
+ *           type: string
+ *           description: Common name in the requested language, or English
+ *           example: English oak
+ *         commonNames:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               language:
+ *                 type: string
+ *                 description: ISO 639-1 language code
+ *         family:
+ *           type: string
+ *           example: Fagaceae
+ *         growthForm:
+ *           type: string
+ *           enum: [tree, shrub, herb, grass, vine, succulent, fern]
+ *         nativeRange:
+ *           type: array
+ *           items:
+ *             type: string
+ *         co2UptakeKgPerYear:
+ *           type: number
+ *           description: Typical CO2 taken up by a mature plant in a year, in kg
+ *         careIntervals:
+ *           type: object
+ *           description: >
+ *             Days between care tasks for plantings of the species; tasks
+ *             left out use the growth form's defaults
+ *           properties:
+ *             water:
+ *               type: integer
+ *             fertilize:
+ *               type: integer
+ *             prune:
+ *               type: integer
+ */
+
+// Helper to turn a name into the form used for search and matching:
+// lower case, without accents or punctuation
+const normalizeName = (value) =>
+  String(value || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+const PlantSpeciesSchema = new mongoose.Schema(
+  {
+    scientificName: {
+      type: String,
+      required: [true, "Scientific name is required"],
+      trim: true,
+    },
+    commonNames: [
+      {
+        _id: false,
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+        },
+        // ISO 639-1 code, e.g. "en" or "es"
+        language: {
+          type: String,
+          required: true,
+          lowercase: true,
+          trim: true,
+        },
+      },
+    ],
+    family: {
+      type: String,
+      trim: true,
+      default: "",
+    },
+    growthForm: {
+      type: String,
+      enum: GROWTH_FORMS,
+      required: [true, "Growth form is required"],
+    },
+    // Regions the species is native to, e.g. "Europe" or "Eastern Asia"
+    nativeRange: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    // Typical CO2 taken up by a mature plant in a year, in kg
+    co2UptakeKgPerYear: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Days between care tasks, where the species differs from its growth
+    // form's defaults
+    careIntervals: Object.fromEntries(
+      CARE_TASK_TYPES.map((type) => [type, { type: Number, min: 1 }])
+    ),
+    // Normalized scientific and common names, kept up to date on save
+    searchNames: {
+      type: [String],
+      select: false,
+    },
+  },
+  { timestamps: true }
+);
+
+PlantSpeciesSchema.pre("validate", function (next) {
+  this.searchNames = [
+    ...new Set(
+      [this.scientificName, ...this.commonNames.map((entry) => entry.name)]
+        .map(normalizeName)
+        .filter(Boolean)
+    ),
+  ];
+  next();
+});
+
+PlantSpeciesSchema.index({ scientificName: 1 }, { unique: true });
+PlantSpeciesSchema.index({ searchNames: 1 });
+PlantSpeciesSchema.index({ growthForm: 1, scientificName: 1 });
+
+PlantSpeciesSchema.statics.normalizeName = normalizeName;
+
+const PlantSpecies = mongoose.model("PlantSpecies", PlantSpeciesSchema);
+
+module.exports = PlantSpecies;
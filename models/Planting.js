@@ -0,0 +1,160 @@
+const mongoose = require("mongoose");
+const { LOCATION_PRECISIONS } = require("../config/location");
+const { PLANTING_STATUSES } = require("../config/plantings");
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Planting:
+ *       type: object
+ *       description: >
+ *         A plant in the ground. Posts attached to it are its progress
+ *         updates; impact and plant counts are based on plantings.
+ *       properties:
+ *         id:
+ *           type: string
+ *         userId:
+ *           type: string
+ *         userName:
+ *           type: string
+ *         name:
+ *           type: string
+ *           description: Optional nickname, e.g. "Backyard oak"
+ *         plantType:
+ *           type: string
+ *           description: >
+ *             The species' English name when a species is set, free text
+ *             otherwise
+ *         speciesId:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [seedling, growing, mature, dead, removed]
+ *         statusChangedAt:
+ *           type: string
+ *           format: date-time
+ *         plantedAt:
+ *           type: string
+ *           format: date-time
+ *         ageAtPlantingYears:
+ *           type: number
+ *         endedAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the plant died or was removed
+ *         location:
+ *           type: object
+ *           description: >
+ *             Shown like post locations: left out when hidden, rounded to the
+ *             planting's precision for other users
+ *           properties:
+ *             coordinates:
+ *               type: array
+ *               items:
+ *                 type: number
+ *             address:
+ *               type: string
+ *             precision:
+ *               type: string
+ *               enum: [exact, 100m, 1km, city]
+ *         updates:
+ *           type: integer
+ *           description: Posts attached to the planting
+ *         coverImageUrl:
+ *           type: string
+ *           description: Image of the latest post
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+// GeoJSON point, only stored when the planting has a location
+const PointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      default: "Point",
+    },
+    coordinates: {
+      type: [Number], // [longitude, latitude]
+      required: true,
+    },
+    address: {
+      type: String,
+      default: "",
+    },
+  },
+  { _id: false }
+);
+
+const PlantingSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [100, "Name cannot be more than 100 characters"],
+    },
+    plantType: {
+      type: String,
+      required: [true, "Plant type is required"],
+    },
+    // Catalog species; plantings of plants it doesn't have only have the
+    // free-text plantType
+    species: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PlantSpecies",
+    },
+    // When the plant went into the ground and how old it was then, for
+    // estimating the CO2 it has taken up
+    plantedAt: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    ageAtPlantingYears: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    location: {
+      type: PointSchema,
+      default: undefined,
+    },
+    // How precisely other users see the location; when unset, the owner's
+    // settings.postLocationPrecision applies
+    locationPrecision: {
+      type: String,
+      enum: LOCATION_PRECISIONS,
+    },
+    status: {
+      type: String,
+      enum: PLANTING_STATUSES,
+      default: "growing",
+    },
+    statusChangedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Set while the status is dead or removed
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+PlantingSchema.index({ user: 1, createdAt: -1, _id: -1 });
+PlantingSchema.index({ createdAt: -1 });
+PlantingSchema.index({ location: "2dsphere" });
+
+const Planting = mongoose.model("Planting", PlantingSchema);
+
+module.exports = Planting;
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { LOCATION_PRECISIONS } = require("../config/location");
 
 /**
  * @swagger
@@ -21,7 +22,15 @@ const mongoose = require("mongoose");
  *           description: Caption for the post
  *         plantType:
  *           type: string
- *           description: Type of plant in the post
+ *           description: >
+ *             Type of plant in the post; the species' English name when a
+ *             species is set, free text otherwise
+ *         species:
+ *           type: string
+ *           description: Reference to the plant species in the catalog
+ *         planting:
+ *           type: string
+ *           description: Reference to the planting the post is an update of
  *         location:
  *           type: object
  *           properties:
@@ -34,6 +43,12 @@ const mongoose = require("mongoose");
  *                 type: number
  *             address:
  *               type: string
+ *         locationPrecision:
+ *           type: string
+ *           enum: [exact, 100m, 1km, city, hidden]
+ *           description: >
+ *             How precisely other users see the location; when unset, the
+ *             author's postLocationPrecision setting applies
  *         likes:
  *           type: array
  *           items:
@@ -44,10 +59,42 @@ const mongoose = require("mongoose");
  *           items:
  *             type: string
  *           description: Array of user IDs who saved the post
+ *         hidden:
+ *           type: boolean
+ *           description: Whether the post was hidden by moderation
  *         createdAt:
  *           type: string
  *           format: date-time
  *           description: Timestamp when the post was created
+ *     PlantImpact:
+ *       type: object
+ *       description: >
+ *         Estimated CO2 taken up by a plant since it was planted, up to when
+ *         it died or was removed. In post details, it is the impact of the
+ *         post's planting.
+ *       properties:
+ *         speciesId:
+ *           type: string
+ *           nullable: true
+ *         scientificName:
+ *           type: string
+ *           nullable: true
+ *         growthForm:
+ *           type: string
+ *         basis:
+ *           type: string
+ *           enum: [species, growthForm]
+ *           description: Whether the uptake rate comes from the species or its growth form
+ *         matureUptakeKgPerYear:
+ *           type: number
+ *         maturityYears:
+ *           type: number
+ *         ageYears:
+ *           type: number
+ *         currentUptakeKgPerYear:
+ *           type: number
+ *         co2Kg:
+ *           type: number
  *     PostResponse:
  *       type: object
  *       properties:
@@ -75,8 +122,20 @@ const mongoose = require("mongoose");
  *           type: number
  *         plantType:
  *           type: string
+ *         speciesId:
+ *           type: string
+ *           description: Catalog species, if the post names one
+ *         plantingId:
+ *           type: string
+ *           description: Planting the post is an update of
+ *         impact:
+ *           $ref: '#/components/schemas/PlantImpact'
  *         location:
  *           type: object
+ *           description: >
+ *             Left out when the location is hidden. Other users get
+ *             coordinates rounded to the location's precision, and the
+ *             address only when it is exact.
  *           properties:
  *             coordinates:
  *               type: array
@@ -84,6 +143,9 @@ const mongoose = require("mongoose");
  *                 type: number
  *             address:
  *               type: string
+ *             precision:
+ *               type: string
+ *               enum: [exact, 100m, 1km, city]
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -120,6 +182,12 @@ const PostSchema = new mongoose.Schema(
         default: "",
       },
     },
+    // How precisely other users see the location; when unset, the author's
+    // settings.postLocationPrecision applies
+    locationPrecision: {
+      type: String,
+      enum: LOCATION_PRECISIONS,
+    },
     likes: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -136,9 +204,27 @@ const PostSchema = new mongoose.Schema(
       type: String,
       default: "Unknown",
     },
-    environmentalImpact: {
-      type: Number,
-      default: 20, // Base environmental impact score per plant
+    // Catalog species; posts from before the catalog, or naming plants it
+    // doesn't have, only have the free-text plantType
+    species: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PlantSpecies",
+    },
+    // Planting the post shows progress of; posts from before plantings
+    // existed, or not showing a plant, have none
+    planting: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Planting",
+    },
+    // Hidden by moderation: left out of lists, only its author and
+    // moderators can still open it
+    hidden: {
+      type: Boolean,
+      default: false,
+    },
+    hiddenAt: {
+      type: Date,
+      default: null,
     },
   },
   { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
@@ -147,6 +233,16 @@ const PostSchema = new mongoose.Schema(
 // Create a geospatial index on the location field
 PostSchema.index({ location: "2dsphere" });
 
+// Indexes for cursor pagination on createdAt + _id
+PostSchema.index({ createdAt: -1, _id: -1 });
+PostSchema.index({ user: 1, createdAt: -1, _id: -1 });
+
+// Index for filtering posts by species
+PostSchema.index({ species: 1, createdAt: -1 });
+
+// Index for planting timelines, oldest first
+PostSchema.index({ planting: 1, createdAt: 1, _id: 1 });
+
 // Virtual for likes count
 PostSchema.virtual("likesCount").get(function () {
   return this.likes.length;
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+const { REPORT_REASONS, REPORT_TARGET_TYPES } = require("../config/moderation");
+
+/**
+ * One user's report about a post or comment. Each user can report a piece
+ * of content once; reports about the same content are grouped into a
+ * ModerationCase.
+ */
+const ReportSchema = new mongoose.Schema(
+  {
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    targetType: {
+      type: String,
+      enum: REPORT_TARGET_TYPES,
+      required: true,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true,
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Details cannot be more than 500 characters"],
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+// One report per user per piece of content
+ReportSchema.index(
+  { targetType: 1, targetId: 1, reporter: 1 },
+  { unique: true }
+);
+
+const Report = mongoose.model("Report", ReportSchema);
+
+module.exports = Report;
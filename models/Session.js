@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+/**
+ * A login session. Each session is one refresh token family: every refresh
+ * rotates the token, and only the most recent token in the family is valid.
+ */
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // SHA-256 hash of the currently valid refresh token
+    tokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Hash of the token that was rotated out last, used to tell a client
+    // retrying a refresh apart from a replayed (stolen) token
+    previousTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    rotatedAt: {
+      type: Date,
+      default: null,
+    },
+    // Where the session was started from
+    device: {
+      type: String,
+      default: "Unknown device",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Remove sessions once their refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the session can still be used
+SessionSchema.virtual("isActive").get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+const Session = mongoose.model("Session", SessionSchema);
+
+module.exports = Session;
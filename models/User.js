@@ -1,5 +1,21 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
+const { ROLES } = require("../config/roles");
+const { NOTIFICATION_TYPES } = require("../config/notifications");
+const { LOCATION_PRECISIONS } = require("../config/location");
+
+// How the user is told about each type of notification: in the app
+// (including the real-time stream), by push and by email
+const notificationSettingFields = Object.fromEntries(
+  NOTIFICATION_TYPES.map((type) => [
+    type,
+    {
+      inApp: { type: Boolean, default: true },
+      push: { type: Boolean, default: true },
+      email: { type: Boolean, default: false },
+    },
+  ])
+);
 
 const UserSchema = new mongoose.Schema(
   {
@@ -16,9 +32,15 @@ const UserSchema = new mongoose.Schema(
       trim: true,
       match: [/^\S+@\S+\.\S+$/, "Please use a valid email address"],
     },
+    // Accounts created through social sign-in may not have a password
     password: {
       type: String,
-      required: [true, "Password is required"],
+      required: [
+        function () {
+          return !this.identities || this.identities.length === 0;
+        },
+        "Password is required",
+      ],
       minlength: [6, "Password must be at least 6 characters long"],
       select: false, // Don't return password in queries
     },
@@ -45,6 +67,8 @@ const UserSchema = new mongoose.Schema(
         default: "",
       },
     },
+    // Number of the user's plantings, kept in step as they are added and
+    // deleted
     numberOfPlants: {
       type: Number,
       default: 0,
@@ -54,12 +78,187 @@ const UserSchema = new mongoose.Schema(
       maxlength: [250, "Bio cannot be more than 250 characters"],
       default: "",
     },
+    // Access level, see config/roles.js
+    role: {
+      type: String,
+      enum: ROLES,
+      default: "user",
+      index: true,
+    },
+    // Set by an admin; a ban is a suspension without an expiry
+    suspension: {
+      status: {
+        type: String,
+        enum: ["suspended", "banned"],
+      },
+      reason: {
+        type: String,
+        trim: true,
+      },
+      // null means until lifted by an admin
+      expiresAt: {
+        type: Date,
+        default: null,
+      },
+      suspendedAt: {
+        type: Date,
+      },
+      suspendedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+    // Warnings issued by moderators when resolving reports
+    warnings: [
+      {
+        reason: {
+          type: String,
+          trim: true,
+        },
+        moderationCase: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "ModerationCase",
+        },
+        issuedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        issuedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     savedPosts: [
       {
         type: mongoose.Schema.Types.ObjectId,
         ref: "Post",
       },
     ],
+    settings: {
+      notifications: notificationSettingFields,
+      // "followers" limits the profile and posts to the user's followers
+      profileVisibility: {
+        type: String,
+        enum: ["public", "followers"],
+        default: "public",
+      },
+      // Whether other users see the email address on the profile
+      showEmail: {
+        type: Boolean,
+        default: false,
+      },
+      // How precisely other users see where the user's posts are, unless a
+      // post sets its own precision
+      postLocationPrecision: {
+        type: String,
+        enum: LOCATION_PRECISIONS,
+        default: "exact",
+      },
+      // How precisely other users see the user's own (home) location
+      locationPrecision: {
+        type: String,
+        enum: LOCATION_PRECISIONS,
+        default: "city",
+      },
+      showOnLeaderboard: {
+        type: Boolean,
+        default: true,
+      },
+    },
+    // Accounts created before email verification existed count as verified;
+    // register() explicitly sets this to false for new accounts
+    emailVerified: {
+      type: Boolean,
+      default: true,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    emailVerificationTokenHash: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    emailVerificationSentAt: {
+      type: Date,
+    },
+    // Email change - the new address only replaces `email` once confirmed
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      select: false,
+    },
+    pendingEmailTokenHash: {
+      type: String,
+      select: false,
+    },
+    pendingEmailExpires: {
+      type: Date,
+      select: false,
+    },
+    // Password reset - only the hash of the emailed token is stored
+    passwordResetTokenHash: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    passwordChangedAt: {
+      type: Date,
+    },
+    // Linked social sign-in (OAuth/OIDC) accounts
+    identities: [
+      {
+        _id: false,
+        provider: {
+          type: String,
+          required: true,
+        },
+        // The provider's stable user ID (e.g. the OIDC "sub" claim)
+        providerUserId: {
+          type: String,
+          required: true,
+        },
+        email: {
+          type: String,
+        },
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Two-factor authentication (TOTP). The secret is stored during setup
+    // but 2FA is only enforced once a code has been verified.
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorEnabledAt: {
+      type: Date,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    // Last TOTP time step that was accepted, so codes can't be replayed
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    // SHA-256 hashes of the unused recovery codes
+    twoFactorRecoveryCodeHashes: {
+      type: [String],
+      default: undefined,
+      select: false,
+    },
   },
   { timestamps: true }
 );
@@ -67,6 +266,34 @@ const UserSchema = new mongoose.Schema(
 // Create a geospatial index on the location field
 UserSchema.index({ location: "2dsphere" });
 
+// Indexes for looking up emailed tokens
+UserSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+UserSchema.index({ emailVerificationTokenHash: 1 }, { sparse: true });
+UserSchema.index({ pendingEmailTokenHash: 1 }, { sparse: true });
+
+// Each provider account can only be linked to one user
+UserSchema.index(
+  { "identities.provider": 1, "identities.providerUserId": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "identities.providerUserId": { $exists: true } },
+  }
+);
+
+// Indexes for finding the few users with non-default privacy settings
+UserSchema.index(
+  { "settings.profileVisibility": 1 },
+  { partialFilterExpression: { "settings.profileVisibility": "followers" } }
+);
+UserSchema.index(
+  { "settings.showOnLeaderboard": 1 },
+  { partialFilterExpression: { "settings.showOnLeaderboard": false } }
+);
+UserSchema.index(
+  { "settings.postLocationPrecision": 1 },
+  { partialFilterExpression: { "settings.postLocationPrecision": "hidden" } }
+);
+
 // Hash the password before saving
 UserSchema.pre("save", async function (next) {
   // Only hash the password if it has been modified (or is new)
@@ -82,8 +309,21 @@ UserSchema.pre("save", async function (next) {
   }
 });
 
+// Method to get the suspension currently in force, if any
+UserSchema.methods.getActiveSuspension = function () {
+  const suspension = this.suspension;
+
+  if (!suspension || !suspension.status) return null;
+  if (suspension.expiresAt && suspension.expiresAt <= new Date()) return null;
+
+  return suspension;
+};
+
 // Method to check if password is correct
 UserSchema.methods.comparePassword = async function (candidatePassword) {
+  // Social sign-in accounts without a password can't log in with one
+  if (!this.password || !candidatePassword) return false;
+
   try {
     return await bcrypt.compare(candidatePassword, this.password);
   } catch (error) {
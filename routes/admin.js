@@ -0,0 +1,359 @@
+const express = require("express");
+const { protect, authorize, requirePermission } = require("../middleware/auth");
+const {
+  auditReasonValidation,
+  listUsersValidation,
+  roleValidation,
+  suspensionValidation,
+  resetPlantsValidation,
+} = require("../middleware/validator");
+const {
+  listUsers,
+  getUser,
+  updateUserRole,
+  suspendUser,
+  banUser,
+  liftSuspension,
+  forceLogout,
+  resetPlantCount,
+  deleteUser,
+  getAuditLogs,
+} = require("../controllers/adminController");
+
+const router = express.Router();
+
+// Every admin route requires an admin
+router.use(protect, authorize("admin"));
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: Search and list users
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search in name and email
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [user, moderator, admin]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended, banned]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous response's nextCursor. When given, page is ignored and totals are omitted.
+ *     responses:
+ *       200:
+ *         description: List of users, newest first
+ *       400:
+ *         description: Invalid search, role, status or cursor
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not an admin
+ */
+router.get("/users", listUsersValidation, listUsers);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   get:
+ *     summary: Get a user's account details, stats and moderation history
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User details
+ *       404:
+ *         description: User not found
+ *   delete:
+ *     summary: Permanently delete a user and their content
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User deleted, with counts of removed content
+ *       400:
+ *         description: Admins can't delete their own account here
+ *       404:
+ *         description: User not found
+ */
+router.get("/users/:id", getUser);
+router.delete("/users/:id", auditReasonValidation, deleteUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/role:
+ *   put:
+ *     summary: Change a user's role
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, moderator, admin]
+ *     responses:
+ *       200:
+ *         description: Role changed
+ *       400:
+ *         description: Invalid role, or changing your own role
+ *       404:
+ *         description: User not found
+ */
+router.put(
+  "/users/:id/role",
+  requirePermission("users:manage"),
+  roleValidation,
+  updateUserRole
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/suspend:
+ *   post:
+ *     summary: Suspend a user
+ *     description: >
+ *       Suspended users are signed out and can't log in or use the API
+ *       until the suspension expires or is lifted.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the suspension ends; omit to suspend until lifted
+ *     responses:
+ *       200:
+ *         description: User suspended
+ *       400:
+ *         description: Validation error, or suspending yourself
+ *       404:
+ *         description: User not found
+ */
+router.post("/users/:id/suspend", suspensionValidation, suspendUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/ban:
+ *   post:
+ *     summary: Ban a user permanently
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: User banned
+ *       400:
+ *         description: Validation error, or banning yourself
+ *       404:
+ *         description: User not found
+ */
+router.post("/users/:id/ban", suspensionValidation, banUser);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/suspension:
+ *   delete:
+ *     summary: Lift a suspension or ban
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Suspension lifted
+ *       400:
+ *         description: User is not suspended
+ *       404:
+ *         description: User not found
+ */
+router.delete("/users/:id/suspension", auditReasonValidation, liftSuspension);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/logout:
+ *   post:
+ *     summary: Sign a user out of all sessions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *       404:
+ *         description: User not found
+ */
+router.post("/users/:id/logout", auditReasonValidation, forceLogout);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/reset-plants:
+ *   post:
+ *     summary: Reset a user's plant count
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               numberOfPlants:
+ *                 type: integer
+ *                 minimum: 0
+ *                 default: 0
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Plant count reset
+ *       404:
+ *         description: User not found
+ */
+router.post("/users/:id/reset-plants", resetPlantsValidation, resetPlantCount);
+
+/**
+ * @swagger
+ * /api/admin/audit-logs:
+ *   get:
+ *     summary: List audit log entries, newest first
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: Only entries by this user
+ *       - in: query
+ *         name: targetUser
+ *         schema:
+ *           type: string
+ *         description: Only entries about this user's account or content
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: post.delete
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Audit log entries
+ */
+router.get("/audit-logs", requirePermission("audit:read"), getAuditLogs);
+
+module.exports = router;
@@ -3,6 +3,14 @@ const { protect, validateRefreshToken } = require("../middleware/auth");
 const {
   registerValidation,
   loginValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  changePasswordValidation,
+  changeEmailValidation,
+  twoFactorLoginValidation,
+  twoFactorSetupValidation,
+  twoFactorCodeValidation,
+  twoFactorDisableValidation,
 } = require("../middleware/validator");
 const {
   register,
@@ -10,6 +18,22 @@ const {
   getCurrentUser,
   updateProfile,
   refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  deleteSession,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  loginTwoFactor,
+  setupTwoFactor,
+  verifyTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
 } = require("../controllers/authController");
 
 const router = express.Router();
@@ -63,6 +87,8 @@ const router = express.Router();
  *               type: string
  *             email:
  *               type: string
+ *             emailVerified:
+ *               type: boolean
  *             avatar:
  *               type: string
  *             plantsCount:
@@ -92,7 +118,14 @@ const router = express.Router();
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/User'
+ *             allOf:
+ *               - $ref: '#/components/schemas/User'
+ *               - type: object
+ *                 properties:
+ *                   deviceName:
+ *                     type: string
+ *                     maxLength: 100
+ *                     description: Optional name for this device shown in the session list
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -127,23 +160,342 @@ router.post("/register", registerValidation, register);
  *               password:
  *                 type: string
  *                 format: password
+ *               deviceName:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Optional name for this device shown in the session list
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: >
+ *           Login successful. If the account has two-factor authentication
+ *           enabled, the response is `{ twoFactorRequired: true, challengeToken }`
+ *           instead and the login must be completed with /api/auth/login/2fa.
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
  *       401:
  *         description: Invalid email or password
+ *       429:
+ *         description: >
+ *           Too many failed attempts for this account or IP address. The
+ *           Retry-After header says when to try again; code is ACCOUNT_LOCKED
+ *           or LOGIN_THROTTLED.
  */
 router.post("/login", loginValidation, login);
 
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Complete a login with a two-factor code
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Token returned by /api/auth/login (valid for 5 minutes)
+ *               code:
+ *                 type: string
+ *                 description: Code from the authenticator app, or an unused recovery code
+ *               deviceName:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Optional name for this device shown in the session list
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid code, or the challenge is invalid or has expired
+ *       429:
+ *         description: Too many failed attempts, see /api/auth/login
+ */
+router.post("/login/2fa", twoFactorLoginValidation, loginTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor authentication setup
+ *     description: >
+ *       Returns a new secret and an otpauth:// provisioning URI to show as a
+ *       QR code. Two-factor authentication is only turned on once a code
+ *       is confirmed with /api/auth/2fa/verify.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret and provisioning URI
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 secret:
+ *                   type: string
+ *                 otpauthUri:
+ *                   type: string
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *       401:
+ *         description: Not authorized or password is incorrect
+ */
+router.post("/2fa/setup", protect, twoFactorSetupValidation, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Confirm a code and enable two-factor authentication
+ *     description: >
+ *       Returns one-time recovery codes. They are only shown once.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: Invalid code, setup not started, or already enabled
+ *       401:
+ *         description: Not authorized
+ */
+router.post("/2fa/verify", protect, twoFactorCodeValidation, verifyTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Code from the authenticator app, or an unused recovery code
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Two-factor authentication is not enabled
+ *       401:
+ *         description: Not authorized, or password or code is incorrect
+ */
+router.post(
+  "/2fa/disable",
+  protect,
+  twoFactorDisableValidation,
+  disableTwoFactor
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace recovery codes with a new set
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Code from the authenticator app, not one already used
+ *     responses:
+ *       200:
+ *         description: New recovery codes; the old ones no longer work
+ *       400:
+ *         description: Two-factor authentication is not enabled
+ *       401:
+ *         description: Not authorized, or code is incorrect or already used
+ */
+router.post(
+  "/2fa/recovery-codes",
+  protect,
+  twoFactorCodeValidation,
+  regenerateRecoveryCodes
+);
+
+/**
+ * @swagger
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     summary: Resend the email verification link
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ *       401:
+ *         description: Not authorized
+ *       429:
+ *         description: A verification email was sent less than a minute ago
+ */
+router.post("/verify-email/resend", protect, resendVerificationEmail);
+
+/**
+ * @swagger
+ * /api/auth/verify-email/{token}:
+ *   get:
+ *     summary: Verify email address
+ *     description: >
+ *       Confirms the email address using the token from the verification
+ *       email. Until then, actions listed in EMAIL_VERIFICATION_REQUIRED_FOR
+ *       (posting and commenting by default) are blocked.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the verification email
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Invalid or expired token
+ */
+router.get("/verify-email/:token", verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: >
+ *       Always responds with the same message, whether or not an account
+ *       exists for the email address.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *       400:
+ *         description: Invalid email
+ */
+router.post("/forgot-password", forgotPasswordValidation, forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password using the token from the reset email
+ *     description: >
+ *       Tokens expire after a short time and can only be used once. A
+ *       successful reset signs the user out of all sessions.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *       400:
+ *         description: Invalid or expired token, or invalid password
+ */
+router.post("/reset-password", resetPasswordValidation, resetPassword);
+
 /**
  * @swagger
  * /api/auth/refresh-token:
  *   post:
  *     summary: Refresh access token using refresh token
+ *     description: >
+ *       Send the refresh token as the bearer token. Every refresh rotates the
+ *       refresh token, and the old one stops working. Reusing an old refresh
+ *       token revokes the whole session.
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -155,10 +507,121 @@ router.post("/login", loginValidation, login);
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
  *       401:
- *         description: Invalid refresh token
+ *         description: Invalid, reused or revoked refresh token
  */
 router.post("/refresh-token", validateRefreshToken, refreshToken);
 
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out of the current session
+ *     description: Revokes the session of the access token used for this request.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *       401:
+ *         description: Not authorized
+ */
+router.post("/logout", protect, logout);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out of all sessions on every device
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 revokedSessions:
+ *                   type: number
+ *       401:
+ *         description: Not authorized
+ */
+router.post("/logout-all", protect, logoutAll);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions for the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       device:
+ *                         type: string
+ *                         description: Device name sent at login, or one derived from the user agent
+ *                       userAgent:
+ *                         type: string
+ *                       ip:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lastUsedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       current:
+ *                         type: boolean
+ *                         description: Whether this is the session making the request
+ *       401:
+ *         description: Not authorized
+ */
+router.get("/sessions", protect, getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Session not found
+ */
+router.delete("/sessions/:id", protect, deleteSession);
+
 /**
  * @swagger
  * /api/auth/me:
@@ -248,4 +711,110 @@ router.get("/me", protect, getCurrentUser);
  */
 router.put("/me", protect, updateProfile);
 
+/**
+ * @swagger
+ * /api/auth/me/password:
+ *   put:
+ *     summary: Change password
+ *     description: >
+ *       Requires the current password. All other sessions are signed out;
+ *       the session making the request stays signed in with the new access
+ *       token in the response, as access tokens signed before the change
+ *       are rejected.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 revokedSessions:
+ *                   type: integer
+ *                 accessToken:
+ *                   type: string
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized or current password is incorrect
+ */
+router.put("/me/password", protect, changePasswordValidation, changePassword);
+
+/**
+ * @swagger
+ * /api/auth/me/email:
+ *   put:
+ *     summary: Request an email change
+ *     description: >
+ *       Sends a confirmation link to the new address and a notice to the
+ *       current one. The email is only switched once the link is opened.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newEmail
+ *               - password
+ *             properties:
+ *               newEmail:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Confirmation email sent to the new address
+ *       400:
+ *         description: Validation error or email is already in use
+ *       401:
+ *         description: Not authorized or password is incorrect
+ */
+router.put("/me/email", protect, changeEmailValidation, requestEmailChange);
+
+/**
+ * @swagger
+ * /api/auth/confirm-email-change/{token}:
+ *   get:
+ *     summary: Confirm an email change
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token from the confirmation email
+ *     responses:
+ *       200:
+ *         description: Email changed successfully
+ *       400:
+ *         description: Invalid or expired token, or email is already in use
+ */
+router.get("/confirm-email-change/:token", confirmEmailChange);
+
 module.exports = router;
@@ -0,0 +1,256 @@
+const express = require("express");
+const { protect } = require("../middleware/auth");
+const {
+  careTasksValidation,
+  snoozeValidation,
+  careScheduleValidation,
+} = require("../middleware/validator");
+const {
+  getCareTasks,
+  completeTask,
+  snoozeTask,
+  getCareSchedules,
+  updateCareSchedule,
+} = require("../controllers/careController");
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/care/tasks:
+ *   get:
+ *     summary: Get your pending care tasks, soonest first
+ *     description: >
+ *       Every planting gets care schedules for watering, fertilizing and
+ *       pruning from its species (or growth form) defaults. A task comes due
+ *       an interval after the last one was done; you are reminded with a
+ *       care_due notification.
+ *     tags: [Care]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: due
+ *         schema:
+ *           type: string
+ *           enum: [today, overdue, all]
+ *           default: today
+ *         description: >
+ *           today lists tasks due by the end of today (including overdue ones
+ *           not snoozed past today); overdue lists tasks past their due time
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *           default: UTC
+ *         description: IANA time zone that "today" is in
+ *         example: Europe/Amsterdam
+ *       - in: query
+ *         name: planting
+ *         schema:
+ *           type: string
+ *         description: Only tasks for this planting
+ *     responses:
+ *       200:
+ *         description: Care tasks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tasks:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CareTask'
+ *                 count:
+ *                   type: integer
+ *       400:
+ *         description: Invalid due filter, planting ID or time zone
+ *       401:
+ *         description: Not authorized
+ */
+router.get("/tasks", careTasksValidation, getCareTasks);
+
+/**
+ * @swagger
+ * /api/care/tasks/{id}/complete:
+ *   post:
+ *     summary: Mark a care task done
+ *     description: The next task of its schedule comes due an interval from now.
+ *     tags: [Care]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Task done
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 task:
+ *                   $ref: '#/components/schemas/CareTask'
+ *                 schedule:
+ *                   $ref: '#/components/schemas/CareSchedule'
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: No pending task of yours with that ID
+ */
+router.post("/tasks/:id/complete", completeTask);
+
+/**
+ * @swagger
+ * /api/care/tasks/{id}/snooze:
+ *   post:
+ *     summary: Snooze a care task
+ *     description: >
+ *       Hides the task from today's list if snoozed past the end of the day,
+ *       and reminds you again when the snooze ends. Give hours or until;
+ *       the default is 24 hours.
+ *     tags: [Care]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               hours:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 168
+ *               until:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Task snoozed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CareTask'
+ *       400:
+ *         description: Invalid input, or a time in the past or more than 168 hours away
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: No pending task of yours with that ID
+ */
+router.post("/tasks/:id/snooze", snoozeValidation, snoozeTask);
+
+/**
+ * @swagger
+ * /api/care/plantings/{plantingId}/schedules:
+ *   get:
+ *     summary: Get the care schedules of one of your plantings
+ *     tags: [Care]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: plantingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Care schedules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 schedules:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CareSchedule'
+ *       401:
+ *         description: Not authorized, or not your planting
+ *       404:
+ *         description: Planting not found
+ */
+router.get("/plantings/:plantingId/schedules", getCareSchedules);
+
+/**
+ * @swagger
+ * /api/care/plantings/{plantingId}/schedules/{taskType}:
+ *   put:
+ *     summary: Change how often a planting needs a kind of care
+ *     description: >
+ *       A custom interval is kept when the planting's species changes, and
+ *       can add care its species doesn't need by default. Set intervalDays
+ *       to null to go back to the default. Turning a schedule off drops its
+ *       pending task.
+ *     tags: [Care]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: plantingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: taskType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [water, fertilize, prune]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               intervalDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 nullable: true
+ *               enabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: The planting's care schedules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 schedules:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CareSchedule'
+ *       400:
+ *         description: Invalid input
+ *       401:
+ *         description: Not authorized, or not your planting
+ *       404:
+ *         description: >
+ *           Planting not found, unknown task type, or no schedule for that
+ *           care and no interval given
+ */
+router.put(
+  "/plantings/:plantingId/schedules/:taskType",
+  careScheduleValidation,
+  updateCareSchedule
+);
+
+module.exports = router;
@@ -0,0 +1,177 @@
+const crypto = require("crypto");
+const express = require("express");
+const { escapeHtml } = require("../utils/emailTemplates");
+
+/**
+ * A minimal OAuth2/OIDC identity provider for local development and tests.
+ * It approves every sign-in without a password: open /mock-idp/authorize and
+ * pick an email, or pass `email`, `name`, `sub` and `email_verified` in the
+ * query string to skip the form. Only mounted when OAUTH_MOCK_ENABLED=true.
+ */
+const router = express.Router();
+
+// Issued codes and access tokens, kept in memory
+const authorizationCodes = new Map();
+const accessTokens = new Map();
+
+const CODE_TTL_MS = 60 * 1000;
+const ACCESS_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+const getClientId = () =>
+  process.env.OAUTH_MOCK_CLIENT_ID || "iplant-mock-client";
+const getClientSecret = () =>
+  process.env.OAUTH_MOCK_CLIENT_SECRET || "mock-secret";
+
+// Helper to answer with an OAuth error response
+const sendOAuthError = (res, status, error, description) =>
+  res.status(status).json({ error, error_description: description });
+
+// Sign-in page: approves immediately once an email is given
+router.get("/authorize", (req, res) => {
+  const {
+    client_id: clientId,
+    redirect_uri: redirectUri,
+    response_type: responseType,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: codeChallengeMethod,
+    email,
+    name,
+    sub,
+    email_verified: emailVerified,
+  } = req.query;
+
+  if (clientId !== getClientId()) {
+    return sendOAuthError(res, 400, "invalid_client", "Unknown client_id");
+  }
+
+  if (responseType !== "code" || !redirectUri) {
+    return sendOAuthError(
+      res,
+      400,
+      "invalid_request",
+      "response_type=code and redirect_uri are required"
+    );
+  }
+
+  if (!email) {
+    // Render a form that resubmits the same request with an email
+    const hiddenFields = Object.entries(req.query)
+      .map(
+        ([key, value]) =>
+          `<input type="hidden" name="${escapeHtml(key)}" value="${escapeHtml(
+            value
+          )}">`
+      )
+      .join("");
+
+    return res.send(
+      `<!doctype html><title>Mock IdP</title>` +
+        `<h1>Mock identity provider</h1>` +
+        `<form method="get">${hiddenFields}` +
+        `<p><label>Email <input name="email" type="email" required></label></p>` +
+        `<p><label>Name <input name="name"></label></p>` +
+        `<p><button type="submit">Sign in</button></p></form>`
+    );
+  }
+
+  const code = crypto.randomBytes(16).toString("hex");
+
+  authorizationCodes.set(code, {
+    redirectUri,
+    codeChallenge,
+    codeChallengeMethod,
+    expiresAt: Date.now() + CODE_TTL_MS,
+    profile: {
+      // Stable per email unless a subject is given
+      sub:
+        sub ||
+        crypto
+          .createHash("sha256")
+          .update(email.toLowerCase())
+          .digest("hex")
+          .slice(0, 24),
+      email,
+      email_verified: emailVerified !== "false",
+      name: name || email.split("@")[0],
+    },
+  });
+
+  const redirect = new URL(redirectUri);
+  redirect.searchParams.set("code", code);
+  if (state) redirect.searchParams.set("state", state);
+
+  res.redirect(redirect.toString());
+});
+
+// Token endpoint: exchanges an authorization code for an access token
+router.post("/token", (req, res) => {
+  const {
+    grant_type: grantType,
+    code,
+    redirect_uri: redirectUri,
+    client_id: clientId,
+    client_secret: clientSecret,
+    code_verifier: codeVerifier,
+  } = req.body;
+
+  if (clientId !== getClientId() || clientSecret !== getClientSecret()) {
+    return sendOAuthError(res, 401, "invalid_client", "Bad client credentials");
+  }
+
+  if (grantType !== "authorization_code") {
+    return sendOAuthError(res, 400, "unsupported_grant_type", grantType);
+  }
+
+  const grant = authorizationCodes.get(code);
+  // Codes are single use
+  authorizationCodes.delete(code);
+
+  if (!grant || grant.expiresAt < Date.now()) {
+    return sendOAuthError(res, 400, "invalid_grant", "Unknown or expired code");
+  }
+
+  if (grant.redirectUri !== redirectUri) {
+    return sendOAuthError(res, 400, "invalid_grant", "redirect_uri mismatch");
+  }
+
+  if (grant.codeChallenge) {
+    const expected =
+      grant.codeChallengeMethod === "S256"
+        ? crypto
+            .createHash("sha256")
+            .update(codeVerifier || "")
+            .digest("base64url")
+        : codeVerifier;
+
+    if (expected !== grant.codeChallenge) {
+      return sendOAuthError(res, 400, "invalid_grant", "PKCE check failed");
+    }
+  }
+
+  const accessToken = crypto.randomBytes(24).toString("hex");
+  accessTokens.set(accessToken, {
+    profile: grant.profile,
+    expiresAt: Date.now() + ACCESS_TOKEN_TTL_MS,
+  });
+
+  res.json({
+    access_token: accessToken,
+    token_type: "Bearer",
+    expires_in: ACCESS_TOKEN_TTL_MS / 1000,
+  });
+});
+
+// OIDC userinfo endpoint
+router.get("/userinfo", (req, res) => {
+  const token = (req.headers.authorization || "").replace(/^Bearer /, "");
+  const grant = accessTokens.get(token);
+
+  if (!grant || grant.expiresAt < Date.now()) {
+    return sendOAuthError(res, 401, "invalid_token", "Unknown access token");
+  }
+
+  res.json(grant.profile);
+});
+
+module.exports = router;
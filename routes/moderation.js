@@ -0,0 +1,188 @@
+const express = require("express");
+const { protect, requirePermission } = require("../middleware/auth");
+const { resolveCaseValidation } = require("../middleware/validator");
+const {
+  listCases,
+  getCase,
+  claimCase,
+  releaseCase,
+  resolveCase,
+} = require("../controllers/moderationController");
+
+const router = express.Router();
+
+// Every moderation route requires a moderator or admin
+router.use(protect, requirePermission("moderation:manage"));
+
+/**
+ * @swagger
+ * /api/moderation/cases:
+ *   get:
+ *     summary: List moderation cases, oldest first
+ *     description: >
+ *       Each case groups all reports about one post or comment. Cases are
+ *       reopened when new reports arrive after they were resolved.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, claimed, resolved, all]
+ *           default: open
+ *       - in: query
+ *         name: targetType
+ *         schema:
+ *           type: string
+ *           enum: [post, comment]
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *         description: Only cases claimed by the current moderator
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous response's nextCursor. When given, page is ignored and totals are omitted.
+ *     responses:
+ *       200:
+ *         description: Moderation cases with the reported content
+ *       401:
+ *         description: Not authorized
+ *       403:
+ *         description: Not a moderator
+ */
+router.get("/cases", listCases);
+
+/**
+ * @swagger
+ * /api/moderation/cases/{id}:
+ *   get:
+ *     summary: Get a moderation case with all its reports
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Case details, reported content, author and reports
+ *       404:
+ *         description: Case not found
+ */
+router.get("/cases/:id", getCase);
+
+/**
+ * @swagger
+ * /api/moderation/cases/{id}/claim:
+ *   post:
+ *     summary: Claim a case to work on it
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Case claimed
+ *       400:
+ *         description: Case is already resolved
+ *       404:
+ *         description: Case not found
+ *       409:
+ *         description: Case is claimed by another moderator
+ *   delete:
+ *     summary: Release a claimed case back to the queue
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Case released
+ *       400:
+ *         description: Case is not claimed
+ *       403:
+ *         description: Case is claimed by another moderator
+ *       404:
+ *         description: Case not found
+ */
+router.post("/cases/:id/claim", claimCase);
+router.delete("/cases/:id/claim", releaseCase);
+
+/**
+ * @swagger
+ * /api/moderation/cases/{id}/resolve:
+ *   post:
+ *     summary: Resolve a case
+ *     description: >
+ *       dismiss closes the case and shows content again if it was hidden
+ *       automatically; hide hides the content; delete removes it; warn
+ *       records a warning on the author's account and emails them.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [dismiss, hide, delete, warn]
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Recorded in the audit log and sent with warnings
+ *     responses:
+ *       200:
+ *         description: Case resolved
+ *       400:
+ *         description: Validation error, or case already resolved
+ *       404:
+ *         description: Case not found
+ *       409:
+ *         description: >
+ *           Case is claimed by another moderator, or changed (e.g. was
+ *           reported again) while it was being resolved
+ */
+router.post("/cases/:id/resolve", resolveCaseValidation, resolveCase);
+
+module.exports = router;
@@ -0,0 +1,376 @@
+const express = require("express");
+const { protect } = require("../middleware/auth");
+const {
+  pushDeviceValidation,
+  pushPreferencesValidation,
+} = require("../middleware/validator");
+const {
+  getNotifications,
+  getUnreadCount,
+  markNotificationRead,
+  markAllNotificationsRead,
+  getVapidPublicKey,
+  registerDevice,
+  getDevices,
+  removeDevice,
+  getPushPreferences,
+  updatePushPreferences,
+} = require("../controllers/notificationController");
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Notification:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [post_like, post_comment, post_save, comment_like, comment_reply, follow, care_due]
+ *         message:
+ *           type: string
+ *           example: Ana and 4 others liked your post
+ *         actors:
+ *           type: array
+ *           description: The most recent actors (up to 3); empty for reminders such as care_due
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               avatar:
+ *                 type: string
+ *         actorCount:
+ *           type: integer
+ *         postId:
+ *           type: string
+ *         postImage:
+ *           type: string
+ *         commentId:
+ *           type: string
+ *         commentText:
+ *           type: string
+ *         read:
+ *           type: boolean
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: Time of the most recent event in the group
+ *     PushDevice:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         platform:
+ *           type: string
+ *           enum: [web, android, ios]
+ *         name:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *     PushPreferences:
+ *       type: object
+ *       description: Whether each notification type is sent as a push notification
+ *       properties:
+ *         post_like:
+ *           type: boolean
+ *         post_comment:
+ *           type: boolean
+ *         post_save:
+ *           type: boolean
+ *         comment_like:
+ *           type: boolean
+ *         comment_reply:
+ *           type: boolean
+ *         follow:
+ *           type: boolean
+ *         care_due:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Get your notifications, most recent activity first
+ *     description: >
+ *       Similar events are grouped while unread, e.g. all likes on one post.
+ *       Once a notification is read, new events start a new one.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only unread notifications
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *         description: Notifications per page (default 20)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous response's nextCursor. When given, page is ignored and totals are omitted.
+ *     responses:
+ *       200:
+ *         description: Notifications and the unread count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 notifications:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *                 unreadCount:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 hasMore:
+ *                   type: boolean
+ *       401:
+ *         description: Not authorized
+ */
+router.get("/", getNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/unread-count:
+ *   get:
+ *     summary: Get the number of unread notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Unread count
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 unreadCount:
+ *                   type: integer
+ */
+router.get("/unread-count", getUnreadCount);
+
+/**
+ * @swagger
+ * /api/notifications/read-all:
+ *   put:
+ *     summary: Mark all your notifications as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notifications marked as read
+ */
+router.put("/read-all", markAllNotificationsRead);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/read:
+ *   put:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Notification marked as read, with the new unread count
+ *       404:
+ *         description: Notification not found
+ */
+router.put("/:id/read", markNotificationRead);
+
+/**
+ * @swagger
+ * /api/notifications/push/vapid-key:
+ *   get:
+ *     summary: Get the VAPID public key for subscribing to Web Push
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Key to pass as applicationServerKey to pushManager.subscribe()
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 publicKey:
+ *                   type: string
+ *       404:
+ *         description: Web Push is not configured
+ */
+router.get("/push/vapid-key", getVapidPublicKey);
+
+/**
+ * @swagger
+ * /api/notifications/push/devices:
+ *   get:
+ *     summary: List your devices registered for push notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Registered devices, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 devices:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PushDevice'
+ *   post:
+ *     summary: Register a device or browser for push notifications
+ *     description: >
+ *       Android devices use FCM tokens, iOS devices APNs tokens, and browsers
+ *       their Web Push subscription (endpoint as token, plus its keys).
+ *       Web Push endpoints must be on a known push service (FCM, Mozilla,
+ *       Apple or Windows). Registering a known token again moves it to the
+ *       current user.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - platform
+ *               - token
+ *             properties:
+ *               platform:
+ *                 type: string
+ *                 enum: [web, android, ios]
+ *               token:
+ *                 type: string
+ *               keys:
+ *                 type: object
+ *                 description: Required for web
+ *                 properties:
+ *                   p256dh:
+ *                     type: string
+ *                   auth:
+ *                     type: string
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *     responses:
+ *       200:
+ *         description: Device was already registered and has been updated
+ *       201:
+ *         description: Device registered
+ *       400:
+ *         description: Validation error
+ */
+router.get("/push/devices", getDevices);
+router.post("/push/devices", pushDeviceValidation, registerDevice);
+
+/**
+ * @swagger
+ * /api/notifications/push/devices/{id}:
+ *   delete:
+ *     summary: Stop sending push notifications to a device
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Device removed
+ *       404:
+ *         description: Device not found
+ */
+router.delete("/push/devices/:id", removeDevice);
+
+/**
+ * @swagger
+ * /api/notifications/push/preferences:
+ *   get:
+ *     summary: Get which notification types are sent as push notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Push preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 preferences:
+ *                   $ref: '#/components/schemas/PushPreferences'
+ *   put:
+ *     summary: Turn push notifications on or off per notification type
+ *     description: >
+ *       Only the types given are changed. This is the push part of the
+ *       notification settings at /api/users/me/settings.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PushPreferences'
+ *     responses:
+ *       200:
+ *         description: Preferences updated
+ *       400:
+ *         description: Unknown notification type or non-boolean value
+ */
+router.get("/push/preferences", getPushPreferences);
+router.put(
+  "/push/preferences",
+  pushPreferencesValidation,
+  updatePushPreferences
+);
+
+module.exports = router;
@@ -0,0 +1,236 @@
+const express = require("express");
+const { protect } = require("../middleware/auth");
+const {
+  oauthCallbackValidation,
+  oauthLinkValidation,
+} = require("../middleware/validator");
+const {
+  getProviders,
+  startOAuthLogin,
+  startOAuthLink,
+  completeOAuthLink,
+  oauthCallback,
+  getIdentities,
+  unlinkProvider,
+} = require("../controllers/oauthController");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/auth/oauth/providers:
+ *   get:
+ *     summary: List the available social sign-in providers
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Configured providers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 providers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: google
+ *                       label:
+ *                         type: string
+ *                         example: Google
+ */
+router.get("/providers", getProviders);
+
+/**
+ * @swagger
+ * /api/auth/oauth/identities:
+ *   get:
+ *     summary: List the sign-in providers linked to the current account
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Linked providers and whether the account has a password
+ *       401:
+ *         description: Not authorized
+ */
+router.get("/identities", protect, getIdentities);
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}:
+ *   get:
+ *     summary: Sign in with a provider
+ *     description: >
+ *       Redirects to the provider's sign-in page. The provider then redirects
+ *       back to /api/auth/oauth/{provider}/callback, which logs the user in.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: google
+ *     responses:
+ *       302:
+ *         description: Redirect to the provider
+ *       404:
+ *         description: Unknown or unconfigured provider
+ *   delete:
+ *     summary: Unlink a provider from the current account
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Provider unlinked
+ *       400:
+ *         description: It is the only way to sign in and the account has no password
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Provider is not linked
+ */
+router.get("/:provider", startOAuthLogin);
+router.delete("/:provider", protect, unlinkProvider);
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}/link:
+ *   post:
+ *     summary: Link a provider to the current account
+ *     description: >
+ *       Returns the provider's sign-in URL. After the user signs in there,
+ *       the callback returns a link token instead of logging in; confirm
+ *       the link with it at /api/auth/oauth/{provider}/link/complete.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: URL to open
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 authorizationUrl:
+ *                   type: string
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Unknown or unconfigured provider
+ */
+router.post("/:provider/link", protect, startOAuthLink);
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}/link/complete:
+ *   post:
+ *     summary: Confirm linking a provider to the current account
+ *     description: >
+ *       Links the provider account signed in to after /link. Only the user
+ *       who started the link can confirm it, so a link URL opened by
+ *       someone else can't attach their provider account.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - linkToken
+ *             properties:
+ *               linkToken:
+ *                 type: string
+ *                 description: Token from the callback (valid for 10 minutes)
+ *     responses:
+ *       200:
+ *         description: Provider linked; the account's linked providers
+ *       400:
+ *         description: The link token is invalid, has expired or belongs to another user
+ *       401:
+ *         description: Not authorized
+ *       404:
+ *         description: Unknown or unconfigured provider
+ *       409:
+ *         description: The provider account is linked to another user, or a different one is already linked
+ */
+router.post(
+  "/:provider/link/complete",
+  protect,
+  oauthLinkValidation,
+  completeOAuthLink
+);
+
+/**
+ * @swagger
+ * /api/auth/oauth/{provider}/callback:
+ *   get:
+ *     summary: Provider redirect target
+ *     description: >
+ *       Logs the user in (creating an account on first sign-in, or linking
+ *       an existing account with the same verified email) and returns the
+ *       same tokens as /api/auth/login. If the sign-in was started with
+ *       /link, returns `{ linkPending: true, linkToken }` instead, for the
+ *       linking user to confirm at /link/complete. Providers that post the
+ *       result as a form (Apple) use POST.
+ *     tags: [Authentication]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Logged in (same body as /api/auth/login plus isNewUser), or a link waiting for confirmation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Sign-in failed, or the request is invalid or has expired
+ *       409:
+ *         description: Account conflict (email in use or provider already linked)
+ *       502:
+ *         description: The provider could not be reached or returned an error
+ */
+router.get("/:provider/callback", oauthCallbackValidation, oauthCallback);
+router.post("/:provider/callback", oauthCallbackValidation, oauthCallback);
+
+module.exports = router;
@@ -0,0 +1,344 @@
+const express = require("express");
+const { protect, optionalAuth } = require("../middleware/auth");
+const { plantingValidation } = require("../middleware/validator");
+const {
+  createPlanting,
+  getPlantings,
+  getPlantingById,
+  updatePlanting,
+  deletePlanting,
+  getPlantingTimeline,
+} = require("../controllers/plantingController");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/plantings:
+ *   post:
+ *     summary: Create a planting
+ *     description: >
+ *       Plantings count towards your number of plants and your impact. Posts
+ *       naming a plant create one too; attach later posts to it as progress
+ *       updates with their planting field.
+ *     tags: [Plantings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               species:
+ *                 type: string
+ *                 description: Catalog species ID; takes precedence over plantType
+ *               plantType:
+ *                 type: string
+ *                 description: Free-text plant type, matched to the catalog when it names a species
+ *               plantedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now; at most 50 years ago
+ *               ageAtPlantingYears:
+ *                 type: number
+ *                 description: >
+ *                   How old the plant was when planted, in years. Its impact
+ *                   counts it as no older than its growth form allows (20
+ *                   years for trees).
+ *               status:
+ *                 type: string
+ *                 enum: [seedling, growing, mature, dead, removed]
+ *                 default: growing
+ *               location:
+ *                 type: object
+ *                 properties:
+ *                   coordinates:
+ *                     type: array
+ *                     items:
+ *                       type: number
+ *                   address:
+ *                     type: string
+ *               locationPrecision:
+ *                 type: string
+ *                 enum: [exact, 100m, 1km, city, hidden]
+ *                 description: Defaults to your postLocationPrecision setting
+ *     responses:
+ *       201:
+ *         description: Planting created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Planting'
+ *       400:
+ *         description: Invalid input, unknown species, or no species or plant type
+ *       401:
+ *         description: Not authorized
+ *   get:
+ *     summary: List a user's plantings, newest first
+ *     tags: [Plantings]
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: User ID; defaults to you when signed in
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated statuses to include
+ *         example: seedling,growing
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous response's nextCursor. When given, page is ignored and totals are omitted.
+ *     responses:
+ *       200:
+ *         description: Plantings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 plantings:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Planting'
+ *                 currentPage:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalPlantings:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: No user given, invalid status or invalid cursor
+ *       403:
+ *         description: The account only shares its posts with its followers
+ *       404:
+ *         description: User not found, or the user blocked you
+ */
+router.post("/", protect, plantingValidation, createPlanting);
+router.get("/", optionalAuth, getPlantings);
+
+/**
+ * @swagger
+ * /api/plantings/{id}:
+ *   get:
+ *     summary: Get a planting with its estimated impact
+ *     tags: [Plantings]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Planting
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Planting'
+ *                 - type: object
+ *                   properties:
+ *                     impact:
+ *                       $ref: '#/components/schemas/PlantImpact'
+ *       404:
+ *         description: >
+ *           Planting not found, or you can't see its owner's posts (blocked,
+ *           or a followers-only account you don't follow)
+ *   put:
+ *     summary: Update one of your plantings
+ *     description: >
+ *       Moving to dead or removed stops the planting's impact from growing;
+ *       moving back clears endedAt. A new species or plant type is applied
+ *       to the planting's posts too.
+ *     tags: [Plantings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 nullable: true
+ *               species:
+ *                 type: string
+ *               plantType:
+ *                 type: string
+ *               plantedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: At most 50 years ago
+ *               ageAtPlantingYears:
+ *                 type: number
+ *               status:
+ *                 type: string
+ *                 enum: [seedling, growing, mature, dead, removed]
+ *               location:
+ *                 type: object
+ *                 nullable: true
+ *                 description: null removes the location
+ *               locationPrecision:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [exact, 100m, 1km, city, hidden]
+ *                 description: null goes back to your postLocationPrecision setting
+ *     responses:
+ *       200:
+ *         description: Planting updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Planting'
+ *       400:
+ *         description: Invalid input or unknown species
+ *       401:
+ *         description: Not your planting
+ *       404:
+ *         description: Planting not found
+ *   delete:
+ *     summary: Delete one of your plantings
+ *     description: >
+ *       Its posts are kept but no longer attached to it, and it no longer
+ *       counts towards your plants or impact.
+ *     tags: [Plantings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Planting removed
+ *       401:
+ *         description: Not your planting
+ *       404:
+ *         description: Planting not found
+ */
+router.get("/:id", optionalAuth, getPlantingById);
+router.put("/:id", protect, plantingValidation, updatePlanting);
+router.delete("/:id", protect, deletePlanting);
+
+/**
+ * @swagger
+ * /api/plantings/{id}/timeline:
+ *   get:
+ *     summary: Get a planting's photo history, oldest first
+ *     description: >
+ *       The posts attached to the planting as progress updates, in the order
+ *       they were posted. Posts hidden by moderation are left out.
+ *     tags: [Plantings]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous response's nextCursor. When given, page is ignored and totals are omitted.
+ *     responses:
+ *       200:
+ *         description: The planting and a page of its posts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 planting:
+ *                   $ref: '#/components/schemas/Planting'
+ *                 posts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       caption:
+ *                         type: string
+ *                       imageUrl:
+ *                         type: string
+ *                       likes:
+ *                         type: integer
+ *                       isLiked:
+ *                         type: boolean
+ *                       commentsCount:
+ *                         type: integer
+ *                       location:
+ *                         type: object
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                 currentPage:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalPosts:
+ *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid cursor
+ *       404:
+ *         description: Planting not found, or you can't see its owner's posts
+ */
+router.get("/:id/timeline", optionalAuth, getPlantingTimeline);
+
+module.exports = router;
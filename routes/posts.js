@@ -1,15 +1,22 @@
 const express = require("express");
-const { protect, optionalAuth } = require("../middleware/auth");
+const {
+  protect,
+  optionalAuth,
+  requireVerifiedEmail,
+} = require("../middleware/auth");
 const {
   postValidation,
   nearbyPostsValidation,
   commentValidation,
+  reportValidation,
+  auditReasonValidation,
 } = require("../middleware/validator");
 const upload = require("../middleware/multer");
 const { handleMulterErrors } = require("../middleware/multer");
 const {
   createPost,
   getPosts,
+  getFeed,
   getPostById,
   updatePost,
   deletePost,
@@ -21,9 +28,14 @@ const {
   addComment,
   getComments,
   getCommentReplies,
+  updateComment,
   deleteComment,
   toggleCommentLike,
 } = require("../controllers/postController");
+const {
+  reportPost,
+  reportComment,
+} = require("../controllers/moderationController");
 
 const router = express.Router();
 
@@ -38,13 +50,21 @@ const router = express.Router();
  *         name: page
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         description: Page number for pagination
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *           maximum: 50
  *         description: Number of posts per page
  *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous response's nextCursor. When given, page is ignored and totals are omitted.
+ *       - in: query
  *         name: user
  *         schema:
  *           type: string
@@ -54,6 +74,11 @@ const router = express.Router();
  *         schema:
  *           type: string
  *         description: Filter posts by plant type
+ *       - in: query
+ *         name: species
+ *         schema:
+ *           type: string
+ *         description: Filter by catalog species IDs (comma-separated)
  *     responses:
  *       200:
  *         description: List of posts
@@ -72,14 +97,83 @@ const router = express.Router();
  *                   type: integer
  *                 totalPosts:
  *                   type: integer
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid cursor
  */
 router.get("/", optionalAuth, getPosts);
 
+/**
+ * @swagger
+ * /api/posts/feed:
+ *   get:
+ *     summary: Get the personalized home feed
+ *     description: >
+ *       Mixes posts from followed users, posts near the user's location and
+ *       trending posts, ranked by likes, comments and age. The ranking is
+ *       frozen when the first page is requested, so following `nextCursor`
+ *       never returns the same post twice. Omit `cursor` to get a fresh feed.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous response's nextCursor
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *         description: Number of posts per page (default 10)
+ *     responses:
+ *       200:
+ *         description: A page of the ranked feed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 posts:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/PostResponse'
+ *                       - type: object
+ *                         properties:
+ *                           feedSources:
+ *                             type: array
+ *                             items:
+ *                               type: string
+ *                               enum: [following, own, nearby, trending]
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid limit, or an invalid or expired cursor
+ *       401:
+ *         description: Not authorized
+ */
+router.get("/feed", protect, getFeed);
+
 /**
  * @swagger
  * /api/posts:
  *   post:
  *     summary: Create a new post
+ *     description: >
+ *       Posts with a planting are progress updates and show its plant.
+ *       Other posts naming a plant start a new planting, which counts as one
+ *       more of the author's plants.
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
@@ -99,6 +193,10 @@ router.get("/", optionalAuth, getPosts);
  *                 type: string
  *               plantType:
  *                 type: string
+ *                 description: Free-text plant type, matched to the catalog when it names a species
+ *               species:
+ *                 type: string
+ *                 description: Catalog species ID; takes precedence over plantType
  *               location:
  *                 type: object
  *                 properties:
@@ -108,6 +206,26 @@ router.get("/", optionalAuth, getPosts);
  *                       type: number
  *                   address:
  *                     type: string
+ *               planting:
+ *                 type: string
+ *                 description: >
+ *                   ID of one of your plantings this post is an update of;
+ *                   plantType and species are then taken from it
+ *               plantedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: >
+ *                   When the new planting was planted, at most 50 years ago;
+ *                   defaults to when it's posted
+ *               ageAtPlantingYears:
+ *                 type: number
+ *                 description: How old the new planting was when planted, in years
+ *               locationPrecision:
+ *                 type: string
+ *                 enum: [exact, 100m, 1km, city, hidden]
+ *                 description: >
+ *                   How precisely other users see the location; defaults to
+ *                   the author's postLocationPrecision setting
  *     responses:
  *       201:
  *         description: Post created successfully
@@ -116,13 +234,16 @@ router.get("/", optionalAuth, getPosts);
  *             schema:
  *               $ref: '#/components/schemas/PostResponse'
  *       400:
- *         description: Invalid input data
+ *         description: Invalid input data, or unknown species or planting
  *       401:
  *         description: Not authorized
+ *       403:
+ *         description: Email address must be verified first
  */
 router.post(
   "/",
   protect,
+  requireVerifiedEmail("post"),
   upload.single("image"),
   handleMulterErrors,
   createPost
@@ -133,6 +254,10 @@ router.post(
  * /api/posts/nearby:
  *   get:
  *     summary: Get nearby posts based on location
+ *     description: >
+ *       Other users' posts are matched and returned with coordinates rounded
+ *       to the post's location precision, so a small radius can't reveal
+ *       their exact location. Posts whose location is hidden are left out.
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
@@ -159,6 +284,11 @@ router.post(
  *         schema:
  *           type: string
  *         description: Filter by plant type
+ *       - in: query
+ *         name: species
+ *         schema:
+ *           type: string
+ *         description: Filter by catalog species IDs (comma-separated)
  *     responses:
  *       200:
  *         description: List of nearby posts with GeoJSON format
@@ -214,6 +344,9 @@ router.get("/:id", optionalAuth, getPostById);
  * /api/posts/{id}:
  *   put:
  *     summary: Update a post
+ *     description: >
+ *       Authors can update their own posts. Moderators and admins can update
+ *       any post; those edits are recorded in the audit log.
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
@@ -235,6 +368,13 @@ router.get("/:id", optionalAuth, getPostById);
  *                 type: string
  *               plantType:
  *                 type: string
+ *                 description: Free-text plant type, matched to the catalog when it names a species
+ *               species:
+ *                 type: string
+ *                 nullable: true
+ *                 description: >
+ *                   Catalog species ID; takes precedence over plantType. null
+ *                   without a plantType clears both.
  *               location:
  *                 type: object
  *                 properties:
@@ -244,6 +384,22 @@ router.get("/:id", optionalAuth, getPostById);
  *                       type: number
  *                   address:
  *                     type: string
+ *               planting:
+ *                 type: string
+ *                 nullable: true
+ *                 description: >
+ *                   ID of another of the author's plantings to attach the post
+ *                   to, or null to detach it. Attached posts show their
+ *                   planting's plant, so plantType and species can't be set.
+ *               locationPrecision:
+ *                 type: string
+ *                 enum: [exact, 100m, 1km, city, hidden]
+ *                 description: >
+ *                   How precisely other users see the location; null goes back
+ *                   to the author's postLocationPrecision setting
+ *               reason:
+ *                 type: string
+ *                 description: Why a moderator edited the post (audit log)
  *     responses:
  *       200:
  *         description: Post updated successfully
@@ -251,18 +407,25 @@ router.get("/:id", optionalAuth, getPostById);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/PostResponse'
+ *       400:
+ *         description: >
+ *           Invalid location precision, unknown species or planting, or a
+ *           plant change on a post attached to a planting
  *       401:
  *         description: Not authorized
  *       404:
  *         description: Post not found
  */
-router.put("/:id", protect, updatePost);
+router.put("/:id", protect, auditReasonValidation, updatePost);
 
 /**
  * @swagger
  * /api/posts/{id}:
  *   delete:
  *     summary: Delete a post
+ *     description: >
+ *       Authors can delete their own posts. Moderators and admins can delete
+ *       any post; those deletions are recorded in the audit log.
  *     tags: [Posts]
  *     security:
  *       - bearerAuth: []
@@ -273,15 +436,27 @@ router.put("/:id", protect, updatePost);
  *         schema:
  *           type: string
  *         description: Post ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Why a moderator removed the post (audit log)
  *     responses:
  *       200:
  *         description: Post deleted successfully
+ *       400:
+ *         description: Reason is too long
  *       401:
  *         description: Not authorized
  *       404:
  *         description: Post not found
  */
-router.delete("/:id", protect, deletePost);
+router.delete("/:id", protect, auditReasonValidation, deletePost);
 
 /**
  * @swagger
@@ -312,10 +487,12 @@ router.delete("/:id", protect, deletePost);
  *                   type: boolean
  *       401:
  *         description: Not authorized
+ *       403:
+ *         description: Email not verified, or the author blocked you (or you blocked them)
  *       404:
  *         description: Post not found
  */
-router.post("/:id/like", protect, toggleLike);
+router.post("/:id/like", protect, requireVerifiedEmail("like"), toggleLike);
 
 /**
  * @swagger
@@ -351,6 +528,51 @@ router.post("/:id/like", protect, toggleLike);
  */
 router.post("/:id/save", protect, toggleSave);
 
+/**
+ * @swagger
+ * /api/posts/{id}/report:
+ *   post:
+ *     summary: Report a post to the moderators
+ *     description: >
+ *       Each user can report a post once. A post reported by enough users is
+ *       hidden until a moderator reviews it.
+ *     tags: [Posts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [spam, harassment, hate_speech, violence, nudity, misinformation, self_harm, other]
+ *               details:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Report received
+ *       400:
+ *         description: Validation error, or reporting your own post
+ *       404:
+ *         description: Post not found
+ *       409:
+ *         description: Post already reported by this user
+ */
+router.post("/:id/report", protect, reportValidation, reportPost);
+
 /**
  * @swagger
  * /api/posts/{id}/comments:
@@ -368,12 +590,20 @@ router.post("/:id/save", protect, toggleSave);
  *         name: page
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         description: Page number
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *           maximum: 50
  *         description: Comments per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous response's nextCursor. When given, page is ignored and totals are omitted.
  *     responses:
  *       200:
  *         description: List of comments
@@ -404,6 +634,11 @@ router.post("/:id/save", protect, toggleSave);
  *                       createdAt:
  *                         type: string
  *                         format: date-time
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 hasMore:
+ *                   type: boolean
  *   post:
  *     summary: Add a comment to a post
  *     tags: [Comments]
@@ -433,9 +668,17 @@ router.post("/:id/save", protect, toggleSave);
  *     responses:
  *       201:
  *         description: Comment added successfully
+ *       403:
+ *         description: Email not verified, or the author blocked you (or you blocked them)
  */
 router.get("/:id/comments", optionalAuth, getComments);
-router.post("/:id/comments", protect, commentValidation, addComment);
+router.post(
+  "/:id/comments",
+  protect,
+  requireVerifiedEmail("comment"),
+  commentValidation,
+  addComment
+);
 
 /**
  * @swagger
@@ -460,23 +703,81 @@ router.post("/:id/comments", protect, commentValidation, addComment);
  *         name: page
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         description: Page number
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *           maximum: 50
  *         description: Replies per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous response's nextCursor. When given, page is ignored and totals are omitted.
  *     responses:
  *       200:
  *         description: List of replies
+ *       400:
+ *         description: Invalid cursor
  */
 router.get("/:id/comments/:commentId/replies", optionalAuth, getCommentReplies);
 
 /**
  * @swagger
  * /api/posts/{id}/comments/{commentId}:
+ *   put:
+ *     summary: Edit a comment
+ *     description: >
+ *       Authors can edit their own comments. Moderators and admins can edit
+ *       any comment; those edits are recorded in the audit log.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 500
+ *               reason:
+ *                 type: string
+ *                 description: Why a moderator edited the comment (audit log)
+ *     responses:
+ *       200:
+ *         description: Comment updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized to update this comment
+ *       404:
+ *         description: Comment not found
  *   delete:
  *     summary: Delete a comment
+ *     description: >
+ *       Authors can delete their own comments. Moderators and admins can
+ *       delete any comment; those deletions are recorded in the audit log.
  *     tags: [Comments]
  *     security:
  *       - bearerAuth: []
@@ -499,7 +800,19 @@ router.get("/:id/comments/:commentId/replies", optionalAuth, getCommentReplies);
  *       401:
  *         description: Not authorized to delete this comment
  */
-router.delete("/:id/comments/:commentId", protect, deleteComment);
+router.put(
+  "/:id/comments/:commentId",
+  protect,
+  commentValidation,
+  auditReasonValidation,
+  updateComment
+);
+router.delete(
+  "/:id/comments/:commentId",
+  protect,
+  auditReasonValidation,
+  deleteComment
+);
 
 /**
  * @swagger
@@ -535,6 +848,67 @@ router.delete("/:id/comments/:commentId", protect, deleteComment);
  *                 comment:
  *                   type: object
  */
-router.post("/:id/comments/:commentId/like", protect, toggleCommentLike);
+router.post(
+  "/:id/comments/:commentId/like",
+  protect,
+  requireVerifiedEmail("like"),
+  toggleCommentLike
+);
+
+/**
+ * @swagger
+ * /api/posts/{id}/comments/{commentId}/report:
+ *   post:
+ *     summary: Report a comment to the moderators
+ *     description: >
+ *       Each user can report a comment once. A comment reported by enough
+ *       users is hidden until a moderator reviews it.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Post ID
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Comment ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [spam, harassment, hate_speech, violence, nudity, misinformation, self_harm, other]
+ *               details:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Report received
+ *       400:
+ *         description: Validation error, or reporting your own comment
+ *       404:
+ *         description: Comment not found
+ *       409:
+ *         description: Comment already reported by this user
+ */
+router.post(
+  "/:id/comments/:commentId/report",
+  protect,
+  reportValidation,
+  reportComment
+);
 
 module.exports = router;
@@ -0,0 +1,97 @@
+const express = require("express");
+const { protect, protectStream } = require("../middleware/auth");
+const {
+  createStreamTicket,
+  streamEvents,
+} = require("../controllers/realtimeController");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/realtime/ticket:
+ *   post:
+ *     summary: Get a ticket for opening the event stream
+ *     description: >
+ *       EventSource can't send an Authorization header. Pass the ticket as
+ *       the ticket query parameter of /api/realtime/stream instead. Tickets
+ *       expire after a minute; the stream stays open once connected.
+ *     tags: [Realtime]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stream ticket
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 ticket:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Seconds until the ticket expires
+ *       401:
+ *         description: Not authorized
+ */
+router.post("/ticket", protect, createStreamTicket);
+
+/**
+ * @swagger
+ * /api/realtime/stream:
+ *   get:
+ *     summary: Open a Server-Sent Events stream
+ *     description: >
+ *       Streams `comment`, `likes` and `comment_likes` events for watched
+ *       posts, `notification` events (with the unread count) for the current
+ *       user, and `post` events for new posts in a map region. A `ready`
+ *       event lists the subscriptions; posts that are hidden, by blocked
+ *       users, or limited to followers of someone you don't follow are left
+ *       out. Activity by blocked or muted users is not sent, and neither are
+ *       new posts from followers-only accounts.
+ *       A comment line is sent every 25 seconds to keep the connection open,
+ *       and `session_ended` is sent before closing when the session is revoked.
+ *     tags: [Realtime]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: ticket
+ *         schema:
+ *           type: string
+ *         description: Ticket from /api/realtime/ticket, instead of a bearer token
+ *       - in: query
+ *         name: posts
+ *         schema:
+ *           type: string
+ *         description: Comma-separated IDs of up to 20 posts to watch
+ *       - in: query
+ *         name: notifications
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Stream the current user's notifications
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *           example: "-0.2,51.4,0.1,51.6"
+ *         description: Stream new posts in this box (minLng,minLat,maxLng,maxLat)
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid subscriptions
+ *       401:
+ *         description: Not authorized, or invalid or expired ticket
+ *       429:
+ *         description: Too many open streams for this user
+ */
+router.get("/stream", protectStream, streamEvents);
+
+module.exports = router;
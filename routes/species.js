@@ -0,0 +1,161 @@
+const express = require("express");
+const {
+  getSpecies,
+  autocompleteSpecies,
+  getSpeciesById,
+} = require("../controllers/speciesController");
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/species:
+ *   get:
+ *     summary: List and search the plant species catalog
+ *     description: >
+ *       Searching ignores case and accents and matches words at the start of
+ *       scientific and common names in any language, sorted by scientific name.
+ *     tags: [Species]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search text
+ *       - in: query
+ *         name: growthForm
+ *         schema:
+ *           type: string
+ *           enum: [tree, shrub, herb, grass, vine, succulent, fern]
+ *       - in: query
+ *         name: family
+ *         schema:
+ *           type: string
+ *         example: Rosaceae
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           default: en
+ *         description: Language of commonName (ISO 639-1), falling back to English
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Species
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 species:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PlantSpecies'
+ *                 currentPage:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 totalSpecies:
+ *                   type: integer
+ *       400:
+ *         description: Invalid search text or growth form
+ */
+router.get("/", getSpecies);
+
+/**
+ * @swagger
+ * /api/species/autocomplete:
+ *   get:
+ *     summary: Suggest species for the text typed so far
+ *     description: >
+ *       Exact name matches come first, then names starting with the text,
+ *       then names with a later word starting with it. Names in the requested
+ *       language are preferred.
+ *     tags: [Species]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: ros
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           default: en
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 8
+ *           maximum: 20
+ *     responses:
+ *       200:
+ *         description: Suggestions, best first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 suggestions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       scientificName:
+ *                         type: string
+ *                       commonName:
+ *                         type: string
+ *                       matchedName:
+ *                         type: string
+ *                         description: The name that matched the text
+ *                       growthForm:
+ *                         type: string
+ *       400:
+ *         description: Search text is required
+ */
+router.get("/autocomplete", autocompleteSpecies);
+
+/**
+ * @swagger
+ * /api/species/{id}:
+ *   get:
+ *     summary: Get a species
+ *     tags: [Species]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           default: en
+ *     responses:
+ *       200:
+ *         description: Species
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PlantSpecies'
+ *       404:
+ *         description: Species not found
+ */
+router.get("/:id", getSpeciesById);
+
+module.exports = router;
@@ -1,5 +1,5 @@
 const express = require("express");
-const { protect } = require("../middleware/auth");
+const { protect, requireVerifiedEmail } = require("../middleware/auth");
 const upload = require("../middleware/multer");
 const { handleMulterErrors } = require("../middleware/multer");
 const {
@@ -53,6 +53,7 @@ const router = express.Router();
 router.post(
   "/",
   protect,
+  requireVerifiedEmail("upload"),
   upload.single("image"),
   handleMulterErrors,
   uploadImage
@@ -101,6 +102,7 @@ router.post(
 router.post(
   "/multiple",
   protect,
+  requireVerifiedEmail("upload"),
   upload.array("images", 10),
   handleMulterErrors,
   uploadMultipleImages
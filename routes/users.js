@@ -1,12 +1,30 @@
 const express = require("express");
-const { protect, optionalAuth } = require("../middleware/auth");
+const {
+  protect,
+  optionalAuth,
+  requireVerifiedEmail,
+} = require("../middleware/auth");
 const {
   getUserProfile,
   getUserPosts,
   getUserSavedPosts,
+  getUserImpactBreakdown,
   getLeaderboard,
   getLeaderboardStats,
+  followUser,
+  unfollowUser,
+  getFollowers,
+  getFollowing,
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
+  getBlockedUsers,
+  getMutedUsers,
+  getSettings,
+  updateSettings,
 } = require("../controllers/userController");
+const { settingsValidation } = require("../middleware/validator");
 
 const router = express.Router();
 
@@ -22,7 +40,11 @@ const router = express.Router();
  *         schema:
  *           type: string
  *           enum: [plants, co2, engagement]
- *         description: Category to sort by
+ *         description: >
+ *           Category to sort by. plants scores count users' plantings (added
+ *           during the time range, if any), co2 scores are kg of CO2 taken up
+ *           by their plantings, all time or during the time range, as
+ *           totalled at most an hour ago.
  *       - in: query
  *         name: timeRange
  *         schema:
@@ -98,9 +120,235 @@ router.get("/leaderboard", optionalAuth, getLeaderboard);
  *                       type: number
  *                     environmentalImpact:
  *                       type: number
+ *                       description: kg of CO2 taken up by all plants, all time or during the time range, as totalled at most an hour ago
  */
 router.get("/leaderboard/stats", optionalAuth, getLeaderboardStats);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RelationListUser:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         avatar:
+ *           type: string
+ *         bio:
+ *           type: string
+ *         since:
+ *           type: string
+ *           format: date-time
+ *           description: When the user was blocked or muted
+ */
+
+/**
+ * @swagger
+ * /api/users/me/blocked:
+ *   get:
+ *     summary: Get users you have blocked
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *         description: Users per page (default 20)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous response's nextCursor. When given, page is ignored and totals are omitted.
+ *     responses:
+ *       200:
+ *         description: Blocked users, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 blocked:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RelationListUser'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 hasMore:
+ *                   type: boolean
+ *       401:
+ *         description: Not authorized
+ */
+router.get("/me/blocked", protect, getBlockedUsers);
+
+/**
+ * @swagger
+ * /api/users/me/muted:
+ *   get:
+ *     summary: Get users you have muted
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *         description: Users per page (default 20)
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous response's nextCursor. When given, page is ignored and totals are omitted.
+ *     responses:
+ *       200:
+ *         description: Muted users, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 muted:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RelationListUser'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 hasMore:
+ *                   type: boolean
+ *       401:
+ *         description: Not authorized
+ */
+router.get("/me/muted", protect, getMutedUsers);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     NotificationChannels:
+ *       type: object
+ *       properties:
+ *         inApp:
+ *           type: boolean
+ *           description: Listed in notifications and sent to the event stream
+ *         push:
+ *           type: boolean
+ *         email:
+ *           type: boolean
+ *     UserSettings:
+ *       type: object
+ *       properties:
+ *         notifications:
+ *           type: object
+ *           description: How you're told about each notification type
+ *           properties:
+ *             post_like:
+ *               $ref: '#/components/schemas/NotificationChannels'
+ *             post_comment:
+ *               $ref: '#/components/schemas/NotificationChannels'
+ *             post_save:
+ *               $ref: '#/components/schemas/NotificationChannels'
+ *             comment_like:
+ *               $ref: '#/components/schemas/NotificationChannels'
+ *             comment_reply:
+ *               $ref: '#/components/schemas/NotificationChannels'
+ *             follow:
+ *               $ref: '#/components/schemas/NotificationChannels'
+ *             care_due:
+ *               $ref: '#/components/schemas/NotificationChannels'
+ *         profileVisibility:
+ *           type: string
+ *           enum: [public, followers]
+ *           description: >
+ *             followers limits your posts, location and follow lists to your
+ *             followers
+ *         showEmail:
+ *           type: boolean
+ *           description: Show your email address on your profile
+ *         postLocationPrecision:
+ *           type: string
+ *           enum: [exact, 100m, 1km, city, hidden]
+ *           description: >
+ *             How precisely others see where your posts are, unless a post
+ *             sets its own precision. Addresses are only shown when exact.
+ *         locationPrecision:
+ *           type: string
+ *           enum: [exact, 100m, 1km, city, hidden]
+ *           description: How precisely others see your profile location
+ *         showOnLeaderboard:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/users/me/settings:
+ *   get:
+ *     summary: Get your notification and privacy settings
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Your settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 settings:
+ *                   $ref: '#/components/schemas/UserSettings'
+ *       401:
+ *         description: Not authorized
+ *   put:
+ *     summary: Update your notification and privacy settings
+ *     description: Only the settings given are changed.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UserSettings'
+ *           example:
+ *             notifications:
+ *               post_like:
+ *                 push: false
+ *               comment_reply:
+ *                 email: true
+ *             profileVisibility: followers
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Not authorized
+ */
+router.get("/me/settings", protect, getSettings);
+router.put("/me/settings", protect, settingsValidation, updateSettings);
+
 /**
  * @swagger
  * /api/users/{id}:
@@ -128,8 +376,37 @@ router.get("/leaderboard/stats", optionalAuth, getLeaderboardStats);
  *                   type: string
  *                 email:
  *                   type: string
+ *                   description: Only included if the user chose to show it, or it's your own profile
  *                 avatarUrl:
  *                   type: string
+ *                 location:
+ *                   type: object
+ *                   description: >
+ *                     Rounded to the user's location precision, and left out
+ *                     if they hide it
+ *                   properties:
+ *                     coordinates:
+ *                       type: array
+ *                       items:
+ *                         type: number
+ *                     address:
+ *                       type: string
+ *                     precision:
+ *                       type: string
+ *                 isPrivate:
+ *                   type: boolean
+ *                   description: >
+ *                     The profile is limited to followers and you don't follow
+ *                     it; location and posts are left out
+ *                 isFollowing:
+ *                   type: boolean
+ *                   description: Whether the authenticated user follows this user
+ *                 isBlocked:
+ *                   type: boolean
+ *                   description: Whether the authenticated user blocked this user
+ *                 isMuted:
+ *                   type: boolean
+ *                   description: Whether the authenticated user muted this user
  *                 stats:
  *                   type: object
  *                   properties:
@@ -139,6 +416,15 @@ router.get("/leaderboard/stats", optionalAuth, getLeaderboardStats);
  *                       type: number
  *                     likesReceived:
  *                       type: number
+ *                     environmentalImpact:
+ *                       type: number
+ *                       description: kg of CO2 the user's plants have taken up so far
+ *                     followers:
+ *                       type: number
+ *                     following:
+ *                       type: number
+ *       404:
+ *         description: User not found, or the user blocked you
  */
 router.get("/:id", optionalAuth, getUserProfile);
 
@@ -159,12 +445,20 @@ router.get("/:id", optionalAuth, getUserProfile);
  *         name: page
  *         schema:
  *           type: integer
+ *           minimum: 1
  *         description: Page number
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *           maximum: 50
  *         description: Posts per page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous response's nextCursor. When given, page is ignored and totals are omitted.
  *     responses:
  *       200:
  *         description: List of user's posts
@@ -177,9 +471,83 @@ router.get("/:id", optionalAuth, getUserProfile);
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/PostResponse'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 hasMore:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid cursor
+ *       403:
+ *         description: The account only shares its posts with its followers
  */
 router.get("/:id/posts", optionalAuth, getUserPosts);
 
+/**
+ * @swagger
+ * /api/users/{id}/impact:
+ *   get:
+ *     summary: Get the CO2 a user's plants have taken up
+ *     description: >
+ *       Estimated for each of the user's plantings from its species (or
+ *       growth form, for plants not in the catalog), its age when planted and
+ *       the time since. Uptake grows until the plant is mature, and
+ *       accumulates from the day it was planted until it died or was removed.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Impact totals and breakdowns, in kg of CO2
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 plants:
+ *                   type: integer
+ *                 co2Kg:
+ *                   type: number
+ *                 currentUptakeKgPerYear:
+ *                   type: number
+ *                 byGrowthForm:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: object
+ *                     properties:
+ *                       plants:
+ *                         type: integer
+ *                       co2Kg:
+ *                         type: number
+ *                 bySpecies:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       speciesId:
+ *                         type: string
+ *                         nullable: true
+ *                       name:
+ *                         type: string
+ *                         description: Scientific name, or the free-text plant type
+ *                       growthForm:
+ *                         type: string
+ *                       plants:
+ *                         type: integer
+ *                       co2Kg:
+ *                         type: number
+ *       403:
+ *         description: The account only shares its posts with its followers
+ *       404:
+ *         description: User not found, or the user blocked you
+ */
+router.get("/:id/impact", optionalAuth, getUserImpactBreakdown);
+
 /**
  * @swagger
  * /api/users/{id}/saved:
@@ -195,6 +563,18 @@ router.get("/:id/posts", optionalAuth, getUserPosts);
  *         schema:
  *           type: string
  *         description: User ID (must be the authenticated user)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *         description: Posts per page. Without limit or cursor, all saved posts are returned.
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from a previous response's nextCursor. When given, page is ignored and totals are omitted.
  *     responses:
  *       200:
  *         description: List of user's saved posts
@@ -207,9 +587,318 @@ router.get("/:id/posts", optionalAuth, getUserPosts);
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/PostResponse'
+ *                 nextCursor:
+ *                   type: string
+ *                   nullable: true
+ *                 hasMore:
+ *                   type: boolean
  *       401:
  *         description: Not authorized to access saved posts of another user
  */
 router.get("/:id/saved", protect, getUserSavedPosts);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FollowListUser:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         avatar:
+ *           type: string
+ *         bio:
+ *           type: string
+ *         isFollowing:
+ *           type: boolean
+ *           description: Whether the authenticated user follows this user
+ *         followedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/users/{id}/follow:
+ *   post:
+ *     summary: Follow a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user to follow
+ *     responses:
+ *       200:
+ *         description: User followed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 isFollowing:
+ *                   type: boolean
+ *                 followersCount:
+ *                   type: number
+ *       400:
+ *         description: Invalid user ID or attempt to follow yourself
+ *       403:
+ *         description: One of the users blocked the other
+ *       404:
+ *         description: User not found
+ *   delete:
+ *     summary: Unfollow a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user to unfollow
+ *     responses:
+ *       200:
+ *         description: User unfollowed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 isFollowing:
+ *                   type: boolean
+ *                 followersCount:
+ *                   type: number
+ */
+router.post("/:id/follow", protect, requireVerifiedEmail("follow"), followUser);
+router.delete("/:id/follow", protect, unfollowUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/block:
+ *   post:
+ *     summary: Block a user
+ *     description: >
+ *       Neither user can see the other's posts and comments, or like, comment on, save or follow them. Existing follows between the two users are removed.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user to block
+ *     responses:
+ *       200:
+ *         description: User blocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 isBlocked:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid user ID or attempt to block yourself
+ *       404:
+ *         description: User not found
+ *   delete:
+ *     summary: Unblock a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user to unblock
+ *     responses:
+ *       200:
+ *         description: User unblocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 isBlocked:
+ *                   type: boolean
+ */
+router.post("/:id/block", protect, blockUser);
+router.delete("/:id/block", protect, unblockUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/mute:
+ *   post:
+ *     summary: Mute a user
+ *     description: >
+ *       Hides the user's posts and comments from your lists and feed. They are not told and can still interact with your content.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user to mute
+ *     responses:
+ *       200:
+ *         description: User muted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 isMuted:
+ *                   type: boolean
+ *       400:
+ *         description: Invalid user ID or attempt to mute yourself
+ *       404:
+ *         description: User not found
+ *   delete:
+ *     summary: Unmute a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user to unmute
+ *     responses:
+ *       200:
+ *         description: User unmuted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 isMuted:
+ *                   type: boolean
+ */
+router.post("/:id/mute", protect, muteUser);
+router.delete("/:id/mute", protect, unmuteUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/followers:
+ *   get:
+ *     summary: Get users following a user
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *         description: Users per page (default 20)
+ *     responses:
+ *       200:
+ *         description: List of followers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 followers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FollowListUser'
+ *                 currentPage:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Invalid user ID, page or limit
+ *       403:
+ *         description: The account only shares this list with its followers
+ *       404:
+ *         description: User not found
+ */
+router.get("/:id/followers", optionalAuth, getFollowers);
+
+/**
+ * @swagger
+ * /api/users/{id}/following:
+ *   get:
+ *     summary: Get users a user is following
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *         description: Users per page (default 20)
+ *     responses:
+ *       200:
+ *         description: List of followed users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 following:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FollowListUser'
+ *                 currentPage:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *       400:
+ *         description: Invalid user ID, page or limit
+ *       403:
+ *         description: The account only shares this list with its followers
+ *       404:
+ *         description: User not found
+ */
+router.get("/:id/following", optionalAuth, getFollowing);
+
 module.exports = router;
@@ -0,0 +1,132 @@
+/**
+ * Give every post from before plantings that names a plant a planting of
+ * its own, as each of those posts counted as a plant, recompute users' plant
+ * counts from their plantings, and give plantings without care schedules the
+ * defaults for their species:
+ *
+ *   node scripts/backfillPlantings.js [--batch-size 500] [--dry-run]
+ *
+ * Posts that already have a planting, and plantings that already have care
+ * schedules, are skipped, so an interrupted run can simply be started again.
+ * --dry-run reports what would change without writing anything.
+ */
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const Post = require("../models/Post");
+const Planting = require("../models/Planting");
+const CareSchedule = require("../models/CareSchedule");
+const { UNKNOWN_PLANT_TYPE } = require("../utils/species");
+const { recountPlants } = require("../utils/plantings");
+const { syncCareSchedules } = require("../utils/care");
+
+dotenv.config();
+
+const DEFAULT_BATCH_SIZE = 500;
+
+// Posts naming a plant that aren't attached to a planting
+const UNATTACHED_FILTER = {
+  planting: null,
+  plantType: { $nin: [UNKNOWN_PLANT_TYPE, "", null] },
+};
+
+// Helper to build the planting a legacy post stands for. Posts stored when
+// they carried the planting details themselves keep their dates.
+const plantingFromPost = (post) => ({
+  _id: new mongoose.Types.ObjectId(),
+  user: post.user,
+  plantType: post.plantType,
+  species: post.species,
+  plantedAt: post.plantedAt || post.createdAt,
+  ageAtPlantingYears: post.ageAtPlantingYears || 0,
+  location: post.location?.coordinates?.length ? post.location : undefined,
+  locationPrecision: post.locationPrecision,
+  statusChangedAt: post.createdAt,
+  createdAt: post.createdAt,
+  updatedAt: post.createdAt,
+});
+
+// Helper to find the plantings that have no care schedules yet
+const findPlantingsWithoutCare = () =>
+  Planting.aggregate([
+    {
+      $lookup: {
+        from: CareSchedule.collection.name,
+        localField: "_id",
+        foreignField: "planting",
+        pipeline: [{ $limit: 1 }, { $project: { _id: 1 } }],
+        as: "schedules",
+      },
+    },
+    { $match: { schedules: { $size: 0 } } },
+    { $project: { user: 1, species: 1, status: 1 } },
+  ]);
+
+const run = async () => {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes("--dry-run");
+  const batchSizeIndex = args.indexOf("--batch-size");
+  const batchSize =
+    (batchSizeIndex !== -1 && parseInt(args[batchSizeIndex + 1])) ||
+    DEFAULT_BATCH_SIZE;
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  if (dryRun) {
+    const count = await Post.countDocuments(UNATTACHED_FILTER);
+    console.log(`Would create plantings for ${count} posts`);
+  } else {
+    let created = 0;
+
+    for (;;) {
+      const posts = await Post.find(UNATTACHED_FILTER)
+        .sort({ _id: 1 })
+        .limit(batchSize)
+        .lean();
+      if (posts.length === 0) break;
+
+      const plantings = posts.map(plantingFromPost);
+      // Keep the posts' dates rather than the time of the backfill
+      await Planting.insertMany(plantings, { timestamps: false });
+      await Post.bulkWrite(
+        posts.map((post, index) => ({
+          updateOne: {
+            filter: { _id: post._id },
+            update: { $set: { planting: plantings[index]._id } },
+          },
+        })),
+        { ordered: false }
+      );
+
+      created += plantings.length;
+      console.log(`Created ${created} plantings so far`);
+    }
+
+    console.log(`Created plantings for ${created} posts`);
+  }
+
+  const changed = await recountPlants({ dryRun, batchSize });
+  console.log(
+    `${dryRun ? "Would update" : "Updated"} plant counts of ${changed} users`
+  );
+
+  if (dryRun) {
+    const [{ count = 0 } = {}] = await findPlantingsWithoutCare().count(
+      "count"
+    );
+    console.log(`Would add care schedules to ${count} plantings`);
+  } else {
+    let scheduled = 0;
+    for await (const planting of findPlantingsWithoutCare().cursor()) {
+      await syncCareSchedules(planting);
+      scheduled += 1;
+    }
+    console.log(`Added care schedules to ${scheduled} plantings`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
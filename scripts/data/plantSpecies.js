@@ -0,0 +1,377 @@
+/**
+ * Starter entries for the plant species catalog, loaded by
+ * scripts/seedSpecies.js. CO2 uptake figures are rough yearly averages for a
+ * mature plant grown outdoors (or indoors, for house plants). Care intervals
+ * are days between tasks, for species that need more or less care than
+ * their growth form (see config/care.js).
+ */
+module.exports = [
+  {
+    scientificName: "Quercus robur",
+    commonNames: [
+      { name: "English oak", language: "en" },
+      { name: "Oak", language: "en" },
+      { name: "Roble común", language: "es" },
+      { name: "Chêne pédonculé", language: "fr" },
+      { name: "Stieleiche", language: "de" },
+    ],
+    family: "Fagaceae",
+    growthForm: "tree",
+    nativeRange: ["Europe", "Western Asia"],
+    co2UptakeKgPerYear: 22,
+  },
+  {
+    scientificName: "Acer saccharum",
+    commonNames: [
+      { name: "Sugar maple", language: "en" },
+      { name: "Maple", language: "en" },
+      { name: "Arce azucarero", language: "es" },
+      { name: "Érable à sucre", language: "fr" },
+      { name: "Zucker-Ahorn", language: "de" },
+    ],
+    family: "Sapindaceae",
+    growthForm: "tree",
+    nativeRange: ["Eastern North America"],
+    co2UptakeKgPerYear: 20,
+  },
+  {
+    scientificName: "Betula pendula",
+    commonNames: [
+      { name: "Silver birch", language: "en" },
+      { name: "Birch", language: "en" },
+      { name: "Abedul común", language: "es" },
+      { name: "Bouleau verruqueux", language: "fr" },
+      { name: "Hänge-Birke", language: "de" },
+    ],
+    family: "Betulaceae",
+    growthForm: "tree",
+    nativeRange: ["Europe", "Western Asia"],
+    co2UptakeKgPerYear: 15,
+  },
+  {
+    scientificName: "Pinus sylvestris",
+    commonNames: [
+      { name: "Scots pine", language: "en" },
+      { name: "Pine", language: "en" },
+      { name: "Pino silvestre", language: "es" },
+      { name: "Pin sylvestre", language: "fr" },
+      { name: "Waldkiefer", language: "de" },
+    ],
+    family: "Pinaceae",
+    growthForm: "tree",
+    nativeRange: ["Europe", "Northern Asia"],
+    co2UptakeKgPerYear: 18,
+  },
+  {
+    scientificName: "Prunus serrulata",
+    commonNames: [
+      { name: "Japanese cherry", language: "en" },
+      { name: "Cherry blossom", language: "en" },
+      { name: "Cerezo japonés", language: "es" },
+      { name: "Cerisier du Japon", language: "fr" },
+      { name: "Japanische Blütenkirsche", language: "de" },
+    ],
+    family: "Rosaceae",
+    growthForm: "tree",
+    nativeRange: ["Eastern Asia"],
+    co2UptakeKgPerYear: 12,
+  },
+  {
+    scientificName: "Malus domestica",
+    commonNames: [
+      { name: "Apple tree", language: "en" },
+      { name: "Apple", language: "en" },
+      { name: "Manzano", language: "es" },
+      { name: "Pommier", language: "fr" },
+      { name: "Apfelbaum", language: "de" },
+    ],
+    family: "Rosaceae",
+    growthForm: "tree",
+    nativeRange: ["Central Asia"],
+    co2UptakeKgPerYear: 12,
+  },
+  {
+    scientificName: "Olea europaea",
+    commonNames: [
+      { name: "Olive tree", language: "en" },
+      { name: "Olive", language: "en" },
+      { name: "Olivo", language: "es" },
+      { name: "Olivier", language: "fr" },
+      { name: "Olivenbaum", language: "de" },
+    ],
+    family: "Oleaceae",
+    growthForm: "tree",
+    nativeRange: ["Mediterranean"],
+    co2UptakeKgPerYear: 11,
+  },
+  {
+    scientificName: "Citrus limon",
+    commonNames: [
+      { name: "Lemon tree", language: "en" },
+      { name: "Lemon", language: "en" },
+      { name: "Limonero", language: "es" },
+      { name: "Citronnier", language: "fr" },
+      { name: "Zitronenbaum", language: "de" },
+    ],
+    family: "Rutaceae",
+    growthForm: "tree",
+    nativeRange: ["South Asia"],
+    co2UptakeKgPerYear: 8,
+  },
+  {
+    scientificName: "Rosa × hybrida",
+    commonNames: [
+      { name: "Garden rose", language: "en" },
+      { name: "Rose", language: "en" },
+      { name: "Rosa", language: "es" },
+      { name: "Rosier", language: "fr" },
+      { name: "Gartenrose", language: "de" },
+    ],
+    family: "Rosaceae",
+    growthForm: "shrub",
+    nativeRange: ["Cultivated"],
+    co2UptakeKgPerYear: 2,
+    careIntervals: { water: 3, fertilize: 30, prune: 90 },
+  },
+  {
+    scientificName: "Lavandula angustifolia",
+    commonNames: [
+      { name: "English lavender", language: "en" },
+      { name: "Lavender", language: "en" },
+      { name: "Lavanda", language: "es" },
+      { name: "Lavande vraie", language: "fr" },
+      { name: "Echter Lavendel", language: "de" },
+    ],
+    family: "Lamiaceae",
+    growthForm: "shrub",
+    nativeRange: ["Mediterranean"],
+    co2UptakeKgPerYear: 1,
+    careIntervals: { water: 7, prune: 180 },
+  },
+  {
+    scientificName: "Salvia rosmarinus",
+    commonNames: [
+      { name: "Rosemary", language: "en" },
+      { name: "Romero", language: "es" },
+      { name: "Romarin", language: "fr" },
+      { name: "Rosmarin", language: "de" },
+    ],
+    family: "Lamiaceae",
+    growthForm: "shrub",
+    nativeRange: ["Mediterranean"],
+    co2UptakeKgPerYear: 1,
+    careIntervals: { water: 7 },
+  },
+  {
+    scientificName: "Hydrangea macrophylla",
+    commonNames: [
+      { name: "Bigleaf hydrangea", language: "en" },
+      { name: "Hydrangea", language: "en" },
+      { name: "Hortensia", language: "es" },
+      { name: "Hortensia", language: "fr" },
+      { name: "Garten-Hortensie", language: "de" },
+    ],
+    family: "Hydrangeaceae",
+    growthForm: "shrub",
+    nativeRange: ["Japan"],
+    co2UptakeKgPerYear: 2,
+  },
+  {
+    scientificName: "Ocimum basilicum",
+    commonNames: [
+      { name: "Basil", language: "en" },
+      { name: "Albahaca", language: "es" },
+      { name: "Basilic", language: "fr" },
+      { name: "Basilikum", language: "de" },
+    ],
+    family: "Lamiaceae",
+    growthForm: "herb",
+    nativeRange: ["Tropical Asia", "Africa"],
+    co2UptakeKgPerYear: 0.2,
+    careIntervals: { water: 1, prune: 7 },
+  },
+  {
+    scientificName: "Mentha spicata",
+    commonNames: [
+      { name: "Spearmint", language: "en" },
+      { name: "Mint", language: "en" },
+      { name: "Hierbabuena", language: "es" },
+      { name: "Menthe verte", language: "fr" },
+      { name: "Grüne Minze", language: "de" },
+    ],
+    family: "Lamiaceae",
+    growthForm: "herb",
+    nativeRange: ["Europe", "Western Asia"],
+    co2UptakeKgPerYear: 0.2,
+  },
+  {
+    scientificName: "Solanum lycopersicum",
+    commonNames: [
+      { name: "Tomato", language: "en" },
+      { name: "Tomate", language: "es" },
+      { name: "Tomate", language: "fr" },
+      { name: "Tomate", language: "de" },
+    ],
+    family: "Solanaceae",
+    growthForm: "herb",
+    nativeRange: ["Western South America"],
+    co2UptakeKgPerYear: 0.5,
+    careIntervals: { water: 1, fertilize: 14, prune: 7 },
+  },
+  {
+    scientificName: "Capsicum annuum",
+    commonNames: [
+      { name: "Pepper", language: "en" },
+      { name: "Chili pepper", language: "en" },
+      { name: "Pimiento", language: "es" },
+      { name: "Piment", language: "fr" },
+      { name: "Paprika", language: "de" },
+    ],
+    family: "Solanaceae",
+    growthForm: "herb",
+    nativeRange: ["Central America", "South America"],
+    co2UptakeKgPerYear: 0.4,
+    careIntervals: { water: 2, fertilize: 14 },
+  },
+  {
+    scientificName: "Fragaria × ananassa",
+    commonNames: [
+      { name: "Garden strawberry", language: "en" },
+      { name: "Strawberry", language: "en" },
+      { name: "Fresa", language: "es" },
+      { name: "Fraisier", language: "fr" },
+      { name: "Gartenerdbeere", language: "de" },
+    ],
+    family: "Rosaceae",
+    growthForm: "herb",
+    nativeRange: ["Cultivated"],
+    co2UptakeKgPerYear: 0.2,
+    careIntervals: { water: 2, fertilize: 30 },
+  },
+  {
+    scientificName: "Helianthus annuus",
+    commonNames: [
+      { name: "Sunflower", language: "en" },
+      { name: "Girasol", language: "es" },
+      { name: "Tournesol", language: "fr" },
+      { name: "Sonnenblume", language: "de" },
+    ],
+    family: "Asteraceae",
+    growthForm: "herb",
+    nativeRange: ["North America"],
+    co2UptakeKgPerYear: 0.6,
+  },
+  {
+    scientificName: "Monstera deliciosa",
+    commonNames: [
+      { name: "Swiss cheese plant", language: "en" },
+      { name: "Monstera", language: "en" },
+      { name: "Costilla de Adán", language: "es" },
+      { name: "Faux philodendron", language: "fr" },
+      { name: "Fensterblatt", language: "de" },
+    ],
+    family: "Araceae",
+    growthForm: "vine",
+    nativeRange: ["Central America"],
+    co2UptakeKgPerYear: 0.3,
+    careIntervals: { water: 7, fertilize: 30 },
+  },
+  {
+    scientificName: "Epipremnum aureum",
+    commonNames: [
+      { name: "Golden pothos", language: "en" },
+      { name: "Pothos", language: "en" },
+      { name: "Potus", language: "es" },
+      { name: "Pothos", language: "fr" },
+      { name: "Efeutute", language: "de" },
+    ],
+    family: "Araceae",
+    growthForm: "vine",
+    nativeRange: ["French Polynesia"],
+    co2UptakeKgPerYear: 0.2,
+    careIntervals: { water: 7, fertilize: 30 },
+  },
+  {
+    scientificName: "Hedera helix",
+    commonNames: [
+      { name: "Common ivy", language: "en" },
+      { name: "Ivy", language: "en" },
+      { name: "Hiedra", language: "es" },
+      { name: "Lierre grimpant", language: "fr" },
+      { name: "Gemeiner Efeu", language: "de" },
+    ],
+    family: "Araliaceae",
+    growthForm: "vine",
+    nativeRange: ["Europe", "Western Asia"],
+    co2UptakeKgPerYear: 1,
+  },
+  {
+    scientificName: "Dracaena trifasciata",
+    commonNames: [
+      { name: "Snake plant", language: "en" },
+      { name: "Lengua de suegra", language: "es" },
+      { name: "Langue de belle-mère", language: "fr" },
+      { name: "Bogenhanf", language: "de" },
+    ],
+    family: "Asparagaceae",
+    growthForm: "succulent",
+    nativeRange: ["West Africa"],
+    co2UptakeKgPerYear: 0.1,
+    careIntervals: { water: 21 },
+  },
+  {
+    scientificName: "Aloe vera",
+    commonNames: [
+      { name: "Aloe vera", language: "en" },
+      { name: "Sábila", language: "es" },
+      { name: "Aloès", language: "fr" },
+      { name: "Echte Aloe", language: "de" },
+    ],
+    family: "Asphodelaceae",
+    growthForm: "succulent",
+    nativeRange: ["Arabian Peninsula"],
+    co2UptakeKgPerYear: 0.1,
+    careIntervals: { water: 21 },
+  },
+  {
+    scientificName: "Crassula ovata",
+    commonNames: [
+      { name: "Jade plant", language: "en" },
+      { name: "Árbol de jade", language: "es" },
+      { name: "Arbre de jade", language: "fr" },
+      { name: "Geldbaum", language: "de" },
+    ],
+    family: "Crassulaceae",
+    growthForm: "succulent",
+    nativeRange: ["Southern Africa"],
+    co2UptakeKgPerYear: 0.1,
+  },
+  {
+    scientificName: "Phyllostachys aurea",
+    commonNames: [
+      { name: "Golden bamboo", language: "en" },
+      { name: "Bamboo", language: "en" },
+      { name: "Bambú dorado", language: "es" },
+      { name: "Bambou doré", language: "fr" },
+      { name: "Goldrohrbambus", language: "de" },
+    ],
+    family: "Poaceae",
+    growthForm: "grass",
+    nativeRange: ["Southern China"],
+    co2UptakeKgPerYear: 5,
+  },
+  {
+    scientificName: "Nephrolepis exaltata",
+    commonNames: [
+      { name: "Boston fern", language: "en" },
+      { name: "Fern", language: "en" },
+      { name: "Helecho de Boston", language: "es" },
+      { name: "Fougère de Boston", language: "fr" },
+      { name: "Schwertfarn", language: "de" },
+    ],
+    family: "Nephrolepidaceae",
+    growthForm: "fern",
+    nativeRange: ["Tropical Americas"],
+    co2UptakeKgPerYear: 0.2,
+  },
+];
@@ -0,0 +1,320 @@
+/**
+ * Move posts and plantings from free-text plantType values onto the species
+ * catalog.
+ *
+ * 1. Write a review report of every plantType not yet linked to a species:
+ *
+ *      node scripts/migratePlantTypes.js report [--out plant-type-mappings.json]
+ *
+ *    Close, unambiguous matches are approved already. For the rest, set
+ *    speciesId (e.g. from candidates) and "approved": true in the file, or
+ *    leave them unapproved to keep them as free text.
+ *
+ * 2. Link the posts and plantings of approved mappings, in batches.
+ *    Progress is saved next to the mappings file, so an interrupted run
+ *    picks up where it stopped.
+ *
+ *      node scripts/migratePlantTypes.js apply [--mappings plant-type-mappings.json]
+ *        [--batch-size 500] [--dry-run]
+ *
+ * 3. Recompute users' plant counts (their number of plantings), e.g. after
+ *    scripts/backfillPlantings.js:
+ *
+ *      node scripts/migratePlantTypes.js recount [--dry-run]
+ *
+ * --dry-run reports what would change without writing anything.
+ */
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const Post = require("../models/Post");
+const Planting = require("../models/Planting");
+const PlantSpecies = require("../models/PlantSpecies");
+const {
+  UNKNOWN_PLANT_TYPE,
+  getCommonName,
+  rankSpeciesMatches,
+} = require("../utils/species");
+const { recountPlants } = require("../utils/plantings");
+
+dotenv.config();
+
+const DEFAULT_MAPPINGS_FILE = "plant-type-mappings.json";
+const DEFAULT_BATCH_SIZE = 500;
+
+// Matches at least this close, and clearly ahead of the next species, are
+// approved without review; matches below MIN_CANDIDATE_SCORE aren't offered
+const AUTO_APPROVE_SCORE = 0.85;
+const AUTO_APPROVE_MARGIN = 0.15;
+const MIN_CANDIDATE_SCORE = 0.6;
+const CANDIDATES_LISTED = 3;
+
+// plantType values that don't name a plant
+const NO_PLANT_TYPES = [UNKNOWN_PLANT_TYPE, "", null];
+
+// Posts and plantings that name a plant without linking to a species
+const UNLINKED_FILTER = { species: null, plantType: { $nin: NO_PLANT_TYPES } };
+
+// Models whose plantType values are migrated
+const MODELS = [Post, Planting];
+
+// Helper to read "--name value" and "--flag" options
+const parseOptions = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i += 1) {
+    const name = args[i].replace(/^--/, "");
+    if (args[i + 1] !== undefined && !args[i + 1].startsWith("--")) {
+      options[name] = args[i + 1];
+      i += 1;
+    } else {
+      options[name] = true;
+    }
+  }
+  return options;
+};
+
+const readJson = (file, fallback) =>
+  fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : fallback;
+
+const writeJson = (file, data) =>
+  fs.writeFileSync(file, `${JSON.stringify(data, null, 2)}\n`);
+
+// Helper to get the progress file kept next to a mappings file
+const getProgressFile = (mappingsFile) =>
+  path.join(
+    path.dirname(mappingsFile),
+    `${path.basename(mappingsFile, ".json")}.progress.json`
+  );
+
+/**
+ * Write the review report of plantType values to map
+ * @param {Object} options - Command line options
+ */
+const report = async (options) => {
+  const outFile = path.resolve(options.out || DEFAULT_MAPPINGS_FILE);
+
+  const [plantTypes, speciesList] = await Promise.all([
+    Post.aggregate([
+      { $match: UNLINKED_FILTER },
+      { $project: { plantType: 1, post: { $literal: 1 } } },
+      {
+        $unionWith: {
+          coll: Planting.collection.name,
+          pipeline: [
+            { $match: UNLINKED_FILTER },
+            { $project: { plantType: 1, post: { $literal: 0 } } },
+          ],
+        },
+      },
+      {
+        $group: {
+          _id: "$plantType",
+          posts: { $sum: "$post" },
+          plantings: { $sum: { $subtract: [1, "$post"] } },
+        },
+      },
+      { $sort: { posts: -1, plantings: -1, _id: 1 } },
+    ]),
+    PlantSpecies.find(),
+  ]);
+
+  const mappings = plantTypes.map(({ _id: plantType, posts, plantings }) => {
+    const candidates = rankSpeciesMatches(plantType, speciesList)
+      .filter((match) => match.score >= MIN_CANDIDATE_SCORE)
+      .slice(0, CANDIDATES_LISTED)
+      .map((match) => ({
+        speciesId: match.species._id.toString(),
+        scientificName: match.species.scientificName,
+        matchedName: match.name,
+        score: Math.round(match.score * 100) / 100,
+      }));
+
+    const [best, next] = candidates;
+    let status = "unmatched";
+    if (best) {
+      status =
+        best.score >= AUTO_APPROVE_SCORE &&
+        (!next || best.score - next.score >= AUTO_APPROVE_MARGIN)
+          ? "matched"
+          : "ambiguous";
+    }
+
+    return {
+      plantType,
+      posts,
+      plantings,
+      status,
+      approved: status === "matched",
+      speciesId: status === "matched" ? best.speciesId : null,
+      candidates,
+    };
+  });
+
+  writeJson(outFile, { generatedAt: new Date().toISOString(), mappings });
+
+  const byStatus = (status) =>
+    mappings.filter((mapping) => mapping.status === status);
+
+  console.log(`${mappings.length} plant types not linked to a species:`);
+  console.log(`  ${byStatus("matched").length} matched and approved`);
+  console.log(`  ${byStatus("ambiguous").length} ambiguous, need review`);
+  console.log(`  ${byStatus("unmatched").length} without a close match`);
+
+  byStatus("ambiguous").forEach((mapping) => {
+    const options = mapping.candidates
+      .map((candidate) => `${candidate.matchedName} (${candidate.score})`)
+      .join(", ");
+    console.log(
+      `  ? "${mapping.plantType}" (${mapping.posts} posts, ${mapping.plantings} plantings): ${options}`
+    );
+  });
+
+  console.log(`Review report written to ${outFile}`);
+};
+
+/**
+ * Recompute every user's numberOfPlants from their plantings
+ * @param {Object} options - Command line options
+ */
+const recount = async (options) => {
+  const dryRun = Boolean(options["dry-run"]);
+  const changed = await recountPlants({
+    dryRun,
+    batchSize: parseInt(options["batch-size"]) || DEFAULT_BATCH_SIZE,
+  });
+
+  console.log(
+    `${dryRun ? "Would update" : "Updated"} plant counts of ${changed} users`
+  );
+};
+
+/**
+ * Link posts and plantings to the species of approved mappings
+ * @param {Object} options - Command line options
+ */
+const apply = async (options) => {
+  const dryRun = Boolean(options["dry-run"]);
+  const batchSize = parseInt(options["batch-size"]) || DEFAULT_BATCH_SIZE;
+  const mappingsFile = path.resolve(options.mappings || DEFAULT_MAPPINGS_FILE);
+  const progressFile = getProgressFile(mappingsFile);
+
+  if (!fs.existsSync(mappingsFile)) {
+    throw new Error(`No mappings file at ${mappingsFile}; run report first`);
+  }
+
+  const { generatedAt, mappings } = readJson(mappingsFile);
+  const approved = mappings.filter(
+    (mapping) => mapping.approved && mapping.speciesId
+  );
+
+  // Progress only carries over between runs of the same report
+  const saved = readJson(progressFile, {});
+  const progress = saved.generatedAt === generatedAt ? saved.plantTypes : {};
+  const saveProgress = () =>
+    writeJson(progressFile, { generatedAt, plantTypes: progress });
+
+  const speciesList = await PlantSpecies.find({
+    _id: {
+      $in: approved
+        .map((mapping) => mapping.speciesId)
+        .filter((id) => mongoose.isValidObjectId(id)),
+    },
+  });
+  const speciesById = new Map(
+    speciesList.map((species) => [species._id.toString(), species])
+  );
+
+  let linked = 0;
+
+  for (const mapping of approved) {
+    const species = speciesById.get(mapping.speciesId);
+    if (!species) {
+      console.warn(
+        `Skipping "${mapping.plantType}": unknown species ${mapping.speciesId}`
+      );
+      continue;
+    }
+
+    for (const Model of MODELS) {
+      const label = `${Model.collection.name} of "${mapping.plantType}"`;
+      const key = `${Model.collection.name}:${mapping.plantType}`;
+      const state = progress[key] || { lastId: null, updated: 0 };
+      if (state.done) continue;
+
+      const filter = { plantType: mapping.plantType, species: null };
+
+      if (dryRun) {
+        const count = await Model.countDocuments(filter);
+        console.log(
+          `Would link ${count} ${label} to ${species.scientificName}`
+        );
+        linked += count;
+        continue;
+      }
+
+      // Batches walk up by _id so a resumed run skips what's already done
+      for (;;) {
+        const batch = await Model.find(
+          state.lastId ? { ...filter, _id: { $gt: state.lastId } } : filter
+        )
+          .sort({ _id: 1 })
+          .limit(batchSize)
+          .select("_id")
+          .lean();
+        if (batch.length === 0) break;
+
+        const ids = batch.map((doc) => doc._id);
+        const result = await Model.updateMany(
+          { _id: { $in: ids }, species: null },
+          {
+            $set: { species: species._id, plantType: getCommonName(species) },
+          }
+        );
+
+        state.lastId = ids[ids.length - 1].toString();
+        state.updated += result.modifiedCount;
+        progress[key] = state;
+        saveProgress();
+      }
+
+      state.done = true;
+      progress[key] = state;
+      saveProgress();
+
+      console.log(
+        `Linked ${state.updated} ${label} to ${species.scientificName}`
+      );
+      linked += state.updated;
+    }
+  }
+
+  console.log(
+    `${dryRun ? "Would link" : "Linked"} ${linked} posts and plantings` +
+      ` (${mappings.length - approved.length} plant types left as free text)`
+  );
+};
+
+const COMMANDS = { report, apply, recount };
+
+const run = async () => {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (!COMMANDS[command]) {
+    console.error(
+      `Usage: node scripts/migratePlantTypes.js <${Object.keys(COMMANDS).join(
+        "|"
+      )}> [options]`
+    );
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  await COMMANDS[command](parseOptions(args));
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,44 @@
+/**
+ * Load the starter plant species catalog, adding new species and updating
+ * existing ones (matched by scientific name). Safe to run more than once:
+ *
+ *   node scripts/seedSpecies.js
+ */
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const PlantSpecies = require("../models/PlantSpecies");
+const species = require("./data/plantSpecies");
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  let created = 0;
+  let updated = 0;
+
+  for (const entry of species) {
+    // Saved one by one so search names are rebuilt
+    const existing = await PlantSpecies.findOne({
+      scientificName: entry.scientificName,
+    });
+
+    if (existing) {
+      existing.set(entry);
+      await existing.save();
+      updated += 1;
+    } else {
+      await PlantSpecies.create(entry);
+      created += 1;
+    }
+  }
+
+  console.log(`Species catalog: ${created} added, ${updated} updated`);
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,46 @@
+/**
+ * Change a user's role, e.g. to create the first admin:
+ *
+ *   node scripts/setUserRole.js alice@example.com admin
+ *
+ * Later role changes can be made by an admin through the API.
+ */
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const User = require("../models/User");
+const { ROLES } = require("../config/roles");
+
+dotenv.config();
+
+const run = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    console.error(
+      `Usage: node scripts/setUserRole.js <email> <${ROLES.join("|")}>`
+    );
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { role },
+    { new: true }
+  );
+
+  if (!user) {
+    console.error(`No user found with email ${email}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`${user.email} is now ${user.role}`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
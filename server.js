@@ -15,13 +15,31 @@ dotenv.config();
 
 // Import routes
 const authRoutes = require("./routes/auth");
+const oauthRoutes = require("./routes/oauth");
 const postRoutes = require("./routes/posts");
 const uploadRoutes = require("./routes/upload");
 const userRoutes = require("./routes/users");
+const adminRoutes = require("./routes/admin");
+const moderationRoutes = require("./routes/moderation");
+const notificationRoutes = require("./routes/notifications");
+const realtimeRoutes = require("./routes/realtime");
+const speciesRoutes = require("./routes/species");
+const plantingRoutes = require("./routes/plantings");
+const careRoutes = require("./routes/care");
+const { registerJob, startJobRunner } = require("./utils/jobRunner");
+const { runCareJob } = require("./utils/care");
+const { CARE_JOB_INTERVAL_MS } = require("./config/care");
+const { refreshImpactTotals } = require("./utils/impact");
+const { IMPACT_JOB_INTERVAL_MS } = require("./config/plantings");
 
 // Initialize Express app
 const app = express();
 
+// Number of reverse proxies (load balancer, Vercel, nginx) in front of the
+// app; req.ip takes the client address they report and ignores anything
+// further along X-Forwarded-For, which the client controls
+app.set("trust proxy", parseInt(process.env.TRUST_PROXY_HOPS) || 0);
+
 // Middlewares
 app.use(
   cors({
@@ -77,10 +95,27 @@ app.use(
 app.use("/uploads", express.static(path.join(__dirname, "uploads")));
 
 // Routes
+app.use("/api/auth/oauth", oauthRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api/posts", postRoutes);
 app.use("/api/upload", uploadRoutes);
 app.use("/api/users", userRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/moderation", moderationRoutes);
+app.use("/api/notifications", notificationRoutes);
+app.use("/api/realtime", realtimeRoutes);
+app.use("/api/species", speciesRoutes);
+app.use("/api/plantings", plantingRoutes);
+app.use("/api/care", careRoutes);
+
+// Local identity provider for testing social sign-in, never in production
+if (
+  process.env.OAUTH_MOCK_ENABLED === "true" &&
+  process.env.NODE_ENV !== "production"
+) {
+  app.use("/mock-idp", require("./routes/mockIdp"));
+  logger.warn("Mock OAuth identity provider enabled at /mock-idp");
+}
 
 // Basic route for testing
 app.get("/", (req, res) => {
@@ -97,6 +132,20 @@ app.use((err, req, res, next) => {
   res.status(500).json({ message: err.message || "Something went wrong!" });
 });
 
+// Background jobs, run in this process once connected. On serverless hosts
+// they only run while an instance is warm; care task lists make their due
+// tasks on read, so they stay right regardless.
+registerJob("care:reminders", {
+  intervalMs: CARE_JOB_INTERVAL_MS,
+  run: runCareJob,
+});
+// CO2 leaderboards read the totals this stores, so they are up to an
+// interval old
+registerJob("impact:totals", {
+  intervalMs: IMPACT_JOB_INTERVAL_MS,
+  run: refreshImpactTotals,
+});
+
 // Connect to MongoDB
 const PORT = process.env.PORT || 5000;
 const MONGO_URI = process.env.MONGO_URI;
@@ -106,6 +155,7 @@ mongoose
   .then(() => {
     app.listen(PORT, () => logger.info(`Server running on port ${PORT}`));
     logger.info("Connected to MongoDB");
+    startJobRunner();
   })
   .catch((err) => {
     logger.error(`MongoDB connection error: ${err.message}`, {
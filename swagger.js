@@ -50,6 +50,37 @@ const options = {
         name: "Upload",
         description: "File upload endpoints",
       },
+      {
+        name: "Admin",
+        description: "User management endpoints for admins",
+      },
+      {
+        name: "Moderation",
+        description: "Queue of reported content for moderators",
+      },
+      {
+        name: "Notifications",
+        description:
+          "In-app and push notifications about activity on your content",
+      },
+      {
+        name: "Realtime",
+        description: "Server-Sent Events stream of live activity",
+      },
+      {
+        name: "Species",
+        description: "Catalog of plant species posts can refer to",
+      },
+      {
+        name: "Plantings",
+        description:
+          "Plants in the ground, with posts attached as progress updates",
+      },
+      {
+        name: "Care",
+        description:
+          "Watering and other care schedules, due tasks and reminders",
+      },
     ],
     components: {
       securitySchemes: {
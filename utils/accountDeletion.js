@@ -0,0 +1,117 @@
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Planting = require("../models/Planting");
+const CareSchedule = require("../models/CareSchedule");
+const CareTask = require("../models/CareTask");
+const Comment = require("../models/Comment");
+const Follow = require("../models/Follow");
+const Block = require("../models/Block");
+const Mute = require("../models/Mute");
+const Session = require("../models/Session");
+const FeedSnapshot = require("../models/FeedSnapshot");
+const ImpactTotal = require("../models/ImpactTotal");
+const OAuthState = require("../models/OAuthState");
+const LoginAttempt = require("../models/LoginAttempt");
+const Report = require("../models/Report");
+const ModerationCase = require("../models/ModerationCase");
+const Notification = require("../models/Notification");
+const DeviceToken = require("../models/DeviceToken");
+const logger = require("./logger");
+const { removeActorPipeline } = require("./notificationService");
+const { REMINDER_TYPES } = require("../config/notifications");
+
+/**
+ * Permanently delete a user and everything that belongs to them: their
+ * posts (with all comments on them), plantings (with their care schedules
+ * and tasks), their comments (with replies), likes,
+ * saves, follows, blocks, mutes, sessions, push devices and reports. Uploaded images are left in Cloudinary.
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Counts of what was removed
+ */
+const deleteUserAccount = async (user) => {
+  const userId = user._id;
+
+  const posts = await Post.find({ user: userId }).select("_id");
+  const postIds = posts.map((post) => post._id);
+
+  // Replies to the user's comments go too, so no thread is left headless
+  const userComments = await Comment.find({ user: userId }).select("_id");
+  const commentIds = userComments.map((comment) => comment._id);
+
+  const [deletedComments, deletedPosts, deletedPlantings] = await Promise.all([
+    Comment.deleteMany({
+      $or: [
+        { user: userId },
+        { post: { $in: postIds } },
+        { parentComment: { $in: commentIds } },
+      ],
+    }),
+    Post.deleteMany({ user: userId }),
+    Planting.deleteMany({ user: userId }),
+  ]);
+
+  const [deletedFollows] = await Promise.all([
+    Follow.deleteMany({ $or: [{ follower: userId }, { following: userId }] }),
+    Block.deleteMany({ $or: [{ blocker: userId }, { blocked: userId }] }),
+    Mute.deleteMany({ $or: [{ muter: userId }, { muted: userId }] }),
+    // Remove the user's likes and saves from other people's content
+    Post.updateMany(
+      { $or: [{ likes: userId }, { savedBy: userId }] },
+      { $pull: { likes: userId, savedBy: userId } }
+    ),
+    Comment.updateMany({ likes: userId }, { $pull: { likes: userId } }),
+    // Remove the deleted posts from other users' saved lists
+    User.updateMany(
+      { savedPosts: { $in: postIds } },
+      { $pull: { savedPosts: { $in: postIds } } }
+    ),
+    CareSchedule.deleteMany({ user: userId }),
+    CareTask.deleteMany({ user: userId }),
+    Session.deleteMany({ user: userId }),
+    DeviceToken.deleteMany({ user: userId }),
+    FeedSnapshot.deleteMany({ user: userId }),
+    ImpactTotal.deleteMany({ user: userId }),
+    OAuthState.deleteMany({ user: userId }),
+    LoginAttempt.deleteMany({ key: `account:${user.email}` }),
+    // Reports made by the user, and reports and cases about their content
+    Report.deleteMany({
+      $or: [
+        { reporter: userId },
+        { targetId: { $in: [...postIds, ...commentIds] } },
+      ],
+    }),
+    ModerationCase.deleteMany({ targetUser: userId }),
+    // Notifications to the user or about their posts, and the user's part in
+    // other people's notifications
+    Notification.deleteMany({
+      $or: [{ recipient: userId }, { post: { $in: postIds } }],
+    }),
+    Notification.updateMany(
+      { "actors.user": userId },
+      removeActorPipeline(userId)
+    ),
+  ]);
+
+  await Promise.all([
+    User.deleteOne({ _id: userId }),
+    // Notifications only the user took part in (reminders never have
+    // actors)
+    Notification.deleteMany({
+      actorCount: 0,
+      type: { $nin: REMINDER_TYPES },
+    }),
+  ]);
+
+  const summary = {
+    posts: deletedPosts.deletedCount,
+    plantings: deletedPlantings.deletedCount,
+    comments: deletedComments.deletedCount,
+    follows: deletedFollows.deletedCount,
+  };
+
+  logger.info(`User account deleted: ${userId}`, { userId, ...summary });
+
+  return summary;
+};
+
+module.exports = { deleteUserAccount };
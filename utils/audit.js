@@ -0,0 +1,74 @@
+const AuditLog = require("../models/AuditLog");
+const logger = require("./logger");
+const { getClientIp } = require("./clientInfo");
+
+/**
+ * Record a privileged action in the audit log. Call it before carrying out
+ * the action: it throws when the entry can't be written, so that no
+ * privileged action goes unrecorded.
+ * @param {Object} req - Express request object (for the actor and IP)
+ * @param {Object} entry - What happened
+ * @param {string} entry.action - Action name, e.g. "post.delete"
+ * @param {string} entry.targetType - Type of the target, e.g. "post"
+ * @param {string} entry.targetId - ID of the target
+ * @param {string} entry.targetUser - Owner of the target
+ * @param {Object} entry.metadata - Extra details
+ * @returns {Promise<Object>} The audit log entry
+ */
+const recordAudit = async (
+  req,
+  { action, targetType, targetId, targetUser = null, metadata = {} }
+) => {
+  const entry = await AuditLog.create({
+    actor: req.user._id,
+    actorRole: req.user.role,
+    action,
+    targetType,
+    targetId,
+    targetUser,
+    reason: req.body?.reason || "",
+    metadata,
+    ip: getClientIp(req),
+  });
+
+  logger.info(`Audit: ${action} by ${req.user._id}`, {
+    auditId: entry._id,
+    actorId: req.user._id,
+    action,
+    targetType,
+    targetId,
+  });
+
+  return entry;
+};
+
+/**
+ * Add what an action did (e.g. how many sessions it revoked) to its audit
+ * log entry once it is done. Failures are logged but never thrown, as the
+ * action itself is already recorded and carried out.
+ * @param {Object} entry - Entry from recordAudit
+ * @param {Object} outcome - Details to add to the entry's metadata
+ * @returns {Promise<void>}
+ */
+const recordAuditOutcome = async (entry, outcome) => {
+  try {
+    await AuditLog.updateOne(
+      { _id: entry._id },
+      {
+        $set: Object.fromEntries(
+          Object.entries(outcome).map(([key, value]) => [
+            `metadata.${key}`,
+            value,
+          ])
+        ),
+      }
+    );
+  } catch (error) {
+    logger.error(`Failed to add outcome to audit entry: ${error.message}`, {
+      auditId: entry._id,
+      stack: error.stack,
+    });
+  }
+};
+
+module.exports = { recordAudit, recordAuditOutcome };
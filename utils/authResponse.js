@@ -0,0 +1,165 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const Post = require("../models/Post");
+
+// How long the challenge token from the first login step stays valid
+const TWO_FACTOR_CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || "5m";
+
+// Marks challenge tokens so they can never be used as access tokens
+const TWO_FACTOR_CHALLENGE_PURPOSE = "2fa_challenge";
+
+// Event stream tickets are only needed to open the connection
+const STREAM_TICKET_TTL_SECONDS = 60;
+const STREAM_TICKET_PURPOSE = "stream";
+
+/**
+ * Build the response body for a successful login or token refresh
+ * @param {Object} user - User document
+ * @param {Object} tokens - Token pair for the session
+ * @param {string} tokens.accessToken - Access token
+ * @param {string} tokens.refreshToken - Refresh token
+ * @returns {Promise<Object>} `{ user, accessToken, refreshToken }`
+ */
+const buildAuthResponse = async (user, { accessToken, refreshToken }) => {
+  // Get user stats for the response
+  const [postCount, likesReceived, savedPostsCount] = await Promise.all([
+    // Get post count
+    Post.countDocuments({ user: user._id }),
+    // Get likes received
+    Post.aggregate([
+      { $match: { user: user._id } },
+      { $project: { likesCount: { $size: "$likes" } } },
+      { $group: { _id: null, total: { $sum: "$likesCount" } } },
+    ]),
+    // Count saved posts
+    User.findById(user._id).then((u) => u.savedPosts.length),
+  ]);
+
+  // Calculate total likes received
+  const totalLikes = likesReceived.length > 0 ? likesReceived[0].total : 0;
+
+  // Generate badges (example implementation - you might have different logic)
+  const badges = [];
+  if (user.numberOfPlants >= 10) badges.push("Plant Enthusiast");
+  if (totalLikes >= 50) badges.push("Popular Planter");
+  if (postCount >= 20) badges.push("Active Gardener");
+
+  // Format response according to interface
+  return {
+    user: {
+      id: user._id.toString(),
+      name: user.name,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      role: user.role,
+      twoFactorEnabled: user.twoFactorEnabled,
+      avatar: user.avatarUrl,
+      plantsCount: user.numberOfPlants || 0,
+      likesCount: totalLikes,
+      savedCount: savedPostsCount,
+      badges: badges,
+    },
+    accessToken,
+    refreshToken,
+  };
+};
+
+/**
+ * Sign the short-lived token returned by the first step of a 2FA login
+ * @param {string} userId - User ID
+ * @returns {string} Challenge token
+ */
+const signTwoFactorChallenge = (userId) => {
+  return jwt.sign(
+    { id: userId, purpose: TWO_FACTOR_CHALLENGE_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+  );
+};
+
+/**
+ * Verify a 2FA challenge token
+ * @param {string} token - Challenge token
+ * @returns {Object|null} Decoded payload, or null if invalid or expired
+ */
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === TWO_FACTOR_CHALLENGE_PURPOSE ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Sign a short-lived ticket for opening the real-time event stream, for
+ * clients like EventSource that can't send an Authorization header
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session the ticket belongs to
+ * @returns {{ticket: string, expiresIn: number}} Ticket and its lifetime in seconds
+ */
+const signStreamTicket = (userId, sessionId) => ({
+  ticket: jwt.sign(
+    { id: userId, sid: sessionId, purpose: STREAM_TICKET_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: STREAM_TICKET_TTL_SECONDS }
+  ),
+  expiresIn: STREAM_TICKET_TTL_SECONDS,
+});
+
+/**
+ * Verify an event stream ticket
+ * @param {string} token - Stream ticket
+ * @returns {Object|null} Decoded payload, or null if invalid or expired
+ */
+const verifyStreamTicket = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === STREAM_TICKET_PURPOSE ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the 403 response body for a suspended or banned user, or null if
+ * the user can use the app
+ * @param {Object} user - User document
+ * @returns {Object|null} Response body
+ */
+const getSuspensionError = (user) => {
+  const suspension = user.getActiveSuspension();
+  if (!suspension) return null;
+
+  return {
+    message:
+      suspension.status === "banned"
+        ? "This account has been banned"
+        : "This account has been suspended",
+    code:
+      suspension.status === "banned" ? "ACCOUNT_BANNED" : "ACCOUNT_SUSPENDED",
+    reason: suspension.reason || undefined,
+    expiresAt: suspension.expiresAt || undefined,
+  };
+};
+
+/**
+ * Whether a token was signed before the user's password last changed, and so
+ * must no longer be accepted
+ * @param {Object} decoded - Decoded token payload
+ * @param {Object} user - User document
+ * @returns {boolean} True if the token is older than the password
+ */
+const isIssuedBeforePasswordChange = (decoded, user) =>
+  Boolean(user.passwordChangedAt) &&
+  decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000);
+
+module.exports = {
+  buildAuthResponse,
+  getSuspensionError,
+  isIssuedBeforePasswordChange,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  signStreamTicket,
+  verifyStreamTicket,
+};
@@ -0,0 +1,387 @@
+const CareSchedule = require("../models/CareSchedule");
+const CareTask = require("../models/CareTask");
+const Planting = require("../models/Planting");
+const PlantSpecies = require("../models/PlantSpecies");
+const logger = require("./logger");
+const { notifyReminder } = require("./notificationService");
+const { CARE_TASK_TYPES, DEFAULT_CARE_INTERVALS } = require("../config/care");
+const { DEFAULT_GROWTH_FORM } = require("../config/species");
+const { ENDED_PLANTING_STATUSES } = require("../config/plantings");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper to add a number of days to a date
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Helper to name a planting the way its owner would
+const getPlantingName = (planting) =>
+  planting ? planting.name || planting.plantType : "plant";
+
+/**
+ * Get the default days between each kind of care for a species: its own
+ * intervals where it sets them, otherwise those of its growth form
+ * @param {Object|null} species - Species with growthForm and careIntervals
+ * @returns {Object} Days (or null when not needed) by task type
+ */
+const getCareIntervals = (species) => {
+  const defaults =
+    DEFAULT_CARE_INTERVALS[species?.growthForm] ||
+    DEFAULT_CARE_INTERVALS[DEFAULT_GROWTH_FORM];
+
+  return Object.fromEntries(
+    CARE_TASK_TYPES.map((taskType) => [
+      taskType,
+      species?.careIntervals?.[taskType] || defaults[taskType],
+    ])
+  );
+};
+
+// Helper to remove a schedule's pending task
+const deletePendingTask = (schedule) =>
+  CareTask.deleteMany({ schedule: schedule._id, status: "pending" });
+
+/**
+ * Bring a planting's care schedules in line with its species and status:
+ * add the schedules its species needs, follow changes to default intervals,
+ * drop default schedules it no longer needs and pause them all while the
+ * plant is dead or removed. Schedules the user customised are kept.
+ * Failures are logged but never thrown, since the planting is already saved.
+ * @param {Object} planting - Saved planting
+ * @returns {Promise<void>}
+ */
+const syncCareSchedules = async (planting) => {
+  try {
+    const species = planting.species
+      ? await PlantSpecies.findById(planting.species)
+          .select("growthForm careIntervals")
+          .lean()
+      : null;
+    const intervals = getCareIntervals(species);
+    const suspended = ENDED_PLANTING_STATUSES.includes(planting.status);
+    const now = new Date();
+
+    const schedules = await CareSchedule.find({ planting: planting._id });
+
+    for (const taskType of CARE_TASK_TYPES) {
+      const days = intervals[taskType];
+      const schedule = schedules.find((item) => item.taskType === taskType);
+
+      if (!schedule) {
+        if (!days) continue;
+        try {
+          await CareSchedule.create({
+            user: planting.user._id || planting.user,
+            planting: planting._id,
+            taskType,
+            intervalDays: days,
+            suspended,
+            nextDueAt: addDays(now, days),
+          });
+        } catch (error) {
+          // Made by another request at the same moment
+          if (error.code !== 11000) throw error;
+        }
+        continue;
+      }
+
+      if (!schedule.custom) {
+        if (!days) {
+          await deletePendingTask(schedule);
+          await schedule.deleteOne();
+          continue;
+        }
+
+        if (schedule.intervalDays !== days) {
+          schedule.intervalDays = days;
+          schedule.nextDueAt = addDays(
+            schedule.lastCompletedAt || schedule.createdAt,
+            days
+          );
+        }
+      }
+
+      if (schedule.suspended !== suspended) {
+        schedule.suspended = suspended;
+        if (suspended) {
+          await deletePendingTask(schedule);
+          schedule.pendingTask = null;
+        } else if (schedule.nextDueAt < now) {
+          // Pick up again from today rather than with a backlog
+          schedule.nextDueAt = now;
+        }
+      }
+
+      if (schedule.isModified()) await schedule.save();
+    }
+  } catch (error) {
+    logger.error(`Failed to sync care schedules: ${error.message}`, {
+      plantingId: planting._id,
+      stack: error.stack,
+    });
+  }
+};
+
+/**
+ * Delete a planting's care schedules and tasks
+ * @param {string} plantingId - Planting ID
+ * @returns {Promise<void>}
+ */
+const deletePlantingCare = async (plantingId) => {
+  await CareTask.deleteMany({ planting: plantingId });
+  await CareSchedule.deleteMany({ planting: plantingId });
+};
+
+/**
+ * Make a pending task for every schedule that has come due and doesn't have
+ * one yet. Safe to run from several places at once.
+ * @param {Object} options - Generate options
+ * @param {string} options.userId - Only this user's schedules
+ * @param {Date} options.until - Make tasks due up to then (default now)
+ * @returns {Promise<number>} Tasks made
+ */
+const generateDueTasks = async ({ userId = null, until = new Date() } = {}) => {
+  const query = {
+    enabled: true,
+    suspended: false,
+    pendingTask: null,
+    nextDueAt: { $lte: until },
+  };
+  if (userId) query.user = userId;
+
+  let created = 0;
+
+  const cursor = CareSchedule.find(query).lean().cursor();
+  for await (const schedule of cursor) {
+    let task;
+    try {
+      task = await CareTask.create({
+        user: schedule.user,
+        planting: schedule.planting,
+        schedule: schedule._id,
+        taskType: schedule.taskType,
+        dueAt: schedule.nextDueAt,
+        remindAt: schedule.nextDueAt,
+      });
+      created += 1;
+    } catch (error) {
+      // Made by another run at the same moment
+      if (error.code !== 11000) throw error;
+      task = await CareTask.findOne({
+        schedule: schedule._id,
+        status: "pending",
+      });
+    }
+
+    if (task) {
+      await CareSchedule.updateOne(
+        { _id: schedule._id, pendingTask: null },
+        { pendingTask: task._id }
+      );
+    }
+  }
+
+  return created;
+};
+
+/**
+ * Mark a care task done and schedule the next one from now
+ * @param {Object} task - Pending care task
+ * @returns {Promise<Object|null>} The updated schedule, or null if it was
+ *   removed
+ */
+const completeCareTask = async (task) => {
+  const now = new Date();
+
+  task.status = "done";
+  task.completedAt = now;
+  await task.save();
+
+  const schedule = await CareSchedule.findById(task.schedule);
+  if (!schedule) return null;
+
+  schedule.lastCompletedAt = now;
+  schedule.nextDueAt = addDays(now, schedule.intervalDays);
+  if (schedule.pendingTask?.toString() === task._id.toString()) {
+    schedule.pendingTask = null;
+  }
+  await schedule.save();
+
+  return schedule;
+};
+
+/**
+ * Put off a care task, reminding about it again afterwards
+ * @param {Object} task - Pending care task
+ * @param {Date} until - When to remind again
+ * @returns {Promise<void>}
+ */
+const snoozeCareTask = async (task, until) => {
+  task.remindAt = until;
+  task.snoozeCount += 1;
+  task.notifiedAt = null;
+  await task.save();
+};
+
+// Helper to describe a user's due tasks in one reminder, e.g. "Time to water
+// your Basil, and 2 more care tasks"
+const buildReminderMessage = async (tasks) => {
+  const [first] = tasks;
+  const planting = await Planting.findById(first.planting)
+    .select("name plantType")
+    .lean();
+  const message = `Time to ${first.taskType} your ${getPlantingName(planting)}`;
+
+  const more = tasks.length - 1;
+  if (more === 0) return message;
+  return `${message}, and ${more} more care task${more === 1 ? "" : "s"}`;
+};
+
+/**
+ * Remind users of care tasks that have come due (or whose snooze ended)
+ * since they were last reminded, with one notification per user
+ * @returns {Promise<number>} Users reminded
+ */
+const sendCareReminders = async () => {
+  const now = new Date();
+
+  const dueByUser = await CareTask.aggregate([
+    {
+      $match: { status: "pending", notifiedAt: null, remindAt: { $lte: now } },
+    },
+    { $sort: { remindAt: 1 } },
+    {
+      $group: {
+        _id: "$user",
+        tasks: {
+          $push: { id: "$_id", taskType: "$taskType", planting: "$planting" },
+        },
+      },
+    },
+  ]);
+
+  for (const { _id: userId, tasks } of dueByUser) {
+    const message = await buildReminderMessage(tasks);
+    await notifyReminder({ recipient: userId, type: "care_due", message });
+    await CareTask.updateMany(
+      { _id: { $in: tasks.map((task) => task.id) }, notifiedAt: null },
+      { notifiedAt: now }
+    );
+  }
+
+  return dueByUser.length;
+};
+
+/**
+ * Background job: make due tasks, then remind their owners
+ * @returns {Promise<Object>} Tasks made and users reminded
+ */
+const runCareJob = async () => {
+  const tasksCreated = await generateDueTasks();
+  const usersReminded = await sendCareReminders();
+  return { tasksCreated, usersReminded };
+};
+
+// Helper to read the wall-clock date and time in a time zone, as if it were
+// UTC, for a moment
+const getZonedParts = (date, timeZone) =>
+  Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, Number(value)])
+  );
+
+// Helper to get a time zone's offset from UTC at a moment, in milliseconds
+const getZoneOffset = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const local = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return local - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Get the end of the day a date falls on in a time zone
+ * @param {Date} date - Date to look at
+ * @param {string} timeZone - IANA time zone, e.g. "Europe/Amsterdam"
+ * @returns {Date} Last millisecond of that day
+ * @throws {RangeError} When the time zone is unknown
+ */
+const getEndOfDay = (date, timeZone = "UTC") => {
+  const parts = getZonedParts(date, timeZone);
+  const localEnd = Date.UTC(parts.year, parts.month - 1, parts.day + 1) - 1;
+
+  // Take the offset at the end of the day, which differs on days the clocks
+  // change
+  const guess = new Date(localEnd - getZoneOffset(date, timeZone));
+  return new Date(localEnd - getZoneOffset(guess, timeZone));
+};
+
+/**
+ * Format a care task for the API
+ * @param {Object} task - Care task with its planting populated (name,
+ *   plantType)
+ * @param {Date} now - Current time, for whether it is overdue
+ * @returns {Object} Formatted task
+ */
+const formatCareTask = (task, now = new Date()) => ({
+  id: task._id.toString(),
+  taskType: task.taskType,
+  status: task.status,
+  plantingId: (task.planting._id || task.planting).toString(),
+  plantingName: task.planting.plantType
+    ? getPlantingName(task.planting)
+    : undefined,
+  scheduleId: task.schedule.toString(),
+  dueAt: task.dueAt.toISOString(),
+  remindAt: task.remindAt.toISOString(),
+  snoozed: task.remindAt > task.dueAt,
+  overdue: task.status === "pending" && task.dueAt < now,
+  completedAt: task.completedAt ? task.completedAt.toISOString() : undefined,
+});
+
+/**
+ * Format a care schedule for the API
+ * @param {Object} schedule - Care schedule
+ * @returns {Object} Formatted schedule
+ */
+const formatCareSchedule = (schedule) => ({
+  id: schedule._id.toString(),
+  plantingId: schedule.planting.toString(),
+  taskType: schedule.taskType,
+  intervalDays: schedule.intervalDays,
+  custom: schedule.custom,
+  enabled: schedule.enabled,
+  suspended: schedule.suspended,
+  nextDueAt: schedule.nextDueAt.toISOString(),
+  lastCompletedAt: schedule.lastCompletedAt
+    ? schedule.lastCompletedAt.toISOString()
+    : undefined,
+});
+
+module.exports = {
+  getCareIntervals,
+  syncCareSchedules,
+  deletePlantingCare,
+  generateDueTasks,
+  completeCareTask,
+  snoozeCareTask,
+  sendCareReminders,
+  runCareJob,
+  getEndOfDay,
+  formatCareTask,
+  formatCareSchedule,
+};
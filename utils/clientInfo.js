@@ -0,0 +1,63 @@
+/**
+ * Get the client's IP address. Behind proxies this relies on the app's
+ * "trust proxy" setting (TRUST_PROXY_HOPS), so that X-Forwarded-For entries
+ * the client added itself are never used.
+ * @param {Object} req - Express request object
+ * @returns {string} IP address
+ */
+const getClientIp = (req) => req.ip || req.socket?.remoteAddress || "unknown";
+
+// Ordered so that more specific matches come first (e.g. Edge before Chrome)
+const BROWSERS = [
+  ["Edge", /Edg(e|A|iOS)?\//],
+  ["Opera", /OPR\/|Opera/],
+  ["Samsung Internet", /SamsungBrowser/],
+  ["Firefox", /Firefox|FxiOS/],
+  ["Chrome", /Chrome|CriOS/],
+  ["Safari", /Safari/],
+];
+
+const OPERATING_SYSTEMS = [
+  ["iPhone", /iPhone/],
+  ["iPad", /iPad/],
+  ["Android", /Android/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["Linux", /Linux/],
+];
+
+/**
+ * Build a human readable device description from a user agent string
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} Description such as "Chrome on Windows"
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent));
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && os) return `${browser[0]} on ${os[0]}`;
+  if (browser) return browser[0];
+  if (os) return os[0];
+
+  // Native apps and API clients usually send "name/version"
+  return userAgent.split(/[\s/]/)[0] || "Unknown device";
+};
+
+/**
+ * Collect details about the client making a request
+ * @param {Object} req - Express request object
+ * @returns {{ip: string, userAgent: string, device: string}} Client details
+ */
+const getClientInfo = (req) => {
+  const userAgent = req.headers["user-agent"] || "";
+
+  return {
+    ip: getClientIp(req),
+    userAgent,
+    device: describeDevice(userAgent),
+  };
+};
+
+module.exports = { getClientIp, describeDevice, getClientInfo };
@@ -0,0 +1,168 @@
+const mongoose = require("mongoose");
+
+/**
+ * Encode pagination state into an opaque cursor string
+ * @param {Object} data - Pagination state to encode
+ * @returns {string} URL-safe cursor
+ */
+const encodeCursor = (data) => {
+  return Buffer.from(JSON.stringify(data)).toString("base64url");
+};
+
+/**
+ * Decode a cursor created by encodeCursor
+ * @param {string} cursor - Cursor string from the client
+ * @returns {Object|null} Decoded pagination state, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  if (!cursor || typeof cursor !== "string") return null;
+
+  try {
+    const data = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    return data && typeof data === "object" ? data : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build a cursor pointing just after a document in a date + _id ordered list
+ * @param {Object} doc - Last document of the current page
+ * @param {string} field - Date field the list is ordered by
+ * @returns {string} Opaque cursor
+ */
+const encodeKeysetCursor = (doc, field = "createdAt") => {
+  return encodeCursor({
+    t: doc[field].toISOString(),
+    id: doc._id.toString(),
+  });
+};
+
+/**
+ * Decode a cursor created by encodeKeysetCursor
+ * @param {string} cursor - Cursor string from the client
+ * @returns {{createdAt: Date, id: mongoose.Types.ObjectId}|null} Position, or null if invalid
+ */
+const decodeKeysetCursor = (cursor) => {
+  const data = decodeCursor(cursor);
+  if (!data || !data.t || !mongoose.isValidObjectId(data.id)) return null;
+
+  const createdAt = new Date(data.t);
+  if (isNaN(createdAt.getTime())) return null;
+
+  return { createdAt, id: new mongoose.Types.ObjectId(data.id) };
+};
+
+// Largest page a list endpoint returns
+const MAX_PAGE_SIZE = 50;
+
+// Helper to read a whole-number query parameter, or the default when it is
+// not given; null when it is not a whole number of at least 1
+const parsePositiveInt = (value, defaultValue) => {
+  if (value === undefined || value === "") return defaultValue;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 1 ? number : null;
+};
+
+/**
+ * Resolve pagination options for a list endpoint. Requests with a `cursor`
+ * query parameter use keyset pagination on createdAt (or another date
+ * field) + _id; all other requests keep the legacy `page`/`limit` behaviour.
+ * @param {Object} query - Express request query
+ * @param {Object} options - Pagination options
+ * @param {number} options.defaultLimit - Page size when `limit` is not given
+ * @param {number} options.direction - Sort direction on the date field (-1 newest first, 1 oldest first)
+ * @param {string} options.field - Date field to order by (default createdAt)
+ * @returns {Object} Pagination settings, or `{ error }` if the cursor, limit
+ *   or page is invalid
+ */
+const getListPagination = (
+  query,
+  { defaultLimit = 10, direction = -1, field = "createdAt" } = {}
+) => {
+  const limit = parsePositiveInt(query.limit, defaultLimit);
+  if (limit === null || limit > MAX_PAGE_SIZE) {
+    return { error: `Limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const sort = { [field]: direction, _id: direction };
+
+  if (query.cursor !== undefined) {
+    const position = decodeKeysetCursor(query.cursor);
+    if (!position) {
+      return { error: "Invalid cursor" };
+    }
+
+    const op = direction === -1 ? "$lt" : "$gt";
+
+    return {
+      mode: "cursor",
+      limit,
+      skip: 0,
+      sort,
+      field,
+      filter: {
+        $or: [
+          { [field]: { [op]: position.createdAt } },
+          { [field]: position.createdAt, _id: { [op]: position.id } },
+        ],
+      },
+    };
+  }
+
+  const page = parsePositiveInt(query.page, 1);
+  if (page === null) {
+    return { error: "Page must be a positive whole number" };
+  }
+
+  return {
+    mode: "page",
+    page,
+    limit,
+    skip: (page - 1) * limit,
+    sort,
+    field,
+    filter: null,
+  };
+};
+
+/**
+ * Combine a base query with the cursor filter from getListPagination
+ * @param {Object} query - Base MongoDB query
+ * @param {Object} pagination - Result of getListPagination
+ * @returns {Object} Query restricted to the requested page
+ */
+const applyCursorFilter = (query, pagination) => {
+  return pagination.filter ? { $and: [query, pagination.filter] } : query;
+};
+
+/**
+ * Trim a result set fetched with `limit + 1` documents down to one page
+ * @param {Array} docs - Documents fetched with limit + 1
+ * @param {number} limit - Page size
+ * @param {string} field - Date field the list is ordered by (default createdAt)
+ * @returns {{items: Array, hasMore: boolean, nextCursor: string|null}} Page data
+ */
+const slicePage = (docs, limit, field = "createdAt") => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    hasMore,
+    nextCursor:
+      hasMore && items.length > 0
+        ? encodeKeysetCursor(items[items.length - 1], field)
+        : null,
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  encodeKeysetCursor,
+  decodeKeysetCursor,
+  getListPagination,
+  applyCursorFilter,
+  slicePage,
+};
@@ -0,0 +1,180 @@
+// Base URL of the web app, used to build links in emails
+const getAppUrl = () =>
+  (process.env.APP_URL || "http://localhost:3000").replace(/\/$/, "");
+
+// Escape user-provided values (like names) before putting them in HTML
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+/**
+ * Email with a link to reset a forgotten password
+ * @param {Object} params - Template parameters
+ * @param {string} params.name - Recipient's name
+ * @param {string} params.token - Raw password reset token
+ * @param {number} params.expiresInMinutes - How long the link is valid
+ * @returns {{subject: string, text: string, html: string}} Email content
+ */
+const passwordResetEmail = ({ name, token, expiresInMinutes }) => {
+  const resetUrl = `${getAppUrl()}/reset-password?token=${token}`;
+
+  return {
+    subject: "Reset your iPlant password",
+    text:
+      `Hi ${name},\n\n` +
+      `We received a request to reset your iPlant password. ` +
+      `Open the link below to choose a new one:\n\n${resetUrl}\n\n` +
+      `This link expires in ${expiresInMinutes} minutes and can only be used once. ` +
+      `If you didn't ask to reset your password, you can ignore this email.`,
+    html:
+      `<p>Hi ${escapeHtml(name)},</p>` +
+      `<p>We received a request to reset your iPlant password. ` +
+      `Click the link below to choose a new one:</p>` +
+      `<p><a href="${resetUrl}">Reset my password</a></p>` +
+      `<p>This link expires in ${expiresInMinutes} minutes and can only be used once. ` +
+      `If you didn't ask to reset your password, you can ignore this email.</p>`,
+  };
+};
+
+/**
+ * Email with a link to confirm the user's email address
+ * @param {Object} params - Template parameters
+ * @param {string} params.name - Recipient's name
+ * @param {string} params.token - Raw email verification token
+ * @param {number} params.expiresInHours - How long the link is valid
+ * @returns {{subject: string, text: string, html: string}} Email content
+ */
+const emailVerificationEmail = ({ name, token, expiresInHours }) => {
+  const verifyUrl = `${getAppUrl()}/verify-email?token=${token}`;
+
+  return {
+    subject: "Confirm your iPlant email address",
+    text:
+      `Hi ${name},\n\n` +
+      `Welcome to iPlant! Please confirm your email address by opening the link below:\n\n` +
+      `${verifyUrl}\n\n` +
+      `This link expires in ${expiresInHours} hours.`,
+    html:
+      `<p>Hi ${escapeHtml(name)},</p>` +
+      `<p>Welcome to iPlant! Please confirm your email address:</p>` +
+      `<p><a href="${verifyUrl}">Confirm my email</a></p>` +
+      `<p>This link expires in ${expiresInHours} hours.</p>`,
+  };
+};
+
+/**
+ * Email sent to a new address to confirm an email change
+ * @param {Object} params - Template parameters
+ * @param {string} params.name - Recipient's name
+ * @param {string} params.token - Raw email change token
+ * @param {number} params.expiresInHours - How long the link is valid
+ * @returns {{subject: string, text: string, html: string}} Email content
+ */
+const emailChangeConfirmationEmail = ({ name, token, expiresInHours }) => {
+  const confirmUrl = `${getAppUrl()}/confirm-email-change?token=${token}`;
+
+  return {
+    subject: "Confirm your new iPlant email address",
+    text:
+      `Hi ${name},\n\n` +
+      `Please confirm that you want to use this address for your iPlant account:\n\n` +
+      `${confirmUrl}\n\n` +
+      `This link expires in ${expiresInHours} hours. ` +
+      `If you didn't ask for this change, you can ignore this email.`,
+    html:
+      `<p>Hi ${escapeHtml(name)},</p>` +
+      `<p>Please confirm that you want to use this address for your iPlant account:</p>` +
+      `<p><a href="${confirmUrl}">Confirm new email</a></p>` +
+      `<p>This link expires in ${expiresInHours} hours. ` +
+      `If you didn't ask for this change, you can ignore this email.</p>`,
+  };
+};
+
+/**
+ * Email sent to the current address when an email change is requested
+ * @param {Object} params - Template parameters
+ * @param {string} params.name - Recipient's name
+ * @param {string} params.newEmail - Address the account is being moved to
+ * @returns {{subject: string, text: string, html: string}} Email content
+ */
+const emailChangeNoticeEmail = ({ name, newEmail }) => ({
+  subject: "Your iPlant email address is being changed",
+  text:
+    `Hi ${name},\n\n` +
+    `Someone asked to change the email address of your iPlant account to ${newEmail}. ` +
+    `If this wasn't you, reset your password right away.`,
+  html:
+    `<p>Hi ${escapeHtml(name)},</p>` +
+    `<p>Someone asked to change the email address of your iPlant account to ` +
+    `${escapeHtml(
+      newEmail
+    )}. If this wasn't you, reset your password right away.</p>`,
+});
+
+/**
+ * Email telling a user that a moderator warned them about their content
+ * @param {Object} params - Template parameters
+ * @param {string} params.name - Recipient's name
+ * @param {string} params.contentType - "post" or "comment"
+ * @param {string} params.reason - Moderator's reason for the warning
+ * @returns {{subject: string, text: string, html: string}} Email content
+ */
+const contentWarningEmail = ({ name, contentType, reason }) => {
+  const guidelinesUrl = `${getAppUrl()}/community-guidelines`;
+
+  return {
+    subject: "A warning about your iPlant content",
+    text:
+      `Hi ${name},\n\n` +
+      `A moderator reviewed reports about one of your ${contentType}s and ` +
+      `issued a warning on your account.\n\n` +
+      (reason ? `Reason: ${reason}\n\n` : "") +
+      `Please review our community guidelines: ${guidelinesUrl}\n` +
+      `Repeated warnings may lead to your account being suspended.`,
+    html:
+      `<p>Hi ${escapeHtml(name)},</p>` +
+      `<p>A moderator reviewed reports about one of your ${contentType}s and ` +
+      `issued a warning on your account.</p>` +
+      (reason ? `<p>Reason: ${escapeHtml(reason)}</p>` : "") +
+      `<p>Please review our <a href="${guidelinesUrl}">community guidelines</a>. ` +
+      `Repeated warnings may lead to your account being suspended.</p>`,
+  };
+};
+
+// Email about activity on the user's content, for notification types they
+// chose to get by email
+const activityEmail = ({ name, message, postId }) => {
+  const url = postId
+    ? `${getAppUrl()}/posts/${postId}`
+    : `${getAppUrl()}/notifications`;
+  const settingsUrl = `${getAppUrl()}/settings`;
+
+  return {
+    subject: message,
+    text:
+      `Hi ${name},\n\n` +
+      `${message}.\n\n` +
+      `See it on iPlant: ${url}\n\n` +
+      `You can choose which emails you get in your settings: ${settingsUrl}`,
+    html:
+      `<p>Hi ${escapeHtml(name)},</p>` +
+      `<p>${escapeHtml(message)}.</p>` +
+      `<p><a href="${url}">See it on iPlant</a></p>` +
+      `<p>You can choose which emails you get in your ` +
+      `<a href="${settingsUrl}">settings</a>.</p>`,
+  };
+};
+
+module.exports = {
+  escapeHtml,
+  passwordResetEmail,
+  emailVerificationEmail,
+  emailChangeConfirmationEmail,
+  emailChangeNoticeEmail,
+  contentWarningEmail,
+  activityEmail,
+};
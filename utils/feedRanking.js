@@ -0,0 +1,58 @@
+// Multipliers applied to a post's score depending on why it is in the feed.
+// A post that qualifies through several sources gets the highest multiplier
+// plus a small bonus for each extra source.
+const SOURCE_WEIGHTS = {
+  following: 1.5,
+  own: 1.2,
+  nearby: 1.2,
+  trending: 1,
+};
+const EXTRA_SOURCE_BONUS = 0.1;
+
+// Engagement weights - a comment signals more interest than a like
+const LIKE_WEIGHT = 1;
+const COMMENT_WEIGHT = 2;
+
+// How quickly posts sink as they get older (higher = faster)
+const GRAVITY = 1.5;
+
+/**
+ * Score a post for the home feed
+ * @param {Object} params - Scoring inputs
+ * @param {number} params.likes - Number of likes on the post
+ * @param {number} params.comments - Number of comments on the post
+ * @param {Date} params.createdAt - When the post was created
+ * @param {string[]} params.sources - Why the post is a feed candidate
+ * @param {Date} now - Reference time for computing the post's age
+ * @returns {number} Ranking score (higher ranks first)
+ */
+const scorePost = (
+  { likes, comments, createdAt, sources },
+  now = new Date()
+) => {
+  const engagement = 1 + likes * LIKE_WEIGHT + comments * COMMENT_WEIGHT;
+
+  const ageHours = Math.max(0, (now - new Date(createdAt)) / (1000 * 60 * 60));
+  const decay = Math.pow(ageHours + 2, GRAVITY);
+
+  const weights = sources.map((source) => SOURCE_WEIGHTS[source] || 1);
+  const sourceWeight =
+    Math.max(...weights, 1) + (sources.length - 1) * EXTRA_SOURCE_BONUS;
+
+  return (engagement * sourceWeight) / decay;
+};
+
+/**
+ * Sort ranked feed items by score, breaking ties by newest post ID so the
+ * order is fully deterministic
+ * @param {Array<{post: Object, score: number}>} items - Scored feed items
+ * @returns {Array} The same items, sorted in place
+ */
+const sortFeedItems = (items) => {
+  return items.sort((a, b) => {
+    if (b.score !== a.score) return b.score - a.score;
+    return b.post.toString().localeCompare(a.post.toString());
+  });
+};
+
+module.exports = { scorePost, sortFeedItems };
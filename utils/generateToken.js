@@ -4,11 +4,12 @@ const jwt = require("jsonwebtoken");
  * Generate a JWT token for user authentication
  * @param {string} id - User ID to be encoded in the token
  * @param {boolean} isRefreshToken - Whether to generate a refresh token
+ * @param {Object} claims - Extra claims to include (e.g. session ID)
  * @returns {string} JWT token
  */
-const generateToken = (id, isRefreshToken = false) => {
+const generateToken = (id, isRefreshToken = false, claims = {}) => {
   return jwt.sign(
-    { id },
+    { ...claims, id },
     isRefreshToken
       ? process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
       : process.env.JWT_SECRET,
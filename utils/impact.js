@@ -0,0 +1,375 @@
+const Planting = require("../models/Planting");
+const PlantSpecies = require("../models/PlantSpecies");
+const ImpactTotal = require("../models/ImpactTotal");
+const { UNKNOWN_PLANT_TYPE } = require("./species");
+const { DEFAULT_GROWTH_FORM } = require("../config/species");
+const { MAX_PLANTED_YEARS_AGO } = require("../config/plantings");
+
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// How each growth form grows: years until a plant takes up CO2 at its full
+// rate, that rate (kg per year) for plants whose species doesn't say, and the
+// oldest a plant of that form is counted as when it went in the ground
+const GROWTH_PROFILES = {
+  tree: { maturityYears: 20, uptakeKgPerYear: 20, maxAgeAtPlantingYears: 20 },
+  shrub: { maturityYears: 5, uptakeKgPerYear: 2, maxAgeAtPlantingYears: 10 },
+  herb: { maturityYears: 0.25, uptakeKgPerYear: 0.2, maxAgeAtPlantingYears: 1 },
+  grass: { maturityYears: 3, uptakeKgPerYear: 3, maxAgeAtPlantingYears: 5 },
+  vine: { maturityYears: 3, uptakeKgPerYear: 0.5, maxAgeAtPlantingYears: 10 },
+  succulent: {
+    maturityYears: 4,
+    uptakeKgPerYear: 0.1,
+    maxAgeAtPlantingYears: 10,
+  },
+  fern: { maturityYears: 2, uptakeKgPerYear: 0.2, maxAgeAtPlantingYears: 5 },
+};
+
+// Species fields the estimate needs
+const SPECIES_IMPACT_FIELDS = "scientificName growthForm co2UptakeKgPerYear";
+
+// Helper to round kg figures for responses
+const roundKg = (value) => Math.round(value * 100) / 100;
+
+// Helper to get the CO2 a plant has taken up by a given age. Uptake grows
+// linearly from nothing to the full rate at maturity, and stays there.
+const uptakeByAge = (ageYears, { maturityYears, uptakeKgPerYear }) => {
+  if (ageYears <= 0) return 0;
+  if (ageYears < maturityYears) {
+    return (uptakeKgPerYear * ageYears * ageYears) / (2 * maturityYears);
+  }
+  return uptakeKgPerYear * (ageYears - maturityYears / 2);
+};
+
+// Planting fields the estimate needs
+const PLANTING_IMPACT_FIELDS =
+  "user species plantType plantedAt ageAtPlantingYears endedAt createdAt";
+
+/**
+ * Estimate the CO2 a plant has taken up since it was planted, up to when it
+ * died or was removed
+ * @param {Object} plant - Planting (or anything planted) with plantedAt or
+ *   createdAt, ageAtPlantingYears and endedAt
+ * @param {Object|null} species - Its catalog species, if known
+ * @param {Object} options - Estimate options
+ * @param {Date} options.now - When to estimate up to (default now)
+ * @param {Date|null} options.since - Also count the CO2 taken up since then
+ * @returns {Object} Breakdown: growth form, rates, age and kg of CO2
+ */
+const estimatePlantImpact = (
+  plant,
+  species,
+  { now = new Date(), since = null } = {}
+) => {
+  const growthForm = species?.growthForm || DEFAULT_GROWTH_FORM;
+  const profile = {
+    maturityYears: GROWTH_PROFILES[growthForm].maturityYears,
+    uptakeKgPerYear:
+      species?.co2UptakeKgPerYear ||
+      GROWTH_PROFILES[growthForm].uptakeKgPerYear,
+  };
+
+  // Plants older than their form allows, or planted longer ago than a
+  // planting can say, only count from those limits
+  const ageAtPlanting = Math.min(
+    plant.ageAtPlantingYears || 0,
+    GROWTH_PROFILES[growthForm].maxAgeAtPlantingYears
+  );
+  const plantedAt = new Date(
+    Math.max(
+      new Date(plant.plantedAt || plant.createdAt).getTime(),
+      now.getTime() - MAX_PLANTED_YEARS_AGO * YEAR_MS
+    )
+  );
+  // Plants stop growing older once they are gone
+  const endedAt = plant.endedAt ? new Date(plant.endedAt) : null;
+  const ageAt = (date) =>
+    ageAtPlanting +
+    Math.max(
+      0,
+      (Math.min(date.getTime(), endedAt ? endedAt.getTime() : Infinity) -
+        plantedAt.getTime()) /
+        YEAR_MS
+    );
+
+  const ageYears = ageAt(now);
+  const co2Kg =
+    uptakeByAge(ageYears, profile) - uptakeByAge(ageAtPlanting, profile);
+
+  const impact = {
+    speciesId: species ? species._id.toString() : null,
+    scientificName: species ? species.scientificName : null,
+    growthForm,
+    basis: species?.co2UptakeKgPerYear ? "species" : "growthForm",
+    matureUptakeKgPerYear: profile.uptakeKgPerYear,
+    maturityYears: profile.maturityYears,
+    ageYears: roundKg(ageYears),
+    currentUptakeKgPerYear:
+      endedAt && endedAt <= now
+        ? 0
+        : roundKg(
+            profile.uptakeKgPerYear *
+              Math.min(1, ageYears / profile.maturityYears)
+          ),
+    co2Kg,
+  };
+
+  if (since) {
+    impact.co2KgSince =
+      uptakeByAge(ageYears, profile) - uptakeByAge(ageAt(since), profile);
+  }
+
+  return impact;
+};
+
+// Helper to load the species of some plants by ID
+const loadSpecies = async (speciesIds) => {
+  const ids = [...new Set(speciesIds.filter(Boolean).map(String))];
+  if (ids.length === 0) return new Map();
+
+  const species = await PlantSpecies.find({ _id: { $in: ids } })
+    .select(SPECIES_IMPACT_FIELDS)
+    .lean();
+  return new Map(species.map((entry) => [entry._id.toString(), entry]));
+};
+
+/**
+ * Estimate the CO2 a planting has taken up, for its details
+ * @param {Object} planting - Planting document
+ * @returns {Promise<Object>} Breakdown with co2Kg rounded
+ */
+const getPlantingImpact = async (planting) => {
+  const speciesById = await loadSpecies([planting.species]);
+  const impact = estimatePlantImpact(
+    planting,
+    planting.species ? speciesById.get(planting.species.toString()) : null
+  );
+
+  return { ...impact, co2Kg: roundKg(impact.co2Kg) };
+};
+
+/**
+ * Estimate the CO2 taken up by the plant a post shows, for the post details:
+ * its planting's, or for posts from before plantings, the post's own plant
+ * @param {Object} post - Post document
+ * @returns {Promise<Object|null>} Breakdown with co2Kg rounded, or null if
+ *   the post doesn't show a plant
+ */
+const getPostImpact = async (post) => {
+  if (post.planting) {
+    const planting = await Planting.findById(post.planting)
+      .select(PLANTING_IMPACT_FIELDS)
+      .lean();
+    if (planting) return getPlantingImpact(planting);
+  }
+
+  if (!post.plantType || post.plantType === UNKNOWN_PLANT_TYPE) return null;
+
+  return getPlantingImpact(post);
+};
+
+// Stored totals to rank by for each leaderboard time range
+const IMPACT_RANGE_FIELDS = {
+  all: "co2Kg",
+  week: "co2KgWeek",
+  month: "co2KgMonth",
+};
+
+// Users' totals written per bulk write
+const IMPACT_WRITE_BATCH_SIZE = 500;
+
+/**
+ * Background job: total the CO2 taken up by each user's plantings, all time
+ * and during the last week and month, and store the totals for leaderboards.
+ * Users who no longer have plantings lose their totals.
+ * @returns {Promise<{users: number}>} Users with totals
+ */
+const refreshImpactTotals = async () => {
+  // The catalog is small enough to hold while streaming through the plantings
+  const speciesById = new Map(
+    (await PlantSpecies.find().select(SPECIES_IMPACT_FIELDS).lean()).map(
+      (entry) => [entry._id.toString(), entry]
+    )
+  );
+  const now = new Date();
+  const weekAgo = new Date(now);
+  weekAgo.setDate(weekAgo.getDate() - 7);
+  const monthAgo = new Date(now);
+  monthAgo.setMonth(monthAgo.getMonth() - 1);
+
+  const totals = new Map();
+
+  const cursor = Planting.find().select(PLANTING_IMPACT_FIELDS).lean().cursor();
+
+  for await (const planting of cursor) {
+    const species = planting.species
+      ? speciesById.get(planting.species.toString())
+      : null;
+    const { co2Kg, co2KgSince: co2KgMonth } = estimatePlantImpact(
+      planting,
+      species,
+      { now, since: monthAgo }
+    );
+    const { co2KgSince: co2KgWeek } = estimatePlantImpact(planting, species, {
+      now,
+      since: weekAgo,
+    });
+
+    const userId = planting.user.toString();
+    const total = totals.get(userId) || {
+      plants: 0,
+      co2Kg: 0,
+      co2KgWeek: 0,
+      co2KgMonth: 0,
+    };
+    total.plants += 1;
+    total.co2Kg += co2Kg;
+    total.co2KgWeek += co2KgWeek;
+    total.co2KgMonth += co2KgMonth;
+    totals.set(userId, total);
+  }
+
+  const writes = [...totals.entries()].map(([userId, total]) => ({
+    updateOne: {
+      filter: { user: userId },
+      update: {
+        $set: {
+          plants: total.plants,
+          co2Kg: roundKg(total.co2Kg),
+          co2KgWeek: roundKg(total.co2KgWeek),
+          co2KgMonth: roundKg(total.co2KgMonth),
+          computedAt: now,
+        },
+      },
+      upsert: true,
+    },
+  }));
+  for (let i = 0; i < writes.length; i += IMPACT_WRITE_BATCH_SIZE) {
+    await ImpactTotal.bulkWrite(writes.slice(i, i + IMPACT_WRITE_BATCH_SIZE), {
+      ordered: false,
+    });
+  }
+
+  await ImpactTotal.deleteMany({ computedAt: { $lt: now } });
+
+  return { users: totals.size };
+};
+
+/**
+ * Get the users whose plantings have taken up the most CO2, from the totals
+ * stored by refreshImpactTotals
+ * @param {Object} options - Which totals to rank
+ * @param {string} options.timeRange - week, month or all
+ * @param {Array} options.excludeUserIds - Users to leave out
+ * @param {number} options.limit - Users to return
+ * @returns {Promise<Array<{user: Object, co2Kg: number}>>} Users' IDs and kg
+ *   of CO2, most first
+ */
+const getTopImpactTotals = async ({
+  timeRange = "all",
+  excludeUserIds = [],
+  limit = 10,
+} = {}) => {
+  const field = IMPACT_RANGE_FIELDS[timeRange] || IMPACT_RANGE_FIELDS.all;
+
+  const totals = await ImpactTotal.find({
+    user: { $nin: excludeUserIds },
+    [field]: { $gt: 0 },
+  })
+    .sort({ [field]: -1, user: 1 })
+    .limit(limit)
+    .lean();
+
+  return totals.map((total) => ({ user: total.user, co2Kg: total[field] }));
+};
+
+/**
+ * Get the CO2 taken up by everyone's plantings, from the totals stored by
+ * refreshImpactTotals
+ * @param {string} timeRange - week, month or all
+ * @returns {Promise<number>} kg of CO2
+ */
+const getTotalImpact = async (timeRange = "all") => {
+  const field = IMPACT_RANGE_FIELDS[timeRange] || IMPACT_RANGE_FIELDS.all;
+
+  const [result] = await ImpactTotal.aggregate([
+    { $group: { _id: null, co2Kg: { $sum: `$${field}` } } },
+  ]);
+
+  return roundKg(result?.co2Kg || 0);
+};
+
+/**
+ * Break down the CO2 a user's plantings have taken up, by growth form and by
+ * species
+ * @param {string} userId - User whose plantings to count
+ * @returns {Promise<Object>} Totals and breakdowns, in kg of CO2
+ */
+const getUserImpact = async (userId) => {
+  const plantings = await Planting.find({ user: userId })
+    .select(PLANTING_IMPACT_FIELDS)
+    .lean();
+  const speciesById = await loadSpecies(
+    plantings.map((planting) => planting.species)
+  );
+
+  const now = new Date();
+  const byGrowthForm = {};
+  const bySpecies = new Map();
+  let co2Kg = 0;
+  let currentUptakeKgPerYear = 0;
+
+  plantings.forEach((planting) => {
+    const impact = estimatePlantImpact(
+      planting,
+      planting.species ? speciesById.get(planting.species.toString()) : null,
+      { now }
+    );
+
+    co2Kg += impact.co2Kg;
+    currentUptakeKgPerYear += impact.currentUptakeKgPerYear;
+
+    const form = byGrowthForm[impact.growthForm] || { plants: 0, co2Kg: 0 };
+    form.plants += 1;
+    form.co2Kg += impact.co2Kg;
+    byGrowthForm[impact.growthForm] = form;
+
+    // Plants outside the catalog are grouped under their free-text name
+    const key = impact.speciesId || `text:${planting.plantType}`;
+    const entry = bySpecies.get(key) || {
+      speciesId: impact.speciesId,
+      name: impact.scientificName || planting.plantType,
+      growthForm: impact.growthForm,
+      plants: 0,
+      co2Kg: 0,
+    };
+    entry.plants += 1;
+    entry.co2Kg += impact.co2Kg;
+    bySpecies.set(key, entry);
+  });
+
+  Object.values(byGrowthForm).forEach((form) => {
+    form.co2Kg = roundKg(form.co2Kg);
+  });
+
+  return {
+    plants: plantings.length,
+    co2Kg: roundKg(co2Kg),
+    currentUptakeKgPerYear: roundKg(currentUptakeKgPerYear),
+    byGrowthForm,
+    bySpecies: [...bySpecies.values()]
+      .map((entry) => ({ ...entry, co2Kg: roundKg(entry.co2Kg) }))
+      .sort((a, b) => b.co2Kg - a.co2Kg),
+  };
+};
+
+module.exports = {
+  GROWTH_PROFILES,
+  roundKg,
+  estimatePlantImpact,
+  getPlantingImpact,
+  getPostImpact,
+  refreshImpactTotals,
+  getTopImpactTotals,
+  getTotalImpact,
+  getUserImpact,
+};
@@ -0,0 +1,180 @@
+const crypto = require("crypto");
+const os = require("os");
+const JobLock = require("../models/JobLock");
+const logger = require("./logger");
+
+// Identifies this process in job leases
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto
+  .randomBytes(4)
+  .toString("hex")}`;
+
+// Delay before the first runs after start, so the server is up first
+const START_DELAY_MS = 10 * 1000;
+
+// Registered jobs by name, and the timers running them
+const jobs = new Map();
+const timers = new Map();
+const running = new Map();
+
+// Whether this process runs background jobs. Read lazily so it can be tuned
+// per environment.
+const isEnabled = () => process.env.JOB_RUNNER_ENABLED !== "false";
+
+/**
+ * Register a background job. Jobs should be safe to run again after a
+ * failure part way through.
+ * @param {string} name - Unique job name, e.g. "care:reminders"
+ * @param {Object} job - Job settings
+ * @param {number} job.intervalMs - Time between runs
+ * @param {Function} job.run - Async function doing the work; what it
+ *   returns is logged
+ * @param {number} job.leaseMs - How long a run may take before another
+ *   process may take over (default the interval)
+ */
+const registerJob = (name, { intervalMs, run, leaseMs = intervalMs }) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job already registered: ${name}`);
+  }
+  jobs.set(name, { name, intervalMs, run, leaseMs });
+};
+
+// Helper to take the job's lease if it is due and no other process holds
+// it; returns whether this process may run it
+const acquireLease = async (job, now) => {
+  try {
+    const lock = await JobLock.findOneAndUpdate(
+      {
+        _id: job.name,
+        $and: [
+          {
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+          },
+          { $or: [{ nextRunAt: null }, { nextRunAt: { $lte: now } }] },
+        ],
+      },
+      {
+        $set: {
+          lockedUntil: new Date(now.getTime() + job.leaseMs),
+          lockedBy: INSTANCE_ID,
+        },
+      },
+      { upsert: true, new: true }
+    );
+    return lock.lockedBy === INSTANCE_ID;
+  } catch (error) {
+    // The job exists but isn't due or is held elsewhere, so the upsert
+    // tried to create it again
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Run a registered job now, unless it is already running or another
+ * process ran it less than an interval ago. Failures are logged but never
+ * thrown.
+ * @param {string} name - Job name
+ * @returns {Promise<boolean>} Whether the job ran
+ */
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job || running.has(name)) return false;
+
+  const run = (async () => {
+    const startedAt = new Date();
+    let lastError = null;
+
+    try {
+      if (!(await acquireLease(job, startedAt))) return false;
+    } catch (error) {
+      logger.error(`Failed to lock job ${name}: ${error.message}`, {
+        stack: error.stack,
+      });
+      return false;
+    }
+
+    try {
+      const result = await job.run();
+      logger.info(`Job ${name} finished`, {
+        durationMs: Date.now() - startedAt.getTime(),
+        result,
+      });
+    } catch (error) {
+      lastError = error.message;
+      logger.error(`Job ${name} failed: ${error.message}`, {
+        stack: error.stack,
+      });
+    }
+
+    try {
+      await JobLock.updateOne(
+        { _id: name, lockedBy: INSTANCE_ID },
+        {
+          $set: {
+            lockedUntil: null,
+            lockedBy: null,
+            nextRunAt: new Date(startedAt.getTime() + job.intervalMs),
+            lastRunAt: startedAt,
+            lastDurationMs: Date.now() - startedAt.getTime(),
+            lastError,
+          },
+        }
+      );
+    } catch (error) {
+      logger.error(`Failed to unlock job ${name}: ${error.message}`, {
+        stack: error.stack,
+      });
+    }
+
+    return true;
+  })();
+
+  running.set(name, run);
+  try {
+    return await run;
+  } finally {
+    running.delete(name);
+  }
+};
+
+/**
+ * Start running the registered jobs on their intervals in this process.
+ * Timers don't keep the process alive, and each job's lease makes sure only
+ * one process runs it at a time. Set JOB_RUNNER_ENABLED=false to leave jobs
+ * to other processes.
+ */
+const startJobRunner = () => {
+  if (!isEnabled()) {
+    logger.info("Job runner disabled");
+    return;
+  }
+
+  jobs.forEach((job) => {
+    if (timers.has(job.name)) return;
+
+    const first = setTimeout(() => {
+      runJob(job.name);
+      const interval = setInterval(() => runJob(job.name), job.intervalMs);
+      interval.unref();
+      timers.set(job.name, interval);
+    }, START_DELAY_MS);
+    first.unref();
+    timers.set(job.name, first);
+  });
+
+  logger.info(`Job runner started: ${[...jobs.keys()].join(", ")}`, {
+    instanceId: INSTANCE_ID,
+  });
+};
+
+/**
+ * Stop starting new job runs, and wait for the ones in progress
+ * @returns {Promise<void>}
+ */
+const stopJobRunner = async () => {
+  timers.forEach((timer) => clearTimeout(timer));
+  timers.clear();
+  await Promise.all(running.values());
+};
+
+module.exports = { registerJob, runJob, startJobRunner, stopJobRunner };
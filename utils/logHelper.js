@@ -84,10 +84,25 @@ const logAuthFailure = (email, reason, ip) => {
   });
 };
 
+/**
+ * Log a security event (lockouts, suspicious activity) - useful for security audit
+ * @param {string} event - Event name (e.g., 'account_locked')
+ * @param {Object} details - Event details (email, ip, userId...)
+ */
+const logSecurityEvent = (event, details = {}) => {
+  logger.warn(`Security event: ${event}`, {
+    securityEvent: event,
+    ...details,
+    email: details.email ? details.email.substring(0, 3) + "***" : undefined,
+    timestamp: new Date().toISOString(),
+  });
+};
+
 module.exports = {
   logRequestDetails,
   logDbOperation,
   logApiError,
   logAuthentication,
   logAuthFailure,
+  logSecurityEvent,
 };
@@ -0,0 +1,184 @@
+const LoginAttempt = require("../models/LoginAttempt");
+const { logSecurityEvent } = require("./logHelper");
+
+// Helper to read a positive integer setting from the environment
+const getSetting = (name, defaultValue) =>
+  parseInt(process.env[name]) || defaultValue;
+
+// Read lazily so the limits can be changed without touching code
+const getLimits = () => ({
+  // Failures allowed before an account or IP is locked
+  maxAccountFailures: getSetting("LOGIN_MAX_FAILURES_PER_ACCOUNT", 5),
+  maxIpFailures: getSetting("LOGIN_MAX_FAILURES_PER_IP", 20),
+  // Failures allowed before each attempt has to wait a little longer
+  freeAttempts: getSetting("LOGIN_FREE_ATTEMPTS", 3),
+  // Failures older than this are forgotten
+  windowMs: getSetting("LOGIN_FAILURE_WINDOW_MINUTES", 15) * 60 * 1000,
+  // First lockout; each following lockout doubles, up to a day
+  lockoutMs: getSetting("LOGIN_LOCKOUT_MINUTES", 15) * 60 * 1000,
+});
+
+const MAX_DELAY_MS = 30 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+// Lockout history is kept this long after the last failure
+const HISTORY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Helper to build the keys an attempt is tracked under
+const getKeys = (email, ip) => {
+  const keys = [];
+  if (email) {
+    keys.push({
+      key: `account:${email.trim().toLowerCase()}`,
+      type: "account",
+    });
+  }
+  if (ip) {
+    keys.push({ key: `ip:${ip}`, type: "ip" });
+  }
+  return keys;
+};
+
+/**
+ * Check whether a login attempt may be made right now
+ * @param {string} email - Email being logged in to
+ * @param {string} ip - Client IP address
+ * @returns {Promise<Object>} `{ allowed: true }`, or `{ allowed: false, reason,
+ *   retryAfterSeconds }` where reason is "locked" or "throttled"
+ */
+const checkLoginAllowed = async (email, ip) => {
+  const keys = getKeys(email, ip).map(({ key }) => key);
+  const attempts = await LoginAttempt.find({ key: { $in: keys } });
+  const now = Date.now();
+
+  let lockedUntil = 0;
+  let throttledUntil = 0;
+
+  for (const attempt of attempts) {
+    if (attempt.lockedUntil && attempt.lockedUntil.getTime() > now) {
+      lockedUntil = Math.max(lockedUntil, attempt.lockedUntil.getTime());
+    }
+    if (attempt.nextAttemptAt && attempt.nextAttemptAt.getTime() > now) {
+      throttledUntil = Math.max(
+        throttledUntil,
+        attempt.nextAttemptAt.getTime()
+      );
+    }
+  }
+
+  // A lockout wins over a short delay
+  if (lockedUntil) {
+    return {
+      allowed: false,
+      reason: "locked",
+      retryAfterSeconds: Math.ceil((lockedUntil - now) / 1000),
+    };
+  }
+
+  if (throttledUntil) {
+    return {
+      allowed: false,
+      reason: "throttled",
+      retryAfterSeconds: Math.ceil((throttledUntil - now) / 1000),
+    };
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Record a failed login for an account and IP, delaying or locking further
+ * attempts once the limits are reached
+ * @param {string} email - Email used in the attempt
+ * @param {string} ip - Client IP address
+ * @returns {Promise<void>}
+ */
+const recordLoginFailure = async (email, ip) => {
+  const limits = getLimits();
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - limits.windowMs);
+
+  for (const { key, type } of getKeys(email, ip)) {
+    // Start counting again if the last failure is outside the window
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            type,
+            failures: {
+              $cond: [
+                { $lt: ["$lastFailureAt", windowStart] },
+                1,
+                { $add: [{ $ifNull: ["$failures", 0] }, 1] },
+              ],
+            },
+            lastFailureAt: now,
+            expiresAt: new Date(now.getTime() + HISTORY_TTL_MS),
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    );
+
+    const maxFailures =
+      type === "account" ? limits.maxAccountFailures : limits.maxIpFailures;
+
+    if (attempt.failures >= maxFailures) {
+      const lockoutMs = Math.min(
+        limits.lockoutMs * 2 ** attempt.lockCount,
+        MAX_LOCKOUT_MS
+      );
+      const lockedUntil = new Date(now.getTime() + lockoutMs);
+
+      await LoginAttempt.updateOne(
+        { _id: attempt._id },
+        {
+          failures: 0,
+          nextAttemptAt: null,
+          lockedUntil,
+          $inc: { lockCount: 1 },
+          expiresAt: new Date(lockedUntil.getTime() + HISTORY_TTL_MS),
+        }
+      );
+
+      logSecurityEvent(type === "account" ? "account_locked" : "ip_locked", {
+        email: type === "account" ? email : undefined,
+        ip,
+        failures: attempt.failures,
+        lockedUntil: lockedUntil.toISOString(),
+      });
+    } else if (attempt.failures > limits.freeAttempts) {
+      // 1s, 2s, 4s... between attempts
+      const delayMs = Math.min(
+        1000 * 2 ** (attempt.failures - limits.freeAttempts - 1),
+        MAX_DELAY_MS
+      );
+
+      await LoginAttempt.updateOne(
+        { _id: attempt._id },
+        { nextAttemptAt: new Date(now.getTime() + delayMs) }
+      );
+    }
+  }
+};
+
+/**
+ * Clear failed attempts and any lockout for an account, e.g. after a
+ * successful login or password reset. IP counters are left to expire, so
+ * one good login can't reset an attacker's address.
+ * @param {string} email - Account email
+ * @param {string} reason - Why the lockout was cleared, for the security log
+ * @returns {Promise<void>}
+ */
+const clearLoginFailures = async (email, reason) => {
+  const [{ key }] = getKeys(email);
+
+  const attempt = await LoginAttempt.findOneAndDelete({ key });
+
+  if (attempt && attempt.lockedUntil && attempt.lockedUntil > new Date()) {
+    logSecurityEvent("account_unlocked", { email, reason });
+  }
+};
+
+module.exports = { checkLoginAllowed, recordLoginFailure, clearLoginFailures };
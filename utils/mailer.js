@@ -0,0 +1,90 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const logger = require("./logger");
+
+/**
+ * Mail transports deliver a message and resolve when it has been handed off.
+ * A transport is an object with a `send(message)` method, where message is
+ * `{ from, to, subject, text, html }`.
+ */
+const transports = {
+  // Writes each email as a JSON file to a local outbox folder
+  file: {
+    send: async (message) => {
+      const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || "outbox");
+      await fs.mkdir(outboxDir, { recursive: true });
+
+      const fileName = `${Date.now()}-${crypto
+        .randomBytes(4)
+        .toString("hex")}.json`;
+      const filePath = path.join(outboxDir, fileName);
+
+      await fs.writeFile(
+        filePath,
+        JSON.stringify(
+          { ...message, sentAt: new Date().toISOString() },
+          null,
+          2
+        )
+      );
+
+      logger.info(`Email written to outbox: ${filePath}`, {
+        to: message.to,
+        subject: message.subject,
+      });
+    },
+  },
+
+  // Writes each email to the application log
+  log: {
+    send: async (message) => {
+      logger.info(`Email to ${message.to}: ${message.subject}`, {
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+      });
+    },
+  },
+};
+
+/**
+ * Register a mail transport (e.g. SMTP or a provider API). Select it with
+ * the MAIL_TRANSPORT environment variable.
+ * @param {string} name - Transport name
+ * @param {{send: Function}} transport - Transport implementation
+ */
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== "function") {
+    throw new Error(`Mail transport "${name}" must have a send() method`);
+  }
+  transports[name] = transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - Email to send
+ * @param {string} message.to - Recipient address
+ * @param {string} message.subject - Subject line
+ * @param {string} message.text - Plain text body
+ * @param {string} message.html - Optional HTML body
+ * @returns {Promise<void>}
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  const transportName = process.env.MAIL_TRANSPORT || "file";
+  const transport = transports[transportName];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+
+  await transport.send({
+    from: process.env.MAIL_FROM || "iPlant <no-reply@iplant.com>",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+module.exports = { sendMail, registerTransport };
@@ -0,0 +1,214 @@
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
+const User = require("../models/User");
+const Report = require("../models/Report");
+const ModerationCase = require("../models/ModerationCase");
+const logger = require("./logger");
+const { sendMail } = require("./mailer");
+const { contentWarningEmail } = require("./emailTemplates");
+const { deleteNotificationsFor } = require("./notificationService");
+
+// Reports (since the last review) after which content is hidden until a
+// moderator has looked at it. Read lazily so it can be tuned per environment.
+const getAutoHideThreshold = () =>
+  parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD) || 5;
+
+// Helper to get the model for a report target type
+const getContentModel = (targetType) =>
+  targetType === "post" ? Post : Comment;
+
+/**
+ * Find the post or comment a report or case is about
+ * @param {string} targetType - "post" or "comment"
+ * @param {string} targetId - ID of the content
+ * @returns {Promise<Object|null>} The content, or null if it no longer exists
+ */
+const findReportTarget = (targetType, targetId) =>
+  getContentModel(targetType).findById(targetId);
+
+/**
+ * Hide a post or comment from lists, or show it again
+ * @param {string} targetType - "post" or "comment"
+ * @param {string} targetId - ID of the content
+ * @param {boolean} hidden - Whether the content should be hidden
+ * @returns {Promise<void>}
+ */
+const setContentHidden = async (targetType, targetId, hidden) => {
+  await getContentModel(targetType).updateOne(
+    { _id: targetId },
+    { hidden, hiddenAt: hidden ? new Date() : null }
+  );
+};
+
+/**
+ * Permanently delete a post with all comments and notifications about it,
+ * keeping other users' saved posts in step. The post's planting, and with it
+ * the author's plant count, stays.
+ * @param {Object} post - Post document
+ * @returns {Promise<void>}
+ */
+const removePost = async (post) => {
+  await Promise.all([
+    Post.deleteOne({ _id: post._id }),
+    Comment.deleteMany({ post: post._id }),
+    User.updateMany(
+      { savedPosts: post._id },
+      { $pull: { savedPosts: post._id } }
+    ),
+    deleteNotificationsFor({ post: post._id }),
+  ]);
+};
+
+/**
+ * Permanently delete a comment, and its replies if it is a top-level comment,
+ * along with notifications about its likes and replies
+ * @param {Object} comment - Comment document
+ * @returns {Promise<void>}
+ */
+const removeComment = async (comment) => {
+  if (!comment.parentComment) {
+    await Comment.deleteMany({ parentComment: comment._id });
+  }
+
+  await Promise.all([
+    Comment.deleteOne({ _id: comment._id }),
+    deleteNotificationsFor({ comment: comment._id }),
+  ]);
+};
+
+/**
+ * Report a post or comment. The report is added to the content's moderation
+ * case (reopening it if it was resolved), and the content is hidden once
+ * enough users have reported it since the last review.
+ * @param {Object} params - Report details
+ * @param {Object} params.reporter - User making the report
+ * @param {string} params.targetType - "post" or "comment"
+ * @param {Object} params.target - Post or comment document
+ * @param {string} params.reason - One of REPORT_REASONS
+ * @param {string} params.details - Optional free text from the reporter
+ * @returns {Promise<{report: Object, moderationCase: Object, autoHidden: boolean}>}
+ * @throws Duplicate key error (code 11000) if the user already reported it
+ */
+const fileReport = async ({
+  reporter,
+  targetType,
+  target,
+  reason,
+  details,
+}) => {
+  const report = await Report.create({
+    reporter: reporter._id,
+    targetType,
+    targetId: target._id,
+    reason,
+    details,
+  });
+
+  const moderationCase = await ModerationCase.findOneAndUpdate(
+    { targetType, targetId: target._id },
+    {
+      $setOnInsert: {
+        targetUser: target.user,
+        post: targetType === "post" ? target._id : target.post,
+      },
+      $inc: {
+        reportCount: 1,
+        pendingReportCount: 1,
+        [`reasonCounts.${reason}`]: 1,
+      },
+      $set: { lastReportedAt: new Date() },
+    },
+    { upsert: true, new: true }
+  );
+
+  // New reports put a resolved case back in the queue
+  if (moderationCase.status === "resolved") {
+    await ModerationCase.updateOne(
+      { _id: moderationCase._id, status: "resolved" },
+      { status: "open", claimedBy: null, claimedAt: null }
+    );
+    moderationCase.status = "open";
+  }
+
+  let autoHidden = false;
+  if (
+    !target.hidden &&
+    !moderationCase.autoHidden &&
+    moderationCase.pendingReportCount >= getAutoHideThreshold()
+  ) {
+    await Promise.all([
+      setContentHidden(targetType, target._id, true),
+      ModerationCase.updateOne(
+        { _id: moderationCase._id },
+        { autoHidden: true }
+      ),
+    ]);
+    moderationCase.autoHidden = true;
+    autoHidden = true;
+
+    logger.warn(`Reported ${targetType} hidden automatically: ${target._id}`, {
+      caseId: moderationCase._id,
+      targetType,
+      targetId: target._id,
+      pendingReportCount: moderationCase.pendingReportCount,
+    });
+  }
+
+  return { report, moderationCase, autoHidden };
+};
+
+/**
+ * Record a moderator's warning on a user's account and email them about it.
+ * A failed email is logged; the warning is kept either way.
+ * @param {string} userId - User being warned
+ * @param {Object} params - Warning details
+ * @param {string} params.reason - Moderator's reason
+ * @param {Object} params.moderationCase - Case the warning came from
+ * @param {Object} params.issuedBy - Moderator issuing the warning
+ * @returns {Promise<Object|null>} The warned user, or null if not found
+ */
+const warnUser = async (userId, { reason, moderationCase, issuedBy }) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    {
+      $push: {
+        warnings: {
+          reason,
+          moderationCase: moderationCase._id,
+          issuedBy: issuedBy._id,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!user) return null;
+
+  try {
+    await sendMail({
+      to: user.email,
+      ...contentWarningEmail({
+        name: user.name,
+        contentType: moderationCase.targetType,
+        reason,
+      }),
+    });
+  } catch (mailError) {
+    logger.error(`Failed to send warning email: ${mailError.message}`, {
+      userId: user._id,
+      caseId: moderationCase._id,
+      stack: mailError.stack,
+    });
+  }
+
+  return user;
+};
+
+module.exports = {
+  findReportTarget,
+  setContentHidden,
+  removePost,
+  removeComment,
+  fileReport,
+  warnUser,
+};
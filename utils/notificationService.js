@@ -0,0 +1,552 @@
+const mongoose = require("mongoose");
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const DeviceToken = require("../models/DeviceToken");
+const logger = require("./logger");
+const { isBlockedBetween, hasMuted } = require("./relationships");
+const { publish, userChannel } = require("./pubsub");
+const { sendPush } = require("./push");
+const { sendMail } = require("./mailer");
+const { activityEmail } = require("./emailTemplates");
+const { PUSH_PLATFORMS } = require("../config/notifications");
+
+// What each type of notification says after the actors' names
+const NOTIFICATION_TEXT = {
+  post_like: "liked your post",
+  post_comment: "commented on your post",
+  post_save: "saved your post",
+  comment_like: "liked your comment",
+  comment_reply: "replied to your comment",
+  follow: "started following you",
+};
+
+// Which part of an event its notifications are grouped by
+const GROUP_BY = {
+  post_like: "post",
+  post_comment: "post",
+  post_save: "post",
+  comment_like: "comment",
+  comment_reply: "parentComment",
+  follow: "recipient",
+  care_due: "recipient",
+};
+
+// Actors loaded with each notification; the rest are only counted
+const ACTORS_SHOWN = 3;
+
+// Helper to convert a populated document or string ID to an ObjectId, as
+// aggregation pipeline updates are not cast by Mongoose
+const toObjectId = (value) =>
+  value ? new mongoose.Types.ObjectId(String(value._id || value)) : null;
+
+// Helper to build the key events of the same kind are grouped under
+const getGroupKey = (type, event) =>
+  `${type}:${toObjectId(event[GROUP_BY[type]])}`;
+
+/**
+ * Update pipeline that removes a user from notifications' actors and keeps
+ * actorCount in step. Notifications left with no actors should be deleted.
+ * @param {mongoose.Types.ObjectId} actorId - User to remove
+ * @returns {Array} Aggregation pipeline for updateMany
+ */
+const removeActorPipeline = (actorId) => [
+  {
+    $set: {
+      actors: {
+        $filter: {
+          input: "$actors",
+          cond: { $ne: ["$$this.user", actorId] },
+        },
+      },
+    },
+  },
+  { $set: { actorCount: { $size: "$actors" } } },
+];
+
+/**
+ * Send a notification as a push notification to the recipient's devices.
+ * Devices the push service no longer knows are forgotten. Failures are
+ * logged but never thrown.
+ * @param {mongoose.Types.ObjectId} recipientId - User to notify
+ * @param {Object} notification - Formatted notification
+ * @returns {Promise<void>}
+ */
+const sendPushNotifications = async (recipientId, notification) => {
+  try {
+    const devices = await DeviceToken.find({ user: recipientId });
+    const message = {
+      title: "iPlant",
+      body: notification.message,
+      data: {
+        notificationId: notification.id,
+        type: notification.type,
+        postId: notification.postId,
+        commentId: notification.commentId,
+        actorId: notification.actors[0]?.id || null,
+      },
+    };
+
+    await Promise.all(
+      devices.map(async (device) => {
+        try {
+          const result = await sendPush(
+            device,
+            PUSH_PLATFORMS[device.platform],
+            message
+          );
+
+          if (result.unregistered) {
+            await DeviceToken.deleteOne({ _id: device._id });
+            logger.info(`Removed unregistered push device ${device._id}`, {
+              userId: recipientId,
+              platform: device.platform,
+            });
+            return;
+          }
+
+          await DeviceToken.updateOne(
+            { _id: device._id },
+            { lastUsedAt: new Date() }
+          );
+        } catch (error) {
+          logger.error(`Failed to send push notification: ${error.message}`, {
+            deviceId: device._id,
+            platform: device.platform,
+            stack: error.stack,
+          });
+        }
+      })
+    );
+  } catch (error) {
+    logger.error(`Failed to send push notifications: ${error.message}`, {
+      recipientId,
+      stack: error.stack,
+    });
+  }
+};
+
+/**
+ * Email a notification to its recipient. Failures are logged but never
+ * thrown.
+ * @param {Object} recipient - User to notify (with name and email)
+ * @param {Object} notification - Formatted notification
+ * @returns {Promise<void>}
+ */
+const sendNotificationEmail = async (recipient, notification) => {
+  try {
+    await sendMail({
+      to: recipient.email,
+      ...activityEmail({
+        name: recipient.name,
+        message: notification.message,
+        postId: notification.postId,
+      }),
+    });
+  } catch (error) {
+    logger.error(`Failed to send notification email: ${error.message}`, {
+      recipientId: recipient._id,
+      stack: error.stack,
+    });
+  }
+};
+
+/**
+ * Send a new or updated notification to the recipient's real-time stream,
+ * with their unread count
+ * @param {Object} notification - Notification document
+ * @returns {Promise<Object|null>} The formatted notification
+ */
+const publishNotification = async (notification) => {
+  const [populated, unreadCount] = await Promise.all([
+    Notification.findById(notification._id)
+      .slice("actors", ACTORS_SHOWN)
+      .populate("actors.user", "name avatarUrl")
+      .populate("post", "image")
+      .populate("comment", "text"),
+    Notification.countDocuments({
+      recipient: notification.recipient,
+      read: false,
+    }),
+  ]);
+  if (!populated) return null;
+
+  const formatted = formatNotification(populated);
+
+  await publish(userChannel(notification.recipient), "notification", {
+    notification: formatted,
+    unreadCount,
+  });
+
+  return formatted;
+};
+
+/**
+ * Format an event that isn't stored because the recipient turned in-app
+ * notifications of its type off, for sending by push or email only
+ * @param {Object} event - What happened (see notify)
+ * @returns {Promise<Object>} The formatted notification, without an ID
+ */
+const formatUnstoredEvent = async ({
+  recipient,
+  actor,
+  type,
+  post,
+  comment,
+}) => {
+  const event = new Notification({
+    recipient: toObjectId(recipient),
+    type,
+    post: toObjectId(post),
+    comment: toObjectId(comment),
+    actors: [{ user: toObjectId(actor), at: new Date() }],
+    actorCount: 1,
+    lastActivityAt: new Date(),
+  });
+  await event.populate([
+    { path: "actors.user", select: "name avatarUrl" },
+    { path: "post", select: "image" },
+    { path: "comment", select: "text" },
+  ]);
+
+  return { ...formatNotification(event), id: null };
+};
+
+/**
+ * Notify a user about something another user did. The event joins the
+ * recipient's unread notification for the same thing if there is one.
+ * Self-actions, and actions between users who blocked or muted each other,
+ * don't notify. The recipient's settings choose whether the event is kept
+ * as an in-app notification (and sent to their real-time stream), pushed to
+ * their devices and emailed; only the first event of a group is emailed.
+ * Failures are logged but never thrown.
+ * @param {Object} event - What happened
+ * @param {string} event.recipient - User to notify
+ * @param {string} event.actor - User who did it
+ * @param {string} event.type - Notification type, e.g. "post_like"
+ * @param {string} event.post - Post the event is about
+ * @param {string} event.comment - Comment liked, or the new comment or reply
+ * @param {string} event.parentComment - Comment replied to
+ * @returns {Promise<Object|null>} The notification, or null if none was
+ *   stored
+ */
+const notify = async ({
+  recipient,
+  actor,
+  type,
+  post = null,
+  comment = null,
+  parentComment = null,
+}) => {
+  const recipientId = toObjectId(recipient);
+  const actorId = toObjectId(actor);
+
+  if (!recipientId || recipientId.equals(actorId)) return null;
+
+  try {
+    const [blocked, muted, recipientUser] = await Promise.all([
+      isBlockedBetween(recipientId, actorId),
+      hasMuted(recipientId, actorId),
+      User.findById(recipientId).select("name email settings.notifications"),
+    ]);
+    if (blocked || muted || !recipientUser) return null;
+
+    const channels = recipientUser.settings.notifications[type];
+    if (!channels.inApp && !channels.push && !channels.email) return null;
+
+    if (!channels.inApp) {
+      const formatted = await formatUnstoredEvent({
+        recipient,
+        actor,
+        type,
+        post,
+        comment,
+      });
+      if (channels.push) sendPushNotifications(recipientId, formatted);
+      if (channels.email) sendNotificationEmail(recipientUser, formatted);
+      return null;
+    }
+
+    const groupKey = getGroupKey(type, {
+      recipient,
+      post,
+      comment,
+      parentComment,
+    });
+    const now = new Date();
+
+    // Put the actor first, dropping any earlier entry of theirs
+    const addActor = () =>
+      Notification.findOneAndUpdate(
+        { recipient: recipientId, groupKey, read: false },
+        [
+          {
+            $set: {
+              type,
+              post: toObjectId(post),
+              comment: toObjectId(comment),
+              actors: {
+                $concatArrays: [
+                  [{ user: actorId, at: now }],
+                  {
+                    $filter: {
+                      input: { $ifNull: ["$actors", []] },
+                      cond: { $ne: ["$$this.user", actorId] },
+                    },
+                  },
+                ],
+              },
+              lastActivityAt: now,
+              createdAt: { $ifNull: ["$createdAt", now] },
+            },
+          },
+          { $set: { actorCount: { $size: "$actors" } } },
+        ],
+        { upsert: true, new: true }
+      );
+
+    let notification;
+    try {
+      notification = await addActor();
+    } catch (error) {
+      // Another event created the group at the same moment; join it instead
+      if (error.code !== 11000) throw error;
+      notification = await addActor();
+    }
+
+    const formatted = await publishNotification(notification);
+
+    // Push services and mail can be slow, so requests don't wait for them
+    if (formatted && channels.push) {
+      sendPushNotifications(recipientId, formatted);
+    }
+    if (formatted && channels.email && notification.actorCount === 1) {
+      sendNotificationEmail(recipientUser, formatted);
+    }
+
+    return notification;
+  } catch (error) {
+    logger.error(`Failed to create notification: ${error.message}`, {
+      type,
+      recipientId,
+      actorId,
+      stack: error.stack,
+    });
+    return null;
+  }
+};
+
+/**
+ * Remind a user of something no other user did, e.g. that their plants need
+ * care. The reminder replaces the recipient's unread one of the same type,
+ * if there is one. The recipient's settings choose the channels like for
+ * notify; a reminder is only emailed when it doesn't replace an unread one.
+ * Failures are logged but never thrown.
+ * @param {Object} reminder - What to remind about
+ * @param {string} reminder.recipient - User to remind
+ * @param {string} reminder.type - One of REMINDER_TYPES
+ * @param {string} reminder.message - Text to show
+ * @returns {Promise<Object|null>} The notification, or null if none was
+ *   stored
+ */
+const notifyReminder = async ({ recipient, type, message }) => {
+  const recipientId = toObjectId(recipient);
+  if (!recipientId) return null;
+
+  try {
+    const recipientUser = await User.findById(recipientId).select(
+      "name email settings.notifications"
+    );
+    if (!recipientUser) return null;
+
+    const channels = recipientUser.settings.notifications[type];
+    if (!channels.inApp && !channels.push && !channels.email) return null;
+
+    const now = new Date();
+
+    if (!channels.inApp) {
+      const event = new Notification({
+        recipient: recipientId,
+        type,
+        message,
+        lastActivityAt: now,
+      });
+      const formatted = { ...formatNotification(event), id: null };
+      if (channels.push) sendPushNotifications(recipientId, formatted);
+      if (channels.email) sendNotificationEmail(recipientUser, formatted);
+      return null;
+    }
+
+    const replace = () =>
+      Notification.findOneAndUpdate(
+        {
+          recipient: recipientId,
+          groupKey: getGroupKey(type, { recipient }),
+          read: false,
+        },
+        { $set: { type, message, lastActivityAt: now } },
+        { upsert: true, new: true, includeResultMetadata: true }
+      );
+
+    let result;
+    try {
+      result = await replace();
+    } catch (error) {
+      // Another reminder created it at the same moment; replace that one
+      if (error.code !== 11000) throw error;
+      result = await replace();
+    }
+    const notification = result.value;
+
+    const formatted = await publishNotification(notification);
+
+    if (formatted && channels.push) {
+      sendPushNotifications(recipientId, formatted);
+    }
+    if (
+      formatted &&
+      channels.email &&
+      !result.lastErrorObject?.updatedExisting
+    ) {
+      sendNotificationEmail(recipientUser, formatted);
+    }
+
+    return notification;
+  } catch (error) {
+    logger.error(`Failed to create reminder: ${error.message}`, {
+      type,
+      recipientId,
+      stack: error.stack,
+    });
+    return null;
+  }
+};
+
+/**
+ * Take back a user's part in a notification, e.g. after un-liking a post.
+ * Notifications left without actors are deleted. Failures are logged but
+ * never thrown.
+ * @param {Object} event - The event being undone (same fields as notify)
+ * @returns {Promise<void>}
+ */
+const retractNotification = async ({
+  recipient,
+  actor,
+  type,
+  post = null,
+  comment = null,
+  parentComment = null,
+}) => {
+  const recipientId = toObjectId(recipient);
+  const actorId = toObjectId(actor);
+
+  if (!recipientId) return;
+
+  try {
+    const groupKey = getGroupKey(type, {
+      recipient,
+      post,
+      comment,
+      parentComment,
+    });
+
+    await Notification.updateMany(
+      { recipient: recipientId, groupKey, "actors.user": actorId },
+      removeActorPipeline(actorId)
+    );
+    await Notification.deleteMany({
+      recipient: recipientId,
+      groupKey,
+      actorCount: 0,
+    });
+  } catch (error) {
+    logger.error(`Failed to retract notification: ${error.message}`, {
+      type,
+      recipientId,
+      actorId,
+      stack: error.stack,
+    });
+  }
+};
+
+/**
+ * Delete notifications about content that has been removed
+ * @param {Object} target - What was removed
+ * @param {string} target.post - Removed post: all its notifications go
+ * @param {string} target.comment - Removed comment: its likes and replies go
+ * @returns {Promise<void>}
+ */
+const deleteNotificationsFor = async ({ post = null, comment = null }) => {
+  if (post) {
+    await Notification.deleteMany({ post: toObjectId(post) });
+  }
+  if (comment) {
+    await Notification.deleteMany({
+      groupKey: {
+        $in: [
+          getGroupKey("comment_like", { comment }),
+          getGroupKey("comment_reply", { parentComment: comment }),
+        ],
+      },
+    });
+  }
+};
+
+// Helper to build the text of a grouped notification
+const buildMessage = (type, actors, actorCount) => {
+  const names = actors.map((actor) => actor.name);
+  const text = NOTIFICATION_TEXT[type];
+
+  if (actorCount <= 1) return `${names[0] || "Someone"} ${text}`;
+  if (actorCount === 2 && names.length === 2) {
+    return `${names[0]} and ${names[1]} ${text}`;
+  }
+
+  const others = actorCount - 1;
+  return `${names[0] || "Someone"} and ${others} ${
+    others === 1 ? "other" : "others"
+  } ${text}`;
+};
+
+/**
+ * Format a notification for the API. Expects `actors` to be sliced to the
+ * latest few, and `actors.user`, `post` and `comment` to be populated.
+ * @param {Object} notification - Notification document
+ * @returns {Object} Notification for the response
+ */
+const formatNotification = (notification) => {
+  const actors = notification.actors
+    .filter((actor) => actor.user)
+    .map((actor) => ({
+      id: actor.user._id.toString(),
+      name: actor.user.name,
+      avatar: actor.user.avatarUrl || undefined,
+    }));
+
+  return {
+    id: notification._id.toString(),
+    type: notification.type,
+    message:
+      notification.message ||
+      buildMessage(notification.type, actors, notification.actorCount),
+    actors,
+    actorCount: notification.actorCount,
+    postId: notification.post ? notification.post._id.toString() : null,
+    postImage: notification.post?.image,
+    commentId: notification.comment
+      ? notification.comment._id.toString()
+      : null,
+    commentText: notification.comment?.text,
+    read: notification.read,
+    createdAt: notification.lastActivityAt.toISOString(),
+  };
+};
+
+module.exports = {
+  ACTORS_SHOWN,
+  removeActorPipeline,
+  notify,
+  notifyReminder,
+  retractNotification,
+  deleteNotificationsFor,
+  formatNotification,
+};
@@ -0,0 +1,317 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+/**
+ * Error from talking to an identity provider. `status` is the HTTP status
+ * to answer the client with.
+ */
+class OAuthError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = "OAuthError";
+    this.status = status;
+  }
+}
+
+// Base URL of this API, used to build the callback URL given to providers
+const getApiUrl = () =>
+  (
+    process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`
+  ).replace(/\/$/, "");
+
+// Helper to encode bytes the way PKCE and OIDC expect
+const base64url = (buffer) => buffer.toString("base64url");
+
+// Helper to call a provider endpoint and parse its JSON response
+const requestJson = async (url, options = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      ...options,
+      headers: { Accept: "application/json", ...options.headers },
+    });
+  } catch (error) {
+    throw new OAuthError(`Could not reach identity provider: ${error.message}`);
+  }
+
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok || body.error) {
+    throw new OAuthError(
+      `Identity provider error: ${
+        body.error_description || body.error || response.status
+      }`
+    );
+  }
+
+  return body;
+};
+
+// Signing keys of OIDC providers, cached by JWKS URL
+const jwksCache = new Map();
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000;
+
+// Helper to verify an OIDC ID token against the provider's published keys
+const verifyIdToken = async (provider, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new OAuthError("Identity provider returned an invalid ID token");
+  }
+
+  let cached = jwksCache.get(provider.jwksUrl);
+  if (!cached || Date.now() - cached.fetchedAt > JWKS_CACHE_TTL_MS) {
+    const { keys } = await requestJson(provider.jwksUrl);
+    cached = { keys, fetchedAt: Date.now() };
+    jwksCache.set(provider.jwksUrl, cached);
+  }
+
+  const jwk = cached.keys.find((key) => key.kid === decoded.header.kid);
+  if (!jwk) {
+    throw new OAuthError("ID token was signed with an unknown key");
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(
+      idToken,
+      crypto.createPublicKey({ key: jwk, format: "jwk" }),
+      {
+        algorithms: ["RS256", "ES256"],
+        audience: provider.clientId,
+        issuer: provider.issuer,
+      }
+    );
+  } catch (error) {
+    throw new OAuthError(`Invalid ID token: ${error.message}`);
+  }
+
+  if (nonce && claims.nonce !== nonce) {
+    throw new OAuthError("ID token nonce does not match");
+  }
+
+  return claims;
+};
+
+// Helper to read a profile from a standard OIDC userinfo response or ID token
+const mapOidcClaims = (claims) => ({
+  providerUserId: String(claims.sub),
+  email: claims.email,
+  // Apple sends "true"/"false" strings
+  emailVerified:
+    claims.email_verified === true || claims.email_verified === "true",
+  name: claims.name,
+  avatarUrl: claims.picture,
+});
+
+/**
+ * Supported identity providers. A provider is enabled when its client ID is
+ * configured. Each provider turns the token response into a normalized
+ * profile: `{ providerUserId, email, emailVerified, name, avatarUrl }`.
+ */
+const providers = {
+  google: {
+    label: "Google",
+    authorizationUrl: "https://accounts.google.com/o/oauth2/v2/auth",
+    tokenUrl: "https://oauth2.googleapis.com/token",
+    userInfoUrl: "https://openidconnect.googleapis.com/v1/userinfo",
+    scope: "openid email profile",
+    clientId: () => process.env.GOOGLE_CLIENT_ID,
+    clientSecret: () => process.env.GOOGLE_CLIENT_SECRET,
+    getProfile: async (provider, tokens) =>
+      mapOidcClaims(
+        await requestJson(provider.userInfoUrl, {
+          headers: { Authorization: `Bearer ${tokens.access_token}` },
+        })
+      ),
+  },
+
+  github: {
+    label: "GitHub",
+    authorizationUrl: "https://github.com/login/oauth/authorize",
+    tokenUrl: "https://github.com/login/oauth/access_token",
+    scope: "read:user user:email",
+    clientId: () => process.env.GITHUB_CLIENT_ID,
+    clientSecret: () => process.env.GITHUB_CLIENT_SECRET,
+    getProfile: async (provider, tokens) => {
+      const headers = { Authorization: `Bearer ${tokens.access_token}` };
+      const [profile, emails] = await Promise.all([
+        requestJson("https://api.github.com/user", { headers }),
+        requestJson("https://api.github.com/user/emails", { headers }),
+      ]);
+
+      // The public profile email may be empty or unverified
+      const primary = emails.find((email) => email.primary) || emails[0];
+
+      return {
+        providerUserId: String(profile.id),
+        email: primary?.email,
+        emailVerified: Boolean(primary?.verified),
+        name: profile.name || profile.login,
+        avatarUrl: profile.avatar_url,
+      };
+    },
+  },
+
+  apple: {
+    label: "Apple",
+    authorizationUrl: "https://appleid.apple.com/auth/authorize",
+    tokenUrl: "https://appleid.apple.com/auth/token",
+    jwksUrl: "https://appleid.apple.com/auth/keys",
+    issuer: "https://appleid.apple.com",
+    scope: "name email",
+    // Apple posts the callback as a form when name or email is requested
+    extraAuthorizationParams: { response_mode: "form_post" },
+    clientId: () => process.env.APPLE_CLIENT_ID,
+    // Apple's client secret is a signed JWT generated from your private key
+    clientSecret: () => process.env.APPLE_CLIENT_SECRET,
+    getProfile: async (provider, tokens, { nonce }) =>
+      mapOidcClaims(await verifyIdToken(provider, tokens.id_token, nonce)),
+  },
+
+  // Local identity provider for development and testing (routes/mockIdp.js)
+  mock: {
+    label: "Mock IdP",
+    authorizationUrl: () => `${getApiUrl()}/mock-idp/authorize`,
+    tokenUrl: () => `${getApiUrl()}/mock-idp/token`,
+    userInfoUrl: () => `${getApiUrl()}/mock-idp/userinfo`,
+    scope: "openid email profile",
+    clientId: () =>
+      process.env.OAUTH_MOCK_ENABLED === "true"
+        ? process.env.OAUTH_MOCK_CLIENT_ID || "iplant-mock-client"
+        : undefined,
+    clientSecret: () => process.env.OAUTH_MOCK_CLIENT_SECRET || "mock-secret",
+    getProfile: async (provider, tokens) =>
+      mapOidcClaims(
+        await requestJson(provider.userInfoUrl, {
+          headers: { Authorization: `Bearer ${tokens.access_token}` },
+        })
+      ),
+  },
+};
+
+/**
+ * Register an identity provider (e.g. another OIDC provider). Settings can
+ * be values or functions, so they can be read from the environment lazily.
+ * @param {string} name - Provider name used in URLs
+ * @param {Object} definition - Provider definition, see `providers` above
+ */
+const registerProvider = (name, definition) => {
+  if (typeof definition.getProfile !== "function") {
+    throw new Error(`OAuth provider "${name}" must have a getProfile() method`);
+  }
+  providers[name] = definition;
+};
+
+/**
+ * Get an enabled provider with its settings resolved
+ * @param {string} name - Provider name
+ * @returns {Object|null} The provider, or null if unknown or not configured
+ */
+const getProvider = (name) => {
+  if (!Object.prototype.hasOwnProperty.call(providers, name)) return null;
+
+  const resolved = { name };
+  for (const [key, value] of Object.entries(providers[name])) {
+    resolved[key] =
+      typeof value === "function" && key !== "getProfile" ? value() : value;
+  }
+
+  return resolved.clientId ? resolved : null;
+};
+
+/**
+ * List the providers that are configured
+ * @returns {Array<{name: string, label: string}>} Enabled providers
+ */
+const listProviders = () =>
+  Object.keys(providers)
+    .map(getProvider)
+    .filter(Boolean)
+    .map(({ name, label }) => ({ name, label }));
+
+/**
+ * URL the provider redirects back to after the user signs in
+ * @param {string} name - Provider name
+ * @returns {string} Callback URL
+ */
+const getCallbackUrl = (name) =>
+  `${getApiUrl()}/api/auth/oauth/${name}/callback`;
+
+/**
+ * Generate the values that protect one authorization request: `state`
+ * against CSRF, a PKCE code verifier against code interception and a nonce
+ * against ID token replay.
+ * @returns {{state: string, codeVerifier: string, nonce: string}} Random values
+ */
+const createAuthorizationRequest = () => ({
+  state: base64url(crypto.randomBytes(32)),
+  codeVerifier: base64url(crypto.randomBytes(32)),
+  nonce: base64url(crypto.randomBytes(16)),
+});
+
+/**
+ * Build the URL that sends the user to the provider's sign-in page
+ * @param {Object} provider - Provider from getProvider()
+ * @param {Object} request - Values from createAuthorizationRequest()
+ * @returns {string} Authorization URL
+ */
+const buildAuthorizationUrl = (provider, { state, codeVerifier, nonce }) => {
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: getCallbackUrl(provider.name),
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: base64url(
+      crypto.createHash("sha256").update(codeVerifier).digest()
+    ),
+    code_challenge_method: "S256",
+    ...provider.extraAuthorizationParams,
+  });
+
+  return `${provider.authorizationUrl}?${params.toString()}`;
+};
+
+/**
+ * Exchange an authorization code and fetch the user's profile
+ * @param {Object} provider - Provider from getProvider()
+ * @param {string} code - Authorization code from the callback
+ * @param {Object} request - The stored codeVerifier and nonce
+ * @returns {Promise<Object>} Normalized profile
+ */
+const fetchProfile = async (provider, code, { codeVerifier, nonce }) => {
+  const tokens = await requestJson(provider.tokenUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: getCallbackUrl(provider.name),
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret || "",
+      code_verifier: codeVerifier,
+    }).toString(),
+  });
+
+  const profile = await provider.getProfile(provider, tokens, { nonce });
+
+  if (!profile.providerUserId) {
+    throw new OAuthError("Identity provider did not return a user ID");
+  }
+
+  return {
+    ...profile,
+    email: profile.email ? profile.email.toLowerCase() : undefined,
+  };
+};
+
+module.exports = {
+  OAuthError,
+  registerProvider,
+  getProvider,
+  listProviders,
+  createAuthorizationRequest,
+  buildAuthorizationUrl,
+  fetchProfile,
+};
@@ -0,0 +1,198 @@
+const mongoose = require("mongoose");
+const Post = require("../models/Post");
+const User = require("../models/User");
+const Planting = require("../models/Planting");
+const {
+  ENDED_PLANTING_STATUSES,
+  MAX_PLANTED_YEARS_AGO,
+} = require("../config/plantings");
+const { getVisiblePostLocation } = require("./privacy");
+
+/**
+ * Read when a plant was planted and how old it was then
+ * @param {Object} input - Request fields
+ * @param {string} input.plantedAt - Date it was planted
+ * @param {number|string} input.ageAtPlantingYears - Its age then, in years
+ * @returns {{details: Object}|{error: string}} Fields to store, or the
+ *   reason they are invalid
+ */
+const parsePlantingDetails = ({ plantedAt, ageAtPlantingYears }) => {
+  const details = {};
+
+  if (plantedAt !== undefined && plantedAt !== null && plantedAt !== "") {
+    const date = new Date(plantedAt);
+    const now = new Date();
+    const earliest = new Date(now);
+    earliest.setFullYear(now.getFullYear() - MAX_PLANTED_YEARS_AGO);
+    if (isNaN(date.getTime()) || date > now || date < earliest) {
+      return {
+        error: `plantedAt must be a date in the last ${MAX_PLANTED_YEARS_AGO} years that isn't in the future`,
+      };
+    }
+    details.plantedAt = date;
+  }
+
+  if (ageAtPlantingYears !== undefined && ageAtPlantingYears !== "") {
+    const age = Number(ageAtPlantingYears);
+    if (!Number.isFinite(age) || age < 0 || age > 500) {
+      return { error: "ageAtPlantingYears must be between 0 and 500" };
+    }
+    details.ageAtPlantingYears = age;
+  }
+
+  return { details };
+};
+
+/**
+ * Find a planting for its owner to change
+ * @param {string} id - Planting ID
+ * @param {Object} user - Requesting user
+ * @returns {Promise<{planting: Object}|{error: {status: number, message: string}}>}
+ *   The planting, or the status and message to respond with
+ */
+const findOwnPlanting = async (id, user) => {
+  const planting = mongoose.isValidObjectId(id)
+    ? await Planting.findById(id)
+    : null;
+  if (!planting) {
+    return { error: { status: 404, message: "Planting not found" } };
+  }
+
+  if (planting.user.toString() !== user._id.toString()) {
+    return {
+      error: { status: 401, message: "Not authorized to change this planting" },
+    };
+  }
+
+  return { planting };
+};
+
+/**
+ * Move a planting to a new status, keeping track of when it changed and of
+ * when the plant died or was removed
+ * @param {Object} planting - Planting document, saved by the caller
+ * @param {string} status - One of PLANTING_STATUSES
+ */
+const setPlantingStatus = (planting, status) => {
+  if (planting.status === status) return;
+
+  const now = new Date();
+  planting.status = status;
+  planting.statusChangedAt = now;
+
+  if (!ENDED_PLANTING_STATUSES.includes(status)) {
+    planting.endedAt = null;
+  } else if (!planting.endedAt) {
+    planting.endedAt = now;
+  }
+};
+
+/**
+ * Count the posts attached to plantings and find each one's latest image,
+ * leaving out posts hidden by moderation
+ * @param {Array} plantingIds - Planting IDs
+ * @returns {Promise<Map<string, {updates: number, coverImageUrl: string}>>}
+ *   Stats by planting ID
+ */
+const getPlantingUpdateStats = async (plantingIds) => {
+  if (plantingIds.length === 0) return new Map();
+
+  const stats = await Post.aggregate([
+    { $match: { planting: { $in: plantingIds }, hidden: { $ne: true } } },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: "$planting",
+        updates: { $sum: 1 },
+        coverImageUrl: { $first: "$image" },
+      },
+    },
+  ]);
+
+  return new Map(
+    stats.map(({ _id, updates, coverImageUrl }) => [
+      _id.toString(),
+      { updates, coverImageUrl },
+    ])
+  );
+};
+
+/**
+ * Format a planting for the API
+ * @param {Object} planting - Planting with its owner populated
+ *   (POST_AUTHOR_FIELDS)
+ * @param {Object} options - Format options
+ * @param {string|null} options.viewerId - Viewing user, for the location
+ * @param {Object} options.stats - Entry from getPlantingUpdateStats
+ * @returns {Object} Formatted planting
+ */
+const formatPlanting = (planting, { viewerId = null, stats } = {}) => ({
+  id: planting._id.toString(),
+  userId: planting.user._id.toString(),
+  userName: planting.user.name,
+  name: planting.name || undefined,
+  plantType: planting.plantType,
+  speciesId: planting.species?.toString(),
+  status: planting.status,
+  statusChangedAt: planting.statusChangedAt?.toISOString(),
+  plantedAt: planting.plantedAt.toISOString(),
+  ageAtPlantingYears: planting.ageAtPlantingYears || 0,
+  endedAt: planting.endedAt ? planting.endedAt.toISOString() : undefined,
+  location: getVisiblePostLocation(planting, viewerId),
+  updates: stats ? stats.updates : 0,
+  coverImageUrl: stats?.coverImageUrl,
+  createdAt: planting.createdAt.toISOString(),
+});
+
+/**
+ * Recompute every user's numberOfPlants from their plantings
+ * @param {Object} options - Recount options
+ * @param {boolean} options.dryRun - Only count the users that would change
+ * @param {number} options.batchSize - Updates written at a time
+ * @returns {Promise<number>} Users whose count changed
+ */
+const recountPlants = async ({ dryRun = false, batchSize = 500 } = {}) => {
+  const counts = await Planting.aggregate([
+    { $group: { _id: "$user", plants: { $sum: 1 } } },
+  ]);
+  const plantsByUser = new Map(
+    counts.map(({ _id, plants }) => [_id.toString(), plants])
+  );
+
+  let changed = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length > 0 && !dryRun) {
+      await User.bulkWrite(operations, { ordered: false });
+    }
+    operations = [];
+  };
+
+  const cursor = User.find().select("numberOfPlants").lean().cursor();
+  for await (const user of cursor) {
+    const plants = plantsByUser.get(user._id.toString()) || 0;
+    if ((user.numberOfPlants || 0) === plants) continue;
+
+    changed += 1;
+    operations.push({
+      updateOne: {
+        filter: { _id: user._id },
+        update: { $set: { numberOfPlants: plants } },
+      },
+    });
+    if (operations.length >= batchSize) await flush();
+  }
+  await flush();
+
+  return changed;
+};
+
+module.exports = {
+  findOwnPlanting,
+  parsePlantingDetails,
+  setPlantingStatus,
+  getPlantingUpdateStats,
+  formatPlanting,
+  recountPlants,
+};
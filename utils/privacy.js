@@ -0,0 +1,234 @@
+const User = require("../models/User");
+const Follow = require("../models/Follow");
+const { getExcludedAuthorIds } = require("./relationships");
+const { PRECISION_DECIMALS } = require("../config/location");
+
+// Author fields needed to show a post: who wrote it and how they share it
+const POST_AUTHOR_FIELDS =
+  "name avatarUrl settings.profileVisibility settings.postLocationPrecision";
+
+// Helper to compare two user IDs (or documents)
+const isSameUser = (user, otherUser) =>
+  Boolean(
+    user &&
+      otherUser &&
+      String(user._id || user) === String(otherUser._id || otherUser)
+  );
+
+/**
+ * Check whether a viewer can see a user's profile details and posts. Profiles
+ * limited to followers are visible to the user themselves and their followers.
+ * @param {Object} owner - User whose profile it is (with settings)
+ * @param {string|null} viewerId - Viewing user, or null for anonymous viewers
+ * @returns {Promise<boolean>} Whether the viewer can see the profile
+ */
+const canViewProfile = async (owner, viewerId) => {
+  if (owner.settings?.profileVisibility !== "followers") return true;
+  if (!viewerId) return false;
+  if (isSameUser(owner, viewerId)) return true;
+
+  return Boolean(
+    await Follow.exists({ follower: viewerId, following: owner._id })
+  );
+};
+
+/**
+ * Get the users whose posts are limited to followers and who the viewer
+ * doesn't follow
+ * @param {string|null} viewerId - Viewing user, or null for anonymous viewers
+ * @returns {Promise<Array>} User IDs
+ */
+const getFollowersOnlyAuthorIds = async (viewerId) => {
+  const query = { "settings.profileVisibility": "followers" };
+  if (viewerId) {
+    query._id = { $ne: viewerId };
+  }
+
+  const authorIds = await User.distinct("_id", query);
+  if (!viewerId || authorIds.length === 0) return authorIds;
+
+  const follows = await Follow.find({
+    follower: viewerId,
+    following: { $in: authorIds },
+  }).select("following");
+  const followed = new Set(
+    follows.map((follow) => follow.following.toString())
+  );
+
+  return authorIds.filter((id) => !followed.has(id.toString()));
+};
+
+/**
+ * Get the users whose posts should be left out of post lists shown to a
+ * viewer: those excluded by blocks and mutes (see getExcludedAuthorIds), and
+ * followers-only accounts the viewer doesn't follow
+ * @param {string|null} viewerId - Viewing user, or null for anonymous viewers
+ * @returns {Promise<Array>} User IDs to exclude
+ */
+const getHiddenPostAuthorIds = async (viewerId) => {
+  const [excludedIds, followersOnlyIds] = await Promise.all([
+    getExcludedAuthorIds(viewerId),
+    getFollowersOnlyAuthorIds(viewerId),
+  ]);
+
+  return [...excludedIds, ...followersOnlyIds];
+};
+
+/**
+ * Format a stored location as shown to a viewer. Owners see it as stored;
+ * everyone else gets coordinates rounded to the location's precision, and
+ * the address only when it is exact. Geo queries match approximate
+ * locations as shown, see isVisibleLocationNear.
+ * @param {Object} location - Stored GeoJSON point with address
+ * @param {string} precision - One of LOCATION_PRECISIONS
+ * @param {boolean} isOwner - Whether the viewer owns the location
+ * @returns {Object|undefined} Coordinates, address and precision, or
+ *   undefined if there is no location or it's hidden from the viewer
+ */
+const formatLocation = (location, precision, isOwner) => {
+  if (!location || !Array.isArray(location.coordinates)) return undefined;
+
+  if (isOwner || precision === "exact") {
+    return {
+      coordinates: location.coordinates,
+      address: location.address || "",
+      precision,
+    };
+  }
+  if (precision === "hidden") return undefined;
+
+  const factor = 10 ** PRECISION_DECIMALS[precision];
+  return {
+    coordinates: location.coordinates.map(
+      (value) => Math.round(value * factor) / factor
+    ),
+    address: "",
+    precision,
+  };
+};
+
+/**
+ * Get a post's (or planting's) location as shown to a viewer (see
+ * formatLocation). Those without their own precision use their author's
+ * postLocationPrecision.
+ * @param {Object} post - Post or planting with its author populated
+ *   (POST_AUTHOR_FIELDS)
+ * @param {string|null} viewerId - Viewing user, or null for anonymous viewers
+ * @returns {Object|undefined} Location to return
+ */
+const getVisiblePostLocation = (post, viewerId) =>
+  formatLocation(
+    post.location,
+    post.locationPrecision ||
+      post.user?.settings?.postLocationPrecision ||
+      "exact",
+    isSameUser(post.user, viewerId)
+  );
+
+// Radius MongoDB uses for spherical distances, in meters
+const EARTH_RADIUS_METERS = 6378100;
+
+// Farthest rounding to the coarsest precision can move a point, in meters
+// (half a step of latitude and longitude, at about 111 km per degree)
+const MAX_LOCATION_FUZZ_METERS = Math.ceil(
+  0.5 *
+    10 ** -Math.min(...Object.values(PRECISION_DECIMALS)) *
+    111320 *
+    Math.SQRT2
+);
+
+// Helper to get the great-circle distance between two [lng, lat] points, in
+// meters
+const getDistanceMeters = ([lng1, lat1], [lng2, lat2]) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Check whether a post's location, as shown to a viewer, is within a
+ * distance of a point. Geo queries must filter approximate locations with
+ * this rather than trust matches on the stored point, or repeated queries
+ * with small radii would pin the exact point down. Run the query itself with
+ * MAX_LOCATION_FUZZ_METERS added to the distance, so every post this accepts
+ * is among its results.
+ * @param {Object} post - Post with its author populated (POST_AUTHOR_FIELDS)
+ * @param {string|null} viewerId - Viewing user, or null for anonymous viewers
+ * @param {Array<number>} coordinates - Point as [longitude, latitude]
+ * @param {number} maxDistanceMeters - Distance from the point
+ * @returns {boolean} Whether the shown location is that close
+ */
+const isVisibleLocationNear = (
+  post,
+  viewerId,
+  coordinates,
+  maxDistanceMeters
+) => {
+  const location = getVisiblePostLocation(post, viewerId);
+  return Boolean(
+    location &&
+      getDistanceMeters(location.coordinates, coordinates) <= maxDistanceMeters
+  );
+};
+
+/**
+ * Get a user's own location as shown to a viewer (see formatLocation)
+ * @param {Object} user - User with settings.locationPrecision
+ * @param {string|null} viewerId - Viewing user, or null for anonymous viewers
+ * @returns {Object|undefined} Location to return
+ */
+const getVisibleUserLocation = (user, viewerId) =>
+  formatLocation(
+    user.location,
+    user.settings?.locationPrecision || "city",
+    isSameUser(user, viewerId)
+  );
+
+/**
+ * Get query conditions that leave out posts whose location is hidden from
+ * the viewer, so geo queries can't be used to find them
+ * @param {string|null} viewerId - Viewing user, or null for anonymous viewers
+ * @returns {Promise<Object>} Conditions to merge into a post query
+ */
+const getHiddenLocationFilter = async (viewerId) => {
+  const authorQuery = { "settings.postLocationPrecision": "hidden" };
+  const hiddenPost = { locationPrecision: "hidden" };
+  if (viewerId) {
+    authorQuery._id = { $ne: viewerId };
+    hiddenPost.user = { $ne: viewerId };
+  }
+
+  const authorIds = await User.distinct("_id", authorQuery);
+  const conditions = [hiddenPost];
+  if (authorIds.length > 0) {
+    // Posts without their own precision follow their author's setting
+    conditions.push({ locationPrecision: null, user: { $in: authorIds } });
+  }
+
+  return { $nor: conditions };
+};
+
+/**
+ * Get the users who asked not to appear on leaderboards
+ * @returns {Promise<Array>} User IDs
+ */
+const getLeaderboardExcludedIds = () =>
+  User.distinct("_id", { "settings.showOnLeaderboard": false });
+
+module.exports = {
+  POST_AUTHOR_FIELDS,
+  MAX_LOCATION_FUZZ_METERS,
+  canViewProfile,
+  getHiddenPostAuthorIds,
+  getVisiblePostLocation,
+  isVisibleLocationNear,
+  getVisibleUserLocation,
+  getHiddenLocationFilter,
+  getLeaderboardExcludedIds,
+};
@@ -0,0 +1,107 @@
+const { EventEmitter } = require("events");
+const logger = require("./logger");
+
+/**
+ * Pub/sub adapters carry real-time events between the code that changes
+ * something and the connections streaming it to clients. An adapter is an
+ * object with:
+ * - `publish(channel, message)`: deliver a message to the channel's subscribers
+ * - `subscribe(channel, handler)`: call handler(message) for each message;
+ *   returns a function that unsubscribes
+ * Messages are plain JSON-serializable objects, so an adapter backed by an
+ * external broker can be used when running more than one server.
+ */
+const createMemoryAdapter = () => {
+  const emitter = new EventEmitter();
+  // Every open stream subscribes to a few channels
+  emitter.setMaxListeners(0);
+
+  return {
+    publish: async (channel, message) => {
+      emitter.emit(channel, message);
+    },
+    subscribe: (channel, handler) => {
+      emitter.on(channel, handler);
+      return () => emitter.off(channel, handler);
+    },
+  };
+};
+
+const adapters = {
+  // Delivers events within this process only; fine for a single server
+  memory: createMemoryAdapter(),
+};
+
+/**
+ * Register a pub/sub adapter (e.g. one backed by Redis). Select it with the
+ * REALTIME_ADAPTER environment variable.
+ * @param {string} name - Adapter name
+ * @param {{publish: Function, subscribe: Function}} adapter - Adapter implementation
+ */
+const registerAdapter = (name, adapter) => {
+  if (
+    !adapter ||
+    typeof adapter.publish !== "function" ||
+    typeof adapter.subscribe !== "function"
+  ) {
+    throw new Error(
+      `Pub/sub adapter "${name}" must have publish() and subscribe() methods`
+    );
+  }
+  adapters[name] = adapter;
+};
+
+// Helper to get the configured adapter
+const getAdapter = () => {
+  const adapterName = process.env.REALTIME_ADAPTER || "memory";
+  const adapter = adapters[adapterName];
+
+  if (!adapter) {
+    throw new Error(`Unknown pub/sub adapter: ${adapterName}`);
+  }
+
+  return adapter;
+};
+
+// Channel names
+const postChannel = (postId) => `post:${postId}`;
+const userChannel = (userId) => `user:${userId}`;
+const NEW_POSTS_CHANNEL = "posts:new";
+
+/**
+ * Publish a real-time event. Failures are logged but never thrown, so a
+ * broken broker can't break the request that triggered the event.
+ * @param {string} channel - Channel name, e.g. from postChannel()
+ * @param {string} event - Event name sent to clients, e.g. "comment"
+ * @param {Object} data - Event payload
+ * @returns {Promise<void>}
+ */
+const publish = async (channel, event, data) => {
+  try {
+    await getAdapter().publish(channel, { event, data });
+  } catch (error) {
+    logger.error(`Failed to publish real-time event: ${error.message}`, {
+      channel,
+      event,
+      stack: error.stack,
+    });
+  }
+};
+
+/**
+ * Subscribe to a channel
+ * @param {string} channel - Channel name
+ * @param {Function} handler - Called with `{ event, data }` for each message
+ * @returns {Function} Call to unsubscribe
+ */
+const subscribe = (channel, handler) =>
+  getAdapter().subscribe(channel, handler);
+
+module.exports = {
+  registerAdapter,
+  publish,
+  subscribe,
+  postChannel,
+  userChannel,
+  NEW_POSTS_CHANNEL,
+};
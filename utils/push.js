@@ -0,0 +1,485 @@
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const http2 = require("http2");
+const jwt = require("jsonwebtoken");
+const logger = require("./logger");
+const {
+  WEB_PUSH_HOSTS,
+  PUSH_TOKEN_PATTERNS,
+} = require("../config/notifications");
+
+/**
+ * Push providers deliver a notification to one device. A provider is an
+ * object with a `send(device, message)` method, where device is a DeviceToken
+ * and message is `{ title, body, data }`. send resolves to
+ * `{ unregistered: true }` when the service says the token is no longer
+ * valid, so the device can be forgotten, and throws on other failures.
+ */
+
+// Helper to decode base64url (as used by Web Push keys) to a Buffer
+const fromBase64Url = (value) => Buffer.from(value, "base64url");
+
+// Helper to read a private key from the environment, where newlines are
+// often stored escaped
+const readPrivateKey = (value) => (value || "").replace(/\\n/g, "\n");
+
+/**
+ * Check a device token has the form its platform uses: Web Push endpoints
+ * must be https URLs on a known push service, and FCM and APNs tokens
+ * may only contain the characters those services issue
+ * @param {string} platform - Device platform (web, android or ios)
+ * @param {string} token - Device token
+ * @returns {boolean} Whether the token is acceptable
+ */
+const isValidPushToken = (platform, token) => {
+  if (typeof token !== "string") return false;
+
+  if (platform !== "web") {
+    return Boolean(PUSH_TOKEN_PATTERNS[platform]?.test(token));
+  }
+
+  let url;
+  try {
+    url = new URL(token);
+  } catch (error) {
+    return false;
+  }
+
+  const hostname = url.hostname.toLowerCase();
+  return (
+    url.protocol === "https:" &&
+    !url.port &&
+    !url.username &&
+    !url.password &&
+    WEB_PUSH_HOSTS.some(
+      (host) => hostname === host || hostname.endsWith(`.${host}`)
+    )
+  );
+};
+
+// Web Push (RFC 8030) with VAPID (RFC 8292) and aes128gcm payload encryption
+// (RFC 8291)
+const webPush = {
+  send: async (device, message) => {
+    const publicKey = process.env.VAPID_PUBLIC_KEY;
+    const privateKey = process.env.VAPID_PRIVATE_KEY;
+    if (!publicKey || !privateKey) {
+      throw new Error("VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY must be set");
+    }
+    // Devices registered before endpoints were checked are dropped too
+    if (
+      !isValidPushToken("web", device.token) ||
+      !device.keys?.p256dh ||
+      !device.keys?.auth
+    ) {
+      return { unregistered: true };
+    }
+
+    // Encrypt the payload for the subscription's keys
+    const userPublicKey = fromBase64Url(device.keys.p256dh);
+    const authSecret = fromBase64Url(device.keys.auth);
+    const ecdh = crypto.createECDH("prime256v1");
+    const serverPublicKey = ecdh.generateKeys();
+    const sharedSecret = ecdh.computeSecret(userPublicKey);
+
+    const keyInfo = Buffer.concat([
+      Buffer.from("WebPush: info\0"),
+      userPublicKey,
+      serverPublicKey,
+    ]);
+    const ikm = Buffer.from(
+      crypto.hkdfSync("sha256", sharedSecret, authSecret, keyInfo, 32)
+    );
+    const salt = crypto.randomBytes(16);
+    const contentKey = Buffer.from(
+      crypto.hkdfSync(
+        "sha256",
+        ikm,
+        salt,
+        Buffer.from("Content-Encoding: aes128gcm\0"),
+        16
+      )
+    );
+    const nonce = Buffer.from(
+      crypto.hkdfSync(
+        "sha256",
+        ikm,
+        salt,
+        Buffer.from("Content-Encoding: nonce\0"),
+        12
+      )
+    );
+
+    const cipher = crypto.createCipheriv("aes-128-gcm", contentKey, nonce);
+    const ciphertext = Buffer.concat([
+      cipher.update(Buffer.from(JSON.stringify(message))),
+      // Padding delimiter for the last (and only) record
+      cipher.update(Buffer.from([2])),
+      cipher.final(),
+      cipher.getAuthTag(),
+    ]);
+
+    const recordSize = Buffer.alloc(4);
+    recordSize.writeUInt32BE(4096);
+    const body = Buffer.concat([
+      salt,
+      recordSize,
+      Buffer.from([serverPublicKey.length]),
+      serverPublicKey,
+      ciphertext,
+    ]);
+
+    // Sign a VAPID token for the push service's origin
+    const rawPublicKey = fromBase64Url(publicKey);
+    const signingKey = crypto.createPrivateKey({
+      key: {
+        kty: "EC",
+        crv: "P-256",
+        x: rawPublicKey.subarray(1, 33).toString("base64url"),
+        y: rawPublicKey.subarray(33, 65).toString("base64url"),
+        d: privateKey,
+      },
+      format: "jwk",
+    });
+    const vapidToken = jwt.sign(
+      {
+        aud: new URL(device.token).origin,
+        sub: process.env.VAPID_SUBJECT || "mailto:support@iplant.com",
+      },
+      signingKey,
+      { algorithm: "ES256", expiresIn: "12h" }
+    );
+
+    const response = await fetch(device.token, {
+      method: "POST",
+      headers: {
+        Authorization: `vapid t=${vapidToken}, k=${publicKey}`,
+        "Content-Encoding": "aes128gcm",
+        "Content-Type": "application/octet-stream",
+        TTL: "86400",
+      },
+      body,
+      // Never follow the push service somewhere else
+      redirect: "error",
+    });
+
+    if (response.status === 404 || response.status === 410) {
+      return { unregistered: true };
+    }
+    if (!response.ok) {
+      throw new Error(`Web Push request failed with status ${response.status}`);
+    }
+
+    return {};
+  },
+};
+
+// Firebase Cloud Messaging HTTP v1 API, authenticated as a service account
+let fcmAccessToken = null;
+
+// Helper to get (and cache) an OAuth access token for FCM
+const getFcmAccessToken = async () => {
+  if (fcmAccessToken && fcmAccessToken.expiresAt > Date.now() + 60 * 1000) {
+    return fcmAccessToken.token;
+  }
+
+  const clientEmail = process.env.FCM_CLIENT_EMAIL;
+  const privateKey = readPrivateKey(process.env.FCM_PRIVATE_KEY);
+  if (!process.env.FCM_PROJECT_ID || !clientEmail || !privateKey) {
+    throw new Error(
+      "FCM_PROJECT_ID, FCM_CLIENT_EMAIL and FCM_PRIVATE_KEY must be set"
+    );
+  }
+
+  const tokenUrl = "https://oauth2.googleapis.com/token";
+  const assertion = jwt.sign(
+    { scope: "https://www.googleapis.com/auth/firebase.messaging" },
+    privateKey,
+    {
+      algorithm: "RS256",
+      issuer: clientEmail,
+      audience: tokenUrl,
+      expiresIn: "1h",
+    }
+  );
+
+  const response = await fetch(tokenUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({
+      grant_type: "urn:ietf:params:oauth:grant-type:jwt-bearer",
+      assertion,
+    }),
+  });
+  if (!response.ok) {
+    throw new Error(`FCM token request failed with status ${response.status}`);
+  }
+
+  const data = await response.json();
+  fcmAccessToken = {
+    token: data.access_token,
+    expiresAt: Date.now() + data.expires_in * 1000,
+  };
+
+  return fcmAccessToken.token;
+};
+
+const fcm = {
+  send: async (device, message) => {
+    const accessToken = await getFcmAccessToken();
+
+    const response = await fetch(
+      `https://fcm.googleapis.com/v1/projects/${process.env.FCM_PROJECT_ID}/messages:send`,
+      {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          message: {
+            token: device.token,
+            notification: { title: message.title, body: message.body },
+            // FCM data values must be strings
+            data: Object.fromEntries(
+              Object.entries(message.data)
+                .filter(([, value]) => value !== null && value !== undefined)
+                .map(([key, value]) => [key, String(value)])
+            ),
+          },
+        }),
+      }
+    );
+
+    if (response.ok) return {};
+
+    const data = await response.json().catch(() => ({}));
+    const errorCodes = (data.error?.details || []).map(
+      (detail) => detail.errorCode
+    );
+    if (response.status === 404 || errorCodes.includes("UNREGISTERED")) {
+      return { unregistered: true };
+    }
+
+    throw new Error(`FCM request failed with status ${response.status}`);
+  },
+};
+
+// Apple Push Notification service over HTTP/2 with token-based auth
+let apnsAuthToken = null;
+
+// Helper to get (and cache) the APNs provider token; Apple rejects tokens
+// older than an hour and refreshing more than every 20 minutes
+const getApnsAuthToken = () => {
+  if (apnsAuthToken && apnsAuthToken.issuedAt > Date.now() - 50 * 60 * 1000) {
+    return apnsAuthToken.token;
+  }
+
+  const { APNS_KEY_ID, APNS_TEAM_ID } = process.env;
+  const privateKey = readPrivateKey(process.env.APNS_PRIVATE_KEY);
+  if (!APNS_KEY_ID || !APNS_TEAM_ID || !privateKey) {
+    throw new Error(
+      "APNS_KEY_ID, APNS_TEAM_ID and APNS_PRIVATE_KEY must be set"
+    );
+  }
+
+  apnsAuthToken = {
+    token: jwt.sign({}, privateKey, {
+      algorithm: "ES256",
+      issuer: APNS_TEAM_ID,
+      keyid: APNS_KEY_ID,
+    }),
+    issuedAt: Date.now(),
+  };
+
+  return apnsAuthToken.token;
+};
+
+const apns = {
+  send: async (device, message) => {
+    if (!process.env.APNS_BUNDLE_ID) {
+      throw new Error("APNS_BUNDLE_ID must be set");
+    }
+    // The token goes into the request path
+    if (!isValidPushToken("ios", device.token)) {
+      return { unregistered: true };
+    }
+
+    const host =
+      process.env.APNS_PRODUCTION === "true"
+        ? "https://api.push.apple.com"
+        : "https://api.sandbox.push.apple.com";
+    const { title, body, data } = message;
+    const payload = JSON.stringify({
+      aps: { alert: { title, body }, sound: "default" },
+      ...data,
+    });
+
+    const { status, reason } = await new Promise((resolve, reject) => {
+      const client = http2.connect(host);
+      client.on("error", reject);
+
+      const request = client.request({
+        ":method": "POST",
+        ":path": `/3/device/${device.token}`,
+        authorization: `bearer ${getApnsAuthToken()}`,
+        "apns-topic": process.env.APNS_BUNDLE_ID,
+        "apns-push-type": "alert",
+        "content-type": "application/json",
+      });
+
+      let responseStatus;
+      let responseBody = "";
+      request.on("response", (headers) => {
+        responseStatus = headers[":status"];
+      });
+      request.setEncoding("utf8");
+      request.on("data", (chunk) => {
+        responseBody += chunk;
+      });
+      request.on("end", () => {
+        client.close();
+        let responseReason;
+        try {
+          responseReason = JSON.parse(responseBody).reason;
+        } catch (error) {
+          responseReason = undefined;
+        }
+        resolve({ status: responseStatus, reason: responseReason });
+      });
+      request.on("error", (error) => {
+        client.close();
+        reject(error);
+      });
+
+      request.end(payload);
+    });
+
+    if (
+      status === 410 ||
+      reason === "BadDeviceToken" ||
+      reason === "Unregistered"
+    ) {
+      return { unregistered: true };
+    }
+    if (status !== 200) {
+      throw new Error(
+        `APNs request failed with status ${status}${
+          reason ? ` (${reason})` : ""
+        }`
+      );
+    }
+
+    return {};
+  },
+};
+
+const providers = {
+  webpush: webPush,
+  fcm,
+  apns,
+};
+
+/**
+ * Stand-ins used instead of the real providers, selected with
+ * PUSH_TRANSPORT: `file` (the default) writes each push as a JSON file to a
+ * local outbox folder, `log` writes it to the application log. Set
+ * PUSH_TRANSPORT=providers to deliver through Web Push, FCM and APNs.
+ */
+const stubs = {
+  file: {
+    send: async (device, message) => {
+      const outboxDir = path.resolve(
+        process.env.PUSH_OUTBOX_DIR || "outbox/push"
+      );
+      await fs.mkdir(outboxDir, { recursive: true });
+
+      const fileName = `${Date.now()}-${crypto
+        .randomBytes(4)
+        .toString("hex")}.json`;
+      const filePath = path.join(outboxDir, fileName);
+
+      await fs.writeFile(
+        filePath,
+        JSON.stringify(
+          {
+            device: {
+              id: device._id.toString(),
+              user: device.user.toString(),
+              platform: device.platform,
+            },
+            ...message,
+            sentAt: new Date().toISOString(),
+          },
+          null,
+          2
+        )
+      );
+
+      logger.info(`Push notification written to outbox: ${filePath}`, {
+        deviceId: device._id,
+        title: message.title,
+      });
+
+      return {};
+    },
+  },
+
+  log: {
+    send: async (device, message) => {
+      logger.info(`Push to device ${device._id}: ${message.body}`, {
+        deviceId: device._id,
+        userId: device.user,
+        platform: device.platform,
+        data: message.data,
+      });
+
+      return {};
+    },
+  },
+};
+
+/**
+ * Register a push provider, replacing the built-in one of the same name
+ * (webpush, fcm or apns) or adding one for a new service
+ * @param {string} name - Provider name
+ * @param {{send: Function}} provider - Provider implementation
+ */
+const registerProvider = (name, provider) => {
+  if (!provider || typeof provider.send !== "function") {
+    throw new Error(`Push provider "${name}" must have a send() method`);
+  }
+  providers[name] = provider;
+};
+
+/**
+ * Send a push notification to a device through the configured transport
+ * @param {Object} device - DeviceToken document
+ * @param {string} providerName - Provider for the device's platform
+ * @param {Object} message - Notification to send
+ * @param {string} message.title - Title
+ * @param {string} message.body - Text
+ * @param {Object} message.data - Extra data for the app, e.g. IDs to open
+ * @returns {Promise<{unregistered?: boolean}>} Delivery result
+ */
+const sendPush = async (device, providerName, message) => {
+  const transportName = process.env.PUSH_TRANSPORT || "file";
+
+  if (transportName !== "providers") {
+    const stub = stubs[transportName];
+    if (!stub) {
+      throw new Error(`Unknown push transport: ${transportName}`);
+    }
+    return (await stub.send(device, message)) || {};
+  }
+
+  const provider = providers[providerName];
+  if (!provider) {
+    throw new Error(`Unknown push provider: ${providerName}`);
+  }
+
+  return (await provider.send(device, message)) || {};
+};
+
+module.exports = { sendPush, registerProvider, isValidPushToken };
@@ -0,0 +1,104 @@
+const Block = require("../models/Block");
+const Mute = require("../models/Mute");
+
+/**
+ * Check whether one user has blocked another
+ * @param {string} blockerId - User who may have blocked
+ * @param {string} blockedId - User who may be blocked
+ * @returns {Promise<boolean>} Whether blockerId blocked blockedId
+ */
+const hasBlocked = async (blockerId, blockedId) => {
+  if (!blockerId || !blockedId) return false;
+
+  return Boolean(
+    await Block.exists({ blocker: blockerId, blocked: blockedId })
+  );
+};
+
+/**
+ * Check whether one user has muted another
+ * @param {string} muterId - User who may have muted
+ * @param {string} mutedId - User who may be muted
+ * @returns {Promise<boolean>} Whether muterId muted mutedId
+ */
+const hasMuted = async (muterId, mutedId) => {
+  if (!muterId || !mutedId) return false;
+
+  return Boolean(await Mute.exists({ muter: muterId, muted: mutedId }));
+};
+
+/**
+ * Check whether either of two users has blocked the other. Blocking works
+ * both ways: neither side can see or interact with the other's content.
+ * @param {string} userId - One user
+ * @param {string} otherUserId - The other user
+ * @returns {Promise<boolean>} Whether there is a block between them
+ */
+const isBlockedBetween = async (userId, otherUserId) => {
+  if (!userId || !otherUserId) return false;
+
+  const block = await Block.exists({
+    $or: [
+      { blocker: userId, blocked: otherUserId },
+      { blocker: otherUserId, blocked: userId },
+    ],
+  });
+
+  return Boolean(block);
+};
+
+/**
+ * Get the users whose posts and comments should be left out of lists shown
+ * to a user: everyone they blocked or muted, and everyone who blocked them
+ * @param {string|null} userId - Viewing user, or null for anonymous viewers
+ * @returns {Promise<Array>} User IDs to exclude (empty for anonymous viewers)
+ */
+const getExcludedAuthorIds = async (userId) => {
+  if (!userId) return [];
+
+  const [blocks, mutes] = await Promise.all([
+    Block.find({ $or: [{ blocker: userId }, { blocked: userId }] }).select(
+      "blocker blocked"
+    ),
+    Mute.find({ muter: userId }).select("muted"),
+  ]);
+
+  const ids = new Map();
+  const add = (id) => ids.set(id.toString(), id);
+
+  blocks.forEach((block) =>
+    add(
+      block.blocker.toString() === userId.toString()
+        ? block.blocked
+        : block.blocker
+    )
+  );
+  mutes.forEach((mute) => add(mute.muted));
+
+  return Array.from(ids.values());
+};
+
+/**
+ * Restrict a post or comment query to content not written by the given users
+ * @param {Object} query - Base MongoDB query; its `user`, if set, must be a single ID
+ * @param {Array} excludedIds - Result of getExcludedAuthorIds
+ * @returns {Object} Query without the excluded authors
+ */
+const withoutAuthors = (query, excludedIds) => {
+  if (excludedIds.length === 0) return query;
+
+  return {
+    ...query,
+    user: query.user
+      ? { $eq: query.user, $nin: excludedIds }
+      : { $nin: excludedIds },
+  };
+};
+
+module.exports = {
+  hasBlocked,
+  hasMuted,
+  isBlockedBetween,
+  getExcludedAuthorIds,
+  withoutAuthors,
+};
@@ -0,0 +1,22 @@
+const crypto = require("crypto");
+
+/**
+ * Hash a token for storage, so a leaked database doesn't leak usable tokens
+ * @param {string} token - Raw token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("hex");
+};
+
+/**
+ * Generate a random single-use token (e.g. for password reset links)
+ * @param {number} bytes - Number of random bytes
+ * @returns {{token: string, hash: string}} Raw token to send to the user and hash to store
+ */
+const generateSecureToken = (bytes = 32) => {
+  const token = crypto.randomBytes(bytes).toString("hex");
+  return { token, hash: hashToken(token) };
+};
+
+module.exports = { hashToken, generateSecureToken };
@@ -0,0 +1,253 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const generateToken = require("./generateToken");
+const logger = require("./logger");
+const { getClientInfo } = require("./clientInfo");
+const { hashToken } = require("./secureToken");
+
+// A client retrying a refresh with the token it just rotated (e.g. after a
+// dropped response) within this window is rejected without revoking the session
+const REUSE_GRACE_PERIOD_MS =
+  (parseInt(process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS) || 10) * 1000;
+
+// Don't write lastUsedAt on every request, only when it is this stale
+const ACTIVITY_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+// Helper to sign a new access/refresh token pair for a session
+const signTokenPair = (userId, sessionId) => {
+  const sid = sessionId.toString();
+
+  const accessToken = generateToken(userId, false, { sid });
+  const refreshToken = generateToken(userId, true, {
+    sid,
+    jti: crypto.randomBytes(16).toString("hex"),
+  });
+
+  const { exp } = jwt.decode(refreshToken);
+
+  return { accessToken, refreshToken, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Sign a new access token for an existing session, e.g. after a password
+ * change made older access tokens invalid
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ * @returns {string} Access token
+ */
+const signAccessToken = (userId, sessionId) =>
+  generateToken(userId, false, { sid: sessionId.toString() });
+
+/**
+ * Start a new session (refresh token family) for a user
+ * @param {Object} user - User document
+ * @param {Object} req - Express request object, used to record the client's device and IP
+ * @returns {Promise<{accessToken: string, refreshToken: string, session: Object}>} Token pair and session
+ */
+const createSession = async (user, req) => {
+  const { ip, userAgent, device } = getClientInfo(req);
+
+  const sessionId = new mongoose.Types.ObjectId();
+  const { accessToken, refreshToken, expiresAt } = signTokenPair(
+    user._id,
+    sessionId
+  );
+
+  const session = await Session.create({
+    _id: sessionId,
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    // Apps can name the device themselves (e.g. "Ana's Pixel")
+    device: req.body?.deviceName || device,
+    userAgent,
+    ip,
+    lastUsedAt: new Date(),
+    expiresAt,
+  });
+
+  return { accessToken, refreshToken, session };
+};
+
+/**
+ * Exchange a verified refresh token for a new token pair. Presenting a token
+ * that has already been rotated out is treated as theft and revokes the
+ * whole session.
+ * @param {string} token - Raw refresh token (signature already verified)
+ * @param {Object} payload - Decoded refresh token payload
+ * @param {Object} req - Express request object, used to record the client's IP
+ * @returns {Promise<Object>} `{ status: "rotated", accessToken, refreshToken, session }`,
+ *   or `{ status }` of "invalid", "revoked", "retry" or "reused"
+ */
+const rotateRefreshToken = async (token, payload, req) => {
+  if (!payload.sid || !mongoose.isValidObjectId(payload.sid)) {
+    return { status: "invalid" };
+  }
+
+  const session = await Session.findOne({
+    _id: payload.sid,
+    user: payload.id,
+  }).select("+tokenHash +previousTokenHash");
+
+  if (!session) {
+    return { status: "invalid" };
+  }
+
+  if (!session.isActive) {
+    return { status: "revoked" };
+  }
+
+  const presentedHash = hashToken(token);
+
+  if (presentedHash !== session.tokenHash) {
+    const isRecentRetry =
+      presentedHash === session.previousTokenHash &&
+      session.rotatedAt &&
+      Date.now() - session.rotatedAt.getTime() < REUSE_GRACE_PERIOD_MS;
+
+    if (isRecentRetry) {
+      return { status: "retry" };
+    }
+
+    // An old token from this family was replayed - assume it was stolen
+    await revokeSession(session._id, "refresh_token_reuse");
+
+    logger.warn(`Refresh token reuse detected for user: ${payload.id}`, {
+      userId: payload.id,
+      sessionId: session._id,
+    });
+
+    return { status: "reused" };
+  }
+
+  const { accessToken, refreshToken, expiresAt } = signTokenPair(
+    session.user,
+    session._id
+  );
+
+  // Only rotate if nobody else rotated this token in the meantime
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presentedHash, revokedAt: null },
+    {
+      tokenHash: hashToken(refreshToken),
+      previousTokenHash: presentedHash,
+      rotatedAt: new Date(),
+      lastUsedAt: new Date(),
+      ip: getClientInfo(req).ip,
+      expiresAt,
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    return { status: "retry" };
+  }
+
+  return { status: "rotated", accessToken, refreshToken, session: rotated };
+};
+
+/**
+ * Find a session that has not been revoked or expired
+ * @param {string} sessionId - Session ID from a token's `sid` claim
+ * @returns {Promise<Object|null>} The session, or null if it is not active
+ */
+const getActiveSession = async (sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+
+  const session = await Session.findById(sessionId);
+
+  return session && session.isActive ? session : null;
+};
+
+/**
+ * Record that a session was just used. Writes are throttled so that busy
+ * clients don't cause a database write on every request.
+ * @param {Object} session - Session document
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+const touchSession = async (session, req) => {
+  if (Date.now() - session.lastUsedAt.getTime() < ACTIVITY_UPDATE_INTERVAL_MS) {
+    return;
+  }
+
+  try {
+    await Session.updateOne(
+      { _id: session._id },
+      { lastUsedAt: new Date(), ip: getClientInfo(req).ip }
+    );
+  } catch (error) {
+    // Activity tracking must never block the request
+    logger.warn(`Failed to update session activity: ${error.message}`, {
+      sessionId: session._id,
+    });
+  }
+};
+
+/**
+ * List a user's active sessions, most recently used first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Session documents
+ */
+const listActiveSessions = async (userId) => {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Why the session was revoked
+ * @param {string} userId - If given, only revoke the session if it belongs to this user
+ * @returns {Promise<boolean>} Whether an active session was revoked
+ */
+const revokeSession = async (sessionId, reason, userId = null) => {
+  const query = { _id: sessionId, revokedAt: null };
+  if (userId) {
+    query.user = userId;
+  }
+
+  const result = await Session.updateOne(query, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke all of a user's sessions
+ * @param {string} userId - User ID
+ * @param {string} reason - Why the sessions were revoked
+ * @param {Object} options - Options
+ * @param {string} options.exceptSessionId - Session to keep signed in
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason, { exceptSessionId } = {}) => {
+  const query = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const result = await Session.updateMany(query, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+
+  return result.modifiedCount;
+};
+
+module.exports = {
+  createSession,
+  signAccessToken,
+  rotateRefreshToken,
+  getActiveSession,
+  touchSession,
+  listActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,198 @@
+const mongoose = require("mongoose");
+const PlantSpecies = require("../models/PlantSpecies");
+const { DEFAULT_NAME_LANGUAGE } = require("../config/species");
+
+// plantType of posts that don't say what they show
+const UNKNOWN_PLANT_TYPE = "Unknown";
+
+/**
+ * Get a species' common name in a language, falling back to English, then
+ * any common name, then the scientific name
+ * @param {Object} species - PlantSpecies document
+ * @param {string} language - ISO 639-1 language code
+ * @returns {string} Name to show
+ */
+const getCommonName = (species, language = DEFAULT_NAME_LANGUAGE) => {
+  const names = species.commonNames || [];
+  const match =
+    names.find((entry) => entry.language === language) ||
+    names.find((entry) => entry.language === DEFAULT_NAME_LANGUAGE) ||
+    names[0];
+
+  return match ? match.name : species.scientificName;
+};
+
+/**
+ * Format a species for the API
+ * @param {Object} species - PlantSpecies document
+ * @param {string} language - Language of the commonName field
+ * @returns {Object} Formatted species
+ */
+const formatSpecies = (species, language = DEFAULT_NAME_LANGUAGE) => ({
+  id: species._id.toString(),
+  scientificName: species.scientificName,
+  commonName: getCommonName(species, language),
+  commonNames: species.commonNames.map(({ name, language: lang }) => ({
+    name,
+    language: lang,
+  })),
+  family: species.family,
+  growthForm: species.growthForm,
+  nativeRange: species.nativeRange,
+  co2UptakeKgPerYear: species.co2UptakeKgPerYear,
+  careIntervals: species.careIntervals,
+});
+
+/**
+ * Find the catalog species a free-text plant name refers to, ignoring case,
+ * accents and a plural "s"/"es", e.g. "roses" finds the garden rose
+ * @param {string} name - Plant name as typed
+ * @returns {Promise<Object|null>} The species, or null if none matches
+ */
+const findSpeciesByName = async (name) => {
+  const normalized = PlantSpecies.normalizeName(name);
+  if (!normalized) return null;
+
+  const candidates = [
+    normalized,
+    normalized.replace(/es$/, ""),
+    normalized.replace(/s$/, ""),
+  ].filter(Boolean);
+
+  const matches = await PlantSpecies.find({
+    searchNames: { $in: candidates },
+  }).select("+searchNames");
+
+  // Prefer the closest spelling when singular and plural both match
+  for (const candidate of candidates) {
+    const match = matches.find((species) =>
+      species.searchNames.includes(candidate)
+    );
+    if (match) return match;
+  }
+
+  return null;
+};
+
+// Helper to count the single-character edits turning one string into another
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Helper to check whether all words of one normalized name appear in another
+const containsWords = (text, words) =>
+  ` ${text} `.includes(` ${words} `) && words.length > 0;
+
+/**
+ * Score how closely a free-text plant name matches each species, from 0 to
+ * 1: 1 for the same name (ignoring case, accents and plurals), 0.8 when one
+ * name contains the other as whole words, and spelling similarity otherwise
+ * @param {string} name - Plant name as typed
+ * @param {Array<Object>} speciesList - PlantSpecies documents
+ * @returns {Array<{species: Object, name: string, score: number}>} The best
+ *   matching name of each species, best first
+ */
+const rankSpeciesMatches = (name, speciesList) => {
+  const normalized = PlantSpecies.normalizeName(name);
+  if (!normalized) return [];
+
+  const variants = [
+    ...new Set([
+      normalized,
+      normalized.replace(/es$/, ""),
+      normalized.replace(/s$/, ""),
+    ]),
+  ].filter(Boolean);
+
+  const scoreName = (candidate) => {
+    const target = PlantSpecies.normalizeName(candidate);
+    if (!target) return 0;
+
+    return Math.max(
+      ...variants.map((variant) => {
+        if (variant === target) return 1;
+        if (containsWords(variant, target) || containsWords(target, variant)) {
+          return 0.8;
+        }
+        return (
+          1 -
+          editDistance(variant, target) /
+            Math.max(variant.length, target.length)
+        );
+      })
+    );
+  };
+
+  return speciesList
+    .map((species) => {
+      const names = [
+        species.scientificName,
+        ...species.commonNames.map((entry) => entry.name),
+      ];
+
+      return names.reduce(
+        (best, candidate) => {
+          const score = scoreName(candidate);
+          return score > best.score
+            ? { species, name: candidate, score }
+            : best;
+        },
+        { species, name: species.scientificName, score: 0 }
+      );
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Work out the species and plantType to store on a post. A species ID wins,
+ * and sets plantType to the species' English name; otherwise free text is
+ * linked to the catalog species it names, or kept as is.
+ * @param {Object} input - Request fields
+ * @param {string|null} input.species - PlantSpecies ID
+ * @param {string} input.plantType - Legacy free-text plant type
+ * @returns {Promise<{species: Object|null, plantType: string}|null>} Values
+ *   to store, or null if the species ID is unknown
+ */
+const resolvePlantType = async ({ species, plantType }) => {
+  if (species) {
+    if (!mongoose.isValidObjectId(species)) return null;
+
+    const match = await PlantSpecies.findById(species);
+    if (!match) return null;
+
+    return { species: match._id, plantType: getCommonName(match) };
+  }
+
+  const text = typeof plantType === "string" ? plantType.trim() : "";
+  if (!text || text === UNKNOWN_PLANT_TYPE) {
+    return { species: null, plantType: UNKNOWN_PLANT_TYPE };
+  }
+
+  const match = await findSpeciesByName(text);
+  return match
+    ? { species: match._id, plantType: getCommonName(match) }
+    : { species: null, plantType: text };
+};
+
+module.exports = {
+  UNKNOWN_PLANT_TYPE,
+  getCommonName,
+  formatSpecies,
+  findSpeciesByName,
+  rankSpeciesMatches,
+  resolvePlantType,
+};
@@ -0,0 +1,179 @@
+const crypto = require("crypto");
+
+// RFC 4648 base32 alphabet, used by authenticator apps for secrets
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// RFC 6238 defaults, which is what every common authenticator app expects
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+
+// Accept codes from one step before/after to allow for clock drift
+const TOTP_WINDOW = 1;
+
+// Helper to encode a buffer as base32 (without padding)
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+// Helper to decode a base32 string, ignoring spaces, padding and case
+const base32Decode = (input) => {
+  const cleaned = input.replace(/[\s=]/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character in secret");
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random TOTP secret
+ * @returns {string} Base32 encoded secret (160 bits)
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Compute the TOTP code for a time step (RFC 6238 with HMAC-SHA1)
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} step - Time step (seconds since epoch / period)
+ * @returns {string} Zero-padded code
+ */
+const generateTotpCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  // Dynamic truncation (RFC 4226 section 5.3)
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, "0");
+};
+
+/**
+ * Get the current TOTP time step
+ * @param {number} now - Timestamp in milliseconds
+ * @returns {number} Time step
+ */
+const getTotpStep = (now = Date.now()) =>
+  Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Check a TOTP code against a secret
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - Options
+ * @param {number} options.afterStep - Reject codes from this step or earlier,
+ *   so a code can't be replayed once it has been used
+ * @returns {number|null} The matching time step, or null if the code is invalid
+ */
+const verifyTotpCode = (secret, code, { afterStep = -1 } = {}) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const currentStep = getTotpStep();
+
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const step = currentStep + drift;
+    if (step <= afterStep) continue;
+
+    const expected = generateTotpCode(secret, step);
+    if (
+      crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ * @param {Object} params - URI parameters
+ * @param {string} params.secret - Base32 encoded secret
+ * @param {string} params.accountName - Account label, usually the email
+ * @param {string} params.issuer - App name shown in the authenticator
+ * @returns {string} Provisioning URI
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generate one-time recovery codes, formatted like "a1b2c-d3e4f"
+ * @param {number} count - Number of codes
+ * @returns {string[]} Recovery codes
+ */
+const generateRecoveryCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+/**
+ * Normalize a recovery code entered by the user before hashing it
+ * @param {string} code - Recovery code
+ * @returns {string} Lowercase code without spaces or dashes
+ */
+const normalizeRecoveryCode = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[\s-]/g, "");
+
+module.exports = {
+  generateTotpSecret,
+  generateTotpCode,
+  getTotpStep,
+  verifyTotpCode,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+};
@@ -0,0 +1,36 @@
+const Post = require("../models/Post");
+const Follow = require("../models/Follow");
+const { getUserImpact } = require("./impact");
+
+/**
+ * Compute the stats shown on a user's profile
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Post, plant, like, save, impact and follow counts
+ */
+const getUserStats = async (user) => {
+  const [posts, likesReceived, followers, following, impact] =
+    await Promise.all([
+      Post.countDocuments({ user: user._id }),
+      Post.aggregate([
+        { $match: { user: user._id } },
+        { $project: { likesCount: { $size: "$likes" } } },
+        { $group: { _id: null, total: { $sum: "$likesCount" } } },
+      ]),
+      Follow.countDocuments({ following: user._id }),
+      Follow.countDocuments({ follower: user._id }),
+      getUserImpact(user._id),
+    ]);
+
+  return {
+    posts,
+    plants: user.numberOfPlants,
+    likesReceived: likesReceived.length > 0 ? likesReceived[0].total : 0,
+    savedPosts: user.savedPosts.length,
+    // kg of CO2 taken up by the user's plants so far
+    environmentalImpact: impact.co2Kg,
+    followers,
+    following,
+  };
+};
+
+module.exports = { getUserStats };